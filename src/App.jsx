@@ -1,7 +1,7 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import { AuthProvider, useAuth } from './contexts/AuthContext'
 import { LoadingSpinner } from './components'
-import { LoginPage, HomePage, UserProfileSetupPage, GroupDetailPage, GroupSettingsPage, JoinGroupPage, ActivityPage } from './pages'
+import { LoginPage, HomePage, UserProfileSetupPage, GroupDetailPage, GroupSettingsPage, JoinGroupPage, ActivityPage, ReportPage } from './pages'
 import { debugLog } from './utils/debug'
 import './styles/global.css'
 
@@ -44,6 +44,7 @@ function AppContent() {
     <Routes>
       <Route path="/" element={<HomePage onLogout={logout} />} />
       <Route path="/activity" element={<ActivityPage onLogout={logout} />} />
+      <Route path="/report" element={<ReportPage onLogout={logout} />} />
       <Route path="/groups/:groupId" element={<GroupDetailPage onLogout={logout} />} />
       <Route path="/groups/:groupId/settings" element={<GroupSettingsPage onLogout={logout} />} />
       <Route path="/join/:inviteCode?" element={<JoinGroupPage onLogout={logout} />} />
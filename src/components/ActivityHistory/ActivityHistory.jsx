@@ -0,0 +1,168 @@
+import { useState } from 'react'
+import { BiHistory, BiPlus, BiEdit, BiTrash, BiUndo, BiChevronDown } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { formatCurrency } from '../../utils/formatters'
+import { getCategoryInfo } from '../../utils/categories'
+import { ACTIVITY_ACTIONS } from '../../services/activityLogService'
+import './ActivityHistory.css'
+
+const PAGE_SIZE = 30
+
+// Fields compared for "what changed" on updates, in display order
+const EXPENSE_FIELDS = ['description', 'amount', 'currency', 'category', 'date', 'payers', 'splitDetails', 'location']
+const SETTLEMENT_FIELDS = ['from', 'to', 'amount', 'currency', 'paymentMethod', 'date', 'remarks']
+
+const ACTION_ICONS = {
+  created: BiPlus,
+  updated: BiEdit,
+  deleted: BiTrash,
+  restored: BiUndo
+}
+
+const isExpenseAction = (action) => action?.startsWith('expense_')
+
+// Stable JSON for comparing nested values (payer and split maps)
+const toComparable = (value) => JSON.stringify(
+  value && typeof value === 'object'
+    ? Object.keys(value).sort().reduce((acc, key) => ({ ...acc, [key]: value[key] }), {})
+    : value ?? null
+)
+
+function ActivityHistory({ activityLog, members, customCategories, groupCurrency, currentUserId }) {
+  const { t, currentLanguage } = useTranslation()
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE)
+  const [expandedEntryId, setExpandedEntryId] = useState(null)
+
+  const locale = currentLanguage === 'zh-HK' ? 'zh-HK' : 'en-US'
+  const entries = Object.entries(activityLog || {})
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => (b.at || 0) - (a.at || 0))
+
+  if (entries.length === 0) {
+    return (
+      <div className="empty-state">
+        <BiHistory className="empty-icon" />
+        <p>{t('history.empty') || 'No activity yet'}</p>
+      </div>
+    )
+  }
+
+  const getMemberName = (memberId) => members?.[memberId]?.name || t('common.unknown') || 'Unknown'
+
+  const formatAmountMap = (amounts, currency) => Object.entries(amounts || {})
+    .map(([memberId, value]) => `${getMemberName(memberId)} ${formatCurrency(typeof value === 'object' ? value?.amount || 0 : value, currency)}`)
+    .join(', ')
+
+  const formatField = (field, record) => {
+    const currency = record?.currency || groupCurrency
+    const value = record?.[field]
+
+    if (value === undefined || value === null || value === '') return '—'
+
+    switch (field) {
+      case 'amount':
+        return formatCurrency(value, currency)
+      case 'date':
+        return new Date(value).toLocaleDateString(locale)
+      case 'category':
+        return getCategoryInfo(value, customCategories, t).label
+      case 'payers':
+      case 'splitDetails':
+        return formatAmountMap(value, currency)
+      case 'from':
+      case 'to':
+        return getMemberName(value)
+      default:
+        return String(value)
+    }
+  }
+
+  const getChanges = (entry) => {
+    const fields = isExpenseAction(entry.action) ? EXPENSE_FIELDS : SETTLEMENT_FIELDS
+    return fields
+      .filter((field) => toComparable(entry.before?.[field]) !== toComparable(entry.after?.[field]))
+      .map((field) => ({
+        field,
+        before: formatField(field, entry.before),
+        after: formatField(field, entry.after)
+      }))
+  }
+
+  const getSummary = (entry) => {
+    const record = entry.after || entry.before || {}
+    const actor = entry.actorId === currentUserId
+      ? (t('member.you') || 'You')
+      : (entry.actorName || (entry.actorId ? getMemberName(entry.actorId) : (t('history.system') || 'Someone')))
+    const amount = formatCurrency(record.amount || 0, record.currency || groupCurrency)
+    const target = isExpenseAction(entry.action)
+      ? (record.description || getCategoryInfo(record.category, customCategories, t).label)
+      : `${getMemberName(record.from)} → ${getMemberName(record.to)}`
+
+    return t(`history.action.${entry.action}`, { actor, target, amount }) ||
+      `${actor} ${entry.action.replace('_', ' ')}: ${target} (${amount})`
+  }
+
+  return (
+    <div className="activity-history">
+      <ul className="ah-list">
+        {entries.slice(0, visibleCount).map((entry) => {
+          const kind = entry.action?.split('_')[1]
+          const Icon = ACTION_ICONS[kind] || BiHistory
+          const changes = entry.action === ACTIVITY_ACTIONS.EXPENSE_UPDATED || entry.action === ACTIVITY_ACTIONS.SETTLEMENT_UPDATED
+            ? getChanges(entry)
+            : []
+          const isExpanded = expandedEntryId === entry.id
+
+          return (
+            <li key={entry.id} className={`ah-entry ah-${kind}`}>
+              <div className="ah-icon"><Icon /></div>
+              <div className="ah-body">
+                <p className="ah-summary">{getSummary(entry)}</p>
+                <p className="ah-time">{new Date(entry.at).toLocaleString(locale)}</p>
+
+                {changes.length > 0 && (
+                  <>
+                    <button
+                      type="button"
+                      className="ah-toggle"
+                      onClick={() => setExpandedEntryId(isExpanded ? null : entry.id)}
+                    >
+                      {t('history.changes', { count: changes.length }) || `${changes.length} change(s)`}
+                      <BiChevronDown className={isExpanded ? 'rotated' : ''} />
+                    </button>
+                    {isExpanded && (
+                      <dl className="ah-changes">
+                        {changes.map(({ field, before, after }) => (
+                          <div key={field} className="ah-change">
+                            <dt>{t(`history.field.${field}`) || field}</dt>
+                            <dd>
+                              <span className="ah-before">{before}</span>
+                              <span className="ah-arrow">→</span>
+                              <span className="ah-after">{after}</span>
+                            </dd>
+                          </div>
+                        ))}
+                      </dl>
+                    )}
+                  </>
+                )}
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+
+      {entries.length > visibleCount && (
+        <button
+          type="button"
+          className="ah-more"
+          onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+        >
+          {t('history.showMore') || 'Show more'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ActivityHistory
@@ -1,27 +1,31 @@
-import React, { useState, useRef, useEffect } from 'react'
-import { BiX, BiLoader, BiCalendar, BiMoney, BiUser, BiTag, BiShare, BiRefresh } from 'react-icons/bi'
+import React, { useState, useRef, useEffect, useEffectEvent } from 'react'
+import { BiX, BiLoader, BiCalendar, BiMoney, BiUser, BiTag, BiShare, BiRefresh, BiReceipt, BiImageAdd, BiRepeat, BiBulb } from 'react-icons/bi'
 import { useTranslation } from '../../hooks/useTranslation'
 import { debugLog, debugError } from '../../utils/debug'
-import { createExpense } from '../../services/expenseService'
-import { fetchLiveExchangeRate, validateExchangeRate, convertCurrency, formatExchangeRate } from '../../services/currencyService'
+import { createExpense, updateExpense } from '../../services/expenseService'
+import { fetchExchangeRateForDate, validateExchangeRate, convertCurrency, formatExchangeRate, createExchangeRateRecord } from '../../services/currencyService'
+import { uploadReceiptPhotos, deleteReceiptPhotos, validateReceiptFile, MAX_RECEIPTS_PER_EXPENSE } from '../../services/receiptService'
 import PayerSelection from './PayerSelection'
+import ItemizedSplit from './ItemizedSplit'
+import CurrencyOptions from '../CurrencyOptions/CurrencyOptions'
+import { getCurrencyFactor, getMinorUnits, roundToCurrency } from '../../utils/currencies'
+import { RECURRENCE_FREQUENCIES } from '../../utils/recurrence'
+import { getCategoryInfo, getCategoryList } from '../../utils/categories'
+import { suggestCategory } from '../../utils/categorySuggestion'
 import './AddExpenseModal.css'
 
-const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency, onExpenseCreated, currentUserId }) => {
+const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency, multiCurrency = false, customCategories, groupExpenses, onExpenseCreated, currentUserId, editingExpense }) => {
   const { t } = useTranslation()
   const modalRef = useRef(null)
 
-  // Currency options
-  const currencyOptions = ['USD', 'EUR', 'JPY', 'CNY', 'HKD', 'SGD', 'AUD', 'GBP']
-
   // Split method types
-  const splitMethods = ['equal', 'percentage', 'shares', 'exact']
+  const splitMethods = ['equal', 'percentage', 'shares', 'exact', 'itemized']
 
   // Default currency
   const defaultCurrency = groupCurrency || 'HKD'
 
-  // Form state
-  const [formData, setFormData] = useState({
+  // Empty form for adding a new expense
+  const getInitialFormData = () => ({
     amount: '',
     payers: {
       [currentUserId]: {
@@ -33,15 +37,86 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     currency: defaultCurrency,
     description: '',
     category: 'food',
+    // How the category was chosen: 'default', 'manual', or how it was suggested ('history', 'name' or 'keyword')
+    categorySource: 'default',
     splitMethod: 'equal',
     participants: Object.keys(groupMembers || {}).reduce((acc, memberId) => {
       acc[memberId] = { selected: true, amount: 0, percentage: 0, shares: 1 }
       return acc
     }, {}),
+    items: [],
+    receipts: [],
     date: new Date().toISOString().split('T')[0],
     location: '',
+    recurrence: '', // '' for a one-off expense, otherwise one of RECURRENCE_FREQUENCIES
   })
 
+  // Sum of receipt item prices that can be split (priced and assigned to at least one member)
+  const getItemsSubtotal = (items) => (items || []).reduce(
+    (sum, item) => sum + ((item.price > 0 && item.assignees?.length > 0) ? item.price : 0),
+    0
+  )
+
+  // Form pre-filled from a stored expense (amounts converted back to the currency it was entered in)
+  const getFormDataFromExpense = (expense) => {
+    const rate = expense.exchangeRate?.rate || null
+    const currency = expense.exchangeRate?.fromCurrency || expense.originalCurrency || expense.currency || defaultCurrency
+    const toOriginal = (value) => (rate ? roundToCurrency((value || 0) / rate, currency) : (value || 0))
+    const amount = expense.amountInOriginalCurrency ?? toOriginal(expense.amount)
+    const payerIds = Object.keys(expense.payers || {})
+    const participantIds = expense.participants || []
+
+    const participants = Object.keys(groupMembers || {}).reduce((acc, memberId) => {
+      acc[memberId] = {
+        selected: participantIds.includes(memberId),
+        amount: expense.splitMethod === 'exact' ? toOriginal(expense.splitDetails?.[memberId]) : 0,
+        percentage: expense.splitMeta?.[memberId]?.percentage || 0,
+        shares: expense.splitMeta?.[memberId]?.shares || 1
+      }
+      return acc
+    }, {})
+
+    // Converting exact amounts back may leave a rounding difference - give it to the first participant
+    if (expense.splitMethod === 'exact' && participantIds.length > 0 && participants[participantIds[0]]) {
+      const exactTotal = participantIds.reduce((sum, id) => sum + (participants[id]?.amount || 0), 0)
+      const first = participants[participantIds[0]]
+      first.amount = roundToCurrency(first.amount + amount - exactTotal, currency)
+    }
+
+    return {
+      amount,
+      payers: payerIds.reduce((acc, payerId) => {
+        acc[payerId] = {
+          name: expense.payers[payerId].name,
+          amount: payerIds.length === 1 ? amount : toOriginal(expense.payers[payerId].amount)
+        }
+        return acc
+      }, {}),
+      payerMode: payerIds.length > 1 ? 'multiple' : 'single',
+      currency,
+      description: expense.description || '',
+      category: getCategoryInfo(expense.category, customCategories, t).id,
+      categorySource: 'manual',
+      splitMethod: expense.splitMethod || 'equal',
+      participants,
+      items: (expense.items || []).map((item) => ({
+        name: item.name || '',
+        price: item.price || '',
+        assignees: item.assignees || []
+      })),
+      receipts: expense.receipts || [],
+      date: new Date(expense.date || Date.now()).toISOString().split('T')[0],
+      location: expense.location || '',
+      recurrence: '',
+    }
+  }
+
+  // Form state
+  const [formData, setFormData] = useState(getInitialFormData)
+
+  // Currency the expense is stored in; multi-currency groups keep it in the entered currency instead of converting
+  const expenseCurrency = multiCurrency ? formData.currency : groupCurrency
+
   const [errors, setErrors] = useState({})
   const [isLoading, setIsLoading] = useState(false)
   const [submitError, setSubmitError] = useState(null)
@@ -50,13 +125,22 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
   const [exchangeRate, setExchangeRate] = useState({
     manualRate: '',
     fetchedRate: null,
-    source: 'custom', // 'custom' or 'live'
+    source: 'custom', // 'custom', 'live', 'historical' or 'offline'
+    rateDate: null, // Day the fetched rate applies to (YYYY-MM-DD)
     isFetching: false,
     fetchError: null
   })
 
-  // Categories
-  const categories = ['food', 'transport', 'accommodation', 'entertainment', 'shopping', 'other']
+  // Date of the most recent rate request, so a slow response for an older date is ignored
+  const latestRateDateRef = useRef(null)
+
+  // Receipt photos picked in this session, not uploaded yet: [{ file, previewUrl }]
+  const [receiptFiles, setReceiptFiles] = useState([])
+
+  const isEditMode = !!editingExpense?.id
+
+  // Built-in categories plus the group's own
+  const categories = getCategoryList(customCategories)
 
   // Focus on amount input when modal opens
   useEffect(() => {
@@ -68,6 +152,44 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     }
   }, [isOpen])
 
+  // Pre-fill the form when editing, reset it when the modal closes
+  // An effect event, so the form is built from the latest members and currency without re-running on their every change
+  const syncFormWithModal = useEffectEvent((isModalOpen, expense) => {
+    if (!isModalOpen) {
+      setFormData(getInitialFormData())
+      setExchangeRate({
+        manualRate: '',
+        fetchedRate: null,
+        source: 'custom',
+        rateDate: null,
+        isFetching: false,
+        fetchError: null
+      })
+      setErrors({})
+      setSubmitError(null)
+      setReceiptFiles((prev) => {
+        prev.forEach(({ previewUrl }) => URL.revokeObjectURL(previewUrl))
+        return []
+      })
+    } else if (expense) {
+      setFormData(getFormDataFromExpense(expense))
+      setExchangeRate({
+        manualRate: expense.exchangeRate?.rate ? formatExchangeRate(expense.exchangeRate.rate) : '',
+        fetchedRate: null,
+        source: expense.exchangeRate?.source || 'custom',
+        rateDate: expense.exchangeRate?.rateDate || null,
+        isFetching: false,
+        fetchError: null
+      })
+      setErrors({})
+      setSubmitError(null)
+    }
+  })
+
+  useEffect(() => {
+    syncFormWithModal(isOpen, editingExpense)
+  }, [isOpen, editingExpense])
+
   // Prevent scroll wheel from changing number input values
   useEffect(() => {
     const handleWheel = (e) => {
@@ -129,6 +251,8 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     setFormData((prev) => ({
       ...prev,
       [name]: type === 'number' ? (value === '' ? '' : parseFloat(value)) : value,
+      ...(name === 'category' && { categorySource: 'manual' }),
+      ...(name === 'description' && getSuggestedCategoryFields(prev, value)),
     }))
     // Clear error when user starts typing (except for exchangeRate - handled separately)
     if (errors[name] && name !== 'exchangeRate') {
@@ -137,6 +261,26 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
         [name]: '',
       }))
     }
+
+    // A foreign-currency expense uses the rate of its own date
+    if (name === 'date' && value && formData.currency !== expenseCurrency) {
+      handleFetchRate(value)
+    }
+  }
+
+  // Pre-select a category suggested by the description until the user picks one themselves
+  const getSuggestedCategoryFields = (prev, description) => {
+    if (prev.categorySource === 'manual') return {}
+
+    const suggestion = suggestCategory(description, groupExpenses, customCategories)
+    if (suggestion) {
+      return { category: suggestion.category, categorySource: suggestion.source }
+    }
+
+    // Nothing matches the description any more: go back to the default
+    return prev.categorySource !== 'default'
+      ? { category: getInitialFormData().category, categorySource: 'default' }
+      : {}
   }
 
   // Handle participant selection
@@ -167,6 +311,57 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     }))
   }
 
+  // Handle receipt photo selection
+  const handleReceiptFilesSelected = (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+
+    const remainingSlots = MAX_RECEIPTS_PER_EXPENSE - (formData.receipts || []).length - receiptFiles.length
+    const accepted = []
+    let receiptError = ''
+
+    files.forEach((file) => {
+      const validation = validateReceiptFile(file)
+      if (!validation.valid) {
+        receiptError = validation.code === 'tooLarge'
+          ? (t('addExpense.receiptTooLarge') || validation.error)
+          : (t('addExpense.receiptNotImage') || validation.error)
+      } else if (accepted.length >= remainingSlots) {
+        receiptError = t('addExpense.receiptLimit', { count: MAX_RECEIPTS_PER_EXPENSE }) ||
+          `You can attach up to ${MAX_RECEIPTS_PER_EXPENSE} receipt photos`
+      } else {
+        accepted.push({ file, previewUrl: URL.createObjectURL(file) })
+      }
+    })
+
+    setReceiptFiles((prev) => [...prev, ...accepted])
+    setErrors((prev) => {
+      const newErrors = { ...prev }
+      if (receiptError) {
+        newErrors.receipts = receiptError
+      } else {
+        delete newErrors.receipts
+      }
+      return newErrors
+    })
+  }
+
+  // Remove a receipt photo that has not been uploaded yet
+  const handleRemoveReceiptFile = (index) => {
+    setReceiptFiles((prev) => {
+      URL.revokeObjectURL(prev[index].previewUrl)
+      return prev.filter((_, i) => i !== index)
+    })
+  }
+
+  // Detach a stored receipt photo (the file is deleted when the expense is saved)
+  const handleRemoveStoredReceipt = (path) => {
+    setFormData((prev) => ({
+      ...prev,
+      receipts: (prev.receipts || []).filter((receipt) => receipt.path !== path)
+    }))
+  }
+
   // Handle exchange rate manual input
   const handleExchangeRateInput = (e) => {
     const { value } = e.target
@@ -174,6 +369,7 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
       ...prev,
       manualRate: value,
       source: 'custom',
+      rateDate: null,
       fetchError: null
     }))
 
@@ -191,13 +387,14 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     })
   }
 
-  // Fetch live exchange rate
-  const handleFetchLiveRate = async () => {
-    if (formData.currency === groupCurrency) {
+  // Fetch the exchange rate for the expense date (historical for past dates, live otherwise)
+  const handleFetchRate = async (date = formData.date) => {
+    if (formData.currency === expenseCurrency) {
       debugLog('Same currency, no need to fetch rate')
       return
     }
 
+    latestRateDateRef.current = date
     setExchangeRate((prev) => ({
       ...prev,
       isFetching: true,
@@ -205,13 +402,20 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     }))
 
     try {
-      const rate = await fetchLiveExchangeRate(formData.currency, groupCurrency)
-      if (rate) {
+      const result = await fetchExchangeRateForDate(formData.currency, expenseCurrency, date)
+      if (latestRateDateRef.current !== date) {
+        debugLog('Ignoring exchange rate for an outdated date', { date })
+        return
+      }
+
+      if (result) {
+        const { rate, source, rateDate } = result
         setExchangeRate((prev) => ({
           ...prev,
           fetchedRate: rate,
           manualRate: formatExchangeRate(rate),
-          source: 'live',
+          source,
+          rateDate,
           isFetching: false
         }))
         // Clear exchange rate error when successful fetch
@@ -220,17 +424,17 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
           delete newErrors.exchangeRate
           return newErrors
         })
-        debugLog('Live rate fetched successfully', { rate })
+        debugLog('Exchange rate fetched successfully', { rate, source, rateDate })
       } else {
         setExchangeRate((prev) => ({
           ...prev,
           isFetching: false,
           fetchError: 'Failed to fetch exchange rate. Please enter manually.'
         }))
-        debugError('Failed to fetch live rate')
+        debugError('Failed to fetch exchange rate', { date })
       }
     } catch (err) {
-      debugError('Error fetching live rate', err)
+      debugError('Error fetching exchange rate', err)
       setExchangeRate((prev) => ({
         ...prev,
         isFetching: false,
@@ -262,7 +466,7 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
   const getConvertedAmount = () => {
     const rate = getCurrentExchangeRate()
     if (!rate || !formData.amount) return null
-    return convertCurrency(formData.amount, rate)
+    return convertCurrency(formData.amount, rate, expenseCurrency)
   }
 
   // Get participant amount in original currency
@@ -291,22 +495,23 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
   // Get participant amount in group currency
   const getParticipantAmountInGroupCurrency = (memberId) => {
     const originalAmount = getParticipantAmountInOriginalCurrency(memberId)
-    if (formData.currency === groupCurrency) {
+    if (formData.currency === expenseCurrency) {
       return originalAmount
     }
     const rate = getCurrentExchangeRate()
     if (!rate) return originalAmount
-    return convertCurrency(originalAmount, rate)
+    return convertCurrency(originalAmount, rate, expenseCurrency)
   }
 
   // Reset exchange rate when currency changes
   useEffect(() => {
-    if (formData.currency === groupCurrency) {
+    if (formData.currency === expenseCurrency) {
       // Same currency: clear exchange rate state and error
       setExchangeRate({
         manualRate: '',
         fetchedRate: null,
         source: 'custom',
+        rateDate: null,
         isFetching: false,
         fetchError: null
       })
@@ -315,14 +520,14 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
         delete newErrors.exchangeRate
         return newErrors
       })
-    } else {
+    } else if (!exchangeRate.manualRate) {
       // Different currency: show exchange rate required error
       setErrors((prev) => ({
         ...prev,
         exchangeRate: t('addExpense.exchangeRateRequired') || 'Exchange rate is required when using a different currency'
       }))
     }
-  }, [formData.currency, groupCurrency])
+  }, [formData.currency, expenseCurrency, exchangeRate.manualRate])
 
   // Validate form
   const validateForm = () => {
@@ -376,8 +581,23 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
       }
     }
 
+    if (formData.splitMethod === 'itemized') {
+      const subtotal = getItemsSubtotal(formData.items)
+      const hasUnassignedItem = (formData.items || []).some(
+        (item) => item.price > 0 && !(item.assignees?.length > 0)
+      )
+
+      if (subtotal <= 0) {
+        newErrors.splitItemized = 'Add at least one item with a price and who shared it'
+      } else if (hasUnassignedItem) {
+        newErrors.splitItemized = 'Every item needs at least one person'
+      } else if (formData.amount && subtotal > formData.amount + 0.005) {
+        newErrors.splitItemized = 'Items total exceeds the expense amount'
+      }
+    }
+
     // Validate exchange rate if currency differs from group currency
-    if (formData.currency !== groupCurrency) {
+    if (formData.currency !== expenseCurrency) {
       const hasRate = getCurrentExchangeRate()
       if (!hasRate) {
         newErrors.exchangeRate = t('addExpense.exchangeRateRequired') || 'Exchange rate is required when using a different currency'
@@ -399,22 +619,34 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     setIsLoading(true)
     setSubmitError(null)
 
+    let uploadedReceipts = []
+
     try {
+      // Upload new receipt photos first so the expense can reference them
+      uploadedReceipts = await uploadReceiptPhotos(groupId, receiptFiles.map(({ file }) => file), currentUserId)
+
       // Get exchange rate if currency differs
-      const hasExchangeRate = formData.currency !== groupCurrency
+      const hasExchangeRate = formData.currency !== expenseCurrency
       const rate = hasExchangeRate ? getCurrentExchangeRate() : 1
-      const amountInGroupCurrency = hasExchangeRate ? convertCurrency(formData.amount, rate) : formData.amount
+      const amountInGroupCurrency = hasExchangeRate ? convertCurrency(formData.amount, rate, expenseCurrency) : formData.amount
 
       // Convert payers amounts to group currency
       const payersInGroupCurrency = {}
       Object.entries(formData.payers).forEach(([payerId, payer]) => {
-        const payerAmountInGroupCurrency = hasExchangeRate ? convertCurrency(payer.amount, rate) : payer.amount
+        const payerAmountInGroupCurrency = hasExchangeRate ? convertCurrency(payer.amount, rate, expenseCurrency) : payer.amount
         payersInGroupCurrency[payerId] = {
           ...payer,
           amount: payerAmountInGroupCurrency
         }
       })
 
+      // Itemized split: participants are whoever shares a priced item
+      const isItemized = formData.splitMethod === 'itemized'
+      const items = (formData.items || []).filter((item) => item.price > 0 && item.assignees?.length > 0)
+      const participants = isItemized
+        ? [...new Set(items.flatMap((item) => item.assignees))]
+        : selectedParticipants
+
       // Prepare split details based on split method
       // Important: Store amounts in GROUP CURRENCY for settlement calculations
       const splitDetails = {}
@@ -428,7 +660,7 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
         } else if (formData.splitMethod === 'exact') {
           // Convert exact amount to group currency if needed
           const originalAmount = formData.participants[participantId].amount || 0
-          const amountToStore = hasExchangeRate ? convertCurrency(originalAmount, rate) : originalAmount
+          const amountToStore = hasExchangeRate ? convertCurrency(originalAmount, rate, expenseCurrency) : originalAmount
           splitDetails[participantId] = { amount: amountToStore }
         }
       })
@@ -439,60 +671,57 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
         amount: amountInGroupCurrency,
         amountInOriginalCurrency: formData.amount, // Reference only
         payers: payersInGroupCurrency,
-        participants: selectedParticipants,
+        participants,
         splitMethod: formData.splitMethod,
-        splitDetails,
+        splitDetails: isItemized ? {} : splitDetails,
         description: formData.description,
         category: formData.category,
-        currency: groupCurrency, // All amounts stored in group currency
+        currency: expenseCurrency, // All amounts stored in this currency (the group currency unless the group is multi-currency)
         originalCurrency: formData.currency, // Reference to original currency
         date: formData.date,
         location: formData.location,
+        receipts: [...(formData.receipts || []), ...uploadedReceipts],
+      }
+
+      // Item prices stay in the entered currency - they are only used as split weights
+      if (isItemized) {
+        expenseData.items = items.map((item) => ({
+          name: item.name.trim(),
+          price: item.price,
+          assignees: item.assignees
+        }))
       }
 
       // Add exchange rate if currency differs from group currency
       if (hasExchangeRate && rate) {
         expenseData.exchangeRate = {
-          fromCurrency: formData.currency,
-          toCurrency: groupCurrency,
-          rate,
-          amountInGroupCurrency: amountInGroupCurrency,
-          source: exchangeRate.source,
-          date: Date.now()
+          ...createExchangeRateRecord(formData.currency, expenseCurrency, rate, exchangeRate.source, exchangeRate.rateDate),
+          amountInGroupCurrency: amountInGroupCurrency
         }
+      } else if (isEditMode) {
+        // Clear the exchange rate stored on the expense being edited
+        expenseData.exchangeRate = null
       }
 
-      await createExpense(groupId, expenseData, currentUserId)
+      if (isEditMode) {
+        await updateExpense(groupId, editingExpense.id, expenseData, currentUserId)
+      } else {
+        // This expense is the first occurrence; the schedule, saved with it, creates the following ones
+        await createExpense(groupId, expenseData, currentUserId, { recurrence: formData.recurrence || null })
+      }
 
       setTimeout(() => {
         onClose()
-        setFormData({
-          amount: '',
-          payers: {
-            [currentUserId]: {
-              name: groupMembers?.[currentUserId]?.name || 'Me',
-              amount: 0
-            }
-          },
-          payerMode: 'single',
-          currency: defaultCurrency,
-          description: '',
-          category: 'food',
-          splitMethod: 'equal',
-          participants: Object.keys(groupMembers || {}).reduce((acc, memberId) => {
-            acc[memberId] = { selected: true, amount: 0, percentage: 0, shares: 1 }
-            return acc
-          }, {}),
-          date: new Date().toISOString().split('T')[0],
-          location: '',
-        })
+        setFormData(getInitialFormData())
         if (onExpenseCreated) {
           onExpenseCreated()
         }
       }, 500)
     } catch (error) {
-      debugError('Error creating expense', error)
-      setSubmitError(error.message || 'Failed to create expense. Please try again.')
+      debugError(isEditMode ? 'Error updating expense' : 'Error creating expense', error)
+      // The expense was not saved, so the photos uploaded for it are orphans
+      await deleteReceiptPhotos(uploadedReceipts)
+      setSubmitError(error.message || (isEditMode ? 'Failed to update expense. Please try again.' : 'Failed to create expense. Please try again.'))
     } finally {
       setIsLoading(false)
     }
@@ -514,7 +743,7 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
 
   // Check for exchange rate validation
   let hasExchangeRateError = false
-  if (formData.currency !== groupCurrency) {
+  if (formData.currency !== expenseCurrency) {
     const hasRate = getCurrentExchangeRate()
     if (!hasRate) {
       hasExchangeRateError = true
@@ -559,7 +788,17 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
     }
   }
 
-  const isFormValid = isBasicFormValid && !hasExactSplitError && !hasPercentageSplitError && !hasPayersError && !hasExchangeRateError
+  // Check for validation errors in itemized split method
+  const itemsSubtotal = getItemsSubtotal(formData.items)
+  let hasItemizedSplitError = false
+  if (formData.splitMethod === 'itemized') {
+    const hasUnassignedItem = (formData.items || []).some(
+      (item) => item.price > 0 && !(item.assignees?.length > 0)
+    )
+    hasItemizedSplitError = itemsSubtotal <= 0 || hasUnassignedItem || itemsSubtotal > (formData.amount || 0) + 0.005
+  }
+
+  const isFormValid = isBasicFormValid && !hasExactSplitError && !hasPercentageSplitError && !hasItemizedSplitError && !hasPayersError && !hasExchangeRateError
 
   const handlePayerModeChange = (newMode) => {
     setFormData((prev) => ({
@@ -580,7 +819,9 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
       <div className="aem-content" ref={modalRef}>
         {/* Header */}
         <div className="aem-header">
-          <h2 className="aem-title">{t('addExpense.title') || 'Add Expense'}</h2>
+          <h2 className="aem-title">
+            {isEditMode ? (t('addExpense.editTitle') || 'Edit Expense') : (t('addExpense.title') || 'Add Expense')}
+          </h2>
           <button className="aem-close" onClick={onClose} aria-label="Close">
             <BiX />
           </button>
@@ -602,12 +843,12 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                     type="number"
                     name="amount"
                     inputMode="decimal"
-                    step="0.01"
+                    step={1 / getCurrencyFactor(formData.currency)}
                     min="0"
                     value={formData.amount}
                     onChange={handleInputChange}
                     className={`aem-input aem-input-amount ${errors.amount ? 'aem-input-error' : ''}`}
-                    placeholder="0.00"
+                    placeholder={(0).toFixed(getMinorUnits(formData.currency))}
                     required
                   />
                   <select
@@ -616,20 +857,16 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                     onChange={handleInputChange}
                     className="aem-currency-select"
                   >
-                    {currencyOptions.map((curr) => (
-                      <option key={curr} value={curr}>
-                        {curr}
-                      </option>
-                    ))}
+                    <CurrencyOptions value={formData.currency} />
                   </select>
                 </div>
                 {errors.amount && <span className="aem-error">{errors.amount}</span>}
 
                 {/* Currency Conversion Section */}
-                {formData.currency !== groupCurrency && (
+                {formData.currency !== expenseCurrency && (
                   <div className="aem-exchange-rate-section">
                     <div className="aem-exchange-rate-label">
-                      {t('addExpense.exchangeRate') || 'Exchange Rate'} ({formData.currency} → {groupCurrency})
+                      {t('addExpense.exchangeRate') || 'Exchange Rate'} ({formData.currency} → {expenseCurrency})
                       <span className="aem-required">*</span>
                     </div>
 
@@ -646,7 +883,7 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                       <button
                         type="button"
                         className="aem-fetch-rate-btn"
-                        onClick={handleFetchLiveRate}
+                        onClick={() => handleFetchRate()}
                         disabled={exchangeRate.isFetching}
                         title={t('addExpense.fetchLiveRate') || 'Fetch live rate'}
                       >
@@ -677,6 +914,18 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                       </div>
                     )}
 
+                    {exchangeRate.source === 'historical' && exchangeRate.rateDate && (
+                      <div className="aem-exchange-rate-source">
+                        {t('addExpense.historicalRate', { date: exchangeRate.rateDate }) || `✓ Rate on ${exchangeRate.rateDate}`}
+                      </div>
+                    )}
+
+                    {exchangeRate.source === 'offline' && (
+                      <div className="aem-exchange-rate-error">
+                        {t('addExpense.offlineRate', { date: exchangeRate.rateDate }) || `Offline reference rate from ${exchangeRate.rateDate} - check it before saving`}
+                      </div>
+                    )}
+
                     {getCurrentExchangeRate() && getConvertedAmount() && (
                       <div className="aem-exchange-rate-result">
                         <div className="aem-exchange-rate-row">
@@ -685,11 +934,11 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                           </span>
                           <span className="aem-exchange-rate-equals">=</span>
                           <span className="aem-exchange-rate-to">
-                            {getConvertedAmount()} {groupCurrency}
+                            {getConvertedAmount()} {expenseCurrency}
                           </span>
                         </div>
                         <div className="aem-exchange-rate-info">
-                          {t('addExpense.rateInfo') || 'Rate'}: 1 {formData.currency} = {formatExchangeRate(getCurrentExchangeRate())} {groupCurrency}
+                          {t('addExpense.rateInfo') || 'Rate'}: 1 {formData.currency} = {formatExchangeRate(getCurrentExchangeRate())} {expenseCurrency}
                         </div>
                       </div>
                     )}
@@ -736,6 +985,14 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
               <label className="aem-label">
                 <BiTag className="aem-label-icon" />
                 {t('addExpense.category') || 'Category'}
+                {formData.categorySource !== 'default' && formData.categorySource !== 'manual' && (
+                  <span className="aem-suggested">
+                    <BiBulb />
+                    {formData.categorySource === 'history'
+                      ? (t('addExpense.categorySuggestedFromHistory') || 'Suggested from similar expenses')
+                      : (t('addExpense.categorySuggested') || 'Suggested')}
+                  </span>
+                )}
               </label>
               <select
                 name="category"
@@ -743,11 +1000,14 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                 onChange={handleInputChange}
                 className="aem-input"
               >
-                {categories.map((cat) => (
-                  <option key={cat} value={cat}>
-                    {t(`expense.category.${cat}`) || cat}
-                  </option>
-                ))}
+                {categories.map((cat) => {
+                  const info = getCategoryInfo(cat, customCategories, t)
+                  return (
+                    <option key={cat} value={cat}>
+                      {info.icon} {info.label}
+                    </option>
+                  )
+                })}
               </select>
             </div>
 
@@ -783,6 +1043,78 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                 />
               </div>
             </div>
+
+            {!isEditMode && (
+              <div className="aem-field">
+                <label className="aem-label">
+                  <BiRepeat className="aem-label-icon" />
+                  {t('addExpense.repeat') || 'Repeat'}
+                </label>
+                <select
+                  name="recurrence"
+                  value={formData.recurrence}
+                  onChange={handleInputChange}
+                  className="aem-input"
+                >
+                  <option value="">{t('recurring.never') || 'Never'}</option>
+                  {RECURRENCE_FREQUENCIES.map((frequency) => (
+                    <option key={frequency} value={frequency}>
+                      {t(`recurring.frequency.${frequency}`) || frequency}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="aem-field">
+              <label className="aem-label">
+                <BiReceipt className="aem-label-icon" />
+                {t('addExpense.receiptPhotos') || 'Receipt Photos'}
+                <span className="aem-optional">{t('common.optional') || '(optional)'}</span>
+              </label>
+              <div className="aem-receipts">
+                {(formData.receipts || []).map((receipt) => (
+                  <div key={receipt.path} className="aem-receipt-thumb">
+                    <img src={receipt.url} alt={receipt.name || 'Receipt'} />
+                    <button
+                      type="button"
+                      className="aem-receipt-remove"
+                      onClick={() => handleRemoveStoredReceipt(receipt.path)}
+                      aria-label={t('addExpense.removeReceipt') || 'Remove receipt'}
+                    >
+                      <BiX />
+                    </button>
+                  </div>
+                ))}
+                {receiptFiles.map(({ file, previewUrl }, index) => (
+                  <div key={previewUrl} className="aem-receipt-thumb aem-receipt-pending">
+                    <img src={previewUrl} alt={file.name} />
+                    <button
+                      type="button"
+                      className="aem-receipt-remove"
+                      onClick={() => handleRemoveReceiptFile(index)}
+                      aria-label={t('addExpense.removeReceipt') || 'Remove receipt'}
+                    >
+                      <BiX />
+                    </button>
+                  </div>
+                ))}
+                {(formData.receipts || []).length + receiptFiles.length < MAX_RECEIPTS_PER_EXPENSE && (
+                  <label className="aem-receipt-add">
+                    <BiImageAdd />
+                    <span>{t('addExpense.addReceipt') || 'Add Photo'}</span>
+                    <input
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      onChange={handleReceiptFilesSelected}
+                      hidden
+                    />
+                  </label>
+                )}
+              </div>
+              {errors.receipts && <span className="aem-error">{errors.receipts}</span>}
+            </div>
           </div>
 
           {/* Split Method */}
@@ -835,146 +1167,173 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
             })()}
           </div>
 
-          {/* Participants Section */}
-          <div className="aem-section">
-            <h3 className="aem-section-title">
-              <BiUser className="aem-section-icon" />
-              {t('addExpense.participants') || 'Participants'}
-            </h3>
-
-            {errors.participants && <span className="aem-error aem-error-block">{errors.participants}</span>}
-            {errors.splitPercentage && <span className="aem-error aem-error-block">{errors.splitPercentage}</span>}
-            {errors.splitExact && <span className="aem-error aem-error-block">{errors.splitExact}</span>}
-
-            <div className="aem-participants-list">
-              {Object.entries(groupMembers || {}).map(([memberId, member]) => (
-                <div key={memberId} className="aem-participant">
-                  <input
-                    type="checkbox"
-                    id={`participant-${memberId}`}
-                    checked={formData.participants[memberId]?.selected || false}
-                    onChange={() => handleParticipantChange(memberId)}
-                    className="aem-checkbox"
-                  />
-                  <label htmlFor={`participant-${memberId}`} className="aem-participant-name">
-                    {member.name}
-                  </label>
-
-                  {formData.participants[memberId]?.selected && (
-                    <div className="aem-participant-input">
-                      {formData.splitMethod === 'equal' && (
-                        <>
-                          {formData.currency !== groupCurrency && (
-                            <span className="aem-split-value">
-                              {(formData.amount / selectedParticipants.length).toFixed(2)} {formData.currency}
-                            </span>
-                          )}
-                          <span className="aem-split-value-converted">
-                            {getParticipantAmountInGroupCurrency(memberId).toFixed(2)} {groupCurrency}
-                          </span>
-                        </>
-                      )}
+          {/* Itemized Receipt Section */}
+          {formData.splitMethod === 'itemized' && (
+            <div className="aem-section">
+              <h3 className="aem-section-title">
+                <BiReceipt className="aem-section-icon" />
+                {t('addExpense.items') || 'Receipt Items'}
+              </h3>
+
+              <ItemizedSplit
+                items={formData.items}
+                subtotal={itemsSubtotal}
+                setFormData={setFormData}
+                groupMembers={groupMembers}
+                amount={formData.amount}
+                currency={formData.currency}
+                groupCurrency={expenseCurrency}
+                convertToGroupCurrency={(value) => {
+                  const rate = formData.currency !== expenseCurrency ? getCurrentExchangeRate() : null
+                  return rate ? convertCurrency(value, rate, expenseCurrency) : value
+                }}
+                errors={errors}
+              />
+            </div>
+          )}
 
-                      {formData.splitMethod === 'percentage' && (() => {
-                        const previewAmount = (formData.amount * (formData.participants[memberId].percentage || 0)) / 100
-                        const previewAmountInGroupCurrency = getParticipantAmountInGroupCurrency(memberId)
-                        return (
-                          <>
-                            <div className="aem-input-wrapper">
-                              <input
-                                type="number"
-                                inputMode="decimal"
-                                min="0"
-                                max="100"
-                                step="0.01"
-                                value={formData.participants[memberId].percentage || ''}
-                                onChange={(e) => handleParticipantAmountChange(memberId, e.target.value, 'percentage')}
-                                className="aem-input aem-input-small"
-                                placeholder="0"
-                                title="Percentage"
-                              />
-                              <span className="aem-input-unit">%</span>
-                            </div>
-                            {formData.currency !== groupCurrency && (
-                              <span className="aem-split-value">
-                                {previewAmount.toFixed(2)} {formData.currency}
-                              </span>
-                            )}
-                            <span className="aem-split-value-converted">
-                              {previewAmountInGroupCurrency.toFixed(2)} {groupCurrency}
-                            </span>
-                          </>
-                        )
-                      })()}
-
-                      {formData.splitMethod === 'shares' && (() => {
-                        const totalShares = Object.keys(formData.participants).filter(pId => formData.participants[pId]?.selected).reduce((sum, pId) => sum + (formData.participants[pId].shares || 1), 0)
-                        const previewAmount = (formData.amount * (formData.participants[memberId].shares || 1)) / (totalShares || 1)
-                        const previewAmountInGroupCurrency = getParticipantAmountInGroupCurrency(memberId)
-                        return (
+          {/* Participants Section */}
+          {formData.splitMethod !== 'itemized' && (
+            <div className="aem-section">
+              <h3 className="aem-section-title">
+                <BiUser className="aem-section-icon" />
+                {t('addExpense.participants') || 'Participants'}
+              </h3>
+
+              {errors.participants && <span className="aem-error aem-error-block">{errors.participants}</span>}
+              {errors.splitPercentage && <span className="aem-error aem-error-block">{errors.splitPercentage}</span>}
+              {errors.splitExact && <span className="aem-error aem-error-block">{errors.splitExact}</span>}
+
+              <div className="aem-participants-list">
+                {Object.entries(groupMembers || {}).map(([memberId, member]) => (
+                  <div key={memberId} className="aem-participant">
+                    <input
+                      type="checkbox"
+                      id={`participant-${memberId}`}
+                      checked={formData.participants[memberId]?.selected || false}
+                      onChange={() => handleParticipantChange(memberId)}
+                      className="aem-checkbox"
+                    />
+                    <label htmlFor={`participant-${memberId}`} className="aem-participant-name">
+                      {member.name}
+                    </label>
+
+                    {formData.participants[memberId]?.selected && (
+                      <div className="aem-participant-input">
+                        {formData.splitMethod === 'equal' && (
                           <>
-                            <div className="aem-input-wrapper">
-                              <input
-                                type="number"
-                                inputMode="decimal"
-                                min="0"
-                                step="0.01"
-                                value={formData.participants[memberId].shares || ''}
-                                onChange={(e) => handleParticipantAmountChange(memberId, e.target.value, 'shares')}
-                                className="aem-input aem-input-small"
-                                placeholder="1"
-                                title={`Shares (input in ${formData.currency})`}
-                              />
-                              <span className="aem-input-unit">{t('addExpense.shares') || 'shares'}</span>
-                            </div>
-                            {formData.currency !== groupCurrency && (
+                            {formData.currency !== expenseCurrency && (
                               <span className="aem-split-value">
-                                {previewAmount.toFixed(2)} {formData.currency}
+                                {(formData.amount / selectedParticipants.length).toFixed(2)} {formData.currency}
                               </span>
                             )}
                             <span className="aem-split-value-converted">
-                              {previewAmountInGroupCurrency.toFixed(2)} {groupCurrency}
+                              {getParticipantAmountInGroupCurrency(memberId).toFixed(2)} {expenseCurrency}
                             </span>
                           </>
-                        )
-                      })()}
+                        )}
 
-                      {formData.splitMethod === 'exact' && (() => {
-                        const previewAmount = formData.participants[memberId].amount || 0
-                        const previewAmountInGroupCurrency = getParticipantAmountInGroupCurrency(memberId)
-                        return (
-                          <>
-                            <div className="aem-input-wrapper">
-                              <input
-                                type="number"
-                                inputMode="decimal"
-                                min="0"
-                                step="0.01"
-                                value={previewAmount === 0 ? '' : previewAmount}
-                                onChange={(e) => handleParticipantAmountChange(memberId, e.target.value, 'amount')}
-                                className="aem-input aem-input-small"
-                                placeholder="0.00"
-                                title={`Exact amount (input in ${formData.currency})`}
-                              />
-                              <span className="aem-input-unit">{formData.currency}</span>
-                            </div>
-                            {formData.currency !== groupCurrency && (
-                              <span className="aem-split-value">
-                                {previewAmount.toFixed(2)} {formData.currency}
+                        {formData.splitMethod === 'percentage' && (() => {
+                          const previewAmount = (formData.amount * (formData.participants[memberId].percentage || 0)) / 100
+                          const previewAmountInGroupCurrency = getParticipantAmountInGroupCurrency(memberId)
+                          return (
+                            <>
+                              <div className="aem-input-wrapper">
+                                <input
+                                  type="number"
+                                  inputMode="decimal"
+                                  min="0"
+                                  max="100"
+                                  step="0.01"
+                                  value={formData.participants[memberId].percentage || ''}
+                                  onChange={(e) => handleParticipantAmountChange(memberId, e.target.value, 'percentage')}
+                                  className="aem-input aem-input-small"
+                                  placeholder="0"
+                                  title="Percentage"
+                                />
+                                <span className="aem-input-unit">%</span>
+                              </div>
+                              {formData.currency !== expenseCurrency && (
+                                <span className="aem-split-value">
+                                  {previewAmount.toFixed(2)} {formData.currency}
+                                </span>
+                              )}
+                              <span className="aem-split-value-converted">
+                                {previewAmountInGroupCurrency.toFixed(2)} {expenseCurrency}
                               </span>
-                            )}
-                            <span className="aem-split-value-converted">
-                              {previewAmountInGroupCurrency.toFixed(2)} {groupCurrency}
-                            </span>
-                          </>
-                        )
-                      })()}
-                    </div>
-                  )}
-                </div>
-              ))}
+                            </>
+                          )
+                        })()}
+
+                        {formData.splitMethod === 'shares' && (() => {
+                          const totalShares = Object.keys(formData.participants).filter(pId => formData.participants[pId]?.selected).reduce((sum, pId) => sum + (formData.participants[pId].shares || 1), 0)
+                          const previewAmount = (formData.amount * (formData.participants[memberId].shares || 1)) / (totalShares || 1)
+                          const previewAmountInGroupCurrency = getParticipantAmountInGroupCurrency(memberId)
+                          return (
+                            <>
+                              <div className="aem-input-wrapper">
+                                <input
+                                  type="number"
+                                  inputMode="decimal"
+                                  min="0"
+                                  step="0.01"
+                                  value={formData.participants[memberId].shares || ''}
+                                  onChange={(e) => handleParticipantAmountChange(memberId, e.target.value, 'shares')}
+                                  className="aem-input aem-input-small"
+                                  placeholder="1"
+                                  title={`Shares (input in ${formData.currency})`}
+                                />
+                                <span className="aem-input-unit">{t('addExpense.shares') || 'shares'}</span>
+                              </div>
+                              {formData.currency !== expenseCurrency && (
+                                <span className="aem-split-value">
+                                  {previewAmount.toFixed(2)} {formData.currency}
+                                </span>
+                              )}
+                              <span className="aem-split-value-converted">
+                                {previewAmountInGroupCurrency.toFixed(2)} {expenseCurrency}
+                              </span>
+                            </>
+                          )
+                        })()}
+
+                        {formData.splitMethod === 'exact' && (() => {
+                          const previewAmount = formData.participants[memberId].amount || 0
+                          const previewAmountInGroupCurrency = getParticipantAmountInGroupCurrency(memberId)
+                          return (
+                            <>
+                              <div className="aem-input-wrapper">
+                                <input
+                                  type="number"
+                                  inputMode="decimal"
+                                  min="0"
+                                  step={1 / getCurrencyFactor(formData.currency)}
+                                  value={previewAmount === 0 ? '' : previewAmount}
+                                  onChange={(e) => handleParticipantAmountChange(memberId, e.target.value, 'amount')}
+                                  className="aem-input aem-input-small"
+                                  placeholder="0.00"
+                                  title={`Exact amount (input in ${formData.currency})`}
+                                />
+                                <span className="aem-input-unit">{formData.currency}</span>
+                              </div>
+                              {formData.currency !== expenseCurrency && (
+                                <span className="aem-split-value">
+                                  {previewAmount.toFixed(2)} {formData.currency}
+                                </span>
+                              )}
+                              <span className="aem-split-value-converted">
+                                {previewAmountInGroupCurrency.toFixed(2)} {expenseCurrency}
+                              </span>
+                            </>
+                          )
+                        })()}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Error Message */}
           {submitError && <div className="aem-error aem-error-block">{submitError}</div>}
@@ -999,6 +1358,8 @@ const AddExpenseModal = ({ isOpen, onClose, groupId, groupMembers, groupCurrency
                   <BiLoader className="aem-loading-icon" />
                   {t('common.saving') || 'Saving...'}
                 </>
+              ) : isEditMode ? (
+                t('addExpense.saveChanges') || 'Save Changes'
               ) : (
                 t('addExpense.addExpense') || 'Add Expense'
               )}
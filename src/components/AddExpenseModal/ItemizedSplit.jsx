@@ -0,0 +1,151 @@
+import React from 'react'
+import { BiPlus, BiTrash } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import './ItemizedSplit.css'
+
+const ItemizedSplit = ({
+  items,
+  subtotal,
+  setFormData,
+  groupMembers,
+  amount,
+  currency,
+  groupCurrency,
+  convertToGroupCurrency,
+  errors
+}) => {
+  const { t } = useTranslation()
+
+  const updateItems = (updater) => {
+    setFormData((prev) => ({
+      ...prev,
+      items: updater(prev.items || [])
+    }))
+  }
+
+  const handleAddItem = () => {
+    updateItems((prevItems) => [...prevItems, { name: '', price: '', assignees: [] }])
+  }
+
+  const handleRemoveItem = (index) => {
+    updateItems((prevItems) => prevItems.filter((_, i) => i !== index))
+  }
+
+  const handleItemChange = (index, field, value) => {
+    updateItems((prevItems) => prevItems.map((item, i) => (
+      i === index
+        ? { ...item, [field]: field === 'price' ? (value === '' ? '' : parseFloat(value)) : value }
+        : item
+    )))
+  }
+
+  const handleAssigneeToggle = (index, memberId) => {
+    updateItems((prevItems) => prevItems.map((item, i) => {
+      if (i !== index) return item
+      const assignees = item.assignees || []
+      return {
+        ...item,
+        assignees: assignees.includes(memberId)
+          ? assignees.filter((id) => id !== memberId)
+          : [...assignees, memberId]
+      }
+    }))
+  }
+
+  // Preview of each member's share: item subtotal plus a proportional part of tax/service charge
+  const extraCharges = (amount || 0) - subtotal
+  const memberSubtotals = (items || []).reduce((acc, item) => {
+    if (item.price > 0 && item.assignees?.length > 0) {
+      item.assignees.forEach((memberId) => {
+        acc[memberId] = (acc[memberId] || 0) + item.price / item.assignees.length
+      })
+    }
+    return acc
+  }, {})
+  const isSubtotalValid = subtotal > 0 && subtotal <= (amount || 0) + 0.005
+
+  return (
+    <div className="is-container">
+      {(items || []).map((item, index) => (
+        <div key={index} className="is-item">
+          <div className="is-item-row">
+            <input
+              type="text"
+              value={item.name}
+              onChange={(e) => handleItemChange(index, 'name', e.target.value)}
+              className="is-input is-item-name"
+              placeholder={t('addExpense.itemNamePlaceholder') || 'Item name'}
+              maxLength="50"
+            />
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="0.01"
+              value={item.price}
+              onChange={(e) => handleItemChange(index, 'price', e.target.value)}
+              className="is-input is-item-price"
+              placeholder="0.00"
+            />
+            <button
+              type="button"
+              className="is-remove-btn"
+              onClick={() => handleRemoveItem(index)}
+              aria-label={t('addExpense.removeItem') || 'Remove item'}
+            >
+              <BiTrash />
+            </button>
+          </div>
+
+          <div className="is-assignees">
+            {Object.entries(groupMembers || {}).map(([memberId, member]) => (
+              <button
+                key={memberId}
+                type="button"
+                className={`is-assignee ${item.assignees?.includes(memberId) ? 'is-assignee-active' : ''}`}
+                onClick={() => handleAssigneeToggle(index, memberId)}
+              >
+                {member.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <button type="button" className="is-add-btn" onClick={handleAddItem}>
+        <BiPlus />
+        {t('addExpense.addItem') || 'Add Item'}
+      </button>
+
+      {subtotal > 0 && (
+        <div className={`is-summary ${isSubtotalValid ? 'is-summary-valid' : 'is-summary-invalid'}`}>
+          <div className="is-summary-row">
+            <span>{t('addExpense.itemsSubtotal') || 'Items subtotal'}</span>
+            <span>{subtotal.toFixed(2)} {currency}</span>
+          </div>
+          <div className="is-summary-row">
+            <span>{t('addExpense.taxAndService') || 'Tax & service charge'}</span>
+            <span>{extraCharges.toFixed(2)} {currency}</span>
+          </div>
+
+          {isSubtotalValid && Object.entries(memberSubtotals).map(([memberId, memberSubtotal]) => {
+            const share = (amount * memberSubtotal) / subtotal
+            return (
+              <div key={memberId} className="is-summary-row is-member-share">
+                <span>{groupMembers?.[memberId]?.name || memberId}</span>
+                <span>
+                  {currency !== groupCurrency && `${share.toFixed(2)} ${currency} · `}
+                  {convertToGroupCurrency(share).toFixed(2)} {groupCurrency}
+                </span>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {errors.splitItemized && <span className="is-error">{errors.splitItemized}</span>}
+    </div>
+  )
+}
+
+export default ItemizedSplit
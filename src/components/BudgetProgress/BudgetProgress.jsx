@@ -0,0 +1,73 @@
+import { BiError, BiWallet } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { formatCurrency } from '../../utils/formatters'
+import { getBudgetStatus } from '../../utils/budget'
+import { getCategoryInfo } from '../../utils/categories'
+import './BudgetProgress.css'
+
+function BudgetProgress({ budget, summary, currency, customCategories }) {
+  const { t } = useTranslation()
+  const lines = getBudgetStatus(budget, summary, currency)
+
+  if (lines.length === 0) {
+    return null
+  }
+
+  const overLines = lines.filter((line) => line.isOver)
+
+  const getLabel = (line) => line.category
+    ? getCategoryInfo(line.category, customCategories, t).label
+    : (t('budget.total') || 'Total budget')
+
+  return (
+    <section className="budget-progress">
+      <h2 className="section-label">
+        <BiWallet /> {t('budget.title') || 'Budget'}
+      </h2>
+
+      {overLines.length > 0 && (
+        <div className="bp-alert" role="alert">
+          <BiError />
+          <span>
+            {t('budget.overAlert', { names: overLines.map(getLabel).join(', ') }) ||
+              `Over budget: ${overLines.map(getLabel).join(', ')}`}
+          </span>
+        </div>
+      )}
+
+      <ul className="bp-list">
+        {lines.map((line) => {
+          const status = line.isOver ? 'over' : line.isNear ? 'near' : 'ok'
+          const remaining = line.limit - line.spent
+
+          return (
+            <li key={line.key} className={`bp-line bp-${status}`}>
+              <div className="bp-line-header">
+                <span className="bp-label">{getLabel(line)}</span>
+                <span className="bp-amounts">
+                  {formatCurrency(line.spent, currency)} / {formatCurrency(line.limit, currency)}
+                </span>
+              </div>
+              <div
+                className="bp-bar"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(Math.min(line.ratio, 1) * 100)}
+              >
+                <div className="bp-bar-fill" style={{ width: `${Math.min(line.ratio, 1) * 100}%` }} />
+              </div>
+              <span className="bp-remaining">
+                {line.isOver
+                  ? (t('budget.over', { amount: formatCurrency(-remaining, currency) }) || `${formatCurrency(-remaining, currency)} over`)
+                  : (t('budget.left', { amount: formatCurrency(remaining, currency) }) || `${formatCurrency(remaining, currency)} left`)}
+              </span>
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
+
+export default BudgetProgress
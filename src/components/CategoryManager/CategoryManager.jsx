@@ -0,0 +1,237 @@
+import { useState } from 'react'
+import { BiEdit, BiTrash, BiX } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { debugLog, debugError } from '../../utils/debug'
+import {
+  CATEGORY_ICON_CHOICES,
+  CATEGORY_COLOR_CHOICES,
+  MAX_CATEGORY_NAME_LENGTH,
+  getCategoryInfo,
+  getCategoryList,
+  isBuiltInCategory
+} from '../../utils/categories'
+import { addGroupCategory, updateGroupCategory, deleteGroupCategory } from '../../services/groupService'
+import ConfirmationModal from '../ConfirmationModal/ConfirmationModal'
+import './CategoryManager.css'
+
+const EMPTY_FORM = { name: '', icon: CATEGORY_ICON_CHOICES[0], color: CATEGORY_COLOR_CHOICES[0] }
+
+function CategoryManager({ groupId, customCategories, currentUserId }) {
+  const { t } = useTranslation()
+  const [form, setForm] = useState(EMPTY_FORM)
+  // Custom category being edited, or null when the form adds a new one
+  const [editingId, setEditingId] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [confirmModal, setConfirmModal] = useState({
+    isOpen: false,
+    categoryId: null,
+    name: '',
+    isLoading: false
+  })
+  const [error, setError] = useState('')
+
+  const customIds = getCategoryList(customCategories).filter((category) => !isBuiltInCategory(category))
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM)
+    setEditingId(null)
+  }
+
+  const handleEdit = (categoryId) => {
+    const category = customCategories[categoryId]
+    setForm({ name: category.name, icon: category.icon, color: category.color })
+    setEditingId(categoryId)
+    setError('')
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return
+
+    setIsSaving(true)
+    setError('')
+
+    try {
+      if (editingId) {
+        await updateGroupCategory(groupId, currentUserId, editingId, form)
+        debugLog('Custom category updated', { categoryId: editingId })
+      } else {
+        const result = await addGroupCategory(groupId, currentUserId, form)
+        debugLog('Custom category added', { categoryId: result.categoryId })
+      }
+      resetForm()
+    } catch (err) {
+      debugError('Error saving custom category', err)
+      setError(err.message || t('categories.saveError') || 'Error saving category')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const openDeleteConfirm = (categoryId) => {
+    setConfirmModal({
+      isOpen: true,
+      categoryId,
+      name: customCategories[categoryId]?.name || '',
+      isLoading: false
+    })
+    setError('')
+  }
+
+  const handleConfirmDelete = async () => {
+    setConfirmModal((prev) => ({ ...prev, isLoading: true }))
+
+    try {
+      await deleteGroupCategory(groupId, currentUserId, confirmModal.categoryId)
+      debugLog('Custom category deleted', { categoryId: confirmModal.categoryId })
+      if (editingId === confirmModal.categoryId) {
+        resetForm()
+      }
+      setConfirmModal({ isOpen: false, categoryId: null, name: '', isLoading: false })
+    } catch (err) {
+      debugError('Error deleting custom category', err)
+      setError(err.message || t('categories.deleteError') || 'Error deleting category')
+      setConfirmModal((prev) => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  const handleCancelConfirm = () => {
+    setConfirmModal({ isOpen: false, categoryId: null, name: '', isLoading: false })
+  }
+
+  return (
+    <>
+      <section className="settings-section category-manager-section">
+        <h2 className="section-title">{t('categories.title') || 'Expense Categories'}</h2>
+        <p className="section-subtitle">
+          {t('categories.description') || 'Add your own categories alongside the built-in ones. Members can pick them when adding an expense.'}
+        </p>
+
+        {error && (
+          <div className="category-manager-error">
+            <span>{error}</span>
+            <button onClick={() => setError('')}>
+              <BiX />
+            </button>
+          </div>
+        )}
+
+        {customIds.length > 0 && (
+          <div className="category-manager-list">
+            {customIds.map((categoryId) => {
+              const info = getCategoryInfo(categoryId, customCategories, t)
+
+              return (
+                <div key={categoryId} className={`category-manager-row ${editingId === categoryId ? 'editing' : ''}`}>
+                  <span className="category-manager-icon" style={{ backgroundColor: info.color }}>{info.icon}</span>
+                  <span className="category-manager-name">{info.label}</span>
+                  <div className="category-manager-actions">
+                    <button
+                      className="category-manager-btn"
+                      onClick={() => handleEdit(categoryId)}
+                      disabled={isSaving}
+                      title={t('common.edit') || 'Edit'}
+                    >
+                      <BiEdit />
+                    </button>
+                    <button
+                      className="category-manager-btn category-manager-btn-delete"
+                      onClick={() => openDeleteConfirm(categoryId)}
+                      disabled={isSaving}
+                      title={t('common.delete') || 'Delete'}
+                    >
+                      <BiTrash />
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <form className="category-manager-form" onSubmit={handleSubmit}>
+          <div className="gsp-form-group">
+            <label htmlFor="categoryName">
+              {editingId ? (t('categories.editTitle') || 'Edit category') : (t('categories.addTitle') || 'New category')}
+            </label>
+            <input
+              id="categoryName"
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder={t('categories.namePlaceholder') || 'e.g. Groceries'}
+              maxLength={MAX_CATEGORY_NAME_LENGTH}
+              disabled={isSaving}
+            />
+          </div>
+
+          <div className="category-manager-field">
+            <span className="category-manager-label">{t('categories.icon') || 'Icon'}</span>
+            <div className="category-manager-choices">
+              {CATEGORY_ICON_CHOICES.map((icon) => (
+                <button
+                  key={icon}
+                  type="button"
+                  className={`category-manager-choice ${form.icon === icon ? 'selected' : ''}`}
+                  onClick={() => setForm({ ...form, icon })}
+                  disabled={isSaving}
+                  aria-pressed={form.icon === icon}
+                >
+                  {icon}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="category-manager-field">
+            <span className="category-manager-label">{t('categories.color') || 'Colour'}</span>
+            <div className="category-manager-choices">
+              {CATEGORY_COLOR_CHOICES.map((color) => (
+                <button
+                  key={color}
+                  type="button"
+                  className={`category-manager-swatch ${form.color === color ? 'selected' : ''}`}
+                  style={{ backgroundColor: color }}
+                  onClick={() => setForm({ ...form, color })}
+                  disabled={isSaving}
+                  aria-label={color}
+                  aria-pressed={form.color === color}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="category-manager-form-actions">
+            {editingId && (
+              <button type="button" className="category-manager-cancel" onClick={resetForm} disabled={isSaving}>
+                {t('common.cancel') || 'Cancel'}
+              </button>
+            )}
+            <button type="submit" className="save-button" disabled={isSaving || !form.name.trim()}>
+              {isSaving
+                ? (t('common.saving') || 'Saving...')
+                : editingId ? (t('categories.save') || 'Save Category') : (t('categories.add') || 'Add Category')}
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <ConfirmationModal
+        isOpen={confirmModal.isOpen}
+        title={t('categories.confirmDeleteTitle') || 'Delete Category?'}
+        message={
+          t('categories.confirmDeleteMessage', { name: confirmModal.name }) ||
+          `Delete "${confirmModal.name}"? Expenses in this category will move to Other.`
+        }
+        confirmText={t('common.delete') || 'Delete'}
+        cancelText={t('common.cancel') || 'Cancel'}
+        isDangerous={true}
+        isLoading={confirmModal.isLoading}
+        onConfirm={handleConfirmDelete}
+        onCancel={handleCancelConfirm}
+      />
+    </>
+  )
+}
+
+export default CategoryManager
@@ -3,6 +3,7 @@ import { BiX, BiLoader } from 'react-icons/bi';
 import { useTranslation } from '../../hooks/useTranslation';
 import { createGroup } from '../../services/groupService';
 import { debugError } from '../../utils/debug';
+import CurrencyOptions from '../CurrencyOptions/CurrencyOptions';
 import './CreateGroupModal.css';
 
 const CreateGroupModal = ({ isOpen, onClose, onGroupCreated, userId, userData }) => {
@@ -18,14 +19,6 @@ const CreateGroupModal = ({ isOpen, onClose, onGroupCreated, userId, userData })
   const [submitSuccess, setSubmitSuccess] = useState(false);
   const modalRef = useRef(null);
 
-  const currencyOptions = [
-    'USD',
-    'EUR',
-    'JPY',
-    'CNY',
-    'HKD',
-  ];
-
   const validateForm = () => {
     const newErrors = {};
 
@@ -202,11 +195,7 @@ const CreateGroupModal = ({ isOpen, onClose, onGroupCreated, userId, userData })
               className="cgm-input"
               disabled={isLoading}
             >
-              {currencyOptions.map((curr) => (
-                <option key={curr} value={curr}>
-                  {curr}
-                </option>
-              ))}
+              <CurrencyOptions value={formData.currency} />
             </select>
             <small className="cgm-form-note" style={{ color: '#FFC107', marginTop: '6px', display: 'block' }}>
               ⚠️ {t('createGroup.currencyWarning') || 'Currency cannot be changed after group creation. Please choose carefully.'}
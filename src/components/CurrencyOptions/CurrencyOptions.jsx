@@ -0,0 +1,30 @@
+import { useTranslation } from '../../hooks/useTranslation'
+import { getCurrencyOptions } from '../../utils/currencies'
+
+/**
+ * <option> list for a currency <select>, common currencies first
+ * Render inside the select: <select ...><CurrencyOptions value={currency} /></select>
+ */
+function CurrencyOptions({ value }) {
+  const { t } = useTranslation()
+  const { common, others } = getCurrencyOptions(value)
+
+  const renderOption = (currency) => (
+    <option key={currency.code} value={currency.code}>
+      {currency.code} - {currency.name}
+    </option>
+  )
+
+  return (
+    <>
+      <optgroup label={t('currency.common') || 'Common'}>
+        {common.map(renderOption)}
+      </optgroup>
+      <optgroup label={t('currency.all') || 'All currencies'}>
+        {others.map(renderOption)}
+      </optgroup>
+    </>
+  )
+}
+
+export default CurrencyOptions
@@ -4,6 +4,8 @@ import { updateProfile, sendPasswordResetEmail } from 'firebase/auth'
 import { ref, update } from 'firebase/database'
 import { auth, rtdb } from '../../firebase'
 import { debugLog, debugError } from '../../utils/debug'
+import { PAYMENT_METHODS, getPaymentMethodList, toPaymentMethodMap } from '../../utils/paymentMethods'
+import { userService } from '../../services/userService'
 import { BiX, BiCheck, BiLoaderCircle } from 'react-icons/bi'
 import './EditProfileModal.css'
 
@@ -11,6 +13,7 @@ function EditProfileModal({ isOpen, onClose, user, userProfile, onProfileUpdated
   const { t } = useTranslation()
   const [displayName, setDisplayName] = useState(userProfile?.displayName || user?.displayName || '')
   const [email] = useState(user?.email || '')
+  const [paymentMethods, setPaymentMethods] = useState(getPaymentMethodList(userProfile?.paymentMethods))
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState('')
   const [successMessage, setSuccessMessage] = useState('')
@@ -20,6 +23,12 @@ function EditProfileModal({ isOpen, onClose, user, userProfile, onProfileUpdated
 
   if (!isOpen) return null
 
+  const handleTogglePaymentMethod = (method) => {
+    setPaymentMethods((prev) => (
+      prev.includes(method) ? prev.filter((m) => m !== method) : [...prev, method]
+    ))
+  }
+
   const handleUpdateProfile = async () => {
     setError('')
     setSuccessMessage('')
@@ -45,6 +54,15 @@ function EditProfileModal({ isOpen, onClose, user, userProfile, onProfileUpdated
         updates[`users/${user.uid}/displayName`] = displayName.trim()
 
         await update(ref(rtdb), updates)
+
+        // Payment methods are also copied onto the user's member entry in each group
+        const { error: paymentMethodsError } = await userService.updatePaymentMethods(
+          user.uid,
+          toPaymentMethodMap(paymentMethods)
+        )
+        if (paymentMethodsError) {
+          throw new Error(paymentMethodsError)
+        }
       }
 
       setSuccessMessage(t('profile.success'))
@@ -53,7 +71,8 @@ function EditProfileModal({ isOpen, onClose, user, userProfile, onProfileUpdated
       // Notify parent component
       if (onProfileUpdated) {
         onProfileUpdated({
-          displayName: displayName.trim()
+          displayName: displayName.trim(),
+          paymentMethods: toPaymentMethodMap(paymentMethods)
         })
       }
 
@@ -166,6 +185,28 @@ function EditProfileModal({ isOpen, onClose, user, userProfile, onProfileUpdated
                 </small>
               </div>
 
+              {/* Payment Methods */}
+              <div className="form-group">
+                <span className="form-label">
+                  {t('profile.paymentMethods') || 'Payment Methods'}
+                </span>
+                <div className="payment-method-options">
+                  {PAYMENT_METHODS.map((method) => (
+                    <button
+                      key={method}
+                      type="button"
+                      className={`payment-method-chip ${paymentMethods.includes(method) ? 'active' : ''}`}
+                      onClick={() => handleTogglePaymentMethod(method)}
+                    >
+                      {t(`paymentMethods.${method}`) || method}
+                    </button>
+                  ))}
+                </div>
+                <small className="field-hint">
+                  {t('profile.paymentMethodsHint') || 'Settlement plans only ask people to pay you with a method you both use. Leave empty to accept anything.'}
+                </small>
+              </div>
+
               {/* Buttons */}
               <div className="edit-profile-actions">
                 <button
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react'
+import { BiSend, BiTrash, BiLoader } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { debugError } from '../../utils/debug'
+import {
+  addExpenseComment,
+  deleteExpenseComment,
+  subscribeToExpenseComments,
+  markExpenseCommentsRead,
+  MAX_COMMENT_LENGTH
+} from '../../services/commentService'
+import './ExpenseComments.css'
+
+function ExpenseComments({ groupId, expenseId, currentUserId, currentUserName, canModerate = false }) {
+  const { t, currentLanguage } = useTranslation()
+  const [comments, setComments] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [hasLoadError, setHasLoadError] = useState(false)
+  const [text, setText] = useState('')
+  const [isPosting, setIsPosting] = useState(false)
+  const [error, setError] = useState('')
+
+  // Live thread; everything shown while the thread is open counts as read
+  useEffect(() => {
+    if (!groupId || !expenseId) return
+
+    setIsLoading(true)
+    setHasLoadError(false)
+    const unsubscribe = subscribeToExpenseComments(
+      groupId,
+      expenseId,
+      (nextComments) => {
+        setComments(nextComments)
+        setIsLoading(false)
+        markExpenseCommentsRead(groupId, expenseId, currentUserId)
+      },
+      () => {
+        setHasLoadError(true)
+        setIsLoading(false)
+      }
+    )
+
+    return () => unsubscribe()
+  }, [groupId, expenseId, currentUserId])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!text.trim()) return
+
+    setIsPosting(true)
+    setError('')
+
+    try {
+      await addExpenseComment(groupId, expenseId, currentUserId, currentUserName, text)
+      setText('')
+    } catch (err) {
+      debugError('Error posting comment', err)
+      setError(err.message || t('comments.postError') || 'Could not post comment')
+    } finally {
+      setIsPosting(false)
+    }
+  }
+
+  const handleDelete = async (commentId) => {
+    setError('')
+
+    try {
+      await deleteExpenseComment(groupId, expenseId, commentId, currentUserId)
+    } catch (err) {
+      debugError('Error deleting comment', err)
+      setError(err.message || t('comments.deleteError') || 'Could not delete comment')
+    }
+  }
+
+  const formatCommentTime = (timestamp) => new Date(timestamp).toLocaleString(
+    currentLanguage === 'zh-HK' ? 'zh-HK' : 'en-US',
+    { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+  )
+
+  return (
+    <div className="expense-comments">
+      <div className="group-label">
+        {t('comments.title') || 'Comments'}
+        {comments.length > 0 && ` (${comments.length})`}
+      </div>
+
+      {isLoading ? (
+        <div className="ec-status"><BiLoader className="spinner" /></div>
+      ) : hasLoadError ? (
+        <div className="ec-error">{t('comments.loadError') || 'Could not load comments'}</div>
+      ) : comments.length === 0 ? (
+        <div className="ec-status">{t('comments.empty') || 'No comments yet. Start the discussion.'}</div>
+      ) : (
+        <ul className="ec-list">
+          {comments.map((comment) => (
+            <li key={comment.id} className={`ec-comment ${comment.authorId === currentUserId ? 'own' : ''}`}>
+              <div className="ec-comment-header">
+                <span className="ec-author">
+                  {comment.authorId === currentUserId ? (t('member.you') || 'You') : comment.authorName}
+                </span>
+                <span className="ec-time">{formatCommentTime(comment.createdAt)}</span>
+                {(canModerate || comment.authorId === currentUserId) && (
+                  <button
+                    type="button"
+                    className="ec-delete"
+                    onClick={() => handleDelete(comment.id)}
+                    title={t('common.delete') || 'Delete'}
+                    aria-label={t('common.delete') || 'Delete'}
+                  >
+                    <BiTrash />
+                  </button>
+                )}
+              </div>
+              <p className="ec-text">{comment.text}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <div className="ec-error">{error}</div>}
+
+      <form className="ec-form" onSubmit={handleSubmit}>
+        <textarea
+          className="ec-input"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t('comments.placeholder') || 'Add a comment...'}
+          maxLength={MAX_COMMENT_LENGTH}
+          rows={2}
+          disabled={isPosting}
+        />
+        <button
+          type="submit"
+          className="ec-send"
+          disabled={isPosting || !text.trim()}
+          title={t('comments.send') || 'Send'}
+          aria-label={t('comments.send') || 'Send'}
+        >
+          {isPosting ? <BiLoader className="spinner" /> : <BiSend />}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ExpenseComments
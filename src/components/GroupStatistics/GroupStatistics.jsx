@@ -0,0 +1,150 @@
+import { useMemo } from 'react'
+import { BiBarChartAlt2 } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { formatCurrency } from '../../utils/formatters'
+import { computeGroupStatistics } from '../../utils/statistics'
+import { getCategoryInfo } from '../../utils/categories'
+import './GroupStatistics.css'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// One horizontal bar per row, scaled to the largest row
+function BarList({ rows, getLabel, currency }) {
+  const max = Math.max(...rows.map((row) => row.amount), 0)
+
+  return (
+    <ul className="stats-bars">
+      {rows.map((row) => (
+        <li key={row.key} className="stats-bar-row">
+          <div className="stats-bar-header">
+            <span className="stats-bar-label">{getLabel(row.key)}</span>
+            <span className="stats-bar-value">
+              {formatCurrency(row.amount, currency)}
+              <span className="stats-bar-share">{Math.round(row.share * 100)}%</span>
+            </span>
+          </div>
+          <div className="stats-bar-track">
+            <div className="stats-bar-fill" style={{ width: `${max > 0 ? (row.amount / max) * 100 : 0}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function GroupStatistics({ group, members, currency }) {
+  const { t, currentLanguage } = useTranslation()
+  const stats = useMemo(() => computeGroupStatistics(group), [group])
+
+  if (stats.expenseCount === 0) {
+    return (
+      <div className="empty-state">
+        <BiBarChartAlt2 className="empty-icon" />
+        <p>{t('statistics.empty') || 'No expenses to analyse yet'}</p>
+      </div>
+    )
+  }
+
+  const locale = currentLanguage === 'zh-HK' ? 'zh-HK' : 'en-US'
+  const getMemberName = (memberId) => members?.[memberId]?.name || t('common.unknown') || 'Unknown'
+  const getCategoryLabel = (category) => getCategoryInfo(category, group?.customCategories, t).label
+
+  // Daily average over the whole span of the trip, including days without expenses
+  const firstDay = stats.byDay[0].date
+  const lastDay = stats.byDay[stats.byDay.length - 1].date
+  const tripDays = Math.round((new Date(lastDay) - new Date(firstDay)) / DAY_MS) + 1
+  const maxDay = Math.max(...stats.byDay.map((day) => day.amount))
+  const maxPaidOrConsumed = Math.max(...stats.paidVsConsumed.flatMap((row) => [row.paid, row.consumed]), 0)
+
+  const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(locale, { month: 'short', day: 'numeric' })
+
+  return (
+    <div className="group-statistics">
+      <div className="stats-overview">
+        <div className="stats-overview-item">
+          <span className="stats-overview-label">{t('statistics.total') || 'Total spent'}</span>
+          <span className="stats-overview-value">{formatCurrency(stats.total, currency)}</span>
+        </div>
+        <div className="stats-overview-item">
+          <span className="stats-overview-label">{t('statistics.dailyAverage') || 'Per day'}</span>
+          <span className="stats-overview-value">{formatCurrency(stats.total / tripDays, currency)}</span>
+        </div>
+        <div className="stats-overview-item">
+          <span className="stats-overview-label">{t('statistics.days') || 'Days'}</span>
+          <span className="stats-overview-value">{tripDays}</span>
+        </div>
+      </div>
+
+      {stats.excludedCount > 0 && (
+        <p className="stats-note">
+          {t('statistics.excludedNote', { count: stats.excludedCount, currency }) ||
+            `${stats.excludedCount} expense(s) in other currencies are not included. Amounts are in ${currency}.`}
+        </p>
+      )}
+
+      <section className="stats-section">
+        <h3 className="stats-title">{t('statistics.byCategory') || 'By category'}</h3>
+        <BarList rows={stats.byCategory} getLabel={getCategoryLabel} currency={currency} />
+      </section>
+
+      <section className="stats-section">
+        <h3 className="stats-title">{t('statistics.byDay') || 'By day'}</h3>
+        <div className="stats-days">
+          {stats.byDay.map((day) => (
+            <div
+              key={day.date}
+              className="stats-day"
+              title={`${formatDay(day.date)}: ${formatCurrency(day.amount, currency)} (${day.count})`}
+            >
+              <div className="stats-day-track">
+                <div className="stats-day-fill" style={{ height: `${maxDay > 0 ? (day.amount / maxDay) * 100 : 0}%` }} />
+              </div>
+              <span className="stats-day-label">{formatDay(day.date)}</span>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="stats-section">
+        <h3 className="stats-title">{t('statistics.byPayer') || 'Paid by'}</h3>
+        <BarList rows={stats.byPayer} getLabel={getMemberName} currency={currency} />
+      </section>
+
+      <section className="stats-section">
+        <h3 className="stats-title">{t('statistics.byParticipant') || 'Share of expenses'}</h3>
+        <BarList rows={stats.byParticipant} getLabel={getMemberName} currency={currency} />
+      </section>
+
+      <section className="stats-section">
+        <h3 className="stats-title">{t('statistics.paidVsConsumed') || 'Paid vs consumed'}</h3>
+        <div className="stats-legend">
+          <span className="stats-legend-item paid">{t('statistics.paid') || 'Paid'}</span>
+          <span className="stats-legend-item consumed">{t('statistics.consumed') || 'Consumed'}</span>
+        </div>
+        <ul className="stats-compare">
+          {stats.paidVsConsumed.map((row) => (
+            <li key={row.memberId} className="stats-compare-row">
+              <div className="stats-bar-header">
+                <span className="stats-bar-label">{getMemberName(row.memberId)}</span>
+                <span className={`stats-compare-difference ${row.difference >= 0 ? 'positive' : 'negative'}`}>
+                  {row.difference >= 0 ? '+' : '−'}{formatCurrency(Math.abs(row.difference), currency)}
+                </span>
+              </div>
+              <div className="stats-bar-track">
+                <div className="stats-bar-fill paid" style={{ width: `${maxPaidOrConsumed > 0 ? (row.paid / maxPaidOrConsumed) * 100 : 0}%` }} />
+              </div>
+              <div className="stats-bar-track">
+                <div className="stats-bar-fill consumed" style={{ width: `${maxPaidOrConsumed > 0 ? (row.consumed / maxPaidOrConsumed) * 100 : 0}%` }} />
+              </div>
+              <span className="stats-compare-amounts">
+                {formatCurrency(row.paid, currency)} / {formatCurrency(row.consumed, currency)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </div>
+  )
+}
+
+export default GroupStatistics
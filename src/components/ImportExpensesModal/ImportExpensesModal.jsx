@@ -0,0 +1,445 @@
+import { useState, useEffect, useMemo } from 'react'
+import { BiX, BiLoader, BiUpload, BiCheck, BiErrorCircle } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { useAuth } from '../../contexts/AuthContext'
+import { generateDummyId, buildDummyMember } from '../../services/groupService'
+import { importExpenses } from '../../services/expenseService'
+import { getExchangeRate, createExchangeRateRecord } from '../../services/currencyService'
+import {
+  IMPORT_FIELDS,
+  parseCsv,
+  guessColumnMapping,
+  collectMemberNames,
+  findMemberIdByName,
+  buildImportPreview,
+  toImportedExpenseData
+} from '../../utils/importers'
+import { isKnownCurrency } from '../../utils/currencies'
+import { debugLog, debugError } from '../../utils/debug'
+import './ImportExpensesModal.css'
+
+const NEW_MEMBER = 'new'
+
+function ImportExpensesModal({ isOpen, onClose, groupId, groupMembers, groupCurrency, customCategories, onImported }) {
+  const { user } = useAuth()
+  const { t } = useTranslation()
+  const [step, setStep] = useState('upload')
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [memberOverrides, setMemberOverrides] = useState({})
+  const [exchangeRates, setExchangeRates] = useState({})
+  const [error, setError] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [result, setResult] = useState(null)
+
+  // Reset everything when the modal closes
+  useEffect(() => {
+    if (!isOpen) {
+      setStep('upload')
+      setFileName('')
+      setHeaders([])
+      setRows([])
+      setMapping({})
+      setMemberOverrides({})
+      setExchangeRates({})
+      setError('')
+      setIsLoading(false)
+      setResult(null)
+    }
+  }, [isOpen])
+
+  // Names in the payer/participants columns, matched to members unless the user picked otherwise
+  const memberNames = useMemo(() => collectMemberNames(rows, mapping), [rows, mapping])
+  const memberAssignments = useMemo(() => memberNames.reduce((acc, name) => {
+    const key = name.toLowerCase()
+    acc[key] = memberOverrides[key] || findMemberIdByName(groupMembers, name) || NEW_MEMBER
+    return acc
+  }, {}), [memberNames, memberOverrides, groupMembers])
+
+  // Currencies other than the group currency need a rate before they can be imported
+  const foreignCurrencies = useMemo(() => {
+    if (mapping.currency === '' || mapping.currency === undefined) return []
+    const codes = rows
+      .map((row) => String(row[Number(mapping.currency)] || '').trim().toUpperCase())
+      .filter((code) => isKnownCurrency(code) && code !== groupCurrency)
+    return [...new Set(codes)]
+  }, [rows, mapping, groupCurrency])
+
+  const preview = useMemo(() => buildImportPreview(rows, mapping, {
+    members: groupMembers,
+    memberAssignments,
+    groupCurrency,
+    exchangeRates: Object.fromEntries(
+      Object.entries(exchangeRates).map(([code, entry]) => [code, parseFloat(entry.rate)])
+    ),
+    customCategories
+  }), [rows, mapping, groupMembers, memberAssignments, groupCurrency, exchangeRates, customCategories])
+
+  const validRows = preview.filter((row) => row.errors.length === 0)
+  const isMappingComplete = IMPORT_FIELDS
+    .filter((field) => field.required)
+    .every((field) => mapping[field.key] !== '' && mapping[field.key] !== undefined)
+
+  const activeMembers = Object.entries(groupMembers || {}).filter(([, member]) => member?.status !== 'removed')
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setError('')
+
+    try {
+      const parsed = parseCsv(await file.text())
+      if (parsed.length < 2) {
+        setError(t('importExpenses.errors.emptyFile') || 'The file needs a header row and at least one expense')
+        return
+      }
+
+      setFileName(file.name)
+      setHeaders(parsed[0])
+      setRows(parsed.slice(1))
+      setMapping(guessColumnMapping(parsed[0]))
+      setMemberOverrides({})
+      setStep('map')
+    } catch (err) {
+      debugError('Error reading import file', err)
+      setError(t('importExpenses.errors.readFailed') || 'Could not read this file')
+    }
+  }
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => ({ ...prev, [fieldKey]: value === '' ? '' : Number(value) }))
+  }
+
+  const handleMemberAssignmentChange = (name, value) => {
+    setMemberOverrides((prev) => ({ ...prev, [name.toLowerCase()]: value }))
+  }
+
+  const handleRateChange = (currency, value) => {
+    setExchangeRates((prev) => ({ ...prev, [currency]: { rate: value, source: 'custom' } }))
+  }
+
+  // Fetch live rates for any currency the user hasn't filled in yet
+  const handleShowPreview = async () => {
+    setIsLoading(true)
+
+    try {
+      const missing = foreignCurrencies.filter((code) => !(parseFloat(exchangeRates[code]?.rate) > 0))
+      const fetched = {}
+      for (const code of missing) {
+        const result = await getExchangeRate(code, groupCurrency)
+        if (result) {
+          fetched[code] = { rate: String(result.rate), source: result.source }
+        }
+      }
+      setExchangeRates((prev) => ({ ...prev, ...fetched }))
+      setStep('preview')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleImport = async () => {
+    if (!user?.uid || validRows.length === 0) return
+
+    setIsLoading(true)
+    setError('')
+
+    try {
+      const members = { ...groupMembers }
+      const memberIdsByName = {}
+      const newMembers = {}
+
+      // Resolve names to member IDs; dummy members for new names used by valid rows are added with the expenses
+      const namesInUse = new Map()
+      validRows.forEach(({ data }) => {
+        [data.payerName, ...data.participantNames].forEach((name) => namesInUse.set(name.toLowerCase(), name))
+      })
+
+      for (const [key, name] of namesInUse) {
+        const assignment = memberAssignments[key]
+        if (assignment === NEW_MEMBER) {
+          const dummyId = generateDummyId()
+          newMembers[dummyId] = buildDummyMember(name, user.uid, 'member', Date.now())
+          members[dummyId] = newMembers[dummyId]
+          memberIdsByName[key] = dummyId
+        } else if (assignment) {
+          memberIdsByName[key] = assignment
+        }
+      }
+
+      const entries = validRows.map(({ rowNumber, data }) => {
+        const rateEntry = exchangeRates[data.currency]
+        const rateRecord = data.currency !== groupCurrency
+          ? createExchangeRateRecord(data.currency, groupCurrency, data.rate, rateEntry?.source || 'custom')
+          : null
+
+        return {
+          rowNumber,
+          expenseData: toImportedExpenseData(data, memberIdsByName, members, groupCurrency, rateRecord)
+        }
+      })
+
+      const importResult = await importExpenses(groupId, entries, user.uid, newMembers)
+      debugLog('Import finished', importResult)
+
+      setResult(importResult)
+      setStep('done')
+
+      if (onImported) {
+        onImported(importResult)
+      }
+    } catch (err) {
+      debugError('Error importing expenses', err)
+      setError(err.message || t('importExpenses.errors.generic') || 'Failed to import expenses')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const getMemberLabel = (name) => {
+    const assignment = memberAssignments[name.toLowerCase()]
+    return assignment && assignment !== NEW_MEMBER ? groupMembers?.[assignment]?.name || name : name
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="iem-overlay" onClick={isLoading ? undefined : onClose}>
+      <div className="iem-content" onClick={e => e.stopPropagation()}>
+        {/* Modal Header */}
+        <div className="iem-header">
+          <h2 className="iem-title">{t('importExpenses.title') || 'Import Expenses'}</h2>
+          <button
+            className="iem-close-btn"
+            onClick={onClose}
+            aria-label="Close modal"
+            disabled={isLoading}
+          >
+            <BiX />
+          </button>
+        </div>
+
+        <div className="iem-body">
+          {error && (
+            <div className="iem-error">
+              <span>{error}</span>
+            </div>
+          )}
+
+          {/* Step 1: choose a file */}
+          {step === 'upload' && (
+            <>
+              <div className="iem-info">
+                {t('importExpenses.uploadHint') || 'Upload a CSV file with one expense per row. The first row must contain column names.'}
+              </div>
+              <label className="iem-upload">
+                <BiUpload />
+                <span>{t('importExpenses.chooseFile') || 'Choose CSV file'}</span>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileSelected} hidden />
+              </label>
+            </>
+          )}
+
+          {/* Step 2: map columns and members */}
+          {step === 'map' && (
+            <>
+              <div className="iem-info">
+                {t('importExpenses.rowsFound', { count: rows.length, file: fileName }) || `${rows.length} rows found in ${fileName}`}
+              </div>
+
+              <section className="iem-section">
+                <h3 className="iem-section-title">{t('importExpenses.columns') || 'Columns'}</h3>
+                {IMPORT_FIELDS.map((field) => (
+                  <div key={field.key} className="iem-row">
+                    <label className="iem-label" htmlFor={`iem-field-${field.key}`}>
+                      {t(`importExpenses.fields.${field.key}`) || field.key}
+                      {field.required && <span className="required"> *</span>}
+                    </label>
+                    <select
+                      id={`iem-field-${field.key}`}
+                      className="iem-select"
+                      value={mapping[field.key] ?? ''}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    >
+                      <option value="">{t('importExpenses.notMapped') || '— Not in file —'}</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `#${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </section>
+
+              {memberNames.length > 0 && (
+                <section className="iem-section">
+                  <h3 className="iem-section-title">{t('importExpenses.members') || 'Members'}</h3>
+                  {memberNames.map((name) => (
+                    <div key={name} className="iem-row">
+                      <span className="iem-label">{name}</span>
+                      <select
+                        className="iem-select"
+                        value={memberAssignments[name.toLowerCase()]}
+                        onChange={(e) => handleMemberAssignmentChange(name, e.target.value)}
+                      >
+                        <option value={NEW_MEMBER}>
+                          {t('importExpenses.createMember') || '+ Add as new member'}
+                        </option>
+                        {activeMembers.map(([memberId, member]) => (
+                          <option key={memberId} value={memberId}>{member.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </section>
+              )}
+            </>
+          )}
+
+          {/* Step 3: preview with validation errors */}
+          {step === 'preview' && (
+            <>
+              {foreignCurrencies.length > 0 && (
+                <section className="iem-section">
+                  <h3 className="iem-section-title">{t('importExpenses.exchangeRates') || 'Exchange rates'}</h3>
+                  {foreignCurrencies.map((code) => (
+                    <div key={code} className="iem-row">
+                      <label className="iem-label" htmlFor={`iem-rate-${code}`}>
+                        1 {code} = ? {groupCurrency}
+                      </label>
+                      <input
+                        id={`iem-rate-${code}`}
+                        type="number"
+                        inputMode="decimal"
+                        min="0"
+                        step="0.0001"
+                        className="iem-select"
+                        value={exchangeRates[code]?.rate || ''}
+                        onChange={(e) => handleRateChange(code, e.target.value)}
+                      />
+                    </div>
+                  ))}
+                </section>
+              )}
+
+              <div className="iem-info">
+                {t('importExpenses.previewSummary', { valid: validRows.length, invalid: preview.length - validRows.length })
+                  || `${validRows.length} ready to import, ${preview.length - validRows.length} with errors will be skipped`}
+              </div>
+
+              <ul className="iem-preview">
+                {preview.map((row) => (
+                  <li
+                    key={row.rowNumber}
+                    className={`iem-preview-row ${row.errors.length > 0 ? 'invalid' : 'valid'}`}
+                  >
+                    <div className="iem-preview-main">
+                      <span className="iem-preview-status">
+                        {row.errors.length > 0 ? <BiErrorCircle /> : <BiCheck />}
+                      </span>
+                      <span className="iem-preview-desc">
+                        {row.data.description || `#${row.rowNumber}`}
+                      </span>
+                      <span className="iem-preview-amount">
+                        {row.data.amount !== null ? `${row.data.amount.toFixed(2)} ${row.data.currency}` : '—'}
+                      </span>
+                    </div>
+                    <div className="iem-preview-meta">
+                      {row.data.date || '—'}
+                      {row.data.payerName && ` · ${t('importExpenses.paidBy', { name: getMemberLabel(row.data.payerName) }) || `Paid by ${getMemberLabel(row.data.payerName)}`}`}
+                      {` · ${row.data.participantNames.map(getMemberLabel).join(', ')}`}
+                    </div>
+                    {row.errors.length > 0 && (
+                      <div className="iem-preview-errors">
+                        {t('importExpenses.rowLabel', { row: row.rowNumber }) || `Row ${row.rowNumber}`}:{' '}
+                        {row.errors.map((code) => t(`importExpenses.errors.${code}`) || code).join(', ')}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {/* Step 4: result */}
+          {step === 'done' && result && (
+            <>
+              <div className="iem-success">
+                {t('importExpenses.importedCount', { count: result.createdCount }) || `${result.createdCount} expenses imported`}
+              </div>
+              {result.failed.length > 0 && (
+                <ul className="iem-preview">
+                  {result.failed.map((failure) => (
+                    <li key={failure.rowNumber} className="iem-preview-row invalid">
+                      <div className="iem-preview-errors">
+                        {t('importExpenses.rowLabel', { row: failure.rowNumber }) || `Row ${failure.rowNumber}`}: {failure.error}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Buttons */}
+        <div className="iem-actions">
+          {step === 'map' && (
+            <>
+              <button type="button" className="iem-btn iem-btn-secondary" onClick={() => setStep('upload')}>
+                {t('common.back') || 'Back'}
+              </button>
+              <button
+                type="button"
+                className="iem-btn iem-btn-primary"
+                onClick={handleShowPreview}
+                disabled={!isMappingComplete || isLoading}
+              >
+                {isLoading ? <BiLoader className="spinner" /> : (t('importExpenses.preview') || 'Preview')}
+              </button>
+            </>
+          )}
+
+          {step === 'preview' && (
+            <>
+              <button
+                type="button"
+                className="iem-btn iem-btn-secondary"
+                onClick={() => setStep('map')}
+                disabled={isLoading}
+              >
+                {t('common.back') || 'Back'}
+              </button>
+              <button
+                type="button"
+                className="iem-btn iem-btn-primary"
+                onClick={handleImport}
+                disabled={validRows.length === 0 || isLoading}
+              >
+                {isLoading ? (
+                  <>
+                    <BiLoader className="spinner" />
+                    {t('importExpenses.importing') || 'Importing...'}
+                  </>
+                ) : (
+                  t('importExpenses.importCount', { count: validRows.length }) || `Import ${validRows.length}`
+                )}
+              </button>
+            </>
+          )}
+
+          {(step === 'upload' || step === 'done') && (
+            <button type="button" className="iem-btn iem-btn-secondary iem-btn-full" onClick={onClose}>
+              {step === 'done' ? (t('common.close') || 'Close') : (t('common.cancel') || 'Cancel')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportExpensesModal
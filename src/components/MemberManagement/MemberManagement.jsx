@@ -1,22 +1,24 @@
 import { useState } from 'react'
-import { BiTrash, BiEdit, BiCheck, BiX, BiStar } from 'react-icons/bi'
+import { BiTrash, BiEdit, BiCheck, BiX, BiStar, BiCrown } from 'react-icons/bi'
 import { useTranslation } from '../../hooks/useTranslation'
 import { debugLog, debugError } from '../../utils/debug'
-import { removeMemberFromGroup, updateMemberNameAsOwner, updateMemberRole } from '../../services/groupService'
+import { formatCurrency } from '../../utils/formatters'
+import { getOutstandingBalances } from '../../utils/ledger'
+import { removeMemberFromGroup, updateMemberNameAsOwner, updateMemberRole, transferOwnership } from '../../services/groupService'
 import ConfirmationModal from '../ConfirmationModal/ConfirmationModal'
 import './MemberManagement.css'
 
-function MemberManagement({ groupId, members, currentUserId, onMembersChange }) {
+function MemberManagement({ groupId, members, balances, currencyBalances, currency, currentUserId, onMembersChange }) {
   const { t } = useTranslation()
   const [editingMemberId, setEditingMemberId] = useState(null)
   const [editingName, setEditingName] = useState('')
   const [isSaving, setIsSaving] = useState(false)
   const [confirmModal, setConfirmModal] = useState({
     isOpen: false,
-    type: null, // 'remove' or 'moderator'
+    type: null, // 'remove', 'admin' or 'transfer'
     targetMemberId: null,
     targetMemberName: '',
-    targetAction: null, // 'remove' or 'make_moderator' or 'remove_moderator'
+    targetAction: null, // 'remove', 'make_admin', 'remove_admin' or 'transfer_owner'
     isLoading: false
   })
   const [error, setError] = useState('')
@@ -41,6 +43,13 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
     return null
   }
 
+  // Only the owner can hand the group over
+  const isCurrentUserOwner = members[currentUserId]?.role === 'owner'
+
+  // Members with an unsettled balance cannot be removed
+  // Unsettled balances of a member, one per currency (multi-currency groups keep foreign balances separately)
+  const getMemberBalances = (memberId) => getOutstandingBalances({ balances, currencyBalances }, currency, memberId)
+
   const startEdit = (memberId, currentName) => {
     setEditingMemberId(memberId)
     setEditingName(currentName)
@@ -100,6 +109,18 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
     setError('')
   }
 
+  const openTransferConfirm = (memberId, memberName) => {
+    setConfirmModal({
+      isOpen: true,
+      type: 'transfer',
+      targetMemberId: memberId,
+      targetMemberName: memberName,
+      targetAction: 'transfer_owner',
+      isLoading: false
+    })
+    setError('')
+  }
+
   const handleConfirmRemove = async () => {
     setConfirmModal((prev) => ({ ...prev, isLoading: true }))
 
@@ -134,6 +155,21 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
     }
   }
 
+  const handleConfirmTransfer = async () => {
+    setConfirmModal((prev) => ({ ...prev, isLoading: true }))
+
+    try {
+      await transferOwnership(groupId, confirmModal.targetMemberId, currentUserId)
+      debugLog('Group ownership transferred', { newOwnerId: confirmModal.targetMemberId })
+      setConfirmModal({ isOpen: false, type: null, targetMemberId: null, targetMemberName: '', targetAction: null, isLoading: false })
+      onMembersChange?.()
+    } catch (err) {
+      debugError('Error transferring ownership', err)
+      setError(err.message || t('member.transferOwnershipError') || 'Error transferring ownership')
+      setConfirmModal((prev) => ({ ...prev, isLoading: false }))
+    }
+  }
+
   const handleCancelConfirm = () => {
     setConfirmModal({ isOpen: false, type: null, targetMemberId: null, targetMemberName: '', targetAction: null, isLoading: false })
     setError('')
@@ -189,6 +225,13 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
                     <>
                       <p className="member-name-display">{member.name}</p>
                       {member.email && <p className="member-email-display">{member.email}</p>}
+                      {getMemberBalances(member.id).map(({ currency: balanceCurrency, balance }) => (
+                        <p key={balanceCurrency} className={`member-balance-display ${balance < 0 ? 'owes' : 'owed'}`}>
+                          {balance < 0
+                            ? (t('member.owesAmount', { amount: formatCurrency(Math.abs(balance), balanceCurrency) }) || `Owes ${formatCurrency(Math.abs(balance), balanceCurrency)}`)
+                            : (t('member.isOwedAmount', { amount: formatCurrency(balance, balanceCurrency) }) || `Is owed ${formatCurrency(balance, balanceCurrency)}`)}
+                        </p>
+                      ))}
                     </>
                   )}
                 </div>
@@ -229,6 +272,15 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
                           <BiStar />
                         </button>
                       )}
+                      {isCurrentUserOwner && member.type === 'real' && (
+                        <button
+                          className="member-action-btn member-action-btn-transfer"
+                          onClick={() => openTransferConfirm(member.id, member.name)}
+                          title={t('member.transferOwnership') || 'Transfer Ownership'}
+                        >
+                          <BiCrown />
+                        </button>
+                      )}
                       <button
                         className="member-action-btn member-action-btn-edit"
                         onClick={() => startEdit(member.id, member.name)}
@@ -239,7 +291,12 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
                       <button
                         className="member-action-btn member-action-btn-remove"
                       onClick={() => openRemoveConfirm(member.id, member.name)}
-                      title={t('common.remove') || 'Remove'}
+                      disabled={getMemberBalances(member.id).length > 0}
+                      title={
+                        getMemberBalances(member.id).length > 0
+                          ? (t('member.settleBeforeRemoving') || 'Settle this member\'s balance before removing them')
+                          : (t('common.remove') || 'Remove')
+                      }
                     >
                       <BiTrash />
                     </button>
@@ -254,14 +311,19 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
       <ConfirmationModal
         isOpen={confirmModal.isOpen}
         title={
-          confirmModal.targetAction === 'make_admin' 
+          confirmModal.targetAction === 'transfer_owner'
+            ? (t('member.transferOwnershipTitle') || 'Transfer Ownership?')
+            : confirmModal.targetAction === 'make_admin'
             ? (t('member.makeAdminTitle') || 'Make Admin?')
             : confirmModal.targetAction === 'remove_admin'
             ? (t('member.removeAdminTitle') || 'Remove Admin?')
             : (t('groupSettings.removeMemberTitle') || 'Remove Member?')
         }
         message={
-          confirmModal.targetAction === 'make_admin'
+          confirmModal.targetAction === 'transfer_owner'
+            ? (t('member.transferOwnershipMessage', { memberName: confirmModal.targetMemberName }) ||
+              `Make ${confirmModal.targetMemberName} the owner of this group? You will become an admin and can no longer delete the group or change member roles.`)
+            : confirmModal.targetAction === 'make_admin'
             ? (t('member.makeAdminMessage', { memberName: confirmModal.targetMemberName }) ||
               `Promote ${confirmModal.targetMemberName} to admin? They will be able to delete expenses and manage group settings.`)
             : confirmModal.targetAction === 'remove_admin'
@@ -273,16 +335,24 @@ function MemberManagement({ groupId, members, currentUserId, onMembersChange })
             : 'Are you sure you want to remove this member from the group?'
         }
         confirmText={
-          confirmModal.targetAction === 'remove_admin'
+          confirmModal.targetAction === 'transfer_owner'
+            ? (t('member.transferOwnership') || 'Transfer Ownership')
+            : confirmModal.targetAction === 'remove_admin'
             ? (t('member.removeAdmin') || 'Remove')
             : confirmModal.targetAction === 'remove'
             ? (t('groupSettings.remove') || 'Remove')
             : (t('member.admin') || 'Make Admin')
         }
         cancelText={t('common.cancel') || 'Cancel'}
-        isDangerous={confirmModal.targetAction === 'remove'}
+        isDangerous={confirmModal.targetAction === 'remove' || confirmModal.targetAction === 'transfer_owner'}
         isLoading={confirmModal.isLoading}
-        onConfirm={confirmModal.targetAction === 'remove' ? handleConfirmRemove : handleConfirmAdminChange}
+        onConfirm={
+          confirmModal.targetAction === 'remove'
+            ? handleConfirmRemove
+            : confirmModal.targetAction === 'transfer_owner'
+            ? handleConfirmTransfer
+            : handleConfirmAdminChange
+        }
         onCancel={handleCancelConfirm}
       />
     </>
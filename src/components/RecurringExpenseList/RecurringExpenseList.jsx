@@ -0,0 +1,166 @@
+import { useState } from 'react'
+import { BiTrash, BiPause, BiPlay, BiX } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { debugLog, debugError } from '../../utils/debug'
+import { formatCurrency } from '../../utils/formatters'
+import { getCategoryInfo } from '../../utils/categories'
+import { setRecurringExpensePaused, deleteRecurringExpense } from '../../services/recurringExpenseService'
+import ConfirmationModal from '../ConfirmationModal/ConfirmationModal'
+import './RecurringExpenseList.css'
+
+function RecurringExpenseList({ groupId, recurringExpenses, members, customCategories, groupCurrency, currentUserId, canManageAll }) {
+  const { t } = useTranslation()
+  const [busyId, setBusyId] = useState(null)
+  const [confirmModal, setConfirmModal] = useState({
+    isOpen: false,
+    scheduleId: null,
+    description: '',
+    isLoading: false
+  })
+  const [error, setError] = useState('')
+
+  const schedules = Object.entries(recurringExpenses || {})
+    .filter(([, schedule]) => schedule)
+    .map(([id, schedule]) => ({ id, ...schedule }))
+    .sort((a, b) => (a.nextDueDate || '').localeCompare(b.nextDueDate || ''))
+
+  if (schedules.length === 0) {
+    return null
+  }
+
+  // Owner and admins manage every schedule; other members only their own
+  const canManage = (schedule) => canManageAll || schedule.createdBy === currentUserId
+
+  const handleTogglePaused = async (schedule) => {
+    setBusyId(schedule.id)
+    setError('')
+
+    try {
+      await setRecurringExpensePaused(groupId, schedule.id, currentUserId, !schedule.paused)
+      debugLog('Recurring expense paused state changed', { scheduleId: schedule.id, paused: !schedule.paused })
+    } catch (err) {
+      debugError('Error pausing recurring expense', err)
+      setError(err.message || t('recurring.updateError') || 'Error updating recurring expense')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const openDeleteConfirm = (schedule) => {
+    setConfirmModal({
+      isOpen: true,
+      scheduleId: schedule.id,
+      description: schedule.template?.description || '',
+      isLoading: false
+    })
+    setError('')
+  }
+
+  const handleConfirmDelete = async () => {
+    setConfirmModal((prev) => ({ ...prev, isLoading: true }))
+
+    try {
+      await deleteRecurringExpense(groupId, confirmModal.scheduleId, currentUserId)
+      debugLog('Recurring expense deleted', { scheduleId: confirmModal.scheduleId })
+      setConfirmModal({ isOpen: false, scheduleId: null, description: '', isLoading: false })
+    } catch (err) {
+      debugError('Error deleting recurring expense', err)
+      setError(err.message || t('recurring.deleteError') || 'Error deleting recurring expense')
+      setConfirmModal((prev) => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  const handleCancelConfirm = () => {
+    setConfirmModal({ isOpen: false, scheduleId: null, description: '', isLoading: false })
+  }
+
+  return (
+    <>
+      <section className="settings-section recurring-expense-section">
+        <h2 className="section-title">{t('recurring.title') || 'Recurring Expenses'}</h2>
+        <p className="section-subtitle">
+          {t('recurring.description') || 'These expenses are added automatically when the group is opened on or after their due date'}
+        </p>
+
+        {error && (
+          <div className="recurring-expense-error">
+            <span>{error}</span>
+            <button onClick={() => setError('')}>
+              <BiX />
+            </button>
+          </div>
+        )}
+
+        <div className="recurring-expense-list">
+          {schedules.map((schedule) => {
+            const template = schedule.template || {}
+            const payerNames = Object.keys(template.payers || {})
+              .map((payerId) => members?.[payerId]?.name || template.payers[payerId]?.name)
+              .filter(Boolean)
+              .join(', ')
+
+            return (
+              <div key={schedule.id} className={`recurring-expense-row ${schedule.paused ? 'paused' : ''}`}>
+                <div className="recurring-expense-info">
+                  <p className="recurring-expense-title">
+                    {template.description || getCategoryInfo(template.category, customCategories, t).label}
+                    {schedule.paused && <span className="recurring-expense-badge">{t('recurring.paused') || 'Paused'}</span>}
+                  </p>
+                  <p className="recurring-expense-meta">
+                    {formatCurrency(template.amount || 0, template.currency || groupCurrency)}
+                    {' · '}
+                    {t(`recurring.frequency.${schedule.frequency}`) || schedule.frequency}
+                    {payerNames && ` · ${t('recurring.paidBy', { names: payerNames }) || `Paid by ${payerNames}`}`}
+                  </p>
+                  {!schedule.paused && (
+                    <p className="recurring-expense-meta">
+                      {t('recurring.nextDue', { date: schedule.nextDueDate }) || `Next: ${schedule.nextDueDate}`}
+                    </p>
+                  )}
+                </div>
+
+                {canManage(schedule) && (
+                  <div className="recurring-expense-actions">
+                    <button
+                      className="recurring-expense-btn"
+                      onClick={() => handleTogglePaused(schedule)}
+                      disabled={busyId === schedule.id}
+                      title={schedule.paused ? (t('recurring.resume') || 'Resume') : (t('recurring.pause') || 'Pause')}
+                    >
+                      {schedule.paused ? <BiPlay /> : <BiPause />}
+                    </button>
+                    <button
+                      className="recurring-expense-btn recurring-expense-btn-delete"
+                      onClick={() => openDeleteConfirm(schedule)}
+                      disabled={busyId === schedule.id}
+                      title={t('common.delete') || 'Delete'}
+                    >
+                      <BiTrash />
+                    </button>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </section>
+
+      <ConfirmationModal
+        isOpen={confirmModal.isOpen}
+        title={t('recurring.confirmDeleteTitle') || 'Delete Recurring Expense?'}
+        message={
+          t('recurring.confirmDeleteMessage', { description: confirmModal.description }) ||
+          `Stop repeating "${confirmModal.description}"? Expenses it already added are kept.`
+        }
+        confirmText={t('common.delete') || 'Delete'}
+        cancelText={t('common.cancel') || 'Cancel'}
+        isDangerous={true}
+        isLoading={confirmModal.isLoading}
+        onConfirm={handleConfirmDelete}
+        onCancel={handleCancelConfirm}
+      />
+    </>
+  )
+}
+
+export default RecurringExpenseList
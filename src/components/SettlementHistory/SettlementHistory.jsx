@@ -90,7 +90,12 @@ function SettlementHistory({
                 </div>
 
                 <div className="record-amount">
-                  {formatCurrency(record.amount)}
+                  {formatCurrency(record.amount, record.currency)}
+                  {record.paidCurrency && record.paidAmount && (
+                    <div className="record-paid-amount">
+                      {t('settlement.paidAs', { amount: formatCurrency(record.paidAmount, record.paidCurrency) }) || `Paid as ${formatCurrency(record.paidAmount, record.paidCurrency)}`}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -3,14 +3,30 @@ import { BiX, BiLoader } from 'react-icons/bi'
 import { useTranslation } from '../../hooks/useTranslation'
 import { debugLog, debugError } from '../../utils/debug'
 import { recordSettlement, updateSettlement } from '../../services/expenseService'
+import { fetchExchangeRateForDate, validateExchangeRate, convertCurrency, formatExchangeRate, createExchangeRateRecord } from '../../services/currencyService'
 import './SettlementRecordModal.css'
 
+// Empty form; currency is the currency of the debt being settled
+const getInitialFormData = (groupCurrency) => ({
+  from: '',
+  to: '',
+  amount: '',
+  currency: groupCurrency || 'HKD',
+  payInGroupCurrency: false,
+  rate: '',
+  rateSource: 'custom',
+  paymentMethod: '',
+  remarks: '',
+  date: new Date().toISOString().split('T')[0]
+})
+
 const SettlementRecordModal = ({ 
   isOpen, 
   onClose, 
   groupId, 
   groupMembers, 
   groupCurrency, 
+  currencies = [],
   onSettlementRecorded, 
   currentUserId,
   settlements,
@@ -19,14 +35,8 @@ const SettlementRecordModal = ({
   const { t } = useTranslation()
   const modalRef = useRef(null)
 
-  const [formData, setFormData] = useState({
-    from: '',
-    to: '',
-    amount: '',
-    paymentMethod: '',
-    remarks: '',
-    date: new Date().toISOString().split('T')[0]
-  })
+  const [formData, setFormData] = useState(() => getInitialFormData(groupCurrency))
+  const [isFetchingRate, setIsFetchingRate] = useState(false)
 
   const [errors, setErrors] = useState({})
   const [isLoading, setIsLoading] = useState(false)
@@ -48,13 +58,20 @@ const SettlementRecordModal = ({
       name: member.name
     }))
 
-  // Calculate amount owed by payer to recipient
-  const getAmountOwedToRecipient = (payerId, recipientId) => {
+  // Currencies with balances to settle (multi-currency groups keep one balance per currency)
+  const currencyOptions = [...new Set([groupCurrency || 'HKD', ...currencies, formData.currency])]
+  const isOtherCurrency = formData.currency !== (groupCurrency || 'HKD')
+  const isConverting = isOtherCurrency && formData.payInGroupCurrency
+  const rateValidation = validateExchangeRate(formData.rate)
+  const paidAmount = isConverting && rateValidation.valid ? convertCurrency(formData.amount, rateValidation.value, groupCurrency) : null
+
+  // Calculate amount owed by payer to recipient in the given currency
+  const getAmountOwedToRecipient = (payerId, recipientId, currency = formData.currency) => {
     if (!settlements || !payerId || !recipientId) return 0
     
     // Find if selected payer owes money to selected recipient
     const settlement = settlements.find(
-      s => s.from === payerId && s.to === recipientId
+      s => s.from === payerId && s.to === recipientId && (s.currency || groupCurrency) === currency
     )
     
     return settlement ? settlement.amount : 0
@@ -89,14 +106,7 @@ const SettlementRecordModal = ({
   // Reset form when closing or when editing data changes
   useEffect(() => {
     if (!isOpen) {
-      setFormData({
-        from: '',
-        to: '',
-        amount: '',
-        paymentMethod: '',
-        remarks: '',
-        date: new Date().toISOString().split('T')[0]
-      })
+      setFormData(getInitialFormData(groupCurrency))
       setErrors({})
       setSubmitError(null)
       setSubmitSuccess(false)
@@ -106,6 +116,10 @@ const SettlementRecordModal = ({
         from: editingRecord.from || '',
         to: editingRecord.to || '',
         amount: editingRecord.amount ? editingRecord.amount.toString() : '',
+        currency: editingRecord.currency || groupCurrency || 'HKD',
+        payInGroupCurrency: Boolean(editingRecord.paidCurrency),
+        rate: editingRecord.exchangeRate?.rate ? formatExchangeRate(editingRecord.exchangeRate.rate) : '',
+        rateSource: editingRecord.exchangeRate?.source || 'custom',
         paymentMethod: editingRecord.paymentMethod || '',
         remarks: editingRecord.remarks || '',
         date: editingRecord.date || new Date().toISOString().split('T')[0]
@@ -114,7 +128,7 @@ const SettlementRecordModal = ({
       setSubmitError(null)
       setSubmitSuccess(false)
     }
-  }, [isOpen, editingRecord])
+  }, [isOpen, editingRecord, groupCurrency])
 
   // Validate form
   const validateForm = () => {
@@ -136,6 +150,10 @@ const SettlementRecordModal = ({
       newErrors.to = t('settlement.cannotPaySelf') || 'Cannot pay yourself'
     }
 
+    if (isConverting && !rateValidation.valid) {
+      newErrors.rate = t('settlement.exchangeRateRequired') || 'Enter the exchange rate used for this payment'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -157,6 +175,42 @@ const SettlementRecordModal = ({
     }
   }
 
+  // Handle currency change - refill the amount owed in the new currency
+  const handleCurrencyChange = (e) => {
+    const currency = e.target.value
+    const amountOwed = getAmountOwedToRecipient(formData.from, formData.to, currency)
+
+    setFormData((prev) => ({
+      ...prev,
+      currency,
+      amount: amountOwed > 0 ? amountOwed.toFixed(2) : prev.amount,
+      payInGroupCurrency: false,
+      rate: '',
+      rateSource: 'custom'
+    }))
+  }
+
+  // Fetch the rate from the debt currency to the group currency on the payment date
+  const handleFetchRate = async () => {
+    setIsFetchingRate(true)
+    try {
+      const result = await fetchExchangeRateForDate(formData.currency, groupCurrency, formData.date)
+      if (result) {
+        setFormData((prev) => ({ ...prev, rate: formatExchangeRate(result.rate), rateSource: result.source }))
+        setErrors((prev) => ({ ...prev, rate: '' }))
+      } else {
+        setErrors((prev) => ({
+          ...prev,
+          rate: t('settlement.exchangeRateFetchFailed') || 'Could not fetch the exchange rate. Please enter it manually.'
+        }))
+      }
+    } catch (error) {
+      debugError('Error fetching settlement exchange rate', error)
+    } finally {
+      setIsFetchingRate(false)
+    }
+  }
+
   // Handle recipient selection change
   const handleRecipientChange = (e) => {
     const recipientId = e.target.value
@@ -215,10 +269,20 @@ const SettlementRecordModal = ({
         date: formData.date
       }
 
+      // Debts in another currency are settled in that currency; converting is only done when paying in the group currency
+      if (isOtherCurrency) {
+        settlementData.currency = formData.currency
+        if (isConverting) {
+          settlementData.paidCurrency = groupCurrency
+          settlementData.paidAmount = paidAmount
+          settlementData.exchangeRate = createExchangeRateRecord(formData.currency, groupCurrency, rateValidation.value, formData.rateSource)
+        }
+      }
+
       if (editingRecord && editingRecord.id) {
         // Update existing settlement record
         debugLog('Updating settlement record', { recordId: editingRecord.id, data: settlementData })
-        await updateSettlement(groupId, editingRecord.id, settlementData)
+        await updateSettlement(groupId, editingRecord.id, settlementData, currentUserId)
       } else {
         // Create new settlement record
         debugLog('Recording settlement', settlementData)
@@ -228,14 +292,7 @@ const SettlementRecordModal = ({
       setSubmitSuccess(true)
       
       // Reset form
-      setFormData({
-        from: '',
-        to: '',
-        amount: '',
-        paymentMethod: '',
-        remarks: '',
-        date: new Date().toISOString().split('T')[0]
-      })
+      setFormData(getInitialFormData(groupCurrency))
 
       // Notify parent and close after short delay
       setTimeout(() => {
@@ -354,11 +411,84 @@ const SettlementRecordModal = ({
                 className={`form-input ${errors.amount ? 'error' : ''}`}
                 disabled={isLoading}
               />
-              <span className="currency">{groupCurrency || 'HKD'}</span>
+              <span className="currency">{formData.currency}</span>
             </div>
             {errors.amount && <span className="error-text">{errors.amount}</span>}
           </div>
 
+          {/* Currency (only when the group keeps balances in more than one currency) */}
+          {currencyOptions.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="currency">
+                {t('settlement.currency') || 'Currency'}
+              </label>
+              <select
+                id="currency"
+                name="currency"
+                value={formData.currency}
+                onChange={handleCurrencyChange}
+                className="form-select"
+                disabled={isLoading}
+              >
+                {currencyOptions.map((currency) => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Pay a foreign-currency debt in the group currency */}
+          {isOtherCurrency && (
+            <div className="form-group">
+              <label className="srm-checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={formData.payInGroupCurrency}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, payInGroupCurrency: e.target.checked }))}
+                  disabled={isLoading}
+                />
+                {t('settlement.payInGroupCurrency', { currency: groupCurrency }) || `Pay in ${groupCurrency}`}
+              </label>
+
+              {formData.payInGroupCurrency && (
+                <>
+                  <div className="srm-rate-row">
+                    <span className="srm-rate-label">1 {formData.currency} =</span>
+                    <input
+                      type="number"
+                      name="rate"
+                      value={formData.rate}
+                      onChange={(e) => {
+                        handleInputChange(e)
+                        setFormData((prev) => ({ ...prev, rateSource: 'custom' }))
+                      }}
+                      placeholder="0.0000"
+                      step="0.0001"
+                      min="0"
+                      className={`form-input ${errors.rate ? 'error' : ''}`}
+                      disabled={isLoading}
+                    />
+                    <span className="srm-rate-label">{groupCurrency}</span>
+                    <button
+                      type="button"
+                      className="button secondary srm-fetch-rate"
+                      onClick={handleFetchRate}
+                      disabled={isLoading || isFetchingRate}
+                    >
+                      {isFetchingRate ? <BiLoader className="spinner" /> : (t('settlement.fetchRate') || 'Fetch')}
+                    </button>
+                  </div>
+                  {errors.rate && <span className="error-text">{errors.rate}</span>}
+                  {paidAmount !== null && (
+                    <div className="srm-paid-amount">
+                      {t('settlement.paidAmount') || 'Amount paid'}: {groupCurrency} {paidAmount.toFixed(2)}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
           {/* Payment Method */}
           <div className="form-group">
             <label htmlFor="paymentMethod">
@@ -418,7 +548,8 @@ const SettlementRecordModal = ({
                 <span className="preview-label">{recipientName}</span>
               </div>
               <div className="preview-amount">
-                {groupCurrency || 'HKD'} {parseFloat(formData.amount).toFixed(2)}
+                {formData.currency} {parseFloat(formData.amount).toFixed(2)}
+                {paidAmount !== null && ` (${groupCurrency} ${paidAmount.toFixed(2)})`}
               </div>
             </div>
           )}
@@ -15,7 +15,9 @@ function SettlementView({
   onEditRecord,
   isLoading,
   isOwner,
-  isAdmin
+  isAdmin,
+  settlementMethod,
+  onSettlementMethodChange
 }) {
   if (!settlements || settlements.length === 0) {
     return (
@@ -62,6 +64,27 @@ function SettlementView({
         <div className="header-content">
           <h3>{t('settlement.settleUpTitle') || 'Settlement Summary'}</h3>
           <p className="settlement-subtitle">{t('settlement.settleUpDescription') || 'Here\'s who needs to pay whom to settle all expenses'}</p>
+          {onSettlementMethodChange && (
+            <div className="settlement-method-toggle" role="group" aria-label={t('settlement.methodLabel') || 'Settlement plan'}>
+              <button
+                type="button"
+                className={`settlement-method-option ${settlementMethod === 'greedy' ? 'active' : ''}`}
+                onClick={() => onSettlementMethodChange('greedy')}
+              >
+                {t('settlement.methodGreedy') || 'Simple'}
+              </button>
+              <button
+                type="button"
+                className={`settlement-method-option ${settlementMethod === 'optimal' ? 'active' : ''}`}
+                onClick={() => onSettlementMethodChange('optimal')}
+              >
+                {t('settlement.methodOptimal') || 'Fewest transfers'}
+              </button>
+            </div>
+          )}
+          <p className="settlement-transfer-count">
+            {t('settlement.transferCount', { count: settlements.length }) || `${settlements.length} transfers`}
+          </p>
         </div>
         {onOpenRecordModal && (
           <button 
@@ -108,8 +131,18 @@ function SettlementView({
               <div className="settlement-arrow">
                 <div className="arrow-line">→</div>
                 <div className="amount-badge">
-                  {formatCurrency(settlement.amount)}
+                  {formatCurrency(settlement.amount, settlement.currency)}
                 </div>
+                {settlement.paymentMethods?.length > 0 && (
+                  <div className="settlement-payment-methods">
+                    {settlement.paymentMethods.map((method) => t(`paymentMethods.${method}`) || method).join(' / ')}
+                  </div>
+                )}
+                {settlement.infeasible && (
+                  <div className="settlement-infeasible">
+                    {t('settlement.noSharedMethod') || 'No shared payment method'}
+                  </div>
+                )}
               </div>
 
               {/* Right Side - To (Creditor) */}
@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import { BiTrash, BiUndo, BiX } from 'react-icons/bi'
+import { useTranslation } from '../../hooks/useTranslation'
+import { debugLog, debugError } from '../../utils/debug'
+import { formatCurrency } from '../../utils/formatters'
+import { getCategoryInfo } from '../../utils/categories'
+import { restoreFromTrash, purgeFromTrash } from '../../services/expenseService'
+import ConfirmationModal from '../ConfirmationModal/ConfirmationModal'
+import './TrashBin.css'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function TrashBin({ groupId, trash, members, customCategories, groupCurrency, retentionDays, currentUserId, canManageAll }) {
+  const { t, currentLanguage } = useTranslation()
+  const [busyId, setBusyId] = useState(null)
+  const [confirmModal, setConfirmModal] = useState({
+    isOpen: false,
+    recordId: null,
+    isLoading: false
+  })
+  const [error, setError] = useState('')
+
+  const entries = Object.entries(trash || {})
+    .filter(([, entry]) => entry?.record)
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0))
+
+  if (entries.length === 0) {
+    return null
+  }
+
+  // Owner and admins manage every item; other members what they deleted or created
+  const canManage = (entry) => canManageAll || entry.deletedBy === currentUserId || entry.record.createdBy === currentUserId
+
+  const getMemberName = (memberId) => members?.[memberId]?.name || t('common.unknown') || 'Unknown'
+
+  const getTitle = (entry) => entry.type === 'settlement'
+    ? `${getMemberName(entry.record.from)} → ${getMemberName(entry.record.to)}`
+    : (entry.record.description || getCategoryInfo(entry.record.category, customCategories, t).label)
+
+  const getDaysLeft = (entry) => Math.max(0, Math.ceil(((entry.deletedAt || 0) + retentionDays * DAY_MS - Date.now()) / DAY_MS))
+
+  const handleRestore = async (entry) => {
+    setBusyId(entry.id)
+    setError('')
+
+    try {
+      await restoreFromTrash(groupId, entry.id, currentUserId)
+      debugLog('Restored from trash', { recordId: entry.id })
+    } catch (err) {
+      debugError('Error restoring from trash', err)
+      setError(err.message || t('trash.restoreError') || 'Failed to restore')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleConfirmPurge = async () => {
+    setConfirmModal((prev) => ({ ...prev, isLoading: true }))
+
+    try {
+      await purgeFromTrash(groupId, confirmModal.recordId, currentUserId)
+      debugLog('Purged from trash', { recordId: confirmModal.recordId })
+      setConfirmModal({ isOpen: false, recordId: null, isLoading: false })
+    } catch (err) {
+      debugError('Error purging from trash', err)
+      setError(err.message || t('trash.purgeError') || 'Failed to delete permanently')
+      setConfirmModal((prev) => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  const handleCancelConfirm = () => {
+    setConfirmModal({ isOpen: false, recordId: null, isLoading: false })
+  }
+
+  return (
+    <>
+      <section className="settings-section trash-bin-section">
+        <h2 className="section-title">{t('trash.title') || 'Trash'}</h2>
+        <p className="section-subtitle">
+          {t('trash.description', { days: retentionDays }) ||
+            `Deleted expenses and payments are kept for ${retentionDays} days. Restoring one puts its balances back.`}
+        </p>
+
+        {error && (
+          <div className="trash-bin-error">
+            <span>{error}</span>
+            <button onClick={() => setError('')}>
+              <BiX />
+            </button>
+          </div>
+        )}
+
+        <div className="trash-bin-list">
+          {entries.map((entry) => {
+            const deletedOn = new Date(entry.deletedAt).toLocaleDateString(currentLanguage === 'zh-HK' ? 'zh-HK' : 'en-US')
+            const deletedBy = entry.deletedBy === currentUserId ? (t('member.you') || 'You') : getMemberName(entry.deletedBy)
+            const daysLeft = getDaysLeft(entry)
+
+            return (
+              <div key={entry.id} className="trash-bin-row">
+                <div className="trash-bin-info">
+                  <p className="trash-bin-title">
+                    {getTitle(entry)}
+                    <span className="trash-bin-badge">
+                      {entry.type === 'settlement' ? (t('trash.typeSettlement') || 'Payment') : (t('trash.typeExpense') || 'Expense')}
+                    </span>
+                  </p>
+                  <p className="trash-bin-meta">
+                    {formatCurrency(entry.record.amount || 0, entry.record.currency || groupCurrency)}
+                    {' · '}
+                    {t('trash.deletedBy', { name: deletedBy, date: deletedOn }) || `Deleted by ${deletedBy} on ${deletedOn}`}
+                  </p>
+                  <p className="trash-bin-meta">
+                    {t('trash.daysLeft', { days: daysLeft }) || `Deleted permanently in ${daysLeft} day(s)`}
+                  </p>
+                </div>
+
+                {canManage(entry) && (
+                  <div className="trash-bin-actions">
+                    <button
+                      className="trash-bin-btn"
+                      onClick={() => handleRestore(entry)}
+                      disabled={busyId === entry.id}
+                      title={t('trash.restore') || 'Restore'}
+                    >
+                      <BiUndo />
+                    </button>
+                    <button
+                      className="trash-bin-btn trash-bin-btn-delete"
+                      onClick={() => setConfirmModal({ isOpen: true, recordId: entry.id, isLoading: false })}
+                      disabled={busyId === entry.id}
+                      title={t('trash.deleteForever') || 'Delete permanently'}
+                    >
+                      <BiTrash />
+                    </button>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </section>
+
+      <ConfirmationModal
+        isOpen={confirmModal.isOpen}
+        title={t('trash.confirmPurgeTitle') || 'Delete Permanently?'}
+        message={t('trash.confirmPurgeMessage') || 'This item and its receipt photos will be deleted for good. This action cannot be undone.'}
+        confirmText={t('trash.deleteForever') || 'Delete permanently'}
+        cancelText={t('common.cancel') || 'Cancel'}
+        isDangerous={true}
+        isLoading={confirmModal.isLoading}
+        onConfirm={handleConfirmPurge}
+        onCancel={handleCancelConfirm}
+      />
+    </>
+  )
+}
+
+export default TrashBin
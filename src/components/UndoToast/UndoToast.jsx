@@ -0,0 +1,53 @@
+import { useEffect } from 'react'
+import { BiUndo, BiX, BiLoader } from 'react-icons/bi'
+import './UndoToast.css'
+
+function UndoToast({
+  message,
+  undoText = 'Undo',
+  closeLabel = 'Close',
+  duration = 6000,
+  isUndoing = false,
+  isError = false,
+  onUndo,
+  onDismiss
+}) {
+  // Dismiss on its own unless an undo is in progress; a new message restarts the timer
+  useEffect(() => {
+    if (!message || isUndoing) return
+
+    const timer = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timer)
+  }, [message, duration, isUndoing, onDismiss])
+
+  if (!message) return null
+
+  return (
+    <div className={`undo-toast ${isError ? 'undo-toast-error' : ''}`} role={isError ? 'alert' : 'status'} aria-live="polite">
+      <span className="undo-toast-message">{message}</span>
+      {/* An error (e.g. a failed undo) has nothing left to undo */}
+      {!isError && (
+        <button
+          type="button"
+          className="undo-toast-action"
+          onClick={onUndo}
+          disabled={isUndoing}
+        >
+          {isUndoing ? <BiLoader className="spinner" /> : <BiUndo />}
+          {undoText}
+        </button>
+      )}
+      <button
+        type="button"
+        className="undo-toast-close"
+        onClick={onDismiss}
+        disabled={isUndoing}
+        aria-label={closeLabel}
+      >
+        <BiX />
+      </button>
+    </div>
+  )
+}
+
+export default UndoToast
@@ -17,4 +17,14 @@ export { default as AddExpenseModal } from './AddExpenseModal/AddExpenseModal'
 export { default as SettlementView } from './SettlementView/SettlementView'
 export { default as SettlementRecordModal } from './SettlementRecordModal/SettlementRecordModal'
 export { default as SettlementHistory } from './SettlementHistory/SettlementHistory'
-export { default as EditProfileModal } from './EditProfileModal/EditProfileModal'
\ No newline at end of file
+export { default as EditProfileModal } from './EditProfileModal/EditProfileModal'
+export { default as ImportExpensesModal } from './ImportExpensesModal/ImportExpensesModal'
+export { default as CurrencyOptions } from './CurrencyOptions/CurrencyOptions'
+export { default as RecurringExpenseList } from './RecurringExpenseList/RecurringExpenseList'
+export { default as ExpenseComments } from './ExpenseComments/ExpenseComments'
+export { default as ActivityHistory } from './ActivityHistory/ActivityHistory'
+export { default as UndoToast } from './UndoToast/UndoToast'
+export { default as TrashBin } from './TrashBin/TrashBin'
+export { default as BudgetProgress } from './BudgetProgress/BudgetProgress'
+export { default as GroupStatistics } from './GroupStatistics/GroupStatistics'
+export { default as CategoryManager } from './CategoryManager/CategoryManager'
@@ -5,6 +5,7 @@ import { rtdb } from '../../firebase'
 import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from '../../hooks/useTranslation'
 import { debugLog, debugError } from '../../utils/debug'
+import { EXPENSE_CATEGORIES, getCategoryInfo } from '../../utils/categories'
 import { LoadingSpinner, HeaderControls } from '../../components'
 import { BiChevronLeft } from 'react-icons/bi'
 import './ActivityPage.css'
@@ -19,6 +20,9 @@ function ActivityPage({ onLogout }) {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState('')
   const [selectedGroupFilter, setSelectedGroupFilter] = useState('all')
+  // groupId -> the group's custom categories
+  const [groupCategories, setGroupCategories] = useState({})
+  const [selectedCategoryFilter, setSelectedCategoryFilter] = useState('all')
   const [sortBy, setSortBy] = useState('newest') // 'newest', 'oldest', 'amount-high', 'amount-low'
   
   const allExpensesRef = useRef({})
@@ -39,6 +43,7 @@ function ActivityPage({ onLogout }) {
         try {
           if (!groupsSnapshot.exists()) {
             setUserGroups({})
+            setGroupCategories({})
             setAllExpenses([])
             setIsLoading(false)
             return
@@ -50,12 +55,14 @@ function ActivityPage({ onLogout }) {
           // Fetch full group data for each group to get the name
           const fetchGroupData = async () => {
             const groupMap = {}
+            const categoriesMap = {}
             for (const groupId of groupIds) {
               try {
                 const groupRef = ref(rtdb, `groups/${groupId}`)
                 const groupSnapshot = await get(groupRef)
                 if (groupSnapshot.exists()) {
                   groupMap[groupId] = groupSnapshot.val().name || `Group ${groupId.slice(0, 8)}`
+                  categoriesMap[groupId] = groupSnapshot.val().customCategories || {}
                 } else {
                   groupMap[groupId] = `Group ${groupId.slice(0, 8)}`
                 }
@@ -67,6 +74,7 @@ function ActivityPage({ onLogout }) {
             
             groupMapRef.current = groupMap
             setUserGroups(groupMap)
+            setGroupCategories(categoriesMap)
             
             // Set up listeners for each group's expenses
             allExpensesRef.current = {}
@@ -125,17 +133,21 @@ function ActivityPage({ onLogout }) {
     }
   }, [user?.uid])
 
-  const getCategoryEmoji = (category) => {
-    const emojiMap = {
-      'Lodging': '🏨',
-      'Food': '🍽️',
-      'Transport': '🚗',
-      'Entertainment': '🎭',
-      'Shopping': '🛍️',
-      'Other': '📌'
-    }
-    return emojiMap[category] || '📌'
-  }
+  const getExpenseCategory = (expense) => getCategoryInfo(expense.category, groupCategories[expense.groupId], t)
+
+  // Custom categories with the same name in different groups are filtered together
+  const getCategoryFilterKey = (info) => info.isCustom ? `custom:${info.label.toLowerCase()}` : info.id
+
+  const categoryOptions = [
+    ...EXPENSE_CATEGORIES.filter((category) => category !== 'other').map((category) => getCategoryInfo(category, null, t)),
+    ...Object.values(
+      allExpenses
+        .map(getExpenseCategory)
+        .filter((info) => info.isCustom)
+        .reduce((acc, info) => ({ ...acc, [getCategoryFilterKey(info)]: acc[getCategoryFilterKey(info)] || info }), {})
+    ).sort((a, b) => a.label.localeCompare(b.label)),
+    getCategoryInfo('other', null, t)
+  ]
 
   const formatCurrency = (amount, currency = 'USD') => {
     const numAmount = typeof amount === 'string' ? parseFloat(amount) : (amount || 0)
@@ -164,9 +176,9 @@ function ActivityPage({ onLogout }) {
   }
 
   // Filter expenses
-  const filteredExpenses = selectedGroupFilter === 'all'
-    ? allExpenses
-    : allExpenses.filter(exp => exp.groupId === selectedGroupFilter)
+  const filteredExpenses = allExpenses
+    .filter(exp => selectedGroupFilter === 'all' || exp.groupId === selectedGroupFilter)
+    .filter(exp => selectedCategoryFilter === 'all' || getCategoryFilterKey(getExpenseCategory(exp)) === selectedCategoryFilter)
 
   // Sort expenses
   const sortedExpenses = [...filteredExpenses].sort((a, b) => {
@@ -211,7 +223,7 @@ function ActivityPage({ onLogout }) {
           </div>
         )}
 
-        {sortedExpenses.length > 0 ? (
+        {allExpenses.length > 0 ? (
           <>
             {/* Filters & Sort */}
             <div className="activity-history-controls">
@@ -232,6 +244,23 @@ function ActivityPage({ onLogout }) {
                 </select>
               </div>
 
+              <div className="filter-group">
+                <label htmlFor="category-filter">{t('activity.filterByCategory') || 'Filter by Category'}</label>
+                <select
+                  id="category-filter"
+                  className="filter-select"
+                  value={selectedCategoryFilter}
+                  onChange={(e) => setSelectedCategoryFilter(e.target.value)}
+                >
+                  <option value="all">{t('activity.allCategories') || 'All Categories'}</option>
+                  {categoryOptions.map((info) => (
+                    <option key={getCategoryFilterKey(info)} value={getCategoryFilterKey(info)}>
+                      {info.icon} {info.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div className="sort-group">
                 <label htmlFor="sort-by">{t('activity.sortBy') || 'Sort by'}</label>
                 <select
@@ -248,37 +277,49 @@ function ActivityPage({ onLogout }) {
               </div>
             </div>
 
+            {sortedExpenses.length === 0 && (
+              <p className="activity-history-no-match">{t('activity.noMatches') || 'No expenses match these filters'}</p>
+            )}
+
             {/* Activity List */}
             <div className="activity-history-list">
-              {sortedExpenses.map((expense) => (
-                <div
-                  key={`${expense.groupId}-${expense.id}`}
-                  className="activity-history-card"
-                  onClick={() => navigate(`/groups/${expense.groupId}`)}
-                  role="button"
-                  tabIndex={0}
-                  onKeyPress={(e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                      navigate(`/groups/${expense.groupId}`)
-                    }
-                  }}
-                >
-                  <div className="history-card-left">
-                    <div className="history-card-icon">
-                      {getCategoryEmoji(expense.category)}
+              {sortedExpenses.map((expense) => {
+                const category = getExpenseCategory(expense)
+
+                return (
+                  <div
+                    key={`${expense.groupId}-${expense.id}`}
+                    className="activity-history-card"
+                    onClick={() => navigate(`/groups/${expense.groupId}`)}
+                    role="button"
+                    tabIndex={0}
+                    onKeyPress={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        navigate(`/groups/${expense.groupId}`)
+                      }
+                    }}
+                  >
+                    <div className="history-card-left">
+                      <div
+                        className="history-card-icon"
+                        style={{ backgroundColor: `${category.color}33` }}
+                        title={category.label}
+                      >
+                        {category.icon}
+                      </div>
+                      <div className="history-card-info">
+                        <p className="history-card-title">{expense.description}</p>
+                        <p className="history-card-meta">
+                          {expense.groupName} • {formatDate(expense.date || expense.created)}
+                        </p>
+                      </div>
                     </div>
-                    <div className="history-card-info">
-                      <p className="history-card-title">{expense.description}</p>
-                      <p className="history-card-meta">
-                        {expense.groupName} • {formatDate(expense.date || expense.created)}
-                      </p>
+                    <div className="history-card-amount">
+                      {formatCurrency(expense.amount)}
                     </div>
                   </div>
-                  <div className="history-card-amount">
-                    {formatCurrency(expense.amount)}
-                  </div>
-                </div>
-              ))}
+                )
+              })}
             </div>
 
             {/* Result count */}
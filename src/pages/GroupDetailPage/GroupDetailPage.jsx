@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { ref, onValue } from 'firebase/database'
 import { rtdb } from '../../firebase'
@@ -6,10 +6,17 @@ import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from '../../hooks/useTranslation'
 import { getDisplayName, getMemberDisplayName } from '../../utils/displayNameHelper'
 import { debugLog, debugError } from '../../utils/debug'
-import { updateGroupLastActivity } from '../../services/groupService'
-import { deleteExpense, calculateSettlements, deleteSettlementRecord } from '../../services/expenseService'
-import { AddMemberModal, InviteModal, MembersList, LoadingSpinner, HeaderControls, AddExpenseModal, ConfirmationModal, SettlementView, SettlementRecordModal, SettlementHistory } from '../../components'
-import { BiUndo, BiPlus, BiMoney, BiX, BiLock, BiShare, BiReceipt, BiChevronDown, BiTrash } from 'react-icons/bi';
+import { getPaymentMethodList } from '../../utils/paymentMethods'
+import { getMinorUnits } from '../../utils/currencies'
+import { buildExpensesCsv, buildGroupJson, buildExportFileName, downloadTextFile } from '../../utils/exporters'
+import { getCategoryInfo, getCategoryList } from '../../utils/categories'
+import { updateGroupLastActivity, syncMemberPaymentMethods } from '../../services/groupService'
+import { deleteExpense, calculateSettlements, deleteSettlementRecord, restoreFromTrash, purgeExpiredTrash } from '../../services/expenseService'
+import { materializeDueRecurringExpenses } from '../../services/recurringExpenseService'
+import { getUnreadCommentCounts, subscribeToGroupComments } from '../../services/commentService'
+import { subscribeToActivityLog } from '../../services/activityLogService'
+import { AddMemberModal, InviteModal, MembersList, LoadingSpinner, HeaderControls, AddExpenseModal, ConfirmationModal, SettlementView, SettlementRecordModal, SettlementHistory, ImportExpensesModal, ExpenseComments, ActivityHistory, UndoToast, BudgetProgress, GroupStatistics } from '../../components'
+import { BiUndo, BiPlus, BiMoney, BiX, BiLock, BiShare, BiReceipt, BiChevronDown, BiTrash, BiEdit, BiDownload, BiUpload, BiRepeat, BiComment, BiHistory, BiBarChartAlt2, BiFilterAlt } from 'react-icons/bi';
 import './GroupDetailPage.css'
 
 function GroupDetailPage({ onLogout }) {
@@ -26,10 +33,15 @@ function GroupDetailPage({ onLogout }) {
   const [showAddMemberModal, setShowAddMemberModal] = useState(false)
   const [showInviteModal, setShowInviteModal] = useState(false)
   const [showAddExpenseModal, setShowAddExpenseModal] = useState(false)
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [editingExpense, setEditingExpense] = useState(null)
   const [showSettlementRecordModal, setShowSettlementRecordModal] = useState(false)
   const [editingSettlementRecord, setEditingSettlementRecord] = useState(null)
   const [activeTab, setActiveTab] = useState('members')
+  const [settlementMethod, setSettlementMethod] = useState('greedy')
   const [expandedExpense, setExpandedExpense] = useState(null)
+  // Expenses tab category filter ('all' or a category key / custom category ID)
+  const [categoryFilter, setCategoryFilter] = useState('all')
   const [expenseToDelete, setExpenseToDelete] = useState(null)
   const [isDeleting, setIsDeleting] = useState(false)
   const [settlementRecords, setSettlementRecords] = useState([])
@@ -42,6 +54,10 @@ function GroupDetailPage({ onLogout }) {
     settlementId: null,
     isLoading: false
   })
+  const [undoToast, setUndoToast] = useState({ message: '', recordId: null, isUndoing: false })
+  // Kept outside the group node, so listened to separately
+  const [activityLog, setActivityLog] = useState({})
+  const [groupComments, setGroupComments] = useState({ comments: {}, reads: {} })
 
   // Fetch group details
   useEffect(() => {
@@ -56,6 +72,14 @@ function GroupDetailPage({ onLogout }) {
       updateGroupLastActivity(groupId, user.uid).catch(err => {
         debugLog('Failed to update group activity (non-critical)', err)
       })
+
+      // Recurring expenses that fell due since the group was last opened
+      materializeDueRecurringExpenses(groupId).catch(err => {
+        debugLog('Failed to create recurring expenses (non-critical)', err)
+      })
+
+      // Trash entries past the group's retention period
+      purgeExpiredTrash(groupId)
     }
 
     const groupRef = ref(rtdb, `groups/${groupId}`)
@@ -91,6 +115,17 @@ function GroupDetailPage({ onLogout }) {
     return () => unsubscribe()
   }, [groupId, user?.uid])
 
+  // Keep the current user's payment methods on their member entry up to date
+  const myMember = group?.members?.[user?.uid]
+  const myStoredMethods = getPaymentMethodList(myMember?.paymentMethods).sort().join(',')
+  const myProfileMethods = getPaymentMethodList(userProfile?.paymentMethods).sort().join(',')
+  useEffect(() => {
+    if (!groupId || !user?.uid || !userProfile || !myMember || myMember.status === 'removed') return
+    if (myStoredMethods === myProfileMethods) return
+
+    syncMemberPaymentMethods(groupId, user.uid, userProfile?.paymentMethods || null)
+  }, [groupId, user?.uid, userProfile, myMember, myStoredMethods, myProfileMethods])
+
   // Load settlement records with real-time listening
   useEffect(() => {
     if (!groupId) return
@@ -123,13 +158,38 @@ function GroupDetailPage({ onLogout }) {
     return () => unsubscribe()
   }, [groupId])
 
+  // Activity log and comment threads with real-time listening
+  useEffect(() => {
+    if (!groupId) return
+
+    return subscribeToActivityLog(groupId, setActivityLog)
+  }, [groupId])
+
+  useEffect(() => {
+    if (!groupId || !user?.uid) return
+
+    return subscribeToGroupComments(groupId, user.uid, setGroupComments)
+  }, [groupId, user?.uid])
+
   const isOwner = group && group.owner === user?.uid
   const isGroupMember = group && members && (user?.uid in members)
   const hasPermission = isOwner || isGroupMember
   const userRole = group && members && members[user?.uid]?.role
   const isAdmin = userRole === 'admin'
   const expenseCount = group?.expenses ? Object.keys(group.expenses).length : 0
+  const visibleExpenses = Object.entries(group?.expenses || {}).filter(([, expense]) =>
+    categoryFilter === 'all' || getCategoryInfo(expense.category, group?.customCategories, t).id === categoryFilter
+  )
+  // Comments by others the current user has not seen yet, per expense
+  const unreadCommentCounts = useMemo(
+    () => getUnreadCommentCounts(group?.expenses, groupComments.comments, groupComments.reads, user?.uid),
+    [group?.expenses, groupComments, user?.uid]
+  )
+  const totalUnreadComments = Object.values(unreadCommentCounts).reduce((sum, count) => sum + count, 0)
   const totalAmount = group?.summary?.totalExpenses || 0
+  // Multi-currency groups keep totals for expenses in other currencies separately
+  const otherCurrencyTotals = Object.entries(group?.summary?.currencyTotals || {})
+    .filter(([, total]) => total > 0)
 
   // Calculate settlements only when needed (settlement tab or modal open)
   // Split into two useMemo to avoid unnecessary recalculations
@@ -137,9 +197,9 @@ function GroupDetailPage({ onLogout }) {
     if (!group || activeTab !== 'settlement') {
       return []
     }
-    debugLog('Calculating settlements for settlement tab', { activeTab })
-    return calculateSettlements(group)
-  }, [group, activeTab])
+    debugLog('Calculating settlements for settlement tab', { activeTab, settlementMethod })
+    return calculateSettlements(group, settlementMethod)
+  }, [group, activeTab, settlementMethod])
 
   // Settlements for modal (only calculated when modal is open)
   const settlementsForModal = useMemo(() => {
@@ -147,11 +207,11 @@ function GroupDetailPage({ onLogout }) {
       return []
     }
     debugLog('Calculating settlements for settlement record modal', { showSettlementRecordModal })
-    return calculateSettlements(group)
-  }, [group, showSettlementRecordModal])
+    return calculateSettlements(group, settlementMethod)
+  }, [group, showSettlementRecordModal, settlementMethod])
 
-  // Check if current user can delete an expense
-  const canDeleteExpense = (expense) => {
+  // Check if current user can edit or delete an expense
+  const canManageExpense = (expense) => {
     if (isOwner) return true
     if (expense.createdBy === user?.uid) return true
     if (isAdmin) return true
@@ -163,6 +223,33 @@ function GroupDetailPage({ onLogout }) {
     setShowAddMemberModal(false)
   }
 
+  // Export is generated client-side from the live group snapshot
+  const handleExport = (format) => {
+    if (!group) return
+
+    try {
+      if (format === 'csv') {
+        downloadTextFile(buildExpensesCsv(group), buildExportFileName(group.name, 'csv'), 'text/csv')
+      } else {
+        downloadTextFile(buildGroupJson(group, groupId), buildExportFileName(group.name, 'json'), 'application/json')
+      }
+      debugLog('Group exported', { groupId, format })
+    } catch (err) {
+      debugError('Error exporting group', err)
+      setError(t('groupDetail.exportError') || 'Failed to export group data')
+    }
+  }
+
+  const handleEditExpense = (expenseId, expense) => {
+    setEditingExpense({ id: expenseId, ...expense })
+    setShowAddExpenseModal(true)
+  }
+
+  const handleCloseExpenseModal = () => {
+    setShowAddExpenseModal(false)
+    setEditingExpense(null)
+  }
+
   const handleDeleteExpense = (expenseId, expense) => {
     setConfirmModal({
       isOpen: true,
@@ -177,7 +264,7 @@ function GroupDetailPage({ onLogout }) {
     setConfirmModal(prev => ({ ...prev, isLoading: true }))
 
     try {
-      await deleteExpense(groupId, expenseId, expense)
+      await deleteExpense(groupId, expenseId, expense, user.uid)
       setExpandedExpense(null)
       setConfirmModal({
         isOpen: false,
@@ -185,6 +272,11 @@ function GroupDetailPage({ onLogout }) {
         expense: null,
         isLoading: false
       })
+      setUndoToast({
+        message: t('trash.expenseDeleted') || 'Expense moved to trash',
+        recordId: expenseId,
+        isUndoing: false
+      })
       debugLog('Expense deleted successfully', { expenseId })
     } catch (err) {
       debugError('Error deleting expense', err)
@@ -229,8 +321,13 @@ function GroupDetailPage({ onLogout }) {
 
     try {
       setConfirmModal(prev => ({ ...prev, isLoading: true }))
-      await deleteSettlementRecord(groupId, recordId)
-      
+      await deleteSettlementRecord(groupId, recordId, user.uid)
+      setUndoToast({
+        message: t('trash.settlementDeleted') || 'Payment record moved to trash',
+        recordId,
+        isUndoing: false
+      })
+
       // Settlement records will be updated automatically via real-time listener
       debugLog('Settlement record deleted', { recordId })
     } catch (err) {
@@ -246,10 +343,36 @@ function GroupDetailPage({ onLogout }) {
     }
   }
 
-  const formatCurrency = (amount) => {
+  const handleUndoDelete = async () => {
+    setUndoToast(prev => ({ ...prev, isUndoing: true }))
+
+    try {
+      await restoreFromTrash(groupId, undoToast.recordId, user.uid)
+      debugLog('Deletion undone', { recordId: undoToast.recordId })
+      setUndoToast({ message: '', recordId: null, isUndoing: false })
+    } catch (err) {
+      debugError('Error undoing deletion', err)
+      // Shown in the toast: the page itself is still fine
+      setUndoToast({
+        message: err.message || t('trash.restoreError') || 'Failed to restore',
+        recordId: null,
+        isUndoing: false,
+        isError: true
+      })
+    }
+  }
+
+  const handleDismissUndo = useCallback(() => {
+    setUndoToast({ message: '', recordId: null, isUndoing: false })
+  }, [])
+
+  const formatCurrency = (amount, currency = group?.currency) => {
+    const minorUnits = getMinorUnits(currency || 'USD')
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: group?.currency || 'USD'
+      currency: currency || 'USD',
+      minimumFractionDigits: minorUnits,
+      maximumFractionDigits: minorUnits
     }).format(amount || 0)
   }
 
@@ -418,6 +541,13 @@ function GroupDetailPage({ onLogout }) {
                 <BiMoney className="summary-icon" />
                 <span>{formatCurrency(totalAmount)}</span>
               </div>
+              {otherCurrencyTotals.length > 0 && (
+                <div className="summary-other-currencies">
+                  {otherCurrencyTotals.map(([currency, total]) => (
+                    <span key={currency}>+ {formatCurrency(total, currency)}</span>
+                  ))}
+                </div>
+              )}
             </div>
             <div className="summary-item">
               <span className="summary-label">{t('groupDetail.transactions')}</span>
@@ -430,6 +560,14 @@ function GroupDetailPage({ onLogout }) {
           </div>
         </section>
 
+        {/* Budget progress (when the group has a budget) */}
+        <BudgetProgress
+          budget={group?.budget}
+          summary={group?.summary}
+          currency={group?.currency}
+          customCategories={group?.customCategories}
+        />
+
         {/* Action Buttons */}
         <section className="group-actions">
           <button
@@ -454,6 +592,31 @@ function GroupDetailPage({ onLogout }) {
           >
             {t('groupDetail.settings')}
           </button>
+          <div className="export-actions">
+            {isOwner && (
+              <button
+                className="action-btn secondary"
+                onClick={() => setShowImportModal(true)}
+              >
+                <BiUpload />
+                {t('groupDetail.importCsv') || 'Import CSV'}
+              </button>
+            )}
+            <button
+              className="action-btn secondary"
+              onClick={() => handleExport('csv')}
+            >
+              <BiDownload />
+              {t('groupDetail.exportCsv') || 'Export CSV'}
+            </button>
+            <button
+              className="action-btn secondary"
+              onClick={() => handleExport('json')}
+            >
+              <BiDownload />
+              {t('groupDetail.exportJson') || 'Export JSON'}
+            </button>
+          </div>
         </section>
 
         {/* Group Info */}
@@ -479,6 +642,11 @@ function GroupDetailPage({ onLogout }) {
             >
               <BiReceipt className="tab-icon" />
               <span>{t('groupDetail.expenses') || 'Expenses'}</span>
+              {totalUnreadComments > 0 && (
+                <span className="tab-badge" title={t('comments.unread', { count: totalUnreadComments }) || `${totalUnreadComments} unread comment(s)`}>
+                  {totalUnreadComments}
+                </span>
+              )}
             </button>
             <button 
               className={`tab-button ${activeTab === 'settlement' ? 'active' : ''}`}
@@ -487,6 +655,20 @@ function GroupDetailPage({ onLogout }) {
               <BiMoney className="tab-icon" />
               <span>{t('groupDetail.settlement') || 'Settlement'}</span>
             </button>
+            <button 
+              className={`tab-button ${activeTab === 'statistics' ? 'active' : ''}`}
+              onClick={() => setActiveTab('statistics')}
+            >
+              <BiBarChartAlt2 className="tab-icon" />
+              <span>{t('groupDetail.statistics') || 'Statistics'}</span>
+            </button>
+            <button 
+              className={`tab-button ${activeTab === 'history' ? 'active' : ''}`}
+              onClick={() => setActiveTab('history')}
+            >
+              <BiHistory className="tab-icon" />
+              <span>{t('groupDetail.history') || 'History'}</span>
+            </button>
           </div>
 
           {/* Members Tab */}
@@ -505,13 +687,31 @@ function GroupDetailPage({ onLogout }) {
           {activeTab === 'expenses' && (
             <div className="tab-content expenses-tab">
               <div className="expenses-content">
-                {expenseCount > 0 ? (
+                {expenseCount > 0 && (
+                  <div className="expense-filter-bar">
+                    <BiFilterAlt className="expense-filter-icon" />
+                    <select
+                      className="expense-filter-select"
+                      value={categoryFilter}
+                      onChange={(e) => setCategoryFilter(e.target.value)}
+                      aria-label={t('expense.filterByCategory') || 'Filter by category'}
+                    >
+                      <option value="all">{t('expense.allCategories') || 'All categories'}</option>
+                      {getCategoryList(group?.customCategories).map((category) => {
+                        const info = getCategoryInfo(category, group?.customCategories, t)
+                        return <option key={category} value={category}>{info.icon} {info.label}</option>
+                      })}
+                    </select>
+                  </div>
+                )}
+                {visibleExpenses.length > 0 ? (
                   <div className="expense-list">
-                    {group?.expenses && Object.entries(group.expenses).map(([expenseId, expense]) => {
+                    {visibleExpenses.map(([expenseId, expense]) => {
                       const payerIds = Object.keys(expense.payers || {})
                       const participantIds = expense.participants || []
                       const expenseDate = expense.date ? new Date(expense.date).toLocaleDateString(currentLanguage === 'zh-HK' ? 'zh-HK' : 'en-US') : ''
                       const isExpanded = expandedExpense === expenseId
+                      const categoryInfo = getCategoryInfo(expense.category, group?.customCategories, t)
                       
                       return (
                         <div 
@@ -556,7 +756,32 @@ function GroupDetailPage({ onLogout }) {
                                 </div>
                                 <div className="overview-meta">
                                   <span className="meta-date">{expenseDate}</span>
-                                  <span className="meta-category">{t(`expense.category.${expense.category}`) || expense.category}</span>
+                                  <span
+                                    className="meta-category"
+                                    style={{ color: categoryInfo.color, backgroundColor: `${categoryInfo.color}1f` }}
+                                  >
+                                    {categoryInfo.icon} {categoryInfo.label}
+                                  </span>
+                                  {expense.receipts?.length > 0 && (
+                                    <span className="meta-receipts" title={t('groupDetail.receipts') || 'Receipts'}>
+                                      <BiReceipt /> {expense.receipts.length}
+                                    </span>
+                                  )}
+                                  {groupComments.comments[expenseId] && (
+                                    <span
+                                      className={`meta-comments ${unreadCommentCounts[expenseId] ? 'unread' : ''}`}
+                                      title={unreadCommentCounts[expenseId]
+                                        ? (t('comments.unread', { count: unreadCommentCounts[expenseId] }) || `${unreadCommentCounts[expenseId]} unread comment(s)`)
+                                        : (t('comments.title') || 'Comments')}
+                                    >
+                                      <BiComment /> {Object.keys(groupComments.comments[expenseId]).length}
+                                    </span>
+                                  )}
+                                  {expense.recurringExpenseId && (
+                                    <span className="meta-recurring" title={t('recurring.title') || 'Recurring Expenses'}>
+                                      <BiRepeat />
+                                    </span>
+                                  )}
                                 </div>
                               </div>
                             </div>
@@ -564,7 +789,7 @@ function GroupDetailPage({ onLogout }) {
                             <div className="overview-right">
                               <div className="amount-and-avatars">
                                 <div className="expense-amount-compact">
-                                  {formatCurrency(expense.amount)}
+                                  {formatCurrency(expense.amount, expense.currency)}
                                 </div>
                                 
                                 {/* Participant Avatars Stack */}
@@ -599,7 +824,7 @@ function GroupDetailPage({ onLogout }) {
                                             <span className="pill-you-badge">{t('member.you') || 'You'}</span>
                                           )}
                                         </div>
-                                        <span className="pill-amount">{formatCurrency(expense.payers[payerId]?.amount)}</span>
+                                        <span className="pill-amount">{formatCurrency(expense.payers[payerId]?.amount, expense.currency)}</span>
                                       </div>
                                     ))}
                                   </div>
@@ -624,13 +849,52 @@ function GroupDetailPage({ onLogout }) {
                                       {Object.entries(expense.splitDetails).map(([memberId, amount]) => (
                                         <div key={memberId} className="detail-pill payment">
                                           <span className="pill-name">{getMemberDisplayName(members[memberId]) || 'Unknown'} {t('groupDetail.owes') || 'owes'}</span>
-                                          <span className="pill-amount">{formatCurrency(amount)}</span>
+                                          <span className="pill-amount">{formatCurrency(amount, expense.currency)}</span>
                                         </div>
                                       ))}
                                     </div>
                                   </div>
                                 )}
 
+                                {/* Receipt Items - Shown for itemized splits */}
+                                {expense.splitMethod === 'itemized' && expense.items?.length > 0 && (
+                                  <div className="details-group">
+                                    <div className="group-label">{t('groupDetail.receiptItems') || 'Receipt Items'}</div>
+                                    <div className="details-pills">
+                                      {expense.items.map((item, index) => (
+                                        <div key={index} className="detail-pill item">
+                                          <span className="pill-name">
+                                            {item.name || `#${index + 1}`} · {(item.assignees || []).map((memberId) => members[memberId]?.name || 'Unknown').join(', ')}
+                                          </span>
+                                          <span className="pill-amount">
+                                            {Number(item.price || 0).toFixed(getMinorUnits(expense.originalCurrency || expense.currency || group?.currency))} {expense.originalCurrency || expense.currency || group?.currency}
+                                          </span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Receipt Photos */}
+                                {expense.receipts?.length > 0 && (
+                                  <div className="details-group">
+                                    <div className="group-label">{t('groupDetail.receipts') || 'Receipts'}</div>
+                                    <div className="receipt-thumbnails">
+                                      {expense.receipts.map((receipt) => (
+                                        <a
+                                          key={receipt.path}
+                                          href={receipt.url}
+                                          target="_blank"
+                                          rel="noopener noreferrer"
+                                          className="receipt-thumbnail"
+                                        >
+                                          <img src={receipt.url} alt={receipt.name || 'Receipt'} loading="lazy" />
+                                        </a>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
                                 {expense.location && (
                                   <div className="details-group">
                                     <div className="group-label">{t('groupDetail.location') || 'Location'}</div>
@@ -639,9 +903,26 @@ function GroupDetailPage({ onLogout }) {
                                 )}
                               </div>
 
-                              {/* Delete Button */}
-                              {canDeleteExpense(expense) && (
+                              <ExpenseComments
+                                groupId={groupId}
+                                expenseId={expenseId}
+                                currentUserId={user?.uid}
+                                currentUserName={getMemberDisplayName(members[user?.uid]) || getDisplayName(userProfile, user)}
+                                canModerate={isOwner || isAdmin}
+                              />
+
+                              {/* Edit and Delete Buttons */}
+                              {canManageExpense(expense) && (
                                 <div className="expense-actions">
+                                  <button
+                                    className="btn-edit-expense"
+                                    onClick={() => handleEditExpense(expenseId, expense)}
+                                    disabled={isDeleting}
+                                    title="Edit this expense"
+                                  >
+                                    <BiEdit size={16} />
+                                    <span>{t('common.edit') || 'Edit'}</span>
+                                  </button>
                                   <button
                                     className="btn-delete-expense"
                                     onClick={() => handleDeleteExpense(expenseId, expense)}
@@ -662,7 +943,11 @@ function GroupDetailPage({ onLogout }) {
                 ) : (
                   <div className="empty-state">
                     <BiReceipt className="empty-icon" />
-                    <p>{t('groupDetail.noExpenses') || 'No expenses yet'}</p>
+                    <p>
+                      {expenseCount > 0
+                        ? (t('expense.noExpensesInCategory') || 'No expenses in this category')
+                        : (t('groupDetail.noExpenses') || 'No expenses yet')}
+                    </p>
                   </div>
                 )}
               </div>
@@ -685,6 +970,32 @@ function GroupDetailPage({ onLogout }) {
                 isLoading={isLoadingSettlements}
                 isOwner={isOwner}
                 isAdmin={isAdmin}
+                settlementMethod={settlementMethod}
+                onSettlementMethodChange={setSettlementMethod}
+              />
+            </div>
+          )}
+
+          {/* Statistics Tab */}
+          {activeTab === 'statistics' && (
+            <div className="tab-content statistics-tab">
+              <GroupStatistics
+                group={group}
+                members={members}
+                currency={group?.currency}
+              />
+            </div>
+          )}
+
+          {/* History Tab */}
+          {activeTab === 'history' && (
+            <div className="tab-content history-tab">
+              <ActivityHistory
+                activityLog={activityLog}
+                members={members}
+                customCategories={group?.customCategories}
+                groupCurrency={group?.currency}
+                currentUserId={user?.uid}
               />
             </div>
           )}
@@ -699,6 +1010,17 @@ function GroupDetailPage({ onLogout }) {
           onMemberAdded={handleAddMember}
         />
 
+        {/* Import Expenses Modal */}
+        <ImportExpensesModal
+          isOpen={showImportModal}
+          onClose={() => setShowImportModal(false)}
+          groupId={groupId}
+          groupMembers={members}
+          groupCurrency={group?.currency}
+          customCategories={group?.customCategories}
+          onImported={() => setActiveTab('expenses')}
+        />
+
         {/* Invite Modal */}
         <InviteModal
           isOpen={showInviteModal}
@@ -709,14 +1031,16 @@ function GroupDetailPage({ onLogout }) {
         {/* Add Expense Modal */}
         <AddExpenseModal
           isOpen={showAddExpenseModal}
-          onClose={() => setShowAddExpenseModal(false)}
+          onClose={handleCloseExpenseModal}
           groupId={groupId}
           groupMembers={members}
           groupCurrency={group?.currency}
+          multiCurrency={Boolean(group?.multiCurrency)}
+          customCategories={group?.customCategories}
+          groupExpenses={group?.expenses}
           currentUserId={user?.uid}
-          onExpenseCreated={() => {
-            setShowAddExpenseModal(false)
-          }}
+          editingExpense={editingExpense}
+          onExpenseCreated={handleCloseExpenseModal}
         />
 
         {/* Settlement Record Modal */}
@@ -729,6 +1053,7 @@ function GroupDetailPage({ onLogout }) {
           groupId={groupId}
           groupMembers={members}
           groupCurrency={group?.currency}
+          currencies={Object.keys(group?.summary?.currencyBalances || {})}
           currentUserId={user?.uid}
           onSettlementRecorded={handleSettlementRecorded}
           settlements={settlementsForModal}
@@ -745,8 +1070,8 @@ function GroupDetailPage({ onLogout }) {
           }
           message={
             confirmModal.type === 'settlement'
-              ? t('settlement.deleteMessage') || 'Are you sure you want to delete this payment record? This action cannot be undone.'
-              : t('groupDetail.deleteExpenseMessage') || 'Are you sure you want to delete this expense? This action cannot be undone.'
+              ? t('settlement.deleteMessage') || 'This payment record will be moved to the trash and its balances reverted. You can restore it from Group Settings.'
+              : t('groupDetail.deleteExpenseMessage') || 'This expense will be moved to the trash and its balances reverted. You can restore it from Group Settings.'
           }
           confirmText={t('groupDetail.deleteButton') || 'Delete'}
           cancelText={t('common.cancel') || 'Cancel'}
@@ -756,6 +1081,16 @@ function GroupDetailPage({ onLogout }) {
           onCancel={handleCancelDeleteExpense}
         />
 
+        <UndoToast
+          message={undoToast.message}
+          undoText={t('trash.undo') || 'Undo'}
+          closeLabel={t('common.close') || 'Close'}
+          isUndoing={undoToast.isUndoing}
+          isError={undoToast.isError}
+          onUndo={handleUndoDelete}
+          onDismiss={handleDismissUndo}
+        />
+
         <div className="content-footer"></div>
       </main>
     </div>
@@ -6,11 +6,24 @@ import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from '../../hooks/useTranslation'
 import { getDisplayName } from '../../utils/displayNameHelper'
 import { debugLog, debugError } from '../../utils/debug'
-import { leaveGroup, deleteGroup, updateGroupInfo } from '../../services/groupService'
-import { HeaderControls, LoadingSpinner, ConfirmationModal, MemberManagement } from '../../components'
-import { BiUndo, BiX } from 'react-icons/bi'
+import { formatCurrency } from '../../utils/formatters'
+import { getOutstandingBalances } from '../../utils/ledger'
+import { getCategoryInfo, getCategoryList } from '../../utils/categories'
+import { leaveGroup, deleteGroup, updateGroupInfo, updateGroupBudget, rebuildGroupSummary, changeGroupCurrency } from '../../services/groupService'
+import { getExchangeRate } from '../../services/currencyService'
+import { calculateSettlements, subscribeToTrash, DEFAULT_TRASH_RETENTION_DAYS } from '../../services/expenseService'
+import { HeaderControls, LoadingSpinner, ConfirmationModal, MemberManagement, CurrencyOptions, RecurringExpenseList, TrashBin, CategoryManager } from '../../components'
+import { BiUndo, BiX, BiLoader } from 'react-icons/bi'
 import './GroupSettingsPage.css'
 
+// Budget limits as editable strings
+const toBudgetForm = (budget) => ({
+  total: budget?.total ? String(budget.total) : '',
+  categories: Object.fromEntries(
+    Object.entries(budget?.categories || {}).map(([category, limit]) => [category, String(limit)])
+  )
+})
+
 function GroupSettingsPage({ onLogout }) {
   const { groupId } = useParams()
   const navigate = useNavigate()
@@ -27,7 +40,7 @@ function GroupSettingsPage({ onLogout }) {
   const [successMessage, setSuccessMessage] = useState('')
   const [confirmModal, setConfirmModal] = useState({
     isOpen: false,
-    type: null, // 'leave' or 'delete'
+    type: null, // 'leave', 'delete', 'rebuild' or 'currency'
     isLoading: false
   })
 
@@ -35,15 +48,36 @@ function GroupSettingsPage({ onLogout }) {
   const [formData, setFormData] = useState({
     groupName: '',
     currency: '',
+    multiCurrency: false,
     description: '',
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
     memberName: ''
   })
 
+  // Budget limits as typed, in the group currency; blank means no limit
+  const [budgetForm, setBudgetForm] = useState({ total: '', categories: {} })
+  const [isSavingBudget, setIsSavingBudget] = useState(false)
+
+  // Rate for re-valuing the history when the owner picks a new base currency
+  const [currencyRate, setCurrencyRate] = useState('')
+  const [isFetchingRate, setIsFetchingRate] = useState(false)
+
+  // Trash is kept outside the group node, so listened to separately
+  const [trash, setTrash] = useState({})
+
   // Check if current user is owner or admin
-  const isOwner = group?.createdBy === user?.uid
+  const isOwner = group?.owner === user?.uid
   const userRole = memberData?.role
   const isAdmin = userRole === 'admin'
   const canManage = isOwner || isAdmin
+  const isChangingCurrency = Boolean(group?.currency) && formData.currency !== group.currency
+
+  // Outstanding balances (one per currency in multi-currency groups) must be settled before leaving the group
+  const myBalances = getOutstandingBalances(group?.summary, group?.currency, user?.uid)
+  const hasOutstandingBalance = myBalances.length > 0
+  const mySettlements = hasOutstandingBalance
+    ? calculateSettlements(group).filter((s) => s.from === user?.uid || s.to === user?.uid)
+    : []
 
   // Fetch group and member data
   useEffect(() => {
@@ -67,9 +101,12 @@ function GroupSettingsPage({ onLogout }) {
             setFormData({
               groupName: groupData.name || '',
               currency: groupData.currency || 'USD',
+              multiCurrency: Boolean(groupData.multiCurrency),
               description: groupData.description || '',
+              trashRetentionDays: groupData.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS,
               memberName: groupData.members?.[user.uid]?.name || ''
             })
+            setBudgetForm(toBudgetForm(groupData.budget))
             isInitializedRef.current = true
           }
 
@@ -92,6 +129,12 @@ function GroupSettingsPage({ onLogout }) {
     return () => unsubscribeGroup()
   }, [groupId, user?.uid])
 
+  useEffect(() => {
+    if (!groupId || !user?.uid) return
+
+    return subscribeToTrash(groupId, setTrash)
+  }, [groupId, user?.uid])
+
   const handleSaveGroupSettings = async () => {
     if (!canManage) {
       setError(t('groupSettings.adminOrOwnerRequired') || 'Only group owner or admin can change settings')
@@ -116,7 +159,12 @@ function GroupSettingsPage({ onLogout }) {
         hasUpdates = true
       }
 
-      // Currency is locked and cannot be changed after group creation
+      // The base currency is changed separately by the owner (handleChangeCurrency), since it re-values the history
+      // Multi-currency only affects new expenses; existing ones keep the currency they were recorded in
+      if (Boolean(group?.multiCurrency) !== formData.multiCurrency) {
+        updates.multiCurrency = formData.multiCurrency
+        hasUpdates = true
+      }
 
       // Update description (always update if present)
       if (typeof formData.description === 'string' || typeof formData.description === 'undefined') {
@@ -124,6 +172,18 @@ function GroupSettingsPage({ onLogout }) {
         hasUpdates = true
       }
 
+      // Deleted items are purged automatically after this many days
+      const trashRetentionDays = Number(formData.trashRetentionDays)
+      if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 1 || trashRetentionDays > 365) {
+        setError(t('groupSettings.trashRetentionInvalid') || 'Keep deleted items for 1 to 365 days')
+        setIsSavingSettings(false)
+        return
+      }
+      if (trashRetentionDays !== (group?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS)) {
+        updates.trashRetentionDays = trashRetentionDays
+        hasUpdates = true
+      }
+
       // Check if there are any updates
       if (!hasUpdates || Object.keys(updates).length === 0) {
         setError(t('groupSettings.noChanges') || 'No changes to save')
@@ -149,6 +209,40 @@ function GroupSettingsPage({ onLogout }) {
     }
   }
 
+  const handleSaveBudget = async () => {
+    if (!canManage) {
+      setError(t('groupSettings.adminOrOwnerRequired') || 'Only group owner or admin can change settings')
+      return
+    }
+
+    const limits = [budgetForm.total, ...Object.values(budgetForm.categories)].filter((value) => String(value).trim() !== '')
+    if (limits.some((value) => !(parseFloat(value) > 0))) {
+      setError(t('budget.invalidAmount') || 'Budget amounts must be greater than zero')
+      return
+    }
+
+    setIsSavingBudget(true)
+    setError('')
+    setSuccessMessage('')
+
+    try {
+      const result = await updateGroupBudget(groupId, user.uid, budgetForm)
+      setBudgetForm(toBudgetForm(result.budget))
+
+      debugLog('Group budget saved', { groupId, budget: result.budget })
+      setSuccessMessage(t('budget.saved') || 'Budget saved!')
+
+      setTimeout(() => {
+        setSuccessMessage('')
+      }, 3000)
+    } catch (err) {
+      debugError('Error saving group budget', err)
+      setError(err.message || t('budget.saveError') || 'Error saving budget')
+    } finally {
+      setIsSavingBudget(false)
+    }
+  }
+
   const handleSaveMemberName = async () => {
     setIsSavingMemberName(true)
     setError('')
@@ -223,10 +317,128 @@ function GroupSettingsPage({ onLogout }) {
     }
   }
 
+  const handleRebuildSummary = () => {
+    setConfirmModal({ isOpen: true, type: 'rebuild', isLoading: false })
+  }
+
+  const handleConfirmRebuildSummary = async () => {
+    setConfirmModal((prev) => ({ ...prev, isLoading: true }))
+    setError('')
+    setSuccessMessage('')
+
+    try {
+      const result = await rebuildGroupSummary(groupId, user.uid)
+      debugLog('Group summary rebuilt', { groupId, corrected: result.correctedBalances.length })
+      setConfirmModal({ isOpen: false, type: null, isLoading: false })
+
+      const correctedCount = result.correctedBalances.length
+      setSuccessMessage(
+        correctedCount > 0
+          ? (t('groupSettings.rebuildCorrected', { count: correctedCount }) || `Summary rebuilt. ${correctedCount} balance(s) corrected.`)
+          : (t('groupSettings.rebuildNoDrift') || 'Summary rebuilt. All balances were already correct.')
+      )
+
+      setTimeout(() => {
+        setSuccessMessage('')
+      }, 3000)
+    } catch (err) {
+      debugError('Error rebuilding group summary', err)
+      setError(err.message || t('groupSettings.rebuildError') || 'Error rebuilding summary')
+      setConfirmModal((prev) => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  const handleCurrencySelect = (e) => {
+    setFormData({ ...formData, currency: e.target.value })
+    setCurrencyRate('')
+  }
+
+  const handleFetchCurrencyRate = async () => {
+    setIsFetchingRate(true)
+    setError('')
+
+    try {
+      const result = await getExchangeRate(group.currency, formData.currency)
+      if (result) {
+        setCurrencyRate(String(result.rate))
+      } else {
+        setError(t('groupSettings.currencyRateFetchFailed') || 'Could not fetch the exchange rate. Please enter it manually.')
+      }
+    } finally {
+      setIsFetchingRate(false)
+    }
+  }
+
+  const handleChangeCurrency = () => {
+    if (!(parseFloat(currencyRate) > 0)) {
+      setError(t('groupSettings.currencyRateRequired') || 'Please enter a valid exchange rate')
+      return
+    }
+
+    setConfirmModal({ isOpen: true, type: 'currency', isLoading: false })
+  }
+
+  const handleConfirmChangeCurrency = async () => {
+    setConfirmModal((prev) => ({ ...prev, isLoading: true }))
+    setError('')
+    setSuccessMessage('')
+
+    try {
+      const result = await changeGroupCurrency(groupId, user.uid, formData.currency, parseFloat(currencyRate))
+      debugLog('Group currency changed', { groupId, toCurrency: result.toCurrency })
+      setConfirmModal({ isOpen: false, type: null, isLoading: false })
+      setCurrencyRate('')
+      setSuccessMessage(
+        t('groupSettings.currencyChanged', { currency: result.toCurrency, count: result.expenseCount + result.settlementCount }) ||
+        `Currency changed to ${result.toCurrency}. ${result.expenseCount + result.settlementCount} record(s) converted.`
+      )
+
+      setTimeout(() => {
+        setSuccessMessage('')
+      }, 3000)
+    } catch (err) {
+      debugError('Error changing group currency', err)
+      setError(err.message || t('groupSettings.currencyChangeError') || 'Error changing currency')
+      setConfirmModal((prev) => ({ ...prev, isLoading: false }))
+    }
+  }
+
   const handleConfirmModalCancel = () => {
     setConfirmModal({ isOpen: false, type: null, isLoading: false })
   }
 
+  const confirmModalContent = {
+    leave: {
+      title: t('groupSettings.confirmLeaveTitle') || 'Leave Group?',
+      message: t('groupSettings.confirmLeaveMessage') || 'Are you sure you want to leave this group? You will no longer have access to it.',
+      confirmText: t('groupSettings.confirmLeave') || 'Leave Group',
+      isDangerous: true,
+      onConfirm: handleConfirmLeaveGroup
+    },
+    delete: {
+      title: t('groupSettings.confirmDeleteTitle') || 'Delete Group?',
+      message: t('groupSettings.confirmDeleteMessage') || 'Are you sure you want to delete this group? This action cannot be undone and all group data will be permanently deleted.',
+      confirmText: t('groupSettings.confirmDelete') || 'Delete Group',
+      isDangerous: true,
+      onConfirm: handleConfirmDeleteGroup
+    },
+    rebuild: {
+      title: t('groupSettings.confirmRebuildTitle') || 'Rebuild Summary?',
+      message: t('groupSettings.confirmRebuildMessage') || 'Balances and totals will be recalculated from all expenses and settlement records. Use this if the numbers look wrong.',
+      confirmText: t('groupSettings.confirmRebuild') || 'Rebuild',
+      isDangerous: false,
+      onConfirm: handleConfirmRebuildSummary
+    },
+    currency: {
+      title: t('groupSettings.confirmCurrencyTitle') || 'Change Currency?',
+      message: t('groupSettings.confirmCurrencyMessage', { from: group?.currency, to: formData.currency, rate: currencyRate }) ||
+        `Every expense and settlement in ${group?.currency} will be converted to ${formData.currency} at 1 ${group?.currency} = ${currencyRate} ${formData.currency}. The original amounts are kept for reference.`,
+      confirmText: t('groupSettings.confirmCurrency') || 'Convert',
+      isDangerous: true,
+      onConfirm: handleConfirmChangeCurrency
+    }
+  }[confirmModal.type] || {}
+
   if (isLoading) {
     return <LoadingSpinner />
   }
@@ -300,21 +512,67 @@ function GroupSettingsPage({ onLogout }) {
               <select
                 id="currency"
                 value={formData.currency}
-                onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
-                disabled={true}
-                title={t('groupSettings.currencyCannotChange') || 'Currency cannot be changed after group creation'}
+                onChange={handleCurrencySelect}
+                disabled={!isOwner || confirmModal.isLoading}
+                title={isOwner ? undefined : (t('groupSettings.currencyOwnerOnly') || 'Only the group owner can change the currency')}
               >
-                <option value="USD">USD - US Dollar</option>
-                <option value="EUR">EUR - Euro</option>
-                <option value="GBP">GBP - British Pound</option>
-                <option value="JPY">JPY - Japanese Yen</option>
-                <option value="CNY">CNY - Chinese Yuan</option>
-                <option value="HKD">HKD - Hong Kong Dollar</option>
-                <option value="SGD">SGD - Singapore Dollar</option>
-                <option value="AUD">AUD - Australian Dollar</option>
-                <option value="CAD">CAD - Canadian Dollar</option>
+                <CurrencyOptions value={formData.currency} />
               </select>
-              <small className="gsp-form-note">{t('groupSettings.currencyCannotChangeNote') || 'Currency is locked and cannot be modified after group creation'}</small>
+              {isChangingCurrency ? (
+                <>
+                  <div className="gsp-rate-row">
+                    <span className="gsp-rate-label">1 {group.currency} =</span>
+                    <input
+                      type="number"
+                      value={currencyRate}
+                      onChange={(e) => setCurrencyRate(e.target.value)}
+                      placeholder="0.0000"
+                      step="0.0001"
+                      min="0"
+                      aria-label={t('groupSettings.currencyRate') || 'Exchange rate'}
+                      disabled={confirmModal.isLoading}
+                    />
+                    <span className="gsp-rate-label">{formData.currency}</span>
+                    <button
+                      type="button"
+                      className="gsp-fetch-rate"
+                      onClick={handleFetchCurrencyRate}
+                      disabled={isFetchingRate || confirmModal.isLoading}
+                    >
+                      {isFetchingRate ? <BiLoader className="spinner" /> : (t('settlement.fetchRate') || 'Fetch')}
+                    </button>
+                  </div>
+                  <small className="gsp-form-note">{t('groupSettings.currencyChangeNote') || 'Existing expenses and settlements will be converted at this rate.'}</small>
+                  <button
+                    type="button"
+                    className="save-button gsp-change-currency"
+                    onClick={handleChangeCurrency}
+                    disabled={confirmModal.isLoading}
+                  >
+                    {t('groupSettings.changeCurrency') || 'Change Currency'}
+                  </button>
+                </>
+              ) : (
+                <small className="gsp-form-note">
+                  {isOwner
+                    ? (t('groupSettings.currencyOwnerNote') || 'Changing the currency converts all existing amounts at a rate you choose')
+                    : (t('groupSettings.currencyOwnerOnly') || 'Only the group owner can change the currency')}
+                </small>
+              )}
+            </div>
+
+            <div className="gsp-form-group">
+              <label htmlFor="multiCurrency" className="gsp-checkbox-label">
+                <input
+                  id="multiCurrency"
+                  type="checkbox"
+                  checked={formData.multiCurrency}
+                  onChange={(e) => setFormData({ ...formData, multiCurrency: e.target.checked })}
+                  disabled={isSavingSettings}
+                />
+                {t('groupSettings.multiCurrency') || 'Keep separate balances per currency'}
+              </label>
+              <small className="gsp-form-note">{t('groupSettings.multiCurrencyNote') || 'Expenses in other currencies are not converted to the group currency. Each currency is settled separately, and converted only if you choose to pay in another currency.'}</small>
             </div>
 
             <div className="gsp-form-group">
@@ -329,6 +587,21 @@ function GroupSettingsPage({ onLogout }) {
               />
             </div>
 
+            <div className="gsp-form-group">
+              <label htmlFor="trashRetentionDays">{t('groupSettings.trashRetention') || 'Keep deleted items for (days)'}</label>
+              <input
+                id="trashRetentionDays"
+                type="number"
+                min="1"
+                max="365"
+                step="1"
+                value={formData.trashRetentionDays}
+                onChange={(e) => setFormData({ ...formData, trashRetentionDays: e.target.value })}
+                disabled={isSavingSettings}
+              />
+              <small className="gsp-form-note">{t('groupSettings.trashRetentionNote') || 'Deleted expenses and payments can be restored from the trash until then.'}</small>
+            </div>
+
             <button
               className="save-button"
               onClick={handleSaveGroupSettings}
@@ -339,16 +612,112 @@ function GroupSettingsPage({ onLogout }) {
           </section>
         )}
 
+        {/* Custom Categories (Owner and Admin) */}
+        {canManage && (
+          <CategoryManager
+            groupId={groupId}
+            customCategories={group?.customCategories}
+            currentUserId={user?.uid}
+          />
+        )}
+
+        {/* Budget (Owner and Admin) */}
+        {canManage && (
+          <section className="settings-section budget-settings">
+            <h2 className="section-title">{t('budget.title') || 'Budget'}</h2>
+            <p className="section-subtitle">
+              {t('budget.description', { currency: group?.currency }) ||
+                `Optional spending limits in ${group?.currency}. Leave a field blank for no limit.`}
+            </p>
+
+            <div className="gsp-form-group">
+              <label htmlFor="budgetTotal">{t('budget.total') || 'Total budget'}</label>
+              <input
+                id="budgetTotal"
+                type="number"
+                min="0"
+                step="any"
+                value={budgetForm.total}
+                onChange={(e) => setBudgetForm({ ...budgetForm, total: e.target.value })}
+                placeholder={t('budget.noLimit') || 'No limit'}
+                disabled={isSavingBudget}
+              />
+            </div>
+
+            <div className="gsp-form-group">
+              <label>{t('budget.perCategory') || 'Per category'}</label>
+              <div className="gsp-budget-grid">
+                {getCategoryList(group?.customCategories).map((category) => (
+                  <label key={category} className="gsp-budget-category">
+                    <span>{getCategoryInfo(category, group?.customCategories, t).label}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={budgetForm.categories[category] || ''}
+                      onChange={(e) => setBudgetForm({
+                        ...budgetForm,
+                        categories: { ...budgetForm.categories, [category]: e.target.value }
+                      })}
+                      placeholder={t('budget.noLimit') || 'No limit'}
+                      disabled={isSavingBudget}
+                    />
+                  </label>
+                ))}
+              </div>
+              {group?.multiCurrency && (
+                <small className="gsp-form-note">
+                  {t('budget.multiCurrencyNote') || 'Expenses kept in other currencies do not count towards the budget.'}
+                </small>
+              )}
+            </div>
+
+            <button
+              className="save-button"
+              onClick={handleSaveBudget}
+              disabled={isSavingBudget}
+            >
+              {isSavingBudget ? (t('common.saving') || 'Saving...') : (t('budget.save') || 'Save Budget')}
+            </button>
+          </section>
+        )}
+
         {/* Member Management (Owner and Admin) */}
         {canManage && (
           <MemberManagement
             groupId={groupId}
             members={group?.members}
+            balances={group?.summary?.balances}
+            currencyBalances={group?.summary?.currencyBalances}
+            currency={group?.currency}
             currentUserId={user?.uid}
             onMembersChange={() => {}}
           />
         )}
 
+        {/* Recurring Expenses (owner and admins manage all, members their own) */}
+        <RecurringExpenseList
+          groupId={groupId}
+          recurringExpenses={group?.recurringExpenses}
+          members={group?.members}
+          customCategories={group?.customCategories}
+          groupCurrency={group?.currency}
+          currentUserId={user?.uid}
+          canManageAll={canManage}
+        />
+
+        {/* Trash (owner and admins manage all, members what they deleted or created) */}
+        <TrashBin
+          groupId={groupId}
+          trash={trash}
+          members={group?.members}
+          customCategories={group?.customCategories}
+          groupCurrency={group?.currency}
+          retentionDays={group?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS}
+          currentUserId={user?.uid}
+          canManageAll={canManage}
+        />
+
         {/* Member Settings */}
         <section className="settings-section member-settings">
           <h2 className="section-title">{t('groupSettings.memberSettings') || 'Your Settings in This Group'}</h2>
@@ -377,6 +746,24 @@ function GroupSettingsPage({ onLogout }) {
           </button>
         </section>
 
+        {/* Data Maintenance (Owner only) */}
+        {isOwner && (
+          <section className="settings-section maintenance-settings">
+            <h2 className="section-title">{t('groupSettings.maintenance') || 'Data Maintenance'}</h2>
+            <p className="section-subtitle">
+              {t('groupSettings.rebuildDescription') || 'Recalculate balances, totals and counts from the expense and settlement history'}
+            </p>
+
+            <button
+              className="save-button"
+              onClick={handleRebuildSummary}
+              disabled={confirmModal.isLoading}
+            >
+              {t('groupSettings.rebuildButton') || 'Rebuild Summary'}
+            </button>
+          </section>
+        )}
+
         {/* Leave/Delete Group Section */}
         <section className="settings-section danger-zone">
           <h2 className="section-title danger">{t('groupSettings.dangerZone') || 'Danger Zone'}</h2>
@@ -396,13 +783,37 @@ function GroupSettingsPage({ onLogout }) {
                   <p>
                     {t('groupSettings.leaveDescription') || 'You will no longer see this group or be able to access its expenses'}
                   </p>
+                  {hasOutstandingBalance && (
+                    <div className="gsp-outstanding">
+                      {myBalances.map(({ currency, balance }) => (
+                        <p key={currency} className="gsp-outstanding-title">
+                          {balance < 0
+                            ? (t('groupSettings.youStillOwe', { amount: formatCurrency(Math.abs(balance), currency) }) || `You still owe ${formatCurrency(Math.abs(balance), currency)}`)
+                            : (t('groupSettings.youAreStillOwed', { amount: formatCurrency(balance, currency) }) || `You are still owed ${formatCurrency(balance, currency)}`)}
+                        </p>
+                      ))}
+                      <ul className="gsp-outstanding-list">
+                        {mySettlements.map((settlement) => (
+                          <li key={`${settlement.from}-${settlement.to}-${settlement.currency}`}>
+                            {settlement.from === user?.uid
+                              ? (t('groupSettings.payTo', { name: settlement.toName }) || `Pay ${settlement.toName}`)
+                              : (t('groupSettings.receiveFrom', { name: settlement.fromName }) || `Receive from ${settlement.fromName}`)}
+                            <span>{formatCurrency(settlement.amount, settlement.currency)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                      <p className="gsp-outstanding-hint">
+                        {t('groupSettings.settleBeforeLeaving') || 'Record these settlements before leaving the group.'}
+                      </p>
+                    </div>
+                  )}
                 </>
               )}
             </div>
             <button
               className={`leave-button ${isOwner ? 'danger' : ''}`}
               onClick={isOwner ? handleDeleteGroup : handleLeaveGroup}
-              disabled={confirmModal.isLoading}
+              disabled={confirmModal.isLoading || (!isOwner && hasOutstandingBalance)}
             >
               {isOwner ? (t('groupSettings.deleteButton') || 'Delete Group') : (t('groupSettings.leaveButton') || 'Leave Group')}
             </button>
@@ -412,25 +823,13 @@ function GroupSettingsPage({ onLogout }) {
         {/* Confirmation Modal */}
         <ConfirmationModal
           isOpen={confirmModal.isOpen}
-          title={
-            confirmModal.type === 'delete'
-              ? t('groupSettings.confirmDeleteTitle') || 'Delete Group?'
-              : t('groupSettings.confirmLeaveTitle') || 'Leave Group?'
-          }
-          message={
-            confirmModal.type === 'delete'
-              ? t('groupSettings.confirmDeleteMessage') || 'Are you sure you want to delete this group? This action cannot be undone and all group data will be permanently deleted.'
-              : t('groupSettings.confirmLeaveMessage') || 'Are you sure you want to leave this group? You will no longer have access to it.'
-          }
-          confirmText={
-            confirmModal.type === 'delete'
-              ? t('groupSettings.confirmDelete') || 'Delete Group'
-              : t('groupSettings.confirmLeave') || 'Leave Group'
-          }
+          title={confirmModalContent.title}
+          message={confirmModalContent.message}
+          confirmText={confirmModalContent.confirmText}
           cancelText={t('common.cancel') || 'Cancel'}
-          isDangerous={true}
+          isDangerous={confirmModalContent.isDangerous}
           isLoading={confirmModal.isLoading}
-          onConfirm={confirmModal.type === 'delete' ? handleConfirmDeleteGroup : handleConfirmLeaveGroup}
+          onConfirm={confirmModalContent.onConfirm}
           onCancel={handleConfirmModalCancel}
         />
       </main>
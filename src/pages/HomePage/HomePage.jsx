@@ -6,8 +6,9 @@ import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from '../../hooks/useTranslation'
 import { getDisplayName } from '../../utils/displayNameHelper'
 import { debugLog, debugError } from '../../utils/debug'
+import { getCategoryInfo } from '../../utils/categories'
 import { Button, LoadingSpinner, HeaderControls, CreateGroupModal, EditProfileModal } from '../../components'
-import { BiMoney, BiPlus, BiLink, BiTrendingUp, BiX, BiChevronRight, BiWallet, BiGroup, BiUser, BiMinus } from 'react-icons/bi'
+import { BiMoney, BiPlus, BiLink, BiTrendingUp, BiX, BiChevronRight, BiWallet, BiGroup, BiUser, BiMinus, BiPieChartAlt2 } from 'react-icons/bi'
 import './HomePage.css'
 
 function HomePage({ onLogout }) {
@@ -87,6 +88,7 @@ function HomePage({ onLogout }) {
                     description: groupData.description,
                     memberCount: Object.keys(groupData.members || {}).length,
                     summary: groupData.summary,
+                    customCategories: groupData.customCategories,
                     pendingAmount: groupData.summary?.balances?.[user.uid] || 0,
                     lastActivityAt: metadata?.lastActivityAt || 0
                   })
@@ -207,16 +209,9 @@ function HomePage({ onLogout }) {
     }
   }, [user?.uid])
 
-  const getCategoryEmoji = (category) => {
-    const emojiMap = {
-      'Lodging': '🏨',
-      'Food': '🍽️',
-      'Transport': '🚗',
-      'Entertainment': '🎭',
-      'Shopping': '🛍️',
-      'Other': '📌'
-    }
-    return emojiMap[category] || '📌'
+  const getCategoryEmoji = (expense) => {
+    const group = userGroups.find((g) => g.id === expense.groupId)
+    return getCategoryInfo(expense.category, group?.customCategories, t).icon
   }
 
   const formatCurrency = (amount, currency = 'USD') => {
@@ -387,6 +382,13 @@ function HomePage({ onLogout }) {
             <BiLink className="btn-icon" />
             <span>{t('home.joinTrip')}</span>
           </button>
+          <button
+            className="action-btn secondary report-btn"
+            onClick={() => navigate('/report')}
+          >
+            <BiPieChartAlt2 className="btn-icon" />
+            <span>{t('home.spendingReport') || 'My spending report'}</span>
+          </button>
         </section>
 
         {/* Groups Section */}
@@ -489,7 +491,7 @@ function HomePage({ onLogout }) {
                   onClick={() => navigate(`/groups/${expense.groupId}`)}
                 >
                   <div className="activity-visual">
-                    <div className="activity-icon">{getCategoryEmoji(expense.category)}</div>
+                    <div className="activity-icon">{getCategoryEmoji(expense)}</div>
                   </div>
                   <div className="activity-detail">
                     <p className="activity-title">{expense.description}</p>
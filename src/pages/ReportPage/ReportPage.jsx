@@ -0,0 +1,261 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../../contexts/AuthContext'
+import { useTranslation } from '../../hooks/useTranslation'
+import { debugLog, debugError } from '../../utils/debug'
+import { formatCurrency } from '../../utils/formatters'
+import { getCategoryInfo } from '../../utils/categories'
+import { collectPersonalShares, summarizePersonalReport } from '../../utils/personalReport'
+import { userService } from '../../services/userService'
+import { getGroup } from '../../services/groupService'
+import { getExchangeRate, formatExchangeRate } from '../../services/currencyService'
+import { LoadingSpinner, HeaderControls, CurrencyOptions } from '../../components'
+import { BiChevronLeft, BiPieChartAlt2 } from 'react-icons/bi'
+import './ReportPage.css'
+
+function ReportPage({ onLogout }) {
+  const navigate = useNavigate()
+  const { user, userProfile, updateUserProfileData } = useAuth()
+  const { t, currentLanguage } = useTranslation()
+
+  const [groups, setGroups] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+  const [hasLoadError, setHasLoadError] = useState(false)
+  const [homeCurrency, setHomeCurrency] = useState('')
+  // Rates are kept with the currencies they were fetched for, so stale ones are never shown
+  const [rateState, setRateState] = useState({ key: '', rates: {} })
+
+  // Groups are read once; the report is a snapshot, not a live view
+  useEffect(() => {
+    if (!user?.uid) return
+
+    let isCancelled = false
+
+    const fetchGroups = async () => {
+      const { error: groupsError, groups: groupIds } = await userService.getUserGroups(user.uid)
+      if (groupsError) {
+        throw new Error(groupsError)
+      }
+
+      const groupMap = {}
+      for (const groupId of Object.keys(groupIds || {})) {
+        try {
+          groupMap[groupId] = await getGroup(groupId)
+        } catch (err) {
+          debugError(`Error fetching group ${groupId} for report`, err)
+        }
+      }
+      return groupMap
+    }
+
+    fetchGroups()
+      .then((groupMap) => {
+        if (isCancelled) return
+        debugLog('Report groups loaded', { groupCount: Object.keys(groupMap).length })
+        setGroups(groupMap)
+      })
+      .catch((err) => {
+        debugError('Error loading report', err)
+        if (!isCancelled) setHasLoadError(true)
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false)
+      })
+
+    return () => {
+      isCancelled = true
+    }
+  }, [user?.uid])
+
+  const shares = useMemo(() => collectPersonalShares(groups, user?.uid), [groups, user?.uid])
+
+  // Custom category IDs are unique across groups, so every group's categories can be looked up together
+  const customCategories = Object.assign({}, ...Object.values(groups).map((group) => group?.customCategories))
+
+  // Home currency: the saved preference, else the currency most of the user's groups use
+  const getMostUsedCurrency = () => {
+    const counts = {}
+    Object.values(groups).forEach((group) => {
+      if (group?.currency) counts[group.currency] = (counts[group.currency] || 0) + 1
+    })
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'HKD'
+  }
+  const reportCurrency = homeCurrency || userProfile?.homeCurrency || getMostUsedCurrency()
+
+  // One rate per currency the user has spent in
+  const currencyKey = [...new Set(shares.map((share) => share.currency))].sort().join(',')
+  const rateKey = `${currencyKey}>${reportCurrency}`
+  const isLoadingRates = Boolean(currencyKey) && rateState.key !== rateKey
+
+  useEffect(() => {
+    if (!currencyKey) return
+
+    let isCancelled = false
+
+    const fetchRates = async () => {
+      const nextRates = {}
+      for (const currency of currencyKey.split(',')) {
+        const result = await getExchangeRate(currency, reportCurrency)
+        if (result?.rate) {
+          nextRates[currency] = result.rate
+        }
+      }
+      return nextRates
+    }
+
+    fetchRates()
+      .catch((err) => {
+        debugError('Error fetching report exchange rates', err)
+        return {}
+      })
+      .then((nextRates) => {
+        if (!isCancelled) setRateState({ key: `${currencyKey}>${reportCurrency}`, rates: nextRates })
+      })
+
+    return () => {
+      isCancelled = true
+    }
+  }, [currencyKey, reportCurrency])
+
+  const report = summarizePersonalReport(shares, rateState.rates, reportCurrency)
+
+  const handleHomeCurrencyChange = async (e) => {
+    const currency = e.target.value
+    setHomeCurrency(currency)
+
+    const { error: saveError } = await userService.updateUserProfile(user.uid, { homeCurrency: currency })
+    if (saveError) {
+      debugError('Error saving home currency', saveError)
+      return
+    }
+    updateUserProfileData({ homeCurrency: currency })
+  }
+
+  const locale = currentLanguage === 'zh-HK' ? 'zh-HK' : 'en-US'
+  const formatMonth = (month) => new Date(`${month}-01T00:00:00`).toLocaleDateString(locale, { year: 'numeric', month: 'short' })
+
+  const renderBars = (rows, getLabel, onSelect) => {
+    const max = Math.max(...rows.map((row) => row.amount), 0)
+
+    return (
+      <ul className="report-bars">
+        {rows.map((row) => (
+          <li
+            key={row.key}
+            className={`report-bar-row ${onSelect ? 'clickable' : ''}`}
+            onClick={onSelect ? () => onSelect(row) : undefined}
+          >
+            <div className="report-bar-header">
+              <span className="report-bar-label">{getLabel(row)}</span>
+              <span className="report-bar-value">{formatCurrency(row.amount, reportCurrency)}</span>
+            </div>
+            <div className="report-bar-track">
+              <div className="report-bar-fill" style={{ width: `${max > 0 ? (row.amount / max) * 100 : 0}%` }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  if (isLoading) {
+    return <LoadingSpinner />
+  }
+
+  return (
+    <div className="report-page-container">
+      <header className="report-header">
+        <div className="report-header-content">
+          <button
+            className="report-back-button"
+            onClick={() => navigate('/')}
+            aria-label="Back to home"
+          >
+            <BiChevronLeft />
+          </button>
+          <h1 className="report-title">{t('report.title') || 'My Spending'}</h1>
+          <div style={{ width: '2.5rem' }}></div> {/* Spacer for alignment */}
+        </div>
+      </header>
+
+      <main className="report-main">
+        {hasLoadError && (
+          <div className="report-error">
+            <p>{t('report.loadError') || 'Failed to load your spending report'}</p>
+          </div>
+        )}
+
+        <div className="report-controls">
+          <label htmlFor="home-currency">{t('report.homeCurrency') || 'Home currency'}</label>
+          <select
+            id="home-currency"
+            className="report-select"
+            value={reportCurrency}
+            onChange={handleHomeCurrencyChange}
+          >
+            <CurrencyOptions value={reportCurrency} />
+          </select>
+        </div>
+
+        {shares.length === 0 ? (
+          <div className="report-empty">
+            <BiPieChartAlt2 className="report-empty-icon" />
+            <h2>{t('report.empty') || 'Nothing to report yet'}</h2>
+            <p>{t('report.emptyDescription') || 'Your share of expenses in your trips will appear here'}</p>
+          </div>
+        ) : (
+          <>
+            <section className="report-total-card">
+              <span className="report-total-label">{t('report.total') || 'What your trips cost you'}</span>
+              <span className="report-total-value">
+                {isLoadingRates ? '…' : formatCurrency(report.total, reportCurrency)}
+              </span>
+              <span className="report-note">
+                {t('report.rateNote', { currency: reportCurrency }) ||
+                  `Your share of each expense, converted to ${reportCurrency} at today's exchange rates`}
+              </span>
+              {!isLoadingRates && report.missingCurrencies.length > 0 && (
+                <span className="report-warning">
+                  {t('report.missingRates', { currencies: report.missingCurrencies.join(', ') }) ||
+                    `No exchange rate for ${report.missingCurrencies.join(', ')}; those expenses are not included`}
+                </span>
+              )}
+            </section>
+
+            {!isLoadingRates && (
+              <>
+                <section className="report-section">
+                  <h2 className="report-section-title">{t('report.byMonth') || 'By month'}</h2>
+                  {renderBars(report.byMonth, (row) => formatMonth(row.key))}
+                </section>
+
+                <section className="report-section">
+                  <h2 className="report-section-title">{t('report.byCategory') || 'By category'}</h2>
+                  {renderBars(report.byCategory, (row) => getCategoryInfo(row.key, customCategories, t).label)}
+                </section>
+
+                <section className="report-section">
+                  <h2 className="report-section-title">{t('report.byCurrency') || 'By currency'}</h2>
+                  {renderBars(report.byCurrency, (row) => (
+                    row.key === reportCurrency
+                      ? row.key
+                      : `${formatCurrency(row.original, row.key)} @ ${formatExchangeRate(row.rate)}`
+                  ))}
+                </section>
+
+                <section className="report-section">
+                  <h2 className="report-section-title">{t('report.byGroup') || 'By trip'}</h2>
+                  {renderBars(report.byGroup, (row) => row.name || row.key, (row) => navigate(`/groups/${row.key}`))}
+                </section>
+              </>
+            )}
+          </>
+        )}
+      </main>
+
+      <HeaderControls onLogout={onLogout} />
+    </div>
+  )
+}
+
+export default ReportPage
@@ -4,4 +4,5 @@ export { UserProfileSetupPage } from './UserProfileSetupPage/UserProfileSetupPag
 export { default as GroupDetailPage } from './GroupDetailPage/GroupDetailPage'
 export { default as GroupSettingsPage } from './GroupSettingsPage/GroupSettingsPage'
 export { default as JoinGroupPage } from './JoinGroupPage/JoinGroupPage'
-export { default as ActivityPage } from './ActivityPage/ActivityPage'
\ No newline at end of file
+export { default as ActivityPage } from './ActivityPage/ActivityPage'
+export { default as ReportPage } from './ReportPage/ReportPage'
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { ref, push, update, onValue } from 'firebase/database'
+import { rtdb } from '../firebase'
+import { debugError } from '../utils/debug'
+
+// Append-only activity log: groupActivity/{groupId}/{entryId}
+// Kept outside the group node so expense and settlement transactions do not carry the whole history.
+// Entries are built inside the transaction from the data it committed and written right after it;
+// they are never edited or removed.
+
+export const ACTIVITY_ACTIONS = {
+  EXPENSE_CREATED: 'expense_created',
+  EXPENSE_UPDATED: 'expense_updated',
+  EXPENSE_DELETED: 'expense_deleted',
+  EXPENSE_RESTORED: 'expense_restored',
+  SETTLEMENT_CREATED: 'settlement_created',
+  SETTLEMENT_UPDATED: 'settlement_updated',
+  SETTLEMENT_DELETED: 'settlement_deleted',
+  SETTLEMENT_RESTORED: 'settlement_restored'
+}
+
+/**
+ * Build an activity entry inside a runTransaction callback
+ * The actor's name is copied from the member list so the entry still reads well after they leave.
+ *
+ * @param {Object} group - Group data seen by the transaction
+ * @param {Object} entry
+ * @param {string} entry.action - One of ACTIVITY_ACTIONS
+ * @param {string} entry.targetId - Expense or settlement record ID
+ * @param {Object|null} entry.before - Record before the change (null when created)
+ * @param {Object|null} entry.after - Record after the change (null when deleted)
+ * @param {string} entry.actorId - User who made the change
+ * @param {number} entry.at - Timestamp of the change
+ * @returns {Object} Entry ready for getActivityLogUpdates
+ */
+export const buildActivityEntry = (group, { action, targetId, before = null, after = null, actorId, at }) => ({
+  action,
+  targetId,
+  before,
+  after,
+  actorId: actorId ? String(actorId) : null,
+  actorName: group.members?.[actorId]?.name || null,
+  at
+})
+
+/**
+ * Multi-path update values that append entries to a group's activity log
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object[]} entries - Entries from buildActivityEntry
+ * @returns {Object} Map of database path -> entry, for update(ref(rtdb), ...)
+ */
+export const getActivityLogUpdates = (groupId, entries) => entries.reduce((updates, entry) => {
+  updates[`groupActivity/${String(groupId)}/${push(ref(rtdb, 'dummy')).key}`] = entry
+  return updates
+}, {})
+
+/**
+ * Append entries to a group's activity log after the change they describe has committed
+ * Non-critical: failures are logged, not thrown
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object[]} entries - Entries from buildActivityEntry
+ */
+export const writeActivityEntries = async (groupId, entries) => {
+  try {
+    if (!groupId || entries.length === 0) return
+
+    await update(ref(rtdb), getActivityLogUpdates(groupId, entries))
+  } catch (error) {
+    debugError('Error writing activity log entries', error)
+  }
+}
+
+/**
+ * Listen to a group's activity log in real time
+ *
+ * @param {string} groupId - The group ID
+ * @param {Function} onChange - Called with the log as stored: { [entryId]: entry }
+ * @param {Function} onError - Called when the listener fails (optional)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToActivityLog = (groupId, onChange, onError) => {
+  return onValue(
+    ref(rtdb, `groupActivity/${String(groupId)}`),
+    (snapshot) => onChange(snapshot.val() || {}),
+    (error) => {
+      debugError('Error listening to activity log', error)
+      onError?.(error)
+    }
+  )
+}
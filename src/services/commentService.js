@@ -0,0 +1,201 @@
+import { ref, push, update, get, onValue } from 'firebase/database'
+import { rtdb } from '../firebase'
+import { debugLog, debugError } from '../utils/debug'
+
+// Comments are stored outside the group node (groupComments/{groupId}/{expenseId}/{commentId})
+// so expense transactions, which rewrite the group, never carry or retry on the discussion.
+// A thread stays while its expense is in the trash and is removed when the expense is purged.
+// Read markers live in groupCommentReads/{groupId}/{userId}/{expenseId} as the time the thread was last seen.
+
+export const MAX_COMMENT_LENGTH = 500
+
+/**
+ * Add a comment to an expense
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} expenseId - The expense ID
+ * @param {string} userId - Author's user ID
+ * @param {string} authorName - Author's name in the group, kept so it survives the member leaving
+ * @param {string} text - Comment text
+ * @returns {Promise<{success: boolean, commentId: string}>}
+ */
+export const addExpenseComment = async (groupId, expenseId, userId, authorName, text) => {
+  try {
+    const trimmedText = String(text || '').trim()
+
+    if (!groupId || !expenseId || !userId) {
+      throw new Error('Group ID, expense ID and user ID are required')
+    }
+
+    if (!trimmedText) {
+      throw new Error('Comment cannot be empty')
+    }
+
+    if (trimmedText.length > MAX_COMMENT_LENGTH) {
+      throw new Error(`Comments must be ${MAX_COMMENT_LENGTH} characters or fewer`)
+    }
+
+    const now = Date.now()
+    const commentId = push(ref(rtdb, 'dummy')).key
+
+    // Posting also marks the thread read for the author
+    await update(ref(rtdb), {
+      [`groupComments/${String(groupId)}/${expenseId}/${commentId}`]: {
+        authorId: String(userId),
+        authorName: authorName || 'Member',
+        text: trimmedText,
+        createdAt: now
+      },
+      [`groupCommentReads/${String(groupId)}/${String(userId)}/${expenseId}`]: now
+    })
+
+    debugLog('Expense comment added', { groupId, expenseId, commentId })
+    return { success: true, commentId }
+  } catch (error) {
+    debugError('Error adding expense comment', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a comment (its author, the group owner or an admin)
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} expenseId - The expense ID
+ * @param {string} commentId - The comment ID
+ * @param {string} userId - Current user ID
+ * @returns {Promise<{success: boolean}>}
+ */
+export const deleteExpenseComment = async (groupId, expenseId, commentId, userId) => {
+  try {
+    if (!groupId || !expenseId || !commentId || !userId) {
+      throw new Error('Group ID, expense ID, comment ID and user ID are required')
+    }
+
+    const groupSnapshot = await get(ref(rtdb, `groups/${String(groupId)}`))
+    if (!groupSnapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    const group = groupSnapshot.val()
+    const commentSnapshot = await get(ref(rtdb, `groupComments/${String(groupId)}/${expenseId}/${commentId}`))
+    const comment = commentSnapshot.val()
+    if (!comment) {
+      throw new Error('Comment not found')
+    }
+
+    const isOwner = group.owner === userId
+    const isAdmin = group.members?.[userId]?.role === 'admin'
+    if (!isOwner && !isAdmin && comment.authorId !== userId) {
+      throw new Error('Only the author, the group owner or an admin can delete this comment')
+    }
+
+    await update(ref(rtdb), {
+      [`groupComments/${String(groupId)}/${expenseId}/${commentId}`]: null
+    })
+
+    debugLog('Expense comment deleted', { groupId, expenseId, commentId })
+    return { success: true }
+  } catch (error) {
+    debugError('Error deleting expense comment', error)
+    throw error
+  }
+}
+
+/**
+ * Listen to an expense's comments in real time
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} expenseId - The expense ID
+ * @param {Function} onChange - Called with the comments, oldest first: [{ id, authorId, authorName, text, createdAt }]
+ * @param {Function} onError - Called when the listener fails (optional)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToExpenseComments = (groupId, expenseId, onChange, onError) => {
+  return onValue(
+    ref(rtdb, `groupComments/${String(groupId)}/${expenseId}`),
+    (snapshot) => {
+      const comments = Object.entries(snapshot.val() || {})
+        .map(([id, comment]) => ({ id, ...comment }))
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+      onChange(comments)
+    },
+    (error) => {
+      debugError('Error listening to expense comments', error)
+      onError?.(error)
+    }
+  )
+}
+
+/**
+ * Mark an expense's comments as read by a user
+ * Non-critical: failures are logged, not thrown
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} expenseId - The expense ID
+ * @param {string} userId - The user ID
+ */
+export const markExpenseCommentsRead = async (groupId, expenseId, userId) => {
+  try {
+    if (!groupId || !expenseId || !userId) return
+
+    await update(ref(rtdb), {
+      [`groupCommentReads/${String(groupId)}/${String(userId)}/${expenseId}`]: Date.now()
+    })
+  } catch (error) {
+    debugError('Error marking expense comments read', error)
+  }
+}
+
+/**
+ * Listen to every comment thread in a group and the user's read markers
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} userId - The user ID
+ * @param {Function} onChange - Called with { comments: { [expenseId]: { [commentId]: comment } }, reads: { [expenseId]: timestamp } }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToGroupComments = (groupId, userId, onChange) => {
+  let latest = { comments: {}, reads: {} }
+  const listen = (path, key) => onValue(
+    ref(rtdb, path),
+    (snapshot) => {
+      latest = { ...latest, [key]: snapshot.val() || {} }
+      onChange(latest)
+    },
+    (error) => debugError('Error listening to group comments', error)
+  )
+
+  const unsubscribeComments = listen(`groupComments/${String(groupId)}`, 'comments')
+  const unsubscribeReads = listen(`groupCommentReads/${String(groupId)}/${String(userId)}`, 'reads')
+
+  return () => {
+    unsubscribeComments()
+    unsubscribeReads()
+  }
+}
+
+/**
+ * Count comments by other members posted since a user last read each thread
+ *
+ * @param {Object} expenses - The group's expenses; threads of expenses in the trash are skipped
+ * @param {Object} comments - Threads from subscribeToGroupComments
+ * @param {Object} reads - The user's read markers from subscribeToGroupComments
+ * @param {string} userId - The user ID
+ * @returns {Object} Map of expenseId -> unread comment count (threads with none unread are omitted)
+ */
+export const getUnreadCommentCounts = (expenses, comments, reads, userId) => {
+  return Object.entries(comments || {}).reduce((counts, [expenseId, thread]) => {
+    if (!expenses?.[expenseId]) return counts
+
+    const lastRead = reads?.[expenseId] || 0
+    const unread = Object.values(thread || {})
+      .filter((comment) => comment && comment.authorId !== userId && comment.createdAt > lastRead)
+      .length
+
+    if (unread > 0) {
+      counts[expenseId] = unread
+    }
+    return counts
+  }, {})
+}
@@ -1,160 +1,153 @@
 import { debugLog, debugError } from '../utils/debug'
+import { EXCHANGE_RATE_PROVIDERS } from './exchangeRateProviders'
+import { roundToCurrency } from '../utils/currencies'
 
 /**
  * Currency exchange rate service
- * Integrates with exchangerate-api.com for live rates
- * API Documentation: https://www.exchangerate-api.com/docs
+ * Rates come from the providers in exchangeRateProviders.js, falling back to a bundled
+ * offline table when no online provider can be reached
  */
 
-const API_KEY = import.meta.env.VITE_EXCHANGE_RATE_API_KEY
-const API_BASE_URL = 'https://v6.exchangerate-api.com/v6'
+// Persistent cache of online rates, kept in localStorage so it survives reloads
+const CACHE_STORAGE_KEY = 'exchangeRateCache'
+const CACHE_DURATION = 24 * 60 * 60 * 1000 // Latest rates: 24 hours in milliseconds; historical rates never expire
 
-// Cache for exchange rates to minimize API calls (24 hour cache)
-const rateCache = {}
-const CACHE_DURATION = 24 * 60 * 60 * 1000 // 24 hours in milliseconds
+/**
+ * Read the whole rate cache from localStorage
+ */
+const readRateCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY) || '{}') || {}
+  } catch {
+    return {}
+  }
+}
 
 /**
  * Get cached rate if available and not expired
  */
-const getCachedRate = (fromCurrency, toCurrency) => {
-  const cacheKey = `${fromCurrency}-${toCurrency}`
-  const cached = rateCache[cacheKey]
+const getCachedRate = (cacheKey, isHistorical) => {
+  const cached = readRateCache()[cacheKey]
 
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    debugLog('Using cached exchange rate', { fromCurrency, toCurrency, rate: cached.rate })
-    return cached.rate
+  if (cached && (isHistorical || Date.now() - cached.timestamp < CACHE_DURATION)) {
+    debugLog('Using cached exchange rate', { cacheKey, rate: cached.rate })
+    return cached
   }
 
   return null
 }
 
 /**
- * Set rate in cache
+ * Set rate in cache, dropping expired latest rates while the cache is rewritten
  */
-const setCachedRate = (fromCurrency, toCurrency, rate) => {
-  const cacheKey = `${fromCurrency}-${toCurrency}`
-  rateCache[cacheKey] = {
-    rate,
-    timestamp: Date.now()
+const setCachedRate = (cacheKey, entry) => {
+  const now = Date.now()
+  const cache = Object.fromEntries(
+    Object.entries(readRateCache()).filter(([, cached]) => cached.historical || now - cached.timestamp < CACHE_DURATION)
+  )
+  cache[cacheKey] = { ...entry, timestamp: now }
+
+  try {
+    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(cache))
+  } catch (err) {
+    // Storage full or disabled (private browsing) - the rate is still returned, just not cached
+    debugError('Failed to cache exchange rate', err)
   }
 }
 
 /**
- * Fetch live exchange rate from exchangerate-api.com
- * Supports 160+ currencies
+ * Today's date as YYYY-MM-DD (local time, matching the expense date input)
  */
-export const fetchLiveExchangeRate = async (fromCurrency, toCurrency) => {
-  try {
-    // Check if API key is configured
-    if (!API_KEY) {
-      debugError('Exchange rate API key not configured', {
-        instruction: 'Please add VITE_EXCHANGE_RATE_API_KEY to your .env file'
-      })
-      return null
-    }
+const getTodayDateString = () => {
+  const now = new Date()
+  const month = String(now.getMonth() + 1).padStart(2, '0')
+  const day = String(now.getDate()).padStart(2, '0')
+  return `${now.getFullYear()}-${month}-${day}`
+}
 
-    debugLog('Fetching live exchange rate', { fromCurrency, toCurrency })
+/**
+ * Get an exchange rate from the first provider that has it
+ * Online results are cached; the offline table is only used when every online provider failed.
+ * 
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {string|null} date - YYYY-MM-DD for a historical rate, or null for the latest rate
+ * @returns {Promise<{rate: number, source: 'live'|'historical'|'offline', provider: string, rateDate: string}|null>}
+ */
+export const getExchangeRate = async (fromCurrency, toCurrency, date = null) => {
+  if (!fromCurrency || !toCurrency) {
+    return null
+  }
 
-    // Check cache first
-    const cachedRate = getCachedRate(fromCurrency, toCurrency)
-    if (cachedRate) {
-      return cachedRate
-    }
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, source: date ? 'historical' : 'live', provider: 'identity', rateDate: date || getTodayDateString() }
+  }
 
-    // Make API request
-    const url = `${API_BASE_URL}/${API_KEY}/latest/${fromCurrency}`
-    debugLog('Fetching from URL', { url: url.replace(API_KEY, '***') })
-    
-    const response = await fetch(url)
-
-    if (!response.ok) {
-      let errorData = null
-      try {
-        errorData = await response.json()
-      } catch {
-        errorData = { raw: response.statusText }
-      }
-      
-      debugError('Exchange rate API HTTP error', {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorData
-      })
-      return null
-    }
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    debugError('Invalid date for exchange rate', { date })
+    return null
+  }
 
-    const data = await response.json()
-    debugLog('API Response received', { result: data.result, hasConversionRates: !!data.conversion_rates })
+  const cacheKey = date ? `${fromCurrency}-${toCurrency}-${date}` : `${fromCurrency}-${toCurrency}`
+  const cached = getCachedRate(cacheKey, Boolean(date))
+  if (cached) {
+    return { rate: cached.rate, source: cached.source, provider: cached.provider, rateDate: cached.rateDate }
+  }
 
-    // Check if the API returned success
-    if (!data || !data.result) {
-      debugError('Invalid API response - missing result field', {
-        data: data,
-        response: response.statusText
-      })
-      return null
+  for (const provider of EXCHANGE_RATE_PROVIDERS) {
+    if (!provider.isAvailable()) {
+      continue
     }
 
-    // Handle API error responses
-    if (data.result !== 'success') {
-      debugError('Exchange rate API returned error', {
-        result: data.result,
-        'error-type': data['error-type'],
-        message: `API Error: ${data.result}`,
-        fullData: data
-      })
-      return null
-    }
+    try {
+      const result = await provider.fetchRates(fromCurrency, date)
+      const rate = result?.rates?.[toCurrency]
 
-    // Check if conversion_rates data exists and contains the target currency
-    // exchangerate-api.com returns rates in 'conversion_rates' field, not 'rates'
-    if (!data.conversion_rates || typeof data.conversion_rates !== 'object' || Object.keys(data.conversion_rates).length === 0) {
-      debugError('API response missing or empty conversion_rates data', {
-        hasConversionRates: !!data.conversion_rates,
-        conversionRatesType: typeof data.conversion_rates,
-        conversionRatesLength: data.conversion_rates ? Object.keys(data.conversion_rates).length : 0,
-        fullData: data
-      })
-      return null
-    }
+      // Validate rate is a number
+      if (typeof rate !== 'number' || rate <= 0) {
+        debugLog('Exchange rate provider has no rate', { provider: provider.id, fromCurrency, toCurrency, date })
+        continue
+      }
+
+      const entry = {
+        rate,
+        source: provider.isOnline ? (date ? 'historical' : 'live') : 'offline',
+        provider: provider.id,
+        rateDate: result.rateDate || date || getTodayDateString()
+      }
 
-    if (!(toCurrency in data.conversion_rates)) {
-      debugError('Target currency not found in conversion_rates', {
-        toCurrency,
-        availableCurrencies: Object.keys(data.conversion_rates).slice(0, 10),
-        fullData: data
+      // Offline rates are not cached so an online rate is tried again next time
+      if (provider.isOnline) {
+        setCachedRate(cacheKey, { ...entry, historical: Boolean(date) })
+      }
+
+      debugLog('Exchange rate fetched successfully', { fromCurrency, toCurrency, date, ...entry })
+      return entry
+    } catch (err) {
+      debugError('Exchange rate provider failed', {
+        provider: provider.id,
+        name: err.name,
+        message: err.message
       })
-      return null
     }
+  }
 
-    const rate = data.conversion_rates[toCurrency]
-    
-    // Validate rate is a number
-    if (typeof rate !== 'number' || rate <= 0) {
-      debugError('Invalid rate value received', { rate })
-      return null
-    }
+  debugError('No exchange rate provider could supply the rate', { fromCurrency, toCurrency, date })
+  return null
+}
 
-    // Cache the result
-    setCachedRate(fromCurrency, toCurrency, rate)
-    
-    debugLog('Live rate fetched successfully', {
-      fromCurrency,
-      toCurrency,
-      rate,
-      timeUpdated: data.time_last_updated
-    })
-
-    return rate
-  } catch (err) {
-    debugError('Error fetching live exchange rate', {
-      name: err.name,
-      message: err.message,
-      code: err.code,
-      hint: 'Check your API key, network connection, and that the currency codes are valid'
-    })
-    return null
-  }
+/**
+ * Fetch the exchange rate that applies on a given date
+ * Past dates use the historical rate for that day, today and future dates use the live rate
+ * 
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {Promise<{rate: number, source: 'live'|'historical'|'offline', provider: string, rateDate: string}|null>}
+ */
+export const fetchExchangeRateForDate = async (fromCurrency, toCurrency, date) => {
+  const isPastDate = date && date < getTodayDateString()
+  return getExchangeRate(fromCurrency, toCurrency, isPastDate ? date : null)
 }
 
 /**
@@ -170,8 +163,9 @@ export const validateExchangeRate = (rate) => {
 
 /**
  * Calculate amount in target currency
+ * Rounded to the target currency's minor units (2 decimals when no currency is given)
  */
-export const convertCurrency = (amount, rate) => {
+export const convertCurrency = (amount, rate, toCurrency = null) => {
   const numAmount = parseFloat(amount)
   const numRate = parseFloat(rate)
 
@@ -179,7 +173,7 @@ export const convertCurrency = (amount, rate) => {
     return null
   }
 
-  return Math.round((numAmount * numRate) * 100) / 100
+  return roundToCurrency(numAmount * numRate, toCurrency)
 }
 
 /**
@@ -191,13 +185,20 @@ export const formatExchangeRate = (rate) => {
 
 /**
  * Create exchange rate history object
+ * rateDate is the day the rate applies to (YYYY-MM-DD), kept for historical and live rates
  */
-export const createExchangeRateRecord = (fromCurrency, toCurrency, rate, source = 'custom') => {
-  return {
+export const createExchangeRateRecord = (fromCurrency, toCurrency, rate, source = 'custom', rateDate = null) => {
+  const record = {
     fromCurrency,
     toCurrency,
     rate: parseFloat(rate),
-    source, // 'custom' or 'live'
+    source, // 'custom', 'live', 'historical' or 'offline'
     date: Date.now()
   }
+
+  if (rateDate) {
+    record.rateDate = rateDate
+  }
+
+  return record
 }
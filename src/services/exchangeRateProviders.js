@@ -0,0 +1,131 @@
+import { debugLog, debugError } from '../utils/debug'
+import { getOfflineRates, OFFLINE_RATES_DATE } from '../utils/offlineExchangeRates'
+
+/**
+ * Exchange rate providers
+ * Every provider implements the same interface:
+ *   id          - Stable identifier, stored with cached rates
+ *   isOnline    - Whether the provider needs the network (offline rates are never cached)
+ *   isAvailable - () => boolean, e.g. false when an API key is missing
+ *   fetchRates  - (fromCurrency, date|null) => Promise<{rates: Object, rateDate: string}|null>
+ *                 date is YYYY-MM-DD for a historical rate, or null for the latest rate
+ * currencyService tries the providers in EXCHANGE_RATE_PROVIDERS order and uses the first result.
+ */
+
+const EXCHANGE_RATE_API_KEY = import.meta.env.VITE_EXCHANGE_RATE_API_KEY
+const EXCHANGE_RATE_API_BASE_URL = 'https://v6.exchangerate-api.com/v6'
+const FRANKFURTER_BASE_URL = 'https://api.frankfurter.app'
+
+/**
+ * GET a JSON document, returning null on HTTP or network errors
+ */
+const fetchJson = async (url, providerId) => {
+  const response = await fetch(url)
+
+  if (!response.ok) {
+    let errorData = null
+    try {
+      errorData = await response.json()
+    } catch {
+      errorData = { raw: response.statusText }
+    }
+
+    debugError('Exchange rate provider HTTP error', {
+      provider: providerId,
+      status: response.status,
+      statusText: response.statusText,
+      error: errorData
+    })
+    return null
+  }
+
+  return response.json()
+}
+
+/**
+ * exchangerate-api.com - needs VITE_EXCHANGE_RATE_API_KEY
+ * API Documentation: https://www.exchangerate-api.com/docs
+ */
+export const exchangeRateApiProvider = {
+  id: 'exchangerate-api',
+  isOnline: true,
+  isAvailable: () => Boolean(EXCHANGE_RATE_API_KEY),
+  fetchRates: async (fromCurrency, date) => {
+    // The history endpoint takes the day and month without leading zeros
+    const path = date
+      ? `history/${fromCurrency}/${date.split('-').map(Number).join('/')}`
+      : `latest/${fromCurrency}`
+    const url = `${EXCHANGE_RATE_API_BASE_URL}/${EXCHANGE_RATE_API_KEY}/${path}`
+    debugLog('Fetching from URL', { url: url.replace(EXCHANGE_RATE_API_KEY, '***') })
+
+    const data = await fetchJson(url, 'exchangerate-api')
+    if (!data) return null
+
+    // Handle API error responses
+    if (data.result !== 'success') {
+      debugError('Exchange rate API returned error', {
+        result: data.result,
+        'error-type': data['error-type']
+      })
+      return null
+    }
+
+    // exchangerate-api.com returns rates in 'conversion_rates' field, not 'rates'
+    if (!data.conversion_rates || typeof data.conversion_rates !== 'object') {
+      debugError('API response missing conversion_rates data', { fullData: data })
+      return null
+    }
+
+    return {
+      rates: data.conversion_rates,
+      rateDate: date || new Date().toISOString().split('T')[0]
+    }
+  }
+}
+
+/**
+ * Frankfurter - free, no API key, European Central Bank reference rates (about 30 currencies)
+ * API Documentation: https://www.frankfurter.app/docs
+ */
+export const frankfurterProvider = {
+  id: 'frankfurter',
+  isOnline: true,
+  isAvailable: () => true,
+  fetchRates: async (fromCurrency, date) => {
+    const url = `${FRANKFURTER_BASE_URL}/${date || 'latest'}?from=${encodeURIComponent(fromCurrency)}`
+    debugLog('Fetching from URL', { url })
+
+    const data = await fetchJson(url, 'frankfurter')
+    if (!data?.rates || typeof data.rates !== 'object') {
+      debugError('Frankfurter response missing rates', { fullData: data })
+      return null
+    }
+
+    // The base currency itself is not listed; ECB publishes no rates on weekends,
+    // in which case data.date is the last business day before the requested date
+    return {
+      rates: { ...data.rates, [fromCurrency]: 1 },
+      rateDate: data.date || date
+    }
+  }
+}
+
+/**
+ * Bundled rate table - always available, but only approximate and never historical
+ */
+export const offlineProvider = {
+  id: 'offline',
+  isOnline: false,
+  isAvailable: () => true,
+  fetchRates: async (fromCurrency) => {
+    const rates = getOfflineRates(fromCurrency)
+    return rates ? { rates, rateDate: OFFLINE_RATES_DATE } : null
+  }
+}
+
+// Tried in order until one returns the requested rate
+export const EXCHANGE_RATE_PROVIDERS = [
+  exchangeRateApiProvider,
+  frankfurterProvider,
+  offlineProvider
+]
@@ -1,8 +1,366 @@
-import { ref, push, update, get } from 'firebase/database'
+import { ref, push, update, get, runTransaction, onValue } from 'firebase/database'
 import { rtdb } from '../firebase'
 import { debugLog, debugError } from '../utils/debug'
 import { getMemberDisplayName } from '../utils/displayNameHelper'
-import { updateAllUserSummaries } from './groupService'
+import { applyExpenseToSummary, applySettlementToSummary, isSeparateCurrency } from '../utils/ledger'
+import { solveGreedySettlements, solveMinimumSettlements, routeSettlements } from '../utils/settlementSolver'
+import { getPaymentMethodList, getSharedPaymentMethods } from '../utils/paymentMethods'
+import { toMinorUnits, fromMinorUnits, roundToCurrency } from '../utils/currencies'
+import { isBuiltInCategory } from '../utils/categories'
+import { buildRecurringSchedule } from '../utils/recurrence'
+import { updateAllUserSummaries, convertExpenseCurrency, convertSettlementCurrency } from './groupService'
+import { buildActivityEntry, getActivityLogUpdates, writeActivityEntries, ACTIVITY_ACTIONS } from './activityLogService'
+import { deleteReceiptPhotos } from './receiptService'
+
+/**
+ * Calculate each participant's share of an expense in the expense currency
+ * Remainder distribution prioritizes payers (those who already paid), especially who paid more
+ * Shares are whole minor units of the currency ("cents" below: 1 yen for JPY, 1 fils for KWD)
+ * 
+ * @param {Object} expenseData - Expense data with amount, currency, payers, participants, splitMethod and splitDetails
+ * @returns {{details: Object, splitMeta: Object}} Per-participant amounts and split method metadata
+ */
+const calculateSplitDetails = (expenseData) => {
+  const details = {}
+  const splitMeta = {}
+  const payerIds = Object.keys(expenseData.payers || {})
+  const currency = expenseData.currency
+  // Item prices are entered in the original currency
+  const itemCurrency = expenseData.originalCurrency || currency
+
+  // Helper function: Sort participants by payer status and payer amount
+  // Returns array of participantIds sorted by: [payers_by_amount_desc, non_payers]
+  const getRemainderDistributionOrder = (participants) => {
+    const payers = []
+    const nonPayers = []
+
+    participants.forEach((id) => {
+      if (payerIds.includes(id)) {
+        payers.push({
+          id,
+          amount: expenseData.payers[id]?.amount || 0
+        })
+      } else {
+        nonPayers.push(id)
+      }
+    })
+
+    // Sort payers by amount paid (highest first)
+    payers.sort((a, b) => b.amount - a.amount)
+
+    // Return combined list: payers first, then non-payers
+    return [...payers.map(p => p.id), ...nonPayers]
+  }
+
+  // Helper function: Remove rounding overage (in cents) following the remainder distribution order
+  const removeOverage = (amountsById, participants, overageCents) => {
+    let remaining = overageCents
+    getRemainderDistributionOrder(participants).forEach((id) => {
+      const reduction = Math.min(remaining, amountsById[id] || 0)
+      amountsById[id] = (amountsById[id] || 0) - reduction
+      remaining -= reduction
+    })
+  }
+
+  if (expenseData.splitMethod === 'equal') {
+    // Fair equal split: round UP, adjust payers for overage
+    // Convert to cents to avoid floating point issues
+    const amountInCents = toMinorUnits(expenseData.amount, currency)
+    const participantCount = expenseData.participants.length
+    
+    // Calculate base amount (rounded UP)
+    const baseCents = Math.ceil(amountInCents / participantCount)
+    
+    // Initialize all with base amount (rounded up)
+    expenseData.participants.forEach((participantId) => {
+      details[participantId] = baseCents
+    })
+
+    // Calculate total and overage
+    const totalAfterRoundUp = baseCents * participantCount
+    const overageCents = totalAfterRoundUp - amountInCents
+    
+    // If there's overage, reduce one payer by the overage
+    if (overageCents > 0) {
+      const remainderOrder = getRemainderDistributionOrder(expenseData.participants)
+      if (remainderOrder.length > 0) {
+        const payerToAdjust = remainderOrder[0]
+        details[payerToAdjust] = (details[payerToAdjust] || baseCents) - overageCents
+      }
+    }
+
+    // Convert from cents to currency
+    Object.keys(details).forEach((id) => {
+      details[id] = fromMinorUnits(details[id], currency)
+    })
+  } else if (expenseData.splitMethod === 'percentage') {
+    // Fair percentage split: round UP, adjust payers for overage
+    const amountInCents = toMinorUnits(expenseData.amount, currency)
+    const amounts = []
+    let totalCents = 0
+    
+    // Calculate amounts for each participant (rounded UP)
+    expenseData.participants.forEach((participantId) => {
+      const percentage = expenseData.splitDetails[participantId]?.percentage || 0
+      const amountCents = Math.ceil((amountInCents * percentage) / 100)
+      amounts.push({ participantId, amountCents })
+      totalCents += amountCents
+      splitMeta[participantId] = { percentage }
+    })
+    
+    // Calculate overage and adjust payers
+    const overageCents = totalCents - amountInCents
+    if (overageCents > 0) {
+      const remainderOrder = getRemainderDistributionOrder(expenseData.participants)
+      for (let i = 0; i < remainderOrder.length && overageCents > 0; i++) {
+        const participantId = remainderOrder[i]
+        const item = amounts.find(a => a.participantId === participantId)
+        if (item) {
+          const reduction = Math.min(overageCents, item.amountCents)
+          item.amountCents -= reduction
+          break
+        }
+      }
+    }
+    
+    // Apply amounts to details
+    amounts.forEach(({ participantId, amountCents }) => {
+      details[participantId] = fromMinorUnits(amountCents, currency)
+    })
+  } else if (expenseData.splitMethod === 'shares') {
+    // Fair shares split: round UP, adjust payers for overage
+    const amountInCents = toMinorUnits(expenseData.amount, currency)
+    let totalShares = 0
+    const amounts = []
+    
+    // Calculate total shares
+    expenseData.participants.forEach((participantId) => {
+      const shares = expenseData.splitDetails[participantId]?.shares || 1
+      totalShares += shares
+    })
+    
+    // Calculate amounts for each participant (rounded UP)
+    let totalCents = 0
+    expenseData.participants.forEach((participantId) => {
+      const shares = expenseData.splitDetails[participantId]?.shares || 1
+      const amountCents = Math.ceil((amountInCents * shares) / totalShares)
+      amounts.push({ participantId, amountCents })
+      totalCents += amountCents
+      splitMeta[participantId] = { shares }
+    })
+    
+    // Calculate overage and adjust payers
+    const overageCents = totalCents - amountInCents
+    if (overageCents > 0) {
+      const remainderOrder = getRemainderDistributionOrder(expenseData.participants)
+      for (let i = 0; i < remainderOrder.length && overageCents > 0; i++) {
+        const participantId = remainderOrder[i]
+        const item = amounts.find(a => a.participantId === participantId)
+        if (item) {
+          const reduction = Math.min(overageCents, item.amountCents)
+          item.amountCents -= reduction
+          break
+        }
+      }
+    }
+    
+    // Apply amounts to details
+    amounts.forEach(({ participantId, amountCents }) => {
+      details[participantId] = fromMinorUnits(amountCents, currency)
+    })
+  } else if (expenseData.splitMethod === 'exact') {
+    // Exact split: use amounts as specified
+    expenseData.participants.forEach((participantId) => {
+      const amount = expenseData.splitDetails[participantId]?.amount || 0
+      details[participantId] = roundToCurrency(amount, currency)
+    })
+  } else if (expenseData.splitMethod === 'itemized') {
+    // Itemized split: each item is shared equally by its assignees, then the rest of the
+    // total (tax, service charge, tips) is spread in proportion to each person's item subtotal
+    // Item prices are only used as weights, so they can stay in the currency they were entered in
+    const amountInCents = toMinorUnits(expenseData.amount, currency)
+    const subtotals = {}
+    let itemsTotalCents = 0
+
+    const items = expenseData.items || []
+    items.forEach((item) => {
+      const priceCents = toMinorUnits(item.price, itemCurrency)
+      const assignees = (item.assignees || []).map(String)
+      if (priceCents <= 0 || assignees.length === 0) return
+
+      // Share the item rounded UP, adjust payers for overage
+      const itemShares = {}
+      const baseCents = Math.ceil(priceCents / assignees.length)
+      assignees.forEach((id) => {
+        itemShares[id] = baseCents
+      })
+      removeOverage(itemShares, assignees, baseCents * assignees.length - priceCents)
+
+      Object.entries(itemShares).forEach(([id, cents]) => {
+        subtotals[id] = (subtotals[id] || 0) + cents
+      })
+      itemsTotalCents += priceCents
+    })
+
+    // Scale subtotals to the expense total (rounded UP), adjust payers for overage
+    const participantIds = Object.keys(subtotals)
+    const amounts = {}
+    let totalCents = 0
+    participantIds.forEach((participantId) => {
+      const amountCents = Math.ceil((amountInCents * subtotals[participantId]) / itemsTotalCents)
+      amounts[participantId] = amountCents
+      totalCents += amountCents
+      splitMeta[participantId] = { itemsSubtotal: fromMinorUnits(subtotals[participantId], itemCurrency) }
+    })
+
+    if (totalCents > amountInCents) {
+      removeOverage(amounts, participantIds, totalCents - amountInCents)
+    }
+
+    // Apply amounts to details
+    participantIds.forEach((participantId) => {
+      details[participantId] = fromMinorUnits(amounts[participantId], currency)
+    })
+  }
+
+  return { details, splitMeta }
+}
+
+/**
+ * Parse an expense date (ISO string or timestamp) into a timestamp
+ */
+const parseExpenseDate = (date, fallback) => {
+  if (typeof date === 'string' && date) {
+    // ISO string like "2026-01-24"
+    return new Date(date).getTime()
+  }
+  if (typeof date === 'number') {
+    return date
+  }
+  return fallback
+}
+
+/**
+ * Round payer amounts to the currency's minor units
+ * Any rounding difference from the expense total is absorbed by the largest payer,
+ * so what was paid always equals what is split and balances still sum to zero
+ * 
+ * @param {Object} payers - Payers object: { userId: { name, amount } }
+ * @param {number} amount - Expense total, already rounded
+ * @param {string} currency - Expense currency
+ * @returns {Object} Payers with rounded amounts
+ */
+const roundPayerAmounts = (payers, amount, currency) => {
+  const rounded = Object.fromEntries(
+    Object.entries(payers || {}).map(([payerId, payer]) => [
+      payerId,
+      { ...payer, amount: roundToCurrency(payer.amount, currency) }
+    ])
+  )
+
+  const payerIds = Object.keys(rounded)
+  if (payerIds.length === 0) return rounded
+
+  const paidUnits = payerIds.reduce((sum, payerId) => sum + toMinorUnits(rounded[payerId].amount, currency), 0)
+  const differenceUnits = toMinorUnits(amount, currency) - paidUnits
+
+  // Only absorb rounding noise - a real mismatch between payers and total is kept as entered
+  if (differenceUnits !== 0 && Math.abs(differenceUnits) <= payerIds.length) {
+    const largestPayerId = payerIds.reduce((largest, payerId) => (
+      rounded[payerId].amount > rounded[largest].amount ? payerId : largest
+    ), payerIds[0])
+    rounded[largestPayerId].amount = fromMinorUnits(
+      toMinorUnits(rounded[largestPayerId].amount, currency) + differenceUnits,
+      currency
+    )
+  }
+
+  return rounded
+}
+
+/**
+ * Build the stored expense object (without creation metadata) from expense input data
+ * 
+ * @param {Object} expenseData - Expense data as accepted by createExpense
+ * @param {number} fallbackDate - Timestamp used when expenseData.date is missing
+ * @returns {Object} Expense record following the current schema
+ */
+const buildExpenseRecord = (expenseData, fallbackDate) => {
+  const amount = roundToCurrency(expenseData.amount, expenseData.currency)
+  const payers = roundPayerAmounts(expenseData.payers, amount, expenseData.currency)
+
+  // Calculate splits based on split method
+  const { details, splitMeta } = calculateSplitDetails({ ...expenseData, amount, payers })
+
+  // Parse date to timestamp
+  const dateTimestamp = parseExpenseDate(expenseData.date, fallbackDate)
+
+  // Create expense object following new schema
+  const expense = {
+    description: expenseData.description || '',
+    amount,
+    category: expenseData.category || 'other',
+    payers: Object.keys(payers).reduce((acc, payerId) => {
+      acc[String(payerId)] = {
+        name: payers[payerId].name,
+        amount: payers[payerId].amount
+      }
+      return acc
+    }, {}),
+    participants: expenseData.splitMethod === 'itemized'
+      ? Object.keys(details)
+      : expenseData.participants.map(String),
+    splitMethod: expenseData.splitMethod,
+    splitDetails: details,
+    date: dateTimestamp
+  }
+
+  // Add optional fields
+  if (expenseData.location) {
+    expense.location = expenseData.location
+  }
+
+  if (expenseData.currency) {
+    expense.currency = expenseData.currency
+  }
+
+  if (expenseData.exchangeRate) {
+    expense.exchangeRate = expenseData.exchangeRate
+  }
+
+  if (expenseData.originalCurrency && expenseData.originalCurrency !== expenseData.currency) {
+    expense.originalCurrency = expenseData.originalCurrency
+    expense.amountInOriginalCurrency = expenseData.amountInOriginalCurrency
+  }
+
+  if (Object.keys(splitMeta).length > 0) {
+    expense.splitMeta = splitMeta
+  }
+
+  if (expenseData.recurringExpenseId) {
+    expense.recurringExpenseId = expenseData.recurringExpenseId
+  }
+
+  if (expenseData.receipts?.length > 0) {
+    expense.receipts = expenseData.receipts.map((receipt) => ({
+      path: receipt.path,
+      url: receipt.url,
+      name: receipt.name || '',
+      uploadedAt: receipt.uploadedAt || Date.now(),
+      uploadedBy: receipt.uploadedBy || ''
+    }))
+  }
+
+  if (expenseData.splitMethod === 'itemized') {
+    expense.items = (expenseData.items || []).map((item) => ({
+      name: item.name || '',
+      price: roundToCurrency(item.price, expenseData.originalCurrency || expenseData.currency),
+      assignees: (item.assignees || []).map(String)
+    }))
+  }
+
+  return expense
+}
 
 /**
  * Create a new expense record
@@ -13,17 +371,26 @@ import { updateAllUserSummaries } from './groupService'
  * @param {number} expenseData.amount - Total expense amount
  * @param {Object} expenseData.payers - Payers object: { userId: { name, amount }, ... }
  * @param {Array} expenseData.participants - Array of participant IDs
- * @param {string} expenseData.splitMethod - 'equal' | 'percentage' | 'shares' | 'exact'
+ * @param {string} expenseData.splitMethod - 'equal' | 'percentage' | 'shares' | 'exact' | 'itemized'
  * @param {Object} expenseData.splitDetails - Split method specific details
+ * @param {Array} expenseData.items - Receipt items for 'itemized': [{ name, price, assignees: [userId] }]
+ * @param {Array} expenseData.receipts - Uploaded receipt photo references: [{ path, url, name }] (optional)
  * @param {string} expenseData.description - Description
  * @param {string} expenseData.category - Category
  * @param {string} expenseData.currency - Currency code
  * @param {string} expenseData.date - Date (ISO string or timestamp)
  * @param {string} expenseData.location - Location
+ * @param {string} expenseData.originalCurrency - Currency the expense was entered in (optional)
+ * @param {number} expenseData.amountInOriginalCurrency - Amount in the original currency (optional)
+ * @param {Object} expenseData.exchangeRate - Exchange rate record when originalCurrency differs (optional)
+ * @param {string} expenseData.recurringExpenseId - Recurring expense schedule that created it (optional)
  * @param {string} currentUserId - User ID who created the expense
- * @returns {Promise<{success: boolean, expenseId: string}>}
+ * @param {Object} options
+ * @param {string} options.recurrence - Frequency of a recurring schedule created in the same transaction,
+ *   with this expense as its first occurrence (optional)
+ * @returns {Promise<{success: boolean, expenseId: string, scheduleId: string|null}>}
  */
-export const createExpense = async (groupId, expenseData, currentUserId) => {
+export const createExpense = async (groupId, expenseData, currentUserId, { recurrence } = {}) => {
   try {
     // Validate payers
     const hasPayers = expenseData.payers && Object.keys(expenseData.payers).length > 0
@@ -40,350 +407,483 @@ export const createExpense = async (groupId, expenseData, currentUserId) => {
 
     const now = Date.now()
     const expenseId = push(ref(rtdb, 'dummy')).key
+    const scheduleId = recurrence ? push(ref(rtdb, 'dummy')).key : null
+    const schedule = recurrence ? buildRecurringSchedule(expenseData, recurrence, currentUserId, now) : null
 
-    // Normalize payers to object format
-    const payers = expenseData.payers
+    // Build expense object following new schema
+    const expense = {
+      ...buildExpenseRecord(expenseData, now),
+      createdAt: now,
+      createdBy: String(currentUserId)
+    }
+    if (scheduleId) {
+      expense.recurringExpenseId = scheduleId
+    }
+    const details = expense.splitDetails
 
-    // Calculate splits based on split method
-    // Remainder distribution prioritizes payers (those who already paid), especially who paid more
-    let details = {}
-    let splitMeta = {}
-    let totalAmount = 0
-    const payerIds = Object.keys(expenseData.payers || {})
-    const nonPayerParticipants = expenseData.participants.filter(id => !payerIds.includes(id))
-
-    // Helper function: Sort participants by payer status and payer amount
-    // Returns array of participantIds sorted by: [payers_by_amount_desc, non_payers]
-    const getRemainderDistributionOrder = (participants) => {
-      const payers = []
-      const nonPayers = []
-
-      participants.forEach((id) => {
-        if (payerIds.includes(id)) {
-          payers.push({
-            id,
-            amount: expenseData.payers[id]?.amount || 0
-          })
-        } else {
-          nonPayers.push(id)
-        }
+    // Add the expense and update the group summary in one transaction
+    // so concurrent writes from other members are retried instead of overwritten
+    let activityEntry = null
+    const groupRef = ref(rtdb, `groups/${String(groupId)}`)
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
+
+      group.expenses = { ...group.expenses, [expenseId]: expense }
+      if (schedule) {
+        group.recurringExpenses = { ...group.recurringExpenses, [scheduleId]: schedule }
+      }
+      group.summary = {
+        ...applyExpenseToSummary(group.summary, expense, 1, group.currency),
+        lastExpenseAt: now
+      }
+      activityEntry = buildActivityEntry(group, {
+        action: ACTIVITY_ACTIONS.EXPENSE_CREATED,
+        targetId: expenseId,
+        after: expense,
+        actorId: currentUserId,
+        at: now
       })
+      return group
+    })
+
+    if (!result.committed || !result.snapshot.exists()) {
+      throw new Error('Group not found')
+    }
 
-      // Sort payers by amount paid (highest first)
-      payers.sort((a, b) => b.amount - a.amount)
-
-      // Return combined list: payers first, then non-payers
-      return [...payers.map(p => p.id), ...nonPayers]
-    }
-
-    if (expenseData.splitMethod === 'equal') {
-      // Fair equal split: round UP, adjust payers for overage
-      // Convert to cents to avoid floating point issues
-      const amountInCents = Math.round(expenseData.amount * 100)
-      const participantCount = expenseData.participants.length
-      
-      // Calculate base amount (rounded UP)
-      const baseCents = Math.ceil(amountInCents / participantCount)
-      
-      // Initialize all with base amount (rounded up)
-      expenseData.participants.forEach((participantId) => {
-        details[participantId] = baseCents
+    await writeActivityEntries(groupId, [activityEntry])
+
+    // Update summaries for ALL users involved in this expense (payers + participants)
+    try {
+      await updateAllUserSummaries(groupId, {
+        amount: expenseData.amount,
+        payers: expenseData.payers,
+        participants: expenseData.participants,
+        splitDetails: details
       })
+      debugLog('All user summaries updated for expense', { groupId, expenseId })
+    } catch (summaryError) {
+      debugError('Failed to update user summaries', summaryError)
+      // Don't throw - expense was already created successfully
+    }
+
+    debugLog('Expense created successfully', { groupId, expenseId, amount: expenseData.amount })
+
+    return {
+      success: true,
+      expenseId,
+      scheduleId
+    }
+  } catch (error) {
+    debugError('Error creating expense', error)
+    throw error
+  }
+}
 
-      // Calculate total and overage
-      const totalAfterRoundUp = baseCents * participantCount
-      const overageCents = totalAfterRoundUp - amountInCents
-      
-      // If there's overage, reduce one payer by the overage
-      if (overageCents > 0) {
-        const remainderOrder = getRemainderDistributionOrder(expenseData.participants)
-        if (remainderOrder.length > 0) {
-          const payerToAdjust = remainderOrder[0]
-          details[payerToAdjust] = (details[payerToAdjust] || baseCents) - overageCents
+/**
+ * Create a batch of imported expenses
+ * All valid rows, and the dummy members they introduce, are added in one transaction, so a failed import
+ * writes nothing and can simply be retried; rows that cannot be turned into an expense are reported per row
+ * and left out
+ *
+ * @param {string} groupId - The group ID
+ * @param {Array<{rowNumber: number, expenseData: Object}>} entries - Expenses to create, tagged with their source row
+ * @param {string} currentUserId - User ID running the import
+ * @param {Object} newMembers - Dummy members to add, keyed by their new ID (owner only; optional)
+ * @returns {Promise<{success: boolean, createdCount: number, failed: Array<{rowNumber: number, error: string}>}>}
+ */
+export const importExpenses = async (groupId, entries, currentUserId, newMembers = {}) => {
+  try {
+    if (!groupId || !entries || entries.length === 0) {
+      throw new Error('Group ID and at least one expense are required')
+    }
+
+    debugLog('Importing expenses', { groupId, count: entries.length })
+
+    const now = Date.now()
+    const records = []
+    const failed = []
+
+    entries.forEach(({ rowNumber, expenseData }) => {
+      try {
+        if (!expenseData.amount || !expenseData.payers || Object.keys(expenseData.payers).length === 0) {
+          throw new Error('Amount and at least one payer are required')
         }
-      }
 
-      // Convert from cents to currency
-      Object.keys(details).forEach((id) => {
-        details[id] = details[id] / 100
-      })
-    } else if (expenseData.splitMethod === 'percentage') {
-      // Fair percentage split: round UP, adjust payers for overage
-      const amountInCents = Math.round(expenseData.amount * 100)
-      const amounts = []
-      let totalCents = 0
-      
-      // Calculate amounts for each participant (rounded UP)
-      expenseData.participants.forEach((participantId) => {
-        const percentage = expenseData.splitDetails[participantId]?.percentage || 0
-        const amountCents = Math.ceil((amountInCents * percentage) / 100)
-        amounts.push({ participantId, amountCents })
-        totalCents += amountCents
-        splitMeta[participantId] = { percentage }
-      })
-      
-      // Calculate overage and adjust payers
-      const overageCents = totalCents - amountInCents
-      if (overageCents > 0) {
-        const remainderOrder = getRemainderDistributionOrder(expenseData.participants)
-        for (let i = 0; i < remainderOrder.length && overageCents > 0; i++) {
-          const participantId = remainderOrder[i]
-          const item = amounts.find(a => a.participantId === participantId)
-          if (item) {
-            const reduction = Math.min(overageCents, item.amountCents)
-            item.amountCents -= reduction
-            break
+        records.push({
+          expenseId: push(ref(rtdb, 'dummy')).key,
+          expense: {
+            ...buildExpenseRecord(expenseData, now),
+            createdAt: now,
+            createdBy: String(currentUserId)
           }
-        }
+        })
+      } catch (rowError) {
+        failed.push({ rowNumber, error: rowError.message })
       }
-      
-      // Apply amounts to details
-      amounts.forEach(({ participantId, amountCents }) => {
-        details[participantId] = amountCents / 100
-      })
-    } else if (expenseData.splitMethod === 'shares') {
-      // Fair shares split: round UP, adjust payers for overage
-      const amountInCents = Math.round(expenseData.amount * 100)
-      let totalShares = 0
-      const amounts = []
-      
-      // Calculate total shares
-      expenseData.participants.forEach((participantId) => {
-        const shares = expenseData.splitDetails[participantId]?.shares || 1
-        totalShares += shares
-      })
-      
-      // Calculate amounts for each participant (rounded UP)
-      let totalCents = 0
-      expenseData.participants.forEach((participantId) => {
-        const shares = expenseData.splitDetails[participantId]?.shares || 1
-        const amountCents = Math.ceil((amountInCents * shares) / totalShares)
-        amounts.push({ participantId, amountCents })
-        totalCents += amountCents
-        splitMeta[participantId] = { shares }
-      })
-      
-      // Calculate overage and adjust payers
-      const overageCents = totalCents - amountInCents
-      if (overageCents > 0) {
-        const remainderOrder = getRemainderDistributionOrder(expenseData.participants)
-        for (let i = 0; i < remainderOrder.length && overageCents > 0; i++) {
-          const participantId = remainderOrder[i]
-          const item = amounts.find(a => a.participantId === participantId)
-          if (item) {
-            const reduction = Math.min(overageCents, item.amountCents)
-            item.amountCents -= reduction
-            break
-          }
+    })
+
+    if (records.length === 0) {
+      return { success: false, createdCount: 0, failed }
+    }
+
+    let activityEntries = []
+    let memberError = null
+    const groupRef = ref(rtdb, `groups/${String(groupId)}`)
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
+
+      activityEntries = []
+      memberError = null
+      const newMemberEntries = Object.entries(newMembers || {})
+      if (newMemberEntries.length > 0) {
+        if (group.owner !== currentUserId) {
+          memberError = 'Only group owner can add members'
+          return // Abort
+        }
+
+        const takenNames = new Set(Object.values(group.members || {}).map((member) => member?.name?.toLowerCase()))
+        if (newMemberEntries.some(([, member]) => takenNames.has(member.name.toLowerCase()))) {
+          memberError = 'This name is already taken in this group'
+          return // Abort
+        }
+
+        newMemberEntries.forEach(([memberId, member]) => {
+          group.members = { ...group.members, [memberId]: member }
+        })
+        group.summary = {
+          ...group.summary,
+          memberCount: (group.summary?.memberCount || 1) + newMemberEntries.length
         }
       }
-      
-      // Apply amounts to details
-      amounts.forEach(({ participantId, amountCents }) => {
-        details[participantId] = amountCents / 100
-      })
-    } else if (expenseData.splitMethod === 'exact') {
-      // Exact split: use amounts as specified
-      expenseData.participants.forEach((participantId) => {
-        const amount = expenseData.splitDetails[participantId]?.amount || 0
-        details[participantId] = Math.round(amount * 100) / 100
+
+      let summary = group.summary
+      records.forEach(({ expenseId, expense }) => {
+        group.expenses = { ...group.expenses, [expenseId]: expense }
+        summary = applyExpenseToSummary(summary, expense, 1, group.currency)
+        activityEntries.push(buildActivityEntry(group, {
+          action: ACTIVITY_ACTIONS.EXPENSE_CREATED,
+          targetId: expenseId,
+          after: expense,
+          actorId: currentUserId,
+          at: now
+        }))
       })
+      group.summary = { ...summary, lastExpenseAt: now }
+      return group
+    })
+
+    if (!result.committed || !result.snapshot.exists()) {
+      throw new Error(memberError || 'Group not found')
     }
 
-    // Parse date to timestamp
-    let dateTimestamp = now
-    if (expenseData.date) {
-      if (typeof expenseData.date === 'string') {
-        // ISO string like "2026-01-24"
-        dateTimestamp = new Date(expenseData.date).getTime()
-      } else if (typeof expenseData.date === 'number') {
-        dateTimestamp = expenseData.date
+    await writeActivityEntries(groupId, activityEntries)
+
+    // Update summaries for every user involved, one expense at a time as createExpense does
+    for (const { expense } of records) {
+      try {
+        await updateAllUserSummaries(groupId, {
+          amount: expense.amount,
+          payers: expense.payers,
+          participants: expense.participants,
+          splitDetails: expense.splitDetails
+        })
+      } catch (summaryError) {
+        debugError('Failed to update user summaries', summaryError)
+        // Don't throw - expenses were already imported successfully
       }
     }
 
-    // Create expense object following new schema
-    const expense = {
-      description: expenseData.description || '',
-      amount: expenseData.amount,
-      category: expenseData.category || 'other',
-      payers: Object.keys(payers).reduce((acc, payerId) => {
-        acc[String(payerId)] = {
-          name: payers[payerId].name,
-          amount: payers[payerId].amount
-        }
-        return acc
-      }, {}),
-      participants: expenseData.participants.map(String),
-      splitMethod: expenseData.splitMethod,
-      splitDetails: details,
-      date: dateTimestamp,
-      createdAt: now,
-      createdBy: String(currentUserId)
-    }
+    debugLog('Expenses imported', { groupId, createdCount: records.length, failedCount: failed.length })
 
-    // Add optional fields
-    if (expenseData.location) {
-      expense.location = expenseData.location
+    return {
+      success: failed.length === 0,
+      createdCount: records.length,
+      failed
     }
+  } catch (error) {
+    debugError('Error importing expenses', error)
+    throw error
+  }
+}
 
-    if (expenseData.currency) {
-      expense.currency = expenseData.currency
-    }
+// Deleted expenses and settlement records stay in groupTrash/{groupId}/{recordId} until restored or purged
+// The trash lives outside the group node so expense transactions do not carry it
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
 
-    if (expenseData.exchangeRate) {
-      expense.exchangeRate = expenseData.exchangeRate
-    }
+/**
+ * Move an expense or settlement record to the trash and revert its balances
+ * The trash entry and the activity entry are written first, so the record is only removed from the group
+ * once a restorable copy exists; both are taken back when the removal aborts.
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} recordId - The expense or settlement record ID
+ * @param {'expense'|'settlement'} type - Kind of record
+ * @param {string} userId - User deleting the record
+ * @returns {Promise<{record: Object, balances: Object}>} The record as it was removed, and the group balances after
+ */
+const moveRecordToTrash = async (groupId, recordId, type, userId) => {
+  const isSettlement = type === 'settlement'
+  const collection = isSettlement ? 'settlementRecords' : 'expenses'
+  const notFoundMessage = isSettlement ? `Settlement record not found (looking for: ${recordId})` : 'Expense not found'
+
+  const groupRef = ref(rtdb, `groups/${String(groupId)}`)
+  const groupSnapshot = await get(groupRef)
+  if (!groupSnapshot.exists()) {
+    throw new Error('Group not found')
+  }
 
-    if (Object.keys(splitMeta).length > 0) {
-      expense.splitMeta = splitMeta
+  const group = groupSnapshot.val()
+  const record = group[collection]?.[recordId]
+  if (!record) {
+    throw new Error(notFoundMessage)
+  }
+
+  const now = Date.now()
+  const trashPath = `groupTrash/${String(groupId)}/${recordId}`
+  const activityUpdates = getActivityLogUpdates(groupId, [buildActivityEntry(group, {
+    action: isSettlement ? ACTIVITY_ACTIONS.SETTLEMENT_DELETED : ACTIVITY_ACTIONS.EXPENSE_DELETED,
+    targetId: recordId,
+    before: record,
+    actorId: userId,
+    at: now
+  })])
+  const [activityPath] = Object.keys(activityUpdates)
+
+  // Claimed in a transaction so a concurrent delete of the same record never overwrites this entry
+  const trashResult = await runTransaction(ref(rtdb, trashPath), (entry) => {
+    if (entry) return // Abort - already being deleted
+    return {
+      type,
+      record,
+      deletedAt: now,
+      deletedBy: userId ? String(userId) : null
     }
+  })
+  if (!trashResult.committed) {
+    throw new Error(notFoundMessage)
+  }
 
-    // Get current group data to update summary
-    const groupRef = ref(rtdb, `groups/${String(groupId)}`)
-    const groupSnapshot = await get(groupRef)
+  try {
+    await update(ref(rtdb), activityUpdates)
+  } catch (activityError) {
+    await update(ref(rtdb), { [trashPath]: null })
+    throw activityError
+  }
 
-    if (!groupSnapshot.exists()) {
-      throw new Error('Group not found')
-    }
+  // The stored record is re-read inside the transaction so a double delete can never revert twice
+  let storedRecord = null
+  const result = await runTransaction(groupRef, (currentGroup) => {
+    if (!currentGroup) return currentGroup
 
-    const group = groupSnapshot.val()
-    const currentSummary = group.summary || {}
+    storedRecord = currentGroup[collection]?.[recordId] || null
+    if (!storedRecord) return // Abort - already deleted
 
-    // Update balances
-    const updatedBalances = { ...currentSummary.balances }
+    delete currentGroup[collection][recordId]
+    currentGroup.summary = isSettlement
+      ? { ...applySettlementToSummary(currentGroup.summary, storedRecord, -1, currentGroup.currency), lastSettlementAt: now }
+      : applyExpenseToSummary(currentGroup.summary, storedRecord, -1, currentGroup.currency)
+    return currentGroup
+  })
 
-    // Add amounts to each payer's balance (they gave money)
-    // Round to 2 decimal places to avoid floating point errors
-    Object.entries(payers).forEach(([payerId, payerInfo]) => {
-      const roundedAmount = Math.round(payerInfo.amount * 100) / 100
-      updatedBalances[payerId] = Math.round(((updatedBalances[payerId] || 0) + roundedAmount) * 100) / 100
-    })
+  if (!result.committed || !storedRecord || !result.snapshot.exists()) {
+    await update(ref(rtdb), { [trashPath]: null, [activityPath]: null })
+    throw new Error(result.snapshot.exists() ? notFoundMessage : 'Group not found')
+  }
 
-    // Subtract amounts from each participant's balance (they owe money)
-    // Round to 2 decimal places to avoid floating point errors
-    Object.entries(details).forEach(([participantId, amount]) => {
-      const roundedAmount = Math.round(amount * 100) / 100
-      updatedBalances[participantId] = Math.round(((updatedBalances[participantId] || 0) - roundedAmount) * 100) / 100
-    })
+  // Edited between the copy and the removal: keep the version that was actually removed
+  if (JSON.stringify(storedRecord) !== JSON.stringify(record)) {
+    try {
+      await update(ref(rtdb), {
+        [`${trashPath}/record`]: storedRecord,
+        [`${activityPath}/before`]: storedRecord
+      })
+    } catch (trashError) {
+      debugError('Error updating trash entry', trashError)
+    }
+  }
 
-    // Batch updates
-    const updates = {}
-    updates[`groups/${String(groupId)}/expenses/${String(expenseId)}`] = expense
-    updates[`groups/${String(groupId)}/summary/totalExpenses`] = (currentSummary.totalExpenses || 0) + expenseData.amount
-    updates[`groups/${String(groupId)}/summary/expenseCount`] = (currentSummary.expenseCount || 0) + 1
-    updates[`groups/${String(groupId)}/summary/lastExpenseAt`] = now
-    updates[`groups/${String(groupId)}/summary/balances`] = updatedBalances
+  return { record: storedRecord, balances: result.snapshot.val().summary?.balances }
+}
 
-    await update(ref(rtdb), updates)
+/**
+ * Move an expense to the group's trash and revert its balances and user summaries
+ * Receipt photos and comments are kept until the trash entry is purged
+ * 
+ * @param {string} groupId - The group ID
+ * @param {string} expenseId - The expense ID to delete
+ * @param {Object} expense - The expense object with payers, participants, and amount
+ * @param {string} userId - User ID who deleted the expense
+ * @returns {Promise<{success: boolean}>}
+ */
+export const deleteExpense = async (groupId, expenseId, expense, userId) => {
+  try {
+    if (!groupId || !expenseId || !expense) {
+      throw new Error('Group ID, expense ID, and expense data are required')
+    }
 
-    // Update summaries for ALL users involved in this expense (payers + participants)
+    debugLog('Deleting expense', { groupId, expenseId, amount: expense.amount })
+
+    const { record: storedExpense, balances } = await moveRecordToTrash(groupId, expenseId, 'expense', userId)
+
+    debugLog('Updated balances after revert', { balances })
+
+    // Revert summaries for all users involved
     try {
-      await updateAllUserSummaries(groupId, {
-        amount: expenseData.amount,
-        payers: expenseData.payers,
-        participants: expenseData.participants,
-        splitDetails: details
+      await revertUserSummariesForExpense(groupId, {
+        amount: storedExpense.amount,
+        payers: storedExpense.payers,
+        participants: storedExpense.participants,
+        splitDetails: storedExpense.splitDetails
       })
-      debugLog('All user summaries updated for expense', { groupId, expenseId })
+      debugLog('User summaries reverted for deleted expense', { groupId, expenseId })
     } catch (summaryError) {
-      debugError('Failed to update user summaries', summaryError)
-      // Don't throw - expense was already created successfully
+      debugError('Failed to revert user summaries', summaryError)
+      // Don't throw - expense was already deleted successfully
     }
 
-    debugLog('Expense created successfully', { groupId, expenseId, amount: expenseData.amount })
+    debugLog('Expense moved to trash', { groupId, expenseId })
 
     return {
-      success: true,
-      expenseId,
+      success: true
     }
   } catch (error) {
-    debugError('Error creating expense', error)
+    debugError('Error deleting expense', error)
     throw error
   }
 }
 
 /**
- * Delete an expense record and revert user summaries
+ * Convert a stored expense back into the input format accepted by createExpense
+ * Used to re-run the split calculation when only some fields of an expense change
+ */
+const toExpenseInput = (expense) => {
+  const splitDetails = {}
+  Object.entries(expense.splitDetails || {}).forEach(([participantId, amount]) => {
+    if (expense.splitMethod === 'exact') {
+      splitDetails[participantId] = { amount }
+    } else if (expense.splitMeta?.[participantId]) {
+      splitDetails[participantId] = { ...expense.splitMeta[participantId] }
+    }
+  })
+
+  return {
+    ...expense,
+    participants: expense.participants || [],
+    splitDetails
+  }
+}
+
+/**
+ * Update an existing expense record
+ * Reverts the old split from group balances and user summaries, then applies the new one
+ * Creation metadata (createdAt, createdBy) is preserved
  * 
  * @param {string} groupId - The group ID
- * @param {string} expenseId - The expense ID to delete
- * @param {Object} expense - The expense object with payers, participants, and amount
- * @returns {Promise<{success: boolean}>}
+ * @param {string} expenseId - The expense ID to update
+ * @param {Object} changes - Changed expense fields, same shape as createExpense expenseData
+ * @param {string} userId - User ID who edited the expense
+ * @returns {Promise<{success: boolean, expenseId: string}>}
  */
-export const deleteExpense = async (groupId, expenseId, expense) => {
+export const updateExpense = async (groupId, expenseId, changes, userId) => {
   try {
-    if (!groupId || !expenseId || !expense) {
-      throw new Error('Group ID, expense ID, and expense data are required')
+    if (!groupId || !expenseId || !changes) {
+      throw new Error('Group ID, expense ID, and expense changes are required')
     }
 
-    debugLog('Deleting expense', { groupId, expenseId, amount: expense.amount })
+    debugLog('Updating expense', { groupId, expenseId, changedFields: Object.keys(changes) })
+
+    const now = Date.now()
+    let oldExpense = null
+    let expense = null
+    let validationError = null
+    let activityEntry = null
 
-    // Get current group data
+    // Revert the old split and apply the new one against the latest summary in one transaction
     const groupRef = ref(rtdb, `groups/${String(groupId)}`)
-    const groupSnapshot = await get(groupRef)
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
 
-    if (!groupSnapshot.exists()) {
-      throw new Error('Group not found')
-    }
+      oldExpense = group.expenses?.[expenseId] || null
+      validationError = null
 
-    const group = groupSnapshot.val()
-    const currentSummary = group.summary || {}
+      if (!oldExpense) {
+        validationError = 'Expense not found'
+        return
+      }
 
-    // Revert balances
-    const updatedBalances = { ...currentSummary.balances }
+      const expenseData = { ...toExpenseInput(oldExpense), ...changes }
+      const hasPayers = expenseData.payers && Object.keys(expenseData.payers).length > 0
 
-    debugLog('Current balances before revert', { 
-      balances: updatedBalances,
-      payers: expense.payers,
-      splitDetails: expense.splitDetails
-    })
+      if (!expenseData.amount || !hasPayers) {
+        validationError = 'Amount and at least one payer are required'
+        return
+      }
 
-    // Subtract payer amounts (they paid, so we need to reverse that)
-    Object.entries(expense.payers || {}).forEach(([payerId, payerInfo]) => {
-      const amount = Math.round(payerInfo.amount * 100) / 100
-      updatedBalances[payerId] = Math.round(((updatedBalances[payerId] || 0) - amount) * 100) / 100
-      debugLog('Reverted payer balance', { payerId, amount, newBalance: updatedBalances[payerId] })
-    })
+      expense = {
+        ...buildExpenseRecord(expenseData, oldExpense.date),
+        createdAt: oldExpense.createdAt,
+        createdBy: oldExpense.createdBy,
+        updatedAt: now,
+        updatedBy: String(userId)
+      }
 
-    // Add participant amounts back (they owed, so we need to reverse that)
-    Object.entries(expense.splitDetails || {}).forEach(([participantId, amount]) => {
-      const roundedAmount = Math.round(amount * 100) / 100
-      updatedBalances[participantId] = Math.round(((updatedBalances[participantId] || 0) + roundedAmount) * 100) / 100
-      debugLog('Reverted participant balance', { participantId, amount: roundedAmount, newBalance: updatedBalances[participantId] })
+      // Values from before a change of group currency stay with the expense for audit
+      if (oldExpense.revaluedFrom) {
+        expense.revaluedFrom = oldExpense.revaluedFrom
+        expense.revaluedAt = oldExpense.revaluedAt
+      }
+
+      const revertedSummary = applyExpenseToSummary(group.summary, oldExpense, -1, group.currency)
+      group.expenses[expenseId] = expense
+      group.summary = applyExpenseToSummary(revertedSummary, expense, 1, group.currency)
+      activityEntry = buildActivityEntry(group, {
+        action: ACTIVITY_ACTIONS.EXPENSE_UPDATED,
+        targetId: expenseId,
+        before: oldExpense,
+        after: expense,
+        actorId: userId,
+        at: now
+      })
+      return group
     })
 
-    debugLog('Updated balances after revert', { balances: updatedBalances })
+    if (!result.snapshot.exists()) {
+      throw new Error('Group not found')
+    }
 
-    // Batch delete and update
-    const updates = {}
-    updates[`groups/${String(groupId)}/expenses/${String(expenseId)}`] = null
-    updates[`groups/${String(groupId)}/summary/totalExpenses`] = Math.max(0, (currentSummary.totalExpenses || 0) - expense.amount)
-    updates[`groups/${String(groupId)}/summary/expenseCount`] = Math.max(0, (currentSummary.expenseCount || 0) - 1)
-    updates[`groups/${String(groupId)}/summary/balances`] = updatedBalances
+    if (!result.committed) {
+      throw new Error(validationError || 'Failed to update expense')
+    }
 
-    await update(ref(rtdb), updates)
+    await writeActivityEntries(groupId, [activityEntry])
 
-    // Revert summaries for all users involved
+    // Move user summaries from the old split to the new one
     try {
-      await revertUserSummariesForExpense(groupId, {
+      await revertUserSummariesForExpense(groupId, oldExpense)
+      await updateAllUserSummaries(groupId, {
         amount: expense.amount,
         payers: expense.payers,
         participants: expense.participants,
         splitDetails: expense.splitDetails
       })
-      debugLog('User summaries reverted for deleted expense', { groupId, expenseId })
+      debugLog('User summaries updated for edited expense', { groupId, expenseId })
     } catch (summaryError) {
-      debugError('Failed to revert user summaries', summaryError)
-      // Don't throw - expense was already deleted successfully
+      debugError('Failed to update user summaries', summaryError)
+      // Don't throw - expense was already updated successfully
     }
 
-    debugLog('Expense deleted successfully', { groupId, expenseId })
+    // Remove receipt photos that were detached from the expense
+    const keptPaths = (expense.receipts || []).map((receipt) => receipt.path)
+    await deleteReceiptPhotos((oldExpense.receipts || []).filter((receipt) => !keptPaths.includes(receipt.path)))
+
+    debugLog('Expense updated successfully', { groupId, expenseId, amount: expense.amount })
 
     return {
-      success: true
+      success: true,
+      expenseId
     }
   } catch (error) {
-    debugError('Error deleting expense', error)
+    debugError('Error updating expense', error)
     throw error
   }
 }
@@ -453,19 +953,20 @@ const revertUserSummariesForExpense = async (groupId, expenseData) => {
 
 /**
  * Calculate settlements - who needs to pay whom and how much
- * Uses a greedy algorithm to minimize the number of transactions
+ * 'greedy' pairs the largest debtor with the largest creditor; 'optimal' finds the fewest transfers
+ * When members have declared payment methods, transfers only use pairs that share a method,
+ * routing through other members where needed
  * 
  * @param {Object} group - Group object with members and expenses
- * @returns {Array} Array of settlement objects { from, to, amount }
+ * @param {string} method - 'greedy' | 'optimal'
+ * @returns {Array} Array of settlement objects { from, fromName, to, toName, amount, paymentMethods?, infeasible? }
  */
-export const calculateSettlements = (group) => {
+export const calculateSettlements = (group, method = 'greedy') => {
   if (!group?.members) {
     return []
   }
 
   try {
-    // Use group/summary/balances directly (already accounts for all expenses and settlements)
-    const balances = group.summary?.balances || {}
     const memberNames = {}
 
     // Initialize member names with removed status indicator
@@ -473,63 +974,141 @@ export const calculateSettlements = (group) => {
       memberNames[memberId] = getMemberDisplayName(group.members[memberId])
     })
 
-    // Filter out members with zero balance
-    const debtors = [] // People who owe money (negative balance)
-    const creditors = [] // People who are owed money (positive balance)
-
-    Object.entries(balances).forEach(([userId, balance]) => {
-      const roundedBalance = Math.round(balance * 100) / 100 // Round to 2 decimals
-      if (roundedBalance < -0.01) {
-        debtors.push({ userId, amount: Math.abs(roundedBalance), name: memberNames[userId] })
-      } else if (roundedBalance > 0.01) {
-        creditors.push({ userId, amount: roundedBalance, name: memberNames[userId] })
+    // Members without declared payment methods accept anything
+    const paymentMethodsOf = (memberId) => group.members[memberId]?.paymentMethods
+    const hasPaymentConstraints = Object.keys(group.members)
+      .some((memberId) => getPaymentMethodList(paymentMethodsOf(memberId)).length > 0)
+    const canTransfer = (fromId, toId) => {
+      const shared = getSharedPaymentMethods(paymentMethodsOf(fromId), paymentMethodsOf(toId))
+      return shared === null || shared.length > 0
+    }
+    const activeMemberIds = Object.keys(group.members)
+      .filter((memberId) => group.members[memberId]?.status !== 'removed')
+
+    const solveBalances = (balances, currency) => {
+      // Filter out members with zero balance (work in minor units to avoid floating point errors)
+      const entries = Object.entries(balances || {})
+        .map(([userId, balance]) => ({ userId, name: memberNames[userId], cents: toMinorUnits(balance, currency) }))
+        .filter((entry) => Math.abs(entry.cents) > 1)
+
+      let plan = method === 'optimal'
+        ? solveMinimumSettlements(entries, canTransfer)
+        : solveGreedySettlements(entries, canTransfer)
+
+      if (hasPaymentConstraints) {
+        plan = routeSettlements(plan, { memberIds: activeMemberIds, names: memberNames, canTransfer })
+          .map((settlement) => {
+            const shared = getSharedPaymentMethods(paymentMethodsOf(settlement.from), paymentMethodsOf(settlement.to))
+            return shared?.length > 0 ? { ...settlement, paymentMethods: shared } : settlement
+          })
       }
-    })
 
-    // Sort for consistent ordering
-    debtors.sort((a, b) => b.amount - a.amount)
-    creditors.sort((a, b) => b.amount - a.amount)
+      // Solvers work in minor units of the currency; settlements carry amounts in major units
+      return plan.map(({ cents, ...settlement }) => ({ ...settlement, amount: fromMinorUnits(cents, currency), currency }))
+    }
 
-    // Greedy algorithm to match debtors with creditors
-    const settlements = []
-    let debtorIdx = 0
-    let creditorIdx = 0
+    // Use group/summary/balances directly (already accounts for all expenses and settlements)
+    // Multi-currency groups settle each currency they keep a balance in separately
+    const settlements = [
+      ...solveBalances(group.summary?.balances, group.currency),
+      ...Object.entries(group.summary?.currencyBalances || {})
+        .flatMap(([currency, balances]) => solveBalances(balances, currency))
+    ]
+
+    debugLog('Settlements calculated', { method, count: settlements.length, settlements })
+    return settlements
+  } catch (error) {
+    debugError('Error calculating settlements', error)
+    return []
+  }
+}
 
-    while (debtorIdx < debtors.length && creditorIdx < creditors.length) {
-      const debtor = debtors[debtorIdx]
-      const creditor = creditors[creditorIdx]
+/**
+ * Currency fields of a settlement record
+ * currency is the currency of the debt being settled (omitted for the group currency).
+ * When the payment was made in another currency, the amount actually paid and the
+ * exchange rate used at settlement time are kept alongside it.
+ * 
+ * @param {Object} settlementData - Settlement form data
+ * @returns {Object} Fields to spread into the record
+ */
+const getSettlementCurrencyFields = (settlementData) => {
+  const fields = {}
 
-      // Calculate the amount to settle - round to 2 decimal places
-      const settleAmount = Math.round(Math.min(debtor.amount, creditor.amount) * 100) / 100
+  if (settlementData.currency) {
+    fields.currency = settlementData.currency
+  }
 
-      settlements.push({
-        from: debtor.userId,
-        fromName: debtor.name,
-        to: creditor.userId,
-        toName: creditor.name,
-        amount: settleAmount
-      })
+  if (settlementData.paidCurrency && settlementData.paidCurrency !== settlementData.currency && settlementData.paidAmount) {
+    fields.paidCurrency = settlementData.paidCurrency
+    fields.paidAmount = settlementData.paidAmount
+    if (settlementData.exchangeRate) {
+      fields.exchangeRate = settlementData.exchangeRate
+    }
+  }
 
-      // Update remaining amounts (round to avoid floating point errors)
-      debtor.amount = Math.round((debtor.amount - settleAmount) * 100) / 100
-      creditor.amount = Math.round((creditor.amount - settleAmount) * 100) / 100
+  return fields
+}
 
-      // Move to next debtor or creditor if settled
-      if (debtor.amount < 0.01) debtorIdx++
-      if (creditor.amount < 0.01) creditorIdx++
+/**
+ * Move user summaries by a set of settlement changes
+ * A recorded payment lowers the payer's amount owed and the recipient's amount receivable
+ * 
+ * @param {Array<{record: Object, sign: number}>} changes - Settlement records to apply (sign 1) or revert (sign -1)
+ * @returns {Promise<void>}
+ */
+const updateUserSummariesForSettlements = async (changes) => {
+  const affectedUsers = new Set()
+  changes.forEach(({ record }) => {
+    affectedUsers.add(record.from)
+    affectedUsers.add(record.to)
+  })
+
+  const now = Date.now()
+  const updates = {}
+
+  for (const userId of affectedUsers) {
+    const userSummaryRef = ref(rtdb, `userSummaries/${userId}`)
+    const userSummarySnapshot = await get(userSummaryRef)
+
+    if (!userSummarySnapshot.exists()) {
+      continue
     }
 
-    debugLog('Settlements calculated', { count: settlements.length, settlements })
-    return settlements
-  } catch (error) {
-    debugError('Error calculating settlements', error)
-    return []
+    const userSummary = userSummarySnapshot.val()
+    let newAmountOwed = userSummary.totalAmountOwed || 0
+    let newAmountReceivable = userSummary.totalAmountReceivable || 0
+
+    changes.forEach(({ record, sign }) => {
+      if (userId === record.from) {
+        // Payer: applying decreases their amountOwed, reverting increases it back
+        newAmountOwed -= sign * record.amount
+      } else if (userId === record.to) {
+        // Recipient: applying decreases their amountReceivable, reverting increases it back
+        newAmountReceivable -= sign * record.amount
+      }
+    })
+
+    newAmountOwed = Math.max(0, Math.round(newAmountOwed * 100) / 100)
+    newAmountReceivable = Math.max(0, Math.round(newAmountReceivable * 100) / 100)
+    // totalBalance = totalAmountReceivable - totalAmountOwed (net balance across all groups)
+    const totalBalance = Math.round((newAmountReceivable - newAmountOwed) * 100) / 100
+
+    updates[`userSummaries/${userId}/totalAmountOwed`] = newAmountOwed
+    updates[`userSummaries/${userId}/totalAmountReceivable`] = newAmountReceivable
+    updates[`userSummaries/${userId}/totalBalance`] = totalBalance
+    updates[`userSummaries/${userId}/lastUpdated`] = now
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await update(ref(rtdb), updates)
   }
 }
 
 /**
  * Record a settlement payment between two group members
  * This allows users to manually log who paid whom
+ * The record and group balances are written in one transaction so concurrent payments are never lost
  * 
  * @param {string} groupId - The group ID
  * @param {Object} settlementData - Settlement data
@@ -564,84 +1143,50 @@ export const recordSettlement = async (groupId, settlementData, currentUserId) =
       remarks: settlementData.remarks || '',
       date: settlementData.date || new Date().toISOString().split('T')[0],
       recordedBy: currentUserId,
-      recordedAt: now
+      recordedAt: now,
+      ...getSettlementCurrencyFields(settlementData)
     }
 
     // Generate unique ID for this settlement record (using Firebase key format)
     const recordId = push(ref(rtdb, 'dummy')).key
 
-    // Get the settlement records object
-    const recordsRef = ref(rtdb, `groups/${groupId}/settlementRecords`)
-    const recordsSnapshot = await get(recordsRef)
-    
-    let records = {}
-    if (recordsSnapshot.exists()) {
-      records = recordsSnapshot.val()
-    }
-
-    // Add new record with unique ID
-    records[recordId] = settlementRecord
-
-    // Get current group data to update balances
+    // Add the record and move balances atomically
+    // Payer's deficit shrinks (moves toward positive), recipient's credit shrinks (moves toward zero)
+    let activityEntry = null
     const groupRef = ref(rtdb, `groups/${groupId}`)
-    const groupSnapshot = await get(groupRef)
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
+
+      group.settlementRecords = { ...group.settlementRecords, [recordId]: settlementRecord }
+      group.summary = {
+        ...applySettlementToSummary(group.summary, settlementRecord, 1, group.currency),
+        lastSettlementAt: now
+      }
+      activityEntry = buildActivityEntry(group, {
+        action: ACTIVITY_ACTIONS.SETTLEMENT_CREATED,
+        targetId: recordId,
+        after: settlementRecord,
+        actorId: currentUserId,
+        at: now
+      })
+      return group
+    })
 
-    if (!groupSnapshot.exists()) {
+    if (!result.committed || !result.snapshot.exists()) {
       throw new Error('Group not found')
     }
 
-    const group = groupSnapshot.val()
-    const currentSummary = group.summary || {}
-    const updatedBalances = { ...currentSummary.balances }
-
-
-    const payerBalance = updatedBalances[settlementData.from] || 0
-    const recipientBalance = updatedBalances[settlementData.to] || 0
-
-    // Payer pays money, so reduces their deficit (negative balance becomes less negative, moves toward positive)
-    updatedBalances[settlementData.from] = Math.round((payerBalance + settlementData.amount) * 100) / 100
-
-    // Recipient receives money, so reduces their credit (positive balance becomes less positive, moves toward zero)
-    updatedBalances[settlementData.to] = Math.round((recipientBalance - settlementData.amount) * 100) / 100
-
-    // Batch update: settlement records + group balances (no totalBalance - it's calculated from balances when needed)
-    const updates = {}
-    updates[`groups/${groupId}/settlementRecords`] = records
-    updates[`groups/${groupId}/summary/balances`] = updatedBalances
-    updates[`groups/${groupId}/summary/lastSettlementAt`] = now
+    await writeActivityEntries(groupId, [activityEntry])
 
     // Also update user summaries for payer and recipient
-    // Payer's owed amount decreases (they paid money)
-    const payerSummaryRef = ref(rtdb, `userSummaries/${settlementData.from}`)
-    const payerSummarySnapshot = await get(payerSummaryRef)
-    if (payerSummarySnapshot.exists()) {
-      const payerSummary = payerSummarySnapshot.val()
-      const newAmountOwed = Math.round(((payerSummary.totalAmountOwed || 0) - settlementData.amount) * 100) / 100
-      const amountReceivable = payerSummary.totalAmountReceivable || 0
-      // totalBalance = totalAmountReceivable - totalAmountOwed (net balance across all groups)
-      const totalBalance = Math.round((amountReceivable - newAmountOwed) * 100) / 100
-      updates[`userSummaries/${settlementData.from}/totalAmountOwed`] = Math.max(0, newAmountOwed)
-      updates[`userSummaries/${settlementData.from}/totalBalance`] = totalBalance
-      updates[`userSummaries/${settlementData.from}/lastUpdated`] = now
-    }
-
-    // Recipient's receivable amount decreases (they received money)
-    const recipientSummaryRef = ref(rtdb, `userSummaries/${settlementData.to}`)
-    const recipientSummarySnapshot = await get(recipientSummaryRef)
-    if (recipientSummarySnapshot.exists()) {
-      const recipientSummary = recipientSummarySnapshot.val()
-      const newAmountReceivable = Math.round(((recipientSummary.totalAmountReceivable || 0) - settlementData.amount) * 100) / 100
-      const amountOwed = recipientSummary.totalAmountOwed || 0
-      // totalBalance = totalAmountReceivable - totalAmountOwed (net balance across all groups)
-      const totalBalance = Math.round((newAmountReceivable - amountOwed) * 100) / 100
-      updates[`userSummaries/${settlementData.to}/totalAmountReceivable`] = Math.max(0, newAmountReceivable)
-      updates[`userSummaries/${settlementData.to}/totalBalance`] = totalBalance
-      updates[`userSummaries/${settlementData.to}/lastUpdated`] = now
+    try {
+      await updateUserSummariesForSettlements([{ record: settlementRecord, sign: 1 }])
+    } catch (summaryError) {
+      debugError('Failed to update user summaries for settlement', summaryError)
+      // Don't throw - settlement was already recorded successfully
     }
 
-    await update(ref(rtdb), updates)
-
-    debugLog('Settlement recorded successfully', { settlementRecord })
+    debugLog('Settlement recorded successfully', { recordId, settlementRecord })
   } catch (error) {
     debugError('Error recording settlement', error)
     throw error
@@ -680,13 +1225,15 @@ export const getSettlementRecords = async (groupId) => {
 
 /**
  * Update an existing settlement record
+ * The old record is reverted and the new one applied against the latest balances in one transaction
  * 
  * @param {string} groupId - The group ID
  * @param {string} recordId - The settlement record ID
  * @param {Object} settlementData - Updated settlement data
+ * @param {string} userId - User ID who edited the record
  * @returns {Promise<void>}
  */
-export const updateSettlement = async (groupId, recordId, settlementData) => {
+export const updateSettlement = async (groupId, recordId, settlementData, userId) => {
   try {
     if (!groupId || !recordId || !settlementData.from || !settlementData.to || !settlementData.amount) {
       throw new Error('Missing required settlement fields')
@@ -700,106 +1247,77 @@ export const updateSettlement = async (groupId, recordId, settlementData) => {
       amount: settlementData.amount
     })
 
-    // Get the existing settlement record
-    const recordRef = ref(rtdb, `groups/${groupId}/settlementRecords/${recordId}`)
-    const recordSnapshot = await get(recordRef)
+    const now = Date.now()
+    let oldRecord = null
+    let updatedRecord = null
+    let activityEntry = null
 
-    if (!recordSnapshot.exists()) {
-      throw new Error('Settlement record not found')
-    }
+    const groupRef = ref(rtdb, `groups/${groupId}`)
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
+
+      oldRecord = group.settlementRecords?.[recordId] || null
+      if (!oldRecord) return // Abort - record was deleted meanwhile
+
+      updatedRecord = {
+        from: settlementData.from,
+        to: settlementData.to,
+        amount: settlementData.amount,
+        paymentMethod: settlementData.paymentMethod || 'cash',
+        remarks: settlementData.remarks || '',
+        date: settlementData.date || new Date().toISOString().split('T')[0],
+        recordedBy: oldRecord.recordedBy,
+        recordedAt: oldRecord.recordedAt,
+        updatedAt: now,
+        updatedBy: userId ? String(userId) : null,
+        ...getSettlementCurrencyFields(settlementData)
+      }
 
-    const oldRecord = recordSnapshot.val()
+      // Values from before a change of group currency stay with the record for audit
+      if (oldRecord.revaluedFrom) {
+        updatedRecord.revaluedFrom = oldRecord.revaluedFrom
+        updatedRecord.revaluedAt = oldRecord.revaluedAt
+      }
 
-    // Get current group data to recalculate balances
-    const groupRef = ref(rtdb, `groups/${groupId}`)
-    const groupSnapshot = await get(groupRef)
+      // Revert old settlement balances, then apply the new ones
+      const revertedSummary = applySettlementToSummary(group.summary, oldRecord, -1, group.currency)
+      group.settlementRecords[recordId] = updatedRecord
+      group.summary = {
+        ...applySettlementToSummary(revertedSummary, updatedRecord, 1, group.currency),
+        lastSettlementAt: now
+      }
+      activityEntry = buildActivityEntry(group, {
+        action: ACTIVITY_ACTIONS.SETTLEMENT_UPDATED,
+        targetId: recordId,
+        before: oldRecord,
+        after: updatedRecord,
+        actorId: userId,
+        at: now
+      })
+      return group
+    })
 
-    if (!groupSnapshot.exists()) {
+    if (!result.snapshot.exists()) {
       throw new Error('Group not found')
     }
 
-    const group = groupSnapshot.val()
-    const currentSummary = group.summary || {}
-    const updatedBalances = { ...currentSummary.balances }
-
-    const now = Date.now()
-
-    // Revert old settlement balances
-    const oldPayerBalance = updatedBalances[oldRecord.from] || 0
-    const oldRecipientBalance = updatedBalances[oldRecord.to] || 0
-
-    updatedBalances[oldRecord.from] = Math.round((oldPayerBalance - oldRecord.amount) * 100) / 100
-    updatedBalances[oldRecord.to] = Math.round((oldRecipientBalance + oldRecord.amount) * 100) / 100
-
-    // Apply new settlement balances
-    const newPayerBalance = updatedBalances[settlementData.from] || 0
-    const newRecipientBalance = updatedBalances[settlementData.to] || 0
-
-    updatedBalances[settlementData.from] = Math.round((newPayerBalance + settlementData.amount) * 100) / 100
-    updatedBalances[settlementData.to] = Math.round((newRecipientBalance - settlementData.amount) * 100) / 100
-
-    // Update settlement record
-    const updatedRecord = {
-      from: settlementData.from,
-      to: settlementData.to,
-      amount: settlementData.amount,
-      paymentMethod: settlementData.paymentMethod || 'cash',
-      remarks: settlementData.remarks || '',
-      date: settlementData.date || new Date().toISOString().split('T')[0],
-      recordedBy: oldRecord.recordedBy,
-      recordedAt: oldRecord.recordedAt,
-      updatedAt: now
+    if (!result.committed || !oldRecord) {
+      throw new Error('Settlement record not found')
     }
 
-    // Batch update
-    const updates = {}
-    updates[`groups/${groupId}/settlementRecords/${recordId}`] = updatedRecord
-    updates[`groups/${groupId}/summary/balances`] = updatedBalances
-    updates[`groups/${groupId}/summary/lastSettlementAt`] = now
-
-    // Update user summaries for all 4 users involved (old and new payer/recipient)
-    const affectedUsers = new Set([oldRecord.from, oldRecord.to, settlementData.from, settlementData.to])
-
-    for (const userId of affectedUsers) {
-      const userSummaryRef = ref(rtdb, `userSummaries/${userId}`)
-      const userSummarySnapshot = await get(userSummaryRef)
-
-      if (userSummarySnapshot.exists()) {
-        const userSummary = userSummarySnapshot.val()
-        let newAmountOwed = userSummary.totalAmountOwed || 0
-        let newAmountReceivable = userSummary.totalAmountReceivable || 0
-
-        // Revert old settlement for this user (opposite of recordSettlement logic)
-        if (userId === oldRecord.from) {
-          // Old payer: their amountOwed was decreased, so we need to increase it back
-          newAmountOwed += oldRecord.amount
-        } else if (userId === oldRecord.to) {
-          // Old recipient: their amountReceivable was decreased, so we need to increase it back
-          newAmountReceivable += oldRecord.amount
-        }
-
-        // Apply new settlement for this user (same as recordSettlement logic)
-        if (userId === settlementData.from) {
-          // New payer: decrease their amountOwed
-          newAmountOwed -= settlementData.amount
-        } else if (userId === settlementData.to) {
-          // New recipient: decrease their amountReceivable
-          newAmountReceivable -= settlementData.amount
-        }
-
-        newAmountOwed = Math.max(0, Math.round(newAmountOwed * 100) / 100)
-        newAmountReceivable = Math.max(0, Math.round(newAmountReceivable * 100) / 100)
-        const totalBalance = Math.round((newAmountReceivable - newAmountOwed) * 100) / 100
+    await writeActivityEntries(groupId, [activityEntry])
 
-        updates[`userSummaries/${userId}/totalAmountOwed`] = newAmountOwed
-        updates[`userSummaries/${userId}/totalAmountReceivable`] = newAmountReceivable
-        updates[`userSummaries/${userId}/totalBalance`] = totalBalance
-        updates[`userSummaries/${userId}/lastUpdated`] = now
-      }
+    // Update user summaries for all users involved (old and new payer/recipient)
+    try {
+      await updateUserSummariesForSettlements([
+        { record: oldRecord, sign: -1 },
+        { record: updatedRecord, sign: 1 }
+      ])
+    } catch (summaryError) {
+      debugError('Failed to update user summaries for settlement', summaryError)
+      // Don't throw - settlement was already updated successfully
     }
 
-    await update(ref(rtdb), updates)
-
     debugLog('Settlement updated successfully', { settlementRecord: updatedRecord })
   } catch (error) {
     debugError('Error updating settlement', error)
@@ -808,102 +1326,304 @@ export const updateSettlement = async (groupId, recordId, settlementData) => {
 }
 
 /**
- * Delete a settlement record by ID
+ * Move a settlement record to the group's trash
+ * The record is removed and its balance changes reversed in one transaction, then it is put in the trash
  * 
  * @param {string} groupId - The group ID
  * @param {string} recordId - ID of the record to delete
+ * @param {string} userId - User ID who deleted the record
  * @returns {Promise<void>}
  */
-export const deleteSettlementRecord = async (groupId, recordId) => {
+export const deleteSettlementRecord = async (groupId, recordId, userId) => {
   try {
     debugLog('Attempting to delete settlement record', { groupId, recordId })
-    
-    const recordsRef = ref(rtdb, `groups/${groupId}/settlementRecords`)
-    const recordsSnapshot = await get(recordsRef)
 
-    if (!recordsSnapshot.exists()) {
-      throw new Error('No settlement records found')
+    const { record: settlementRecord } = await moveRecordToTrash(groupId, recordId, 'settlement', userId)
+
+    debugLog('Reversed balances', {
+      from: settlementRecord.from,
+      to: settlementRecord.to,
+      amount: settlementRecord.amount
+    })
+
+    // Also revert user summaries
+    try {
+      await updateUserSummariesForSettlements([{ record: settlementRecord, sign: -1 }])
+    } catch (summaryError) {
+      debugError('Failed to revert user summaries for settlement', summaryError)
+      // Don't throw - settlement was already deleted successfully
     }
 
-    const recordsData = recordsSnapshot.val()
-    const records = { ...recordsData }
+    debugLog('Settlement record deleted and balances restored successfully', { recordId })
+  } catch (error) {
+    debugError('Error deleting settlement record', error)
+    throw error
+  }
+}
 
-    debugLog('Records structure', { keys: Object.keys(records), looking: recordId })
+/**
+ * Re-value a trashed record through the base currency changes made since it was deleted,
+ * so it comes back in the group's current currency
+ */
+const revalueTrashedRecord = (group, entry) => {
+  const convert = entry.type === 'settlement' ? convertSettlementCurrency : convertExpenseCurrency
+
+  return Object.values(group.currencyChanges || {})
+    .filter((change) => change?.changedAt > (entry.deletedAt || 0))
+    .sort((a, b) => a.changedAt - b.changedAt)
+    .reduce((record, change) => (
+      isSeparateCurrency(record.currency, change.fromCurrency)
+        ? record
+        : convert(record, change.fromCurrency, change.toCurrency, change.rate, change.changedAt)
+    ), { ...entry.record })
+}
 
-    // Get the settlement record before deleting
-    if (recordId in records) {
-      const settlementRecord = records[recordId]
-      debugLog('Found settlement record to delete', { recordId, record: settlementRecord })
+/**
+ * Check whether a user may restore or purge a trash entry
+ * The group owner, admins, whoever deleted it and whoever created the record may
+ */
+const canManageTrashEntry = (group, entry, userId) => {
+  const uid = String(userId)
+  return group.owner === uid ||
+    group.members?.[uid]?.role === 'admin' ||
+    entry.deletedBy === uid ||
+    entry.record?.createdBy === uid
+}
 
-      // Get current group data to update balances
-      const groupRef = ref(rtdb, `groups/${groupId}`)
-      const groupSnapshot = await get(groupRef)
+/**
+ * Read a group and one of its trash entries, checking the user may manage the entry
+ */
+const getTrashEntryForUser = async (groupId, recordId, userId, action) => {
+  const [groupSnapshot, entrySnapshot] = await Promise.all([
+    get(ref(rtdb, `groups/${String(groupId)}`)),
+    get(ref(rtdb, `groupTrash/${String(groupId)}/${recordId}`))
+  ])
+
+  if (!groupSnapshot.exists()) {
+    throw new Error('Group not found')
+  }
 
-      if (!groupSnapshot.exists()) {
-        throw new Error('Group not found')
-      }
+  const trashEntry = entrySnapshot.val()
+  if (!trashEntry) {
+    throw new Error('This item is no longer in the trash')
+  }
 
-      const group = groupSnapshot.val()
-      const currentSummary = group.summary || {}
-      const updatedBalances = { ...currentSummary.balances }
+  if (!canManageTrashEntry(groupSnapshot.val(), trashEntry, userId)) {
+    throw new Error(`Only the group owner, an admin or whoever deleted it can ${action} this item`)
+  }
 
-      // Reverse the balance changes from the settlement
-      const payerBalance = updatedBalances[settlementRecord.from] || 0
-      const recipientBalance = updatedBalances[settlementRecord.to] || 0
+  return trashEntry
+}
 
-      // Payer's balance should decrease (reverse the payment)
-      updatedBalances[settlementRecord.from] = Math.round((payerBalance - settlementRecord.amount) * 100) / 100
+/**
+ * Restore a deleted expense or settlement record from the group's trash
+ * The trash entry is taken out first, so a concurrent restore or purge never applies it twice,
+ * then the record is put back and its balances re-applied in one transaction
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} recordId - The expense or settlement record ID
+ * @param {string} userId - User restoring the record
+ * @returns {Promise<{success: boolean, type: string}>}
+ */
+export const restoreFromTrash = async (groupId, recordId, userId) => {
+  try {
+    if (!groupId || !recordId || !userId) {
+      throw new Error('Group ID, record ID and user ID are required')
+    }
 
-      // Recipient's balance should increase (reverse the receipt)
-      updatedBalances[settlementRecord.to] = Math.round((recipientBalance + settlementRecord.amount) * 100) / 100
+    const trashEntry = await getTrashEntryForUser(groupId, recordId, userId, 'restore')
+    debugLog('Restoring from trash', { groupId, recordId, type: trashEntry.type })
 
-      debugLog('Reversed balances', {
-        from: settlementRecord.from,
-        fromNewBalance: updatedBalances[settlementRecord.from],
-        to: settlementRecord.to,
-        toNewBalance: updatedBalances[settlementRecord.to]
-      })
+    const entryRef = ref(rtdb, `groupTrash/${String(groupId)}/${recordId}`)
+    let restoredEntry = null
+    const claim = await runTransaction(entryRef, (entry) => {
+      restoredEntry = entry
+      return null
+    })
 
-      // Batch update: delete record and update balances
-      const updates = {}
-      delete records[recordId]
-      updates[`groups/${groupId}/settlementRecords`] = Object.keys(records).length > 0 ? records : null
-      updates[`groups/${groupId}/summary/balances`] = updatedBalances
-      updates[`groups/${groupId}/summary/lastSettlementAt`] = Date.now()
-
-      // Also revert user summaries
-      const payerSummaryRef = ref(rtdb, `userSummaries/${settlementRecord.from}`)
-      const payerSummarySnapshot = await get(payerSummaryRef)
-      if (payerSummarySnapshot.exists()) {
-        const payerSummary = payerSummarySnapshot.val()
-        const newAmountOwed = Math.max(0, Math.round(((payerSummary.totalAmountOwed || 0) + settlementRecord.amount) * 100) / 100)
-        const amountReceivable = payerSummary.totalAmountReceivable || 0
-        const totalBalance = Math.round((amountReceivable - newAmountOwed) * 100) / 100
-        updates[`userSummaries/${settlementRecord.from}/totalAmountOwed`] = newAmountOwed
-        updates[`userSummaries/${settlementRecord.from}/totalBalance`] = totalBalance
-        updates[`userSummaries/${settlementRecord.from}/lastUpdated`] = Date.now()
+    if (!claim.committed || !restoredEntry?.record) {
+      throw new Error('This item is no longer in the trash')
+    }
+
+    const { type } = restoredEntry
+    let record = null
+    let activityEntry = null
+    const groupRef = ref(rtdb, `groups/${String(groupId)}`)
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
+
+      const records = type === 'settlement' ? group.settlementRecords : group.expenses
+      if (records?.[recordId]) return // Abort - already back in the group
+
+      const now = Date.now()
+      record = revalueTrashedRecord(group, restoredEntry)
+
+      if (type === 'settlement') {
+        group.settlementRecords = { ...group.settlementRecords, [recordId]: record }
+        group.summary = {
+          ...applySettlementToSummary(group.summary, record, 1, group.currency),
+          lastSettlementAt: now
+        }
+      } else {
+        // A custom category deleted while the expense was in the trash falls back to 'other'
+        if (!isBuiltInCategory(record.category) && !group.customCategories?.[record.category]) {
+          record.category = 'other'
+        }
+        group.expenses = { ...group.expenses, [recordId]: record }
+        group.summary = {
+          ...applyExpenseToSummary(group.summary, record, 1, group.currency),
+          lastExpenseAt: now
+        }
       }
 
-      const recipientSummaryRef = ref(rtdb, `userSummaries/${settlementRecord.to}`)
-      const recipientSummarySnapshot = await get(recipientSummaryRef)
-      if (recipientSummarySnapshot.exists()) {
-        const recipientSummary = recipientSummarySnapshot.val()
-        const newAmountReceivable = Math.max(0, Math.round(((recipientSummary.totalAmountReceivable || 0) + settlementRecord.amount) * 100) / 100)
-        const amountOwed = recipientSummary.totalAmountOwed || 0
-        const totalBalance = Math.round((newAmountReceivable - amountOwed) * 100) / 100
-        updates[`userSummaries/${settlementRecord.to}/totalAmountReceivable`] = newAmountReceivable
-        updates[`userSummaries/${settlementRecord.to}/totalBalance`] = totalBalance
-        updates[`userSummaries/${settlementRecord.to}/lastUpdated`] = Date.now()
+      activityEntry = buildActivityEntry(group, {
+        action: type === 'settlement'
+          ? ACTIVITY_ACTIONS.SETTLEMENT_RESTORED
+          : ACTIVITY_ACTIONS.EXPENSE_RESTORED,
+        targetId: recordId,
+        after: record,
+        actorId: userId,
+        at: now
+      })
+      return group
+    })
+
+    if (!result.committed || !result.snapshot.exists()) {
+      // Put the entry back so the record is not lost
+      await update(ref(rtdb), { [`groupTrash/${String(groupId)}/${recordId}`]: restoredEntry })
+      throw new Error(result.snapshot.exists() ? 'This item has already been restored' : 'Group not found')
+    }
+
+    await writeActivityEntries(groupId, [activityEntry])
+
+    // Re-apply user summaries the same way creating the record did
+    try {
+      if (type === 'settlement') {
+        await updateUserSummariesForSettlements([{ record, sign: 1 }])
+      } else {
+        await updateAllUserSummaries(groupId, {
+          amount: record.amount,
+          payers: record.payers,
+          participants: record.participants,
+          splitDetails: record.splitDetails
+        })
       }
+    } catch (summaryError) {
+      debugError('Failed to re-apply user summaries', summaryError)
+      // Don't throw - record was already restored successfully
+    }
 
-      await update(ref(rtdb), updates)
-      debugLog('Settlement record deleted and balances restored successfully', { recordId })
-    } else {
-      debugError('Record not found in records', { recordId, availableKeys: Object.keys(records) })
-      throw new Error(`Settlement record not found (looking for: ${recordId})`)
+    debugLog('Restored from trash', { groupId, recordId })
+    return { success: true, type }
+  } catch (error) {
+    debugError('Error restoring from trash', error)
+    throw error
+  }
+}
+
+/**
+ * Remove trash entries for good, along with their receipt photos and comment threads
+ * Balances were already reverted when the records were deleted, so only the trash changes
+ */
+const removeTrashEntries = async (groupId, recordIds) => {
+  let removedEntries = []
+
+  const trashRef = ref(rtdb, `groupTrash/${String(groupId)}`)
+  await runTransaction(trashRef, (trash) => {
+    removedEntries = []
+    if (!trash) return trash
+
+    removedEntries = recordIds
+      .filter((id) => trash[id])
+      .map((id) => ({ id, ...trash[id] }))
+    recordIds.forEach((id) => {
+      delete trash[id]
+    })
+    return trash
+  })
+
+  const commentUpdates = removedEntries
+    .filter((entry) => entry.type === 'expense')
+    .reduce((updates, entry) => ({ ...updates, [`groupComments/${String(groupId)}/${entry.id}`]: null }), {})
+  if (Object.keys(commentUpdates).length > 0) {
+    await update(ref(rtdb), commentUpdates)
+  }
+
+  await deleteReceiptPhotos(removedEntries.flatMap((entry) => entry.record?.receipts || []))
+  return removedEntries.length
+}
+
+/**
+ * Permanently delete one item from the group's trash
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} recordId - The expense or settlement record ID
+ * @param {string} userId - User deleting the item
+ * @returns {Promise<{success: boolean}>}
+ */
+export const purgeFromTrash = async (groupId, recordId, userId) => {
+  try {
+    if (!groupId || !recordId || !userId) {
+      throw new Error('Group ID, record ID and user ID are required')
     }
+
+    await getTrashEntryForUser(groupId, recordId, userId, 'delete')
+    await removeTrashEntries(groupId, [recordId])
+
+    debugLog('Purged from trash', { groupId, recordId })
+    return { success: true }
   } catch (error) {
-    debugError('Error deleting settlement record', error)
+    debugError('Error purging from trash', error)
     throw error
   }
 }
+
+/**
+ * Permanently delete trash entries older than the group's retention period
+ * Runs when the group is opened; non-critical, so failures are logged, not thrown
+ *
+ * @param {string} groupId - The group ID
+ * @returns {Promise<{purgedCount: number}>}
+ */
+export const purgeExpiredTrash = async (groupId) => {
+  try {
+    if (!groupId) return { purgedCount: 0 }
+
+    const [groupSnapshot, trashSnapshot] = await Promise.all([
+      get(ref(rtdb, `groups/${String(groupId)}/trashRetentionDays`)),
+      get(ref(rtdb, `groupTrash/${String(groupId)}`))
+    ])
+
+    const retentionDays = Number(groupSnapshot.val()) || DEFAULT_TRASH_RETENTION_DAYS
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000
+
+    const expiredIds = Object.entries(trashSnapshot.val() || {})
+      .filter(([, entry]) => entry && (entry.deletedAt || 0) < cutoff)
+      .map(([id]) => id)
+
+    if (expiredIds.length === 0) return { purgedCount: 0 }
+
+    const purgedCount = await removeTrashEntries(groupId, expiredIds)
+
+    debugLog('Expired trash purged', { groupId, purgedCount, retentionDays })
+    return { purgedCount }
+  } catch (error) {
+    debugError('Error purging expired trash', error)
+    return { purgedCount: 0 }
+  }
+}
+
+/**
+ * Listen to a group's trash in real time
+ *
+ * @param {string} groupId - The group ID
+ * @param {Function} onChange - Called with the trash as stored: { [recordId]: entry }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTrash = (groupId, onChange) => {
+  return onValue(
+    ref(rtdb, `groupTrash/${String(groupId)}`),
+    (snapshot) => onChange(snapshot.val() || {}),
+    (error) => debugError('Error listening to trash', error)
+  )
+}
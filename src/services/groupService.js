@@ -1,6 +1,21 @@
-import { ref, update, push, get } from 'firebase/database'
+import { ref, update, push, get, runTransaction } from 'firebase/database'
 import { rtdb } from '../firebase'
 import { debugLog, debugError } from '../utils/debug'
+import { computeGroupLedger, findBalanceDrift, isSeparateCurrency, getOutstandingBalances } from '../utils/ledger'
+import { isKnownCurrency, toMinorUnits, fromMinorUnits, roundToCurrency, getMinorUnits } from '../utils/currencies'
+import { normalizeBudget } from '../utils/budget'
+import { deleteReceiptPhotos } from './receiptService'
+import { buildActivityEntry, writeActivityEntries, ACTIVITY_ACTIONS } from './activityLogService'
+import { CATEGORY_ICON_CHOICES, CATEGORY_COLOR_CHOICES, MAX_CATEGORY_NAME_LENGTH } from '../utils/categories'
+
+/**
+ * Format the outstanding balances owed (sign -1) or receivable (sign 1) for error messages,
+ * e.g. "12.50 HKD, 300 JPY"; empty when there are none
+ */
+const formatOutstandingAmounts = (balances, sign) => balances
+  .filter(({ balance }) => Math.sign(balance) === sign)
+  .map(({ balance, currency }) => `${Math.abs(balance).toFixed(getMinorUnits(currency))} ${currency || ''}`.trim())
+  .join(', ')
 
 /**
  * Recalculate and update owner's overall summary based on all their groups
@@ -287,6 +302,25 @@ export const createGroup = async (userId, groupData) => {
   }
 }
 
+/**
+ * Build a dummy member entry as stored in group.members
+ *
+ * @param {string} memberName - Display name
+ * @param {string} userId - User adding the member
+ * @param {string} userRole - Role in the group
+ * @param {number} createdAt - Creation timestamp
+ * @returns {Object} Member data
+ */
+export const buildDummyMember = (memberName, userId, userRole, createdAt) => ({
+  type: 'dummy',
+  name: memberName.trim(),
+  email: null,
+  photo: null,
+  role: userRole,
+  createdBy: userId,
+  createdAt
+})
+
 /**
  * Add dummy member to group
  * Only group owner can add members
@@ -316,18 +350,9 @@ export const addDummyMember = async (groupId, memberName, userId, userRole = 'me
     }
 
     const dummyId = generateDummyId()
-    const now = Date.now()
 
     // New member data following SPEC.md
-    const newMember = {
-      type: 'dummy',
-      name: memberName.trim(),
-      email: null,
-      photo: null,
-      role: userRole,
-      createdBy: userId,
-      createdAt: now
-    }
+    const newMember = buildDummyMember(memberName, userId, userRole, Date.now())
 
     // Batch update
     const updates = {}
@@ -683,6 +708,250 @@ export const updateGroupInfo = async (groupId, userId, updates) => {
   }
 }
 
+/**
+ * Set or clear a group's budget (owner and admins)
+ * Category totals are recomputed from the expenses at the same time, so groups created
+ * before spend was tracked per category start with correct figures.
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Current user ID (must be owner or admin)
+ * @param {Object} budget - { total, categories: { [category]: amount } } in the group currency; empty values are dropped
+ * @returns {Promise<{success: boolean, budget: Object|null}>}
+ */
+export const updateGroupBudget = async (groupId, userId, budget) => {
+  try {
+    if (!groupId || !userId) {
+      throw new Error('Group ID and user ID are required')
+    }
+
+    const groupSnapshot = await get(ref(rtdb, `groups/${String(groupId)}`))
+    if (!groupSnapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    const group = groupSnapshot.val()
+    const isOwner = group.owner === userId
+    const isAdmin = group.members?.[userId]?.role === 'admin'
+    if (!isOwner && !isAdmin) {
+      throw new Error('Only group owner or admin can change the budget')
+    }
+
+    let savedBudget = null
+    const result = await runTransaction(ref(rtdb, `groups/${String(groupId)}`), (currentGroup) => {
+      if (!currentGroup) return currentGroup
+
+      // Normalized inside the callback in case the currency changed meanwhile
+      savedBudget = normalizeBudget(budget, currentGroup.currency)
+      currentGroup.budget = savedBudget
+      currentGroup.summary = {
+        ...currentGroup.summary,
+        categoryTotals: computeGroupLedger(currentGroup).categoryTotals
+      }
+      return currentGroup
+    })
+
+    if (!result.committed || !result.snapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    debugLog('Group budget updated', { groupId, budget: savedBudget, updatedBy: userId })
+    return { success: true, budget: savedBudget }
+  } catch (error) {
+    debugError('Error updating group budget', error)
+    throw error
+  }
+}
+
+// Validate a custom category's name, icon and colour before it is saved
+const toCustomCategoryFields = ({ name, icon, color } = {}, customCategories, categoryId = null) => {
+  const trimmedName = String(name || '').trim()
+
+  if (!trimmedName) {
+    throw new Error('Category name is required')
+  }
+
+  if (trimmedName.length > MAX_CATEGORY_NAME_LENGTH) {
+    throw new Error(`Category names must be ${MAX_CATEGORY_NAME_LENGTH} characters or fewer`)
+  }
+
+  const isTaken = Object.entries(customCategories || {}).some(([id, category]) =>
+    id !== categoryId && category?.name?.toLowerCase() === trimmedName.toLowerCase()
+  )
+  if (isTaken) {
+    throw new Error('A category with this name already exists')
+  }
+
+  return {
+    name: trimmedName,
+    icon: CATEGORY_ICON_CHOICES.includes(icon) ? icon : CATEGORY_ICON_CHOICES[0],
+    color: /^#[0-9a-f]{6}$/i.test(color || '') ? color : CATEGORY_COLOR_CHOICES[0]
+  }
+}
+
+// Load a group and check the user may manage its categories (owner or admin)
+const getGroupForCategoryChange = async (groupId, userId) => {
+  if (!groupId || !userId) {
+    throw new Error('Group ID and user ID are required')
+  }
+
+  const groupSnapshot = await get(ref(rtdb, `groups/${String(groupId)}`))
+  if (!groupSnapshot.exists()) {
+    throw new Error('Group not found')
+  }
+
+  const group = groupSnapshot.val()
+  const isOwner = group.owner === userId
+  const isAdmin = group.members?.[userId]?.role === 'admin'
+  if (!isOwner && !isAdmin) {
+    throw new Error('Only group owner or admin can manage categories')
+  }
+
+  return group
+}
+
+/**
+ * Add a custom expense category to a group (owner or admin)
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} userId - Current user ID
+ * @param {Object} data - { name, icon, color }
+ * @returns {Promise<{success: boolean, categoryId: string}>}
+ */
+export const addGroupCategory = async (groupId, userId, data) => {
+  try {
+    const group = await getGroupForCategoryChange(groupId, userId)
+    const fields = toCustomCategoryFields(data, group.customCategories)
+    const categoryId = push(ref(rtdb, 'dummy')).key
+
+    await update(ref(rtdb), {
+      [`groups/${String(groupId)}/customCategories/${categoryId}`]: {
+        ...fields,
+        createdBy: String(userId),
+        createdAt: Date.now()
+      }
+    })
+
+    debugLog('Group category added', { groupId, categoryId, name: fields.name })
+    return { success: true, categoryId }
+  } catch (error) {
+    debugError('Error adding group category', error)
+    throw error
+  }
+}
+
+/**
+ * Rename a custom category or change its icon or colour (owner or admin)
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} userId - Current user ID
+ * @param {string} categoryId - The custom category ID
+ * @param {Object} data - { name, icon, color }
+ * @returns {Promise<{success: boolean}>}
+ */
+export const updateGroupCategory = async (groupId, userId, categoryId, data) => {
+  try {
+    const group = await getGroupForCategoryChange(groupId, userId)
+    if (!group.customCategories?.[categoryId]) {
+      throw new Error('Category not found')
+    }
+
+    const fields = toCustomCategoryFields(data, group.customCategories, categoryId)
+    const path = `groups/${String(groupId)}/customCategories/${categoryId}`
+
+    await update(ref(rtdb), {
+      [`${path}/name`]: fields.name,
+      [`${path}/icon`]: fields.icon,
+      [`${path}/color`]: fields.color
+    })
+
+    debugLog('Group category updated', { groupId, categoryId })
+    return { success: true }
+  } catch (error) {
+    debugError('Error updating group category', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a custom category (owner or admin)
+ * Expenses and recurring expenses that used it move to 'other', and its budget limit is dropped.
+ * Deleted expenses in the trash move to 'other' when they are restored.
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} userId - Current user ID
+ * @param {string} categoryId - The custom category ID
+ * @returns {Promise<{success: boolean, reassignedCount: number}>}
+ */
+export const deleteGroupCategory = async (groupId, userId, categoryId) => {
+  try {
+    const group = await getGroupForCategoryChange(groupId, userId)
+    if (!group.customCategories?.[categoryId]) {
+      throw new Error('Category not found')
+    }
+
+    let reassignedCount = 0
+    let activityEntries = []
+    const now = Date.now()
+    const result = await runTransaction(ref(rtdb, `groups/${String(groupId)}`), (currentGroup) => {
+      if (!currentGroup) return currentGroup
+
+      reassignedCount = 0
+      activityEntries = []
+
+      Object.entries(currentGroup.expenses || {}).forEach(([expenseId, expense]) => {
+        if (expense?.category === categoryId) {
+          const before = { ...expense }
+          expense.category = 'other'
+          reassignedCount++
+          activityEntries.push(buildActivityEntry(currentGroup, {
+            action: ACTIVITY_ACTIONS.EXPENSE_UPDATED,
+            targetId: expenseId,
+            before,
+            after: expense,
+            actorId: userId,
+            at: now
+          }))
+        }
+      })
+
+      Object.values(currentGroup.recurringExpenses || {}).forEach((schedule) => {
+        if (schedule?.template?.category === categoryId) {
+          schedule.template.category = 'other'
+        }
+      })
+
+      if (currentGroup.budget?.categories?.[categoryId] !== undefined) {
+        currentGroup.budget = normalizeBudget({
+          total: currentGroup.budget.total,
+          categories: { ...currentGroup.budget.categories, [categoryId]: null }
+        }, currentGroup.currency)
+      }
+
+      if (currentGroup.customCategories) {
+        delete currentGroup.customCategories[categoryId]
+      }
+
+      currentGroup.summary = {
+        ...currentGroup.summary,
+        categoryTotals: computeGroupLedger(currentGroup).categoryTotals
+      }
+      return currentGroup
+    })
+
+    if (!result.committed || !result.snapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    await writeActivityEntries(groupId, activityEntries)
+
+    debugLog('Group category deleted', { groupId, categoryId, reassignedCount })
+    return { success: true, reassignedCount }
+  } catch (error) {
+    debugError('Error deleting group category', error)
+    throw error
+  }
+}
+
 export const joinGroupByInviteCode = async (inviteCode, userId, userData) => {
   try {
     if (!inviteCode || !userId) {
@@ -939,6 +1208,16 @@ export const leaveGroup = async (groupId, userId) => {
       throw new Error('Group owner cannot leave. Please transfer ownership or delete the group.')
     }
 
+    // Cannot leave with an unsettled balance - removing it would erase the debt
+    // and the remaining balances would no longer sum to zero
+    const outstandingBalances = getOutstandingBalances(group.summary, group.currency, userId)
+    if (outstandingBalances.length > 0) {
+      const owes = formatOutstandingAmounts(outstandingBalances, -1)
+      const isOwed = formatOutstandingAmounts(outstandingBalances, 1)
+      const details = [owes && `still owe ${owes}`, isOwed && `are still owed ${isOwed}`].filter(Boolean).join(' and ')
+      throw new Error(`You ${details} in this group. Settle up before leaving.`)
+    }
+
     // Prepare batch update to remove user from group
     const updates = {}
     
@@ -1010,19 +1289,32 @@ export const deleteGroup = async (groupId, userId) => {
     const group = groupSnapshot.val()
 
     // Verify user is owner
-    if (group.owner !== userId && group.createdBy !== userId) {
+    if (group.owner !== userId) {
       throw new Error('Only group owner can delete the group')
     }
 
     // Collect all member IDs before deletion (needed to update their summaries)
     const memberIds = group.members ? Object.keys(group.members) : []
 
+    // Receipt photos of expenses in the group and in its trash are deleted with it
+    const trashSnapshot = await get(ref(rtdb, `groupTrash/${String(groupId)}`))
+    const receipts = [
+      ...Object.values(group.expenses || {}),
+      ...Object.values(trashSnapshot.val() || {}).map((entry) => entry?.record)
+    ].flatMap((expense) => expense?.receipts || [])
+
     // Delete group and all related data
     const updates = {}
 
     // Remove the group itself
     updates[`groups/${String(groupId)}`] = null
 
+    // Remove the collections kept outside the group node
+    updates[`groupTrash/${String(groupId)}`] = null
+    updates[`groupActivity/${String(groupId)}`] = null
+    updates[`groupComments/${String(groupId)}`] = null
+    updates[`groupCommentReads/${String(groupId)}`] = null
+
     // Remove group from all members' user data
     if (group.members) {
       Object.keys(group.members).forEach((memberId) => {
@@ -1037,6 +1329,8 @@ export const deleteGroup = async (groupId, userId) => {
 
     await update(ref(rtdb), updates)
 
+    await deleteReceiptPhotos(receipts)
+
     // Update all members' overall summaries after deleting the group
     // This recalculates their balance without this deleted group
     debugLog('Updating summaries for all members after group deletion', { groupId, memberCount: memberIds.length })
@@ -1086,12 +1380,12 @@ export const removeMemberFromGroup = async (groupId, targetMemberId, ownerId) =>
     const group = groupSnapshot.val()
 
     // Verify user is owner
-    if (group.owner !== ownerId && group.createdBy !== ownerId) {
+    if (group.owner !== ownerId) {
       throw new Error('Only group owner can remove members')
     }
 
     // Cannot remove owner
-    if (targetMemberId === group.owner || targetMemberId === group.createdBy) {
+    if (targetMemberId === group.owner) {
       throw new Error('Cannot remove the group owner')
     }
 
@@ -1103,6 +1397,15 @@ export const removeMemberFromGroup = async (groupId, targetMemberId, ownerId) =>
     // Get member info for logging
     const memberInfo = group.members[targetMemberId]
 
+    // Cannot remove a member with an unsettled balance
+    const outstandingBalances = getOutstandingBalances(group.summary, group.currency, targetMemberId)
+    if (outstandingBalances.length > 0) {
+      const owes = formatOutstandingAmounts(outstandingBalances, -1)
+      const isOwed = formatOutstandingAmounts(outstandingBalances, 1)
+      const details = [owes && `still owes ${owes}`, isOwed && `is still owed ${isOwed}`].filter(Boolean).join(' and ')
+      throw new Error(`${memberInfo.name || 'This member'} ${details}. Record the settlement before removing them.`)
+    }
+
     // Update data to mark member as removed (soft delete)
     const updates = {}
     const now = Date.now()
@@ -1186,7 +1489,7 @@ export const updateMemberNameAsOwner = async (groupId, targetMemberId, newName,
     const group = groupSnapshot.val()
 
     // Verify user is owner
-    if (group.owner !== ownerId && group.createdBy !== ownerId) {
+    if (group.owner !== ownerId) {
       throw new Error('Only group owner can manage member names')
     }
 
@@ -1243,12 +1546,12 @@ export const updateMemberRole = async (groupId, targetMemberId, isAdmin, ownerId
     const group = groupSnapshot.val()
 
     // Verify user is owner
-    if (group.owner !== ownerId && group.createdBy !== ownerId) {
+    if (group.owner !== ownerId) {
       throw new Error('Only group owner can update member roles')
     }
 
     // Cannot modify owner's role
-    if (targetMemberId === group.owner || targetMemberId === group.createdBy) {
+    if (targetMemberId === group.owner) {
       throw new Error('Cannot modify owner\'s role')
     }
 
@@ -1299,6 +1602,574 @@ export const updateMemberRole = async (groupId, targetMemberId, isAdmin, ownerId
   }
 }
 
+/**
+ * Transfer group ownership to another member (owner only)
+ * The previous owner stays in the group as an admin
+ * 
+ * @param {string} groupId - Group ID
+ * @param {string} newOwnerId - Member ID of the new owner (must be an active real member)
+ * @param {string} currentOwnerId - Current user ID (must be owner)
+ */
+export const transferOwnership = async (groupId, newOwnerId, currentOwnerId) => {
+  try {
+    if (!groupId || !newOwnerId || !currentOwnerId) {
+      throw new Error('Group ID, new owner ID, and current owner ID are required')
+    }
+
+    debugLog('Attempting to transfer ownership', { groupId, newOwnerId, currentOwnerId })
+
+    // Get group data to verify ownership
+    const groupRef = ref(rtdb, `groups/${groupId}`)
+    const groupSnapshot = await get(groupRef)
+
+    if (!groupSnapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    const group = groupSnapshot.val()
+
+    // Verify user is owner
+    if (group.owner !== currentOwnerId) {
+      throw new Error('Only group owner can transfer ownership')
+    }
+
+    if (newOwnerId === currentOwnerId) {
+      throw new Error('You are already the owner of this group')
+    }
+
+    const newOwner = group.members?.[newOwnerId]
+
+    if (!newOwner || newOwner.status === 'removed') {
+      throw new Error('Member not found in this group')
+    }
+
+    // Dummy members have no account to manage the group with
+    if (newOwner.type === 'dummy') {
+      throw new Error('Cannot transfer ownership to a dummy member. Only real members can become owner.')
+    }
+
+    const now = Date.now()
+    const updates = {}
+    updates[`groups/${String(groupId)}/owner`] = newOwnerId
+    updates[`groups/${String(groupId)}/members/${String(newOwnerId)}/role`] = 'owner'
+    updates[`groups/${String(groupId)}/members/${String(currentOwnerId)}/role`] = 'admin'
+
+    // Record in member history
+    const historyId = push(ref(rtdb, 'dummy')).key
+    updates[`groups/${String(groupId)}/memberHistory/${historyId}`] = {
+      action: 'ownership_transferred',
+      fromMemberId: currentOwnerId,
+      fromMemberName: group.members?.[currentOwnerId]?.name || 'Unknown',
+      toMemberId: newOwnerId,
+      toMemberName: newOwner.name || 'Unknown',
+      transferredAt: now
+    }
+
+    await update(ref(rtdb), updates)
+
+    debugLog('Successfully transferred ownership', { groupId, newOwnerId, currentOwnerId })
+
+    return {
+      success: true,
+      groupId,
+      newOwnerId,
+      newOwnerName: newOwner.name
+    }
+  } catch (error) {
+    debugError('Error transferring ownership', error)
+    throw error
+  }
+}
+
+/**
+ * Rebuild a group's summary from its expenses and settlement records (owner only)
+ * Repairs balances, totals and counts that drifted after a failed partial write
+ * 
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - Current user ID (must be owner)
+ * @returns {Promise<{success: boolean, groupId: string, correctedBalances: Array}>}
+ */
+export const rebuildGroupSummary = async (groupId, ownerId) => {
+  try {
+    if (!groupId || !ownerId) {
+      throw new Error('Group ID and owner ID are required')
+    }
+
+    debugLog('Rebuilding group summary from ledger', { groupId, ownerId })
+
+    const groupSnapshot = await get(ref(rtdb, `groups/${String(groupId)}`))
+    if (!groupSnapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    // Verify user is owner
+    if (groupSnapshot.val().owner !== ownerId) {
+      throw new Error('Only group owner can rebuild the group summary')
+    }
+
+    // Recomputed inside a transaction so an expense saved meanwhile is never overwritten by a stale summary
+    let ledger = null
+    let correctedBalances = []
+    const result = await runTransaction(ref(rtdb, `groups/${String(groupId)}`), (group) => {
+      if (!group) return group
+
+      ledger = computeGroupLedger(group)
+      correctedBalances = findBalanceDrift(group.summary?.balances, ledger.balances, group.currency)
+
+      group.summary = {
+        ...group.summary,
+        balances: ledger.balances,
+        totalExpenses: ledger.totalExpenses,
+        categoryTotals: ledger.categoryTotals,
+        currencyBalances: ledger.currencyBalances,
+        currencyTotals: ledger.currencyTotals,
+        expenseCount: ledger.expenseCount,
+        memberCount: ledger.memberCount,
+        lastExpenseAt: ledger.lastExpenseAt,
+        lastSettlementAt: ledger.lastSettlementAt
+      }
+      return group
+    })
+
+    if (!result.committed || !result.snapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    debugLog('Group summary rebuilt', {
+      groupId,
+      totalExpenses: ledger.totalExpenses,
+      expenseCount: ledger.expenseCount,
+      correctedBalances
+    })
+
+    return {
+      success: true,
+      groupId,
+      correctedBalances
+    }
+  } catch (error) {
+    debugError('Error rebuilding group summary', error)
+    throw error
+  }
+}
+
+/**
+ * Convert a map of amounts at a rate so the converted amounts still add up to the converted total
+ * Each amount is rounded to the currency's minor units; the rounding difference goes to the largest amount
+ *
+ * @param {Object} amounts - Map of id -> amount
+ * @param {number} rate - Units of the new currency per unit of the old one
+ * @param {string} currency - New currency code
+ * @param {number} total - Already converted total the amounts must add up to
+ * @returns {Object} Map of id -> converted amount
+ */
+const convertAmountMap = (amounts, rate, currency, total) => {
+  const units = Object.fromEntries(
+    Object.entries(amounts || {}).map(([id, amount]) => [id, toMinorUnits((Number(amount) || 0) * rate, currency)])
+  )
+  const ids = Object.keys(units)
+  if (ids.length === 0) return {}
+
+  const difference = toMinorUnits(total, currency) - ids.reduce((sum, id) => sum + units[id], 0)
+  const largestId = ids.reduce((largest, id) => (Math.abs(units[id]) > Math.abs(units[largest]) ? id : largest), ids[0])
+  units[largestId] += difference
+
+  return Object.fromEntries(ids.map((id) => [id, fromMinorUnits(units[id], currency)]))
+}
+
+/**
+ * Convert an expense kept in the old base currency to the new one
+ * Amounts are re-valued at the rate; the values before the first conversion are kept in revaluedFrom
+ *
+ * @param {Object} expense - Expense as stored
+ * @param {string} fromCurrency - Old base currency
+ * @param {string} newCurrency - New base currency
+ * @param {number} rate - Units of the new currency per unit of the old one
+ * @param {number} now - Conversion timestamp
+ * @returns {Object} Converted expense
+ */
+export const convertExpenseCurrency = (expense, fromCurrency, newCurrency, rate, now) => {
+  const amount = roundToCurrency(expense.amount * rate, newCurrency)
+  const convertedPayers = convertAmountMap(
+    Object.fromEntries(Object.entries(expense.payers || {}).map(([payerId, payer]) => [payerId, payer?.amount])),
+    rate,
+    newCurrency,
+    amount
+  )
+  const converted = {
+    ...expense,
+    amount,
+    currency: newCurrency,
+    payers: Object.fromEntries(
+      Object.entries(expense.payers || {}).map(([payerId, payer]) => [payerId, { ...payer, amount: convertedPayers[payerId] }])
+    ),
+    splitDetails: convertAmountMap(expense.splitDetails, rate, newCurrency, amount),
+    revaluedFrom: expense.revaluedFrom || {
+      currency: fromCurrency,
+      amount: expense.amount,
+      payers: expense.payers || null,
+      splitDetails: expense.splitDetails || null,
+      exchangeRate: expense.exchangeRate || null
+    },
+    revaluedAt: now
+  }
+
+  if (expense.originalCurrency) {
+    // Entered in a third currency: keep the original amount, chain the rate on to the new currency
+    if (expense.exchangeRate) {
+      converted.exchangeRate = {
+        ...expense.exchangeRate,
+        toCurrency: newCurrency,
+        rate: expense.exchangeRate.rate * rate
+      }
+    }
+  } else if (expense.items) {
+    // Item prices were in the old currency too; itemized shares are recalculated from them on edit
+    converted.items = expense.items.map((item) => ({
+      ...item,
+      price: roundToCurrency(item.price * rate, newCurrency)
+    }))
+    if (expense.splitMeta) {
+      converted.splitMeta = Object.fromEntries(
+        Object.entries(expense.splitMeta).map(([participantId, meta]) => [
+          participantId,
+          meta?.itemsSubtotal !== undefined
+            ? { ...meta, itemsSubtotal: roundToCurrency(meta.itemsSubtotal * rate, newCurrency) }
+            : meta
+        ])
+      )
+    }
+  }
+
+  return converted
+}
+
+/**
+ * Convert a settlement record kept in the old base currency to the new one
+ *
+ * @param {Object} record - Settlement record as stored
+ * @param {string} fromCurrency - Old base currency
+ * @param {string} newCurrency - New base currency
+ * @param {number} rate - Units of the new currency per unit of the old one
+ * @param {number} now - Conversion timestamp
+ * @returns {Object} Converted record
+ */
+export const convertSettlementCurrency = (record, fromCurrency, newCurrency, rate, now) => {
+  // paidCurrency and paidAmount describe what actually changed hands, so they stay as recorded
+  const converted = {
+    ...record,
+    amount: roundToCurrency(record.amount * rate, newCurrency),
+    currency: newCurrency,
+    revaluedFrom: record.revaluedFrom || {
+      currency: fromCurrency,
+      amount: record.amount,
+      exchangeRate: record.exchangeRate || null
+    },
+    revaluedAt: now
+  }
+  if (record.exchangeRate) {
+    converted.exchangeRate = {
+      ...record.exchangeRate,
+      toCurrency: newCurrency,
+      rate: record.exchangeRate.rate * rate
+    }
+  }
+
+  return converted
+}
+
+/**
+ * Convert a recurring expense template kept in the old base currency to the new one
+ * Templates hold createExpense input: exact splits are amounts, other split methods only weights.
+ * A template entered in a third currency keeps its original amount and chains its rate on.
+ *
+ * @param {Object} template - Template as stored on the schedule
+ * @param {string} fromCurrency - Old base currency
+ * @param {string} newCurrency - New base currency
+ * @param {number} rate - Units of the new currency per unit of the old one
+ * @returns {Object} Converted template
+ */
+const convertRecurringTemplate = (template, fromCurrency, newCurrency, rate) => {
+  const amount = roundToCurrency(template.amount * rate, newCurrency)
+  const convertedPayers = convertAmountMap(
+    Object.fromEntries(Object.entries(template.payers || {}).map(([payerId, payer]) => [payerId, payer?.amount])),
+    rate,
+    newCurrency,
+    amount
+  )
+
+  const converted = {
+    ...template,
+    amount,
+    currency: newCurrency,
+    payers: Object.fromEntries(
+      Object.entries(template.payers || {}).map(([payerId, payer]) => [payerId, { ...payer, amount: convertedPayers[payerId] }])
+    )
+  }
+
+  if (template.splitMethod === 'exact' && template.splitDetails) {
+    const convertedShares = convertAmountMap(
+      Object.fromEntries(Object.entries(template.splitDetails).map(([participantId, detail]) => [participantId, detail?.amount])),
+      rate,
+      newCurrency,
+      amount
+    )
+    converted.splitDetails = Object.fromEntries(
+      Object.entries(template.splitDetails).map(([participantId, detail]) => [
+        participantId,
+        { ...detail, amount: convertedShares[participantId] }
+      ])
+    )
+  }
+
+  if (template.originalCurrency && template.originalCurrency !== fromCurrency) {
+    if (template.exchangeRate) {
+      converted.exchangeRate = {
+        ...template.exchangeRate,
+        toCurrency: newCurrency,
+        rate: template.exchangeRate.rate * rate,
+        amountInGroupCurrency: amount
+      }
+    }
+  } else {
+    // Entered in the old base currency: the entered amount and item prices move with it
+    converted.originalCurrency = newCurrency
+    converted.amountInOriginalCurrency = amount
+    if (template.items) {
+      converted.items = template.items.map((item) => ({
+        ...item,
+        price: roundToCurrency(item.price * rate, newCurrency)
+      }))
+    }
+  }
+
+  return converted
+}
+
+/**
+ * Add an expense's or settlement's effect on user summaries to a running map
+ * Mirrors the incremental updates: shares are owed, payments are receivable, settlements reduce both
+ */
+const addUserSummaryContribution = (contributions, { expense, record }, sign) => {
+  const add = (userId, field, amount) => {
+    if (!contributions[userId]) contributions[userId] = { owed: 0, receivable: 0 }
+    contributions[userId][field] += sign * (Number(amount) || 0)
+  }
+
+  if (expense) {
+    Object.entries(expense.payers || {}).forEach(([payerId, payer]) => add(payerId, 'receivable', payer?.amount))
+    Object.entries(expense.splitDetails || {}).forEach(([participantId, share]) => add(participantId, 'owed', share))
+  }
+
+  if (record) {
+    add(record.from, 'owed', -record.amount)
+    add(record.to, 'receivable', -record.amount)
+  }
+}
+
+/**
+ * Change a group's base currency, re-valuing its history at one exchange rate (owner only)
+ * Every expense, settlement record and recurring expense template kept in the old base currency is
+ * converted; the values before the first conversion are kept in revaluedFrom for audit. Amounts already kept in other currencies
+ * (multi-currency groups) are left alone. The summary is rebuilt and user summaries move by the difference.
+ * Records in the trash are re-valued from currencyChanges when they are restored.
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} ownerId - Current user ID (must be owner)
+ * @param {string} newCurrency - ISO 4217 code of the new base currency
+ * @param {number} rate - Units of the new currency per unit of the old one
+ * @returns {Promise<{success: boolean, groupId: string, fromCurrency: string, toCurrency: string, expenseCount: number, settlementCount: number}>}
+ */
+export const changeGroupCurrency = async (groupId, ownerId, newCurrency, rate) => {
+  try {
+    if (!groupId || !ownerId || !newCurrency) {
+      throw new Error('Group ID, owner ID, and currency are required')
+    }
+
+    if (!isKnownCurrency(newCurrency)) {
+      throw new Error('Unknown currency')
+    }
+
+    const numericRate = Number(rate)
+    if (!Number.isFinite(numericRate) || numericRate <= 0) {
+      throw new Error('Exchange rate must be a positive number')
+    }
+
+    debugLog('Changing group currency', { groupId, ownerId, newCurrency, rate: numericRate })
+
+    const groupRef = ref(rtdb, `groups/${groupId}`)
+    const groupSnapshot = await get(groupRef)
+
+    if (!groupSnapshot.exists()) {
+      throw new Error('Group not found')
+    }
+
+    const currentGroup = groupSnapshot.val()
+
+    // Verify user is owner
+    if (currentGroup.owner !== ownerId) {
+      throw new Error('Only group owner can change the group currency')
+    }
+
+    if (currentGroup.currency === newCurrency) {
+      throw new Error('The group already uses this currency')
+    }
+
+    const now = Date.now()
+    let fromCurrency = null
+    let expenseCount = 0
+    let settlementCount = 0
+    let contributions = {}
+    let activityEntries = []
+
+    const result = await runTransaction(groupRef, (group) => {
+      if (!group) return group
+      if (group.owner !== ownerId || group.currency === newCurrency) return // Abort - changed meanwhile
+
+      // The callback can run more than once; start from scratch every time
+      fromCurrency = group.currency
+      expenseCount = 0
+      settlementCount = 0
+      contributions = {}
+      activityEntries = []
+
+      const isInOldCurrency = (currency) => !isSeparateCurrency(currency, fromCurrency)
+
+      const expenses = {}
+      Object.entries(group.expenses || {}).forEach(([expenseId, expense]) => {
+        if (!expense || !isInOldCurrency(expense.currency)) {
+          expenses[expenseId] = expense
+          return
+        }
+
+        const converted = convertExpenseCurrency(expense, fromCurrency, newCurrency, numericRate, now)
+
+        addUserSummaryContribution(contributions, { expense }, -1)
+        addUserSummaryContribution(contributions, { expense: converted }, 1)
+        expenses[expenseId] = converted
+        expenseCount++
+        activityEntries.push(buildActivityEntry(group, {
+          action: ACTIVITY_ACTIONS.EXPENSE_UPDATED,
+          targetId: expenseId,
+          before: expense,
+          after: converted,
+          actorId: ownerId,
+          at: now
+        }))
+      })
+
+      const settlementRecords = {}
+      Object.entries(group.settlementRecords || {}).forEach(([recordId, record]) => {
+        if (!record || !isInOldCurrency(record.currency)) {
+          settlementRecords[recordId] = record
+          return
+        }
+
+        const converted = convertSettlementCurrency(record, fromCurrency, newCurrency, numericRate, now)
+
+        addUserSummaryContribution(contributions, { record }, -1)
+        addUserSummaryContribution(contributions, { record: converted }, 1)
+        settlementRecords[recordId] = converted
+        settlementCount++
+        activityEntries.push(buildActivityEntry(group, {
+          action: ACTIVITY_ACTIONS.SETTLEMENT_UPDATED,
+          targetId: recordId,
+          before: record,
+          after: converted,
+          actorId: ownerId,
+          at: now
+        }))
+      })
+
+      // Recurring expenses would otherwise keep creating occurrences in the old currency
+      Object.values(group.recurringExpenses || {}).forEach((schedule) => {
+        if (schedule?.template && isInOldCurrency(schedule.template.currency)) {
+          schedule.template = convertRecurringTemplate(schedule.template, fromCurrency, newCurrency, numericRate)
+        }
+      })
+
+      group.currency = newCurrency
+      group.expenses = expenses
+      group.settlementRecords = settlementRecords
+
+      // Budget limits are in the base currency too
+      if (group.budget) {
+        group.budget = normalizeBudget({
+          total: (group.budget.total || 0) * numericRate,
+          categories: Object.fromEntries(
+            Object.entries(group.budget.categories || {}).map(([category, limit]) => [category, limit * numericRate])
+          )
+        }, newCurrency)
+      }
+      group.currencyChanges = {
+        ...group.currencyChanges,
+        [push(ref(rtdb, 'dummy')).key]: {
+          fromCurrency,
+          toCurrency: newCurrency,
+          rate: numericRate,
+          expenseCount,
+          settlementCount,
+          changedBy: ownerId,
+          changedAt: now
+        }
+      }
+
+      const ledger = computeGroupLedger(group)
+      group.summary = {
+        ...group.summary,
+        balances: ledger.balances,
+        totalExpenses: ledger.totalExpenses,
+        categoryTotals: ledger.categoryTotals,
+        currencyBalances: ledger.currencyBalances,
+        currencyTotals: ledger.currencyTotals,
+        expenseCount: ledger.expenseCount,
+        memberCount: ledger.memberCount
+      }
+      return group
+    })
+
+    if (!result.committed) {
+      throw new Error('Group changed while converting, please try again')
+    }
+
+    await writeActivityEntries(groupId, activityEntries)
+
+    // Move each member's cross-group summary by the change in this group's amounts
+    const updates = {}
+    for (const [userId, { owed, receivable }] of Object.entries(contributions)) {
+      const userSummarySnapshot = await get(ref(rtdb, `userSummaries/${String(userId)}`))
+      if (!userSummarySnapshot.exists()) continue
+
+      const userSummary = userSummarySnapshot.val()
+      const newAmountOwed = Math.max(0, Math.round(((userSummary.totalAmountOwed || 0) + owed) * 100) / 100)
+      const newAmountReceivable = Math.max(0, Math.round(((userSummary.totalAmountReceivable || 0) + receivable) * 100) / 100)
+
+      updates[`userSummaries/${String(userId)}/totalAmountOwed`] = newAmountOwed
+      updates[`userSummaries/${String(userId)}/totalAmountReceivable`] = newAmountReceivable
+      updates[`userSummaries/${String(userId)}/totalBalance`] = Math.round((newAmountReceivable - newAmountOwed) * 100) / 100
+      updates[`userSummaries/${String(userId)}/lastUpdated`] = now
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await update(ref(rtdb), updates)
+    }
+
+    debugLog('Group currency changed', { groupId, fromCurrency, newCurrency, expenseCount, settlementCount })
+
+    return {
+      success: true,
+      groupId,
+      fromCurrency,
+      toCurrency: newCurrency,
+      expenseCount,
+      settlementCount
+    }
+  } catch (error) {
+    debugError('Error changing group currency', error)
+    throw error
+  }
+}
+
 /**
  * Create a new expense record
  * Handles different split methods and updates group summary
@@ -1307,6 +2178,35 @@ export const updateMemberRole = async (groupId, targetMemberId, isAdmin, ownerId
  */
 export { createExpense } from './expenseService'
 
+/**
+ * Copy the user's declared payment methods onto their member entry in a group
+ * Covers groups joined after the methods were last edited
+ * 
+ * @param {string} groupId - The group ID
+ * @param {string} userId - The user ID
+ * @param {Object|null} paymentMethods - { method: true } map from the user's profile
+ * @returns {Promise<{success: boolean}>}
+ */
+export const syncMemberPaymentMethods = async (groupId, userId, paymentMethods) => {
+  try {
+    if (!groupId || !userId) {
+      throw new Error('Group ID and user ID are required')
+    }
+
+    const updateData = {}
+    updateData[`groups/${String(groupId)}/members/${String(userId)}/paymentMethods`] = paymentMethods || null
+
+    await update(ref(rtdb), updateData)
+
+    debugLog('Member payment methods synced', { groupId, userId })
+    return { success: true }
+  } catch (error) {
+    debugError('Error syncing member payment methods', error)
+    // Don't throw - this is a non-critical operation
+    return { success: false, error: error.message }
+  }
+}
+
 /**
  * Update group last activity timestamp for the current user
  * Call this when user opens/views the group
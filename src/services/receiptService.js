@@ -0,0 +1,100 @@
+import { ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage'
+import { push, ref } from 'firebase/database'
+import { rtdb, storage } from '../firebase'
+import { debugLog, debugError } from '../utils/debug'
+
+// Receipt photo limits
+export const MAX_RECEIPT_SIZE = 5 * 1024 * 1024 // 5 MB
+export const MAX_RECEIPTS_PER_EXPENSE = 5
+
+/**
+ * Validate a receipt photo before upload
+ *
+ * @param {File} file - Selected file
+ * @returns {{valid: boolean, code?: 'notImage'|'tooLarge', error?: string}} The code picks the translated message
+ */
+export const validateReceiptFile = (file) => {
+  if (!file || !file.type?.startsWith('image/')) {
+    return { valid: false, code: 'notImage', error: 'Only image files can be attached as receipts' }
+  }
+  if (file.size > MAX_RECEIPT_SIZE) {
+    return { valid: false, code: 'tooLarge', error: 'Receipt photos must be 5 MB or smaller' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Upload receipt photos for a group
+ * Files are stored under groups/{groupId}/receipts/ and the returned references are saved on the expense
+ *
+ * @param {string} groupId - The group ID
+ * @param {File[]} files - Image files to upload
+ * @param {string} userId - User ID uploading the photos
+ * @returns {Promise<Array<{path: string, url: string, name: string, contentType: string, size: number, uploadedAt: number, uploadedBy: string}>>}
+ */
+export const uploadReceiptPhotos = async (groupId, files, userId) => {
+  const uploaded = []
+
+  try {
+    if (!groupId || !files || files.length === 0) {
+      return []
+    }
+
+    for (const file of files) {
+      const validation = validateReceiptFile(file)
+      if (!validation.valid) {
+        throw new Error(validation.error)
+      }
+
+      // Unique, storage-safe file name
+      const receiptId = push(ref(rtdb, 'dummy')).key
+      const extension = (file.name.split('.').pop() || 'jpg').toLowerCase().replace(/[^a-z0-9]/g, '')
+      const path = `groups/${String(groupId)}/receipts/${receiptId}.${extension || 'jpg'}`
+
+      const fileRef = storageRef(storage, path)
+      await uploadBytes(fileRef, file, { contentType: file.type })
+      const url = await getDownloadURL(fileRef)
+
+      uploaded.push({
+        path,
+        url,
+        name: file.name,
+        contentType: file.type,
+        size: file.size,
+        uploadedAt: Date.now(),
+        uploadedBy: String(userId)
+      })
+    }
+
+    debugLog('Receipt photos uploaded', { groupId, count: uploaded.length })
+    return uploaded
+  } catch (error) {
+    debugError('Error uploading receipt photos', error)
+    // Don't leave half of a batch behind in Storage
+    await deleteReceiptPhotos(uploaded)
+    throw error
+  }
+}
+
+/**
+ * Delete receipt photos from Storage
+ * Missing files are ignored so this is safe to call more than once
+ *
+ * @param {Array<{path: string}>} receipts - Receipt references stored on an expense
+ * @returns {Promise<void>}
+ */
+export const deleteReceiptPhotos = async (receipts) => {
+  for (const receipt of receipts || []) {
+    if (!receipt?.path) continue
+
+    try {
+      await deleteObject(storageRef(storage, receipt.path))
+      debugLog('Receipt photo deleted', { path: receipt.path })
+    } catch (error) {
+      if (error?.code === 'storage/object-not-found') {
+        continue
+      }
+      debugError('Error deleting receipt photo', { path: receipt.path, error: error.message })
+    }
+  }
+}
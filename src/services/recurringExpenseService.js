@@ -0,0 +1,170 @@
+import { ref, update, get, runTransaction } from 'firebase/database'
+import { rtdb } from '../firebase'
+import { debugLog, debugError } from '../utils/debug'
+import { getDueOccurrences, getLocalDateString } from '../utils/recurrence'
+import { createExpense } from './expenseService'
+
+/**
+ * Check that a user may change a schedule: the group owner, an admin, or whoever created it
+ */
+const assertCanManageSchedule = async (groupId, scheduleId, userId) => {
+  const groupSnapshot = await get(ref(rtdb, `groups/${String(groupId)}`))
+
+  if (!groupSnapshot.exists()) {
+    throw new Error('Group not found')
+  }
+
+  const group = groupSnapshot.val()
+  const schedule = group.recurringExpenses?.[scheduleId]
+
+  if (!schedule) {
+    throw new Error('Recurring expense not found')
+  }
+
+  const isOwner = group.owner === userId
+  const isAdmin = group.members?.[userId]?.role === 'admin'
+  if (!isOwner && !isAdmin && schedule.createdBy !== userId) {
+    throw new Error('Only the group owner, an admin or the creator can change this recurring expense')
+  }
+
+  return schedule
+}
+
+/**
+ * Pause or resume a recurring expense
+ * Occurrences missed while paused are skipped: a resumed schedule continues from today
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} scheduleId - Recurring expense ID
+ * @param {string} userId - Current user ID (owner, admin or creator)
+ * @param {boolean} paused - true to pause, false to resume
+ * @returns {Promise<{success: boolean}>}
+ */
+export const setRecurringExpensePaused = async (groupId, scheduleId, userId, paused) => {
+  try {
+    if (!groupId || !scheduleId || !userId) {
+      throw new Error('Group ID, recurring expense ID and user ID are required')
+    }
+
+    const schedule = await assertCanManageSchedule(groupId, scheduleId, userId)
+    const path = `groups/${String(groupId)}/recurringExpenses/${scheduleId}`
+    const updates = {
+      [`${path}/paused`]: Boolean(paused),
+      [`${path}/updatedAt`]: Date.now(),
+      [`${path}/updatedBy`]: String(userId)
+    }
+
+    if (!paused) {
+      const today = getLocalDateString()
+      const { dueDates, nextDueDate } = getDueOccurrences(schedule, today)
+      // Due today still counts; anything earlier was missed while paused
+      updates[`${path}/nextDueDate`] = dueDates.includes(today) ? today : nextDueDate
+    }
+
+    await update(ref(rtdb), updates)
+
+    debugLog(paused ? 'Recurring expense paused' : 'Recurring expense resumed', { groupId, scheduleId })
+    return { success: true }
+  } catch (error) {
+    debugError('Error pausing recurring expense', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a recurring expense schedule
+ * Expenses it already created are kept
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} scheduleId - Recurring expense ID
+ * @param {string} userId - Current user ID (owner, admin or creator)
+ * @returns {Promise<{success: boolean}>}
+ */
+export const deleteRecurringExpense = async (groupId, scheduleId, userId) => {
+  try {
+    if (!groupId || !scheduleId || !userId) {
+      throw new Error('Group ID, recurring expense ID and user ID are required')
+    }
+
+    await assertCanManageSchedule(groupId, scheduleId, userId)
+
+    await update(ref(rtdb), {
+      [`groups/${String(groupId)}/recurringExpenses/${scheduleId}`]: null
+    })
+
+    debugLog('Recurring expense deleted', { groupId, scheduleId })
+    return { success: true }
+  } catch (error) {
+    debugError('Error deleting recurring expense', error)
+    throw error
+  }
+}
+
+/**
+ * Create the expenses of every schedule that fell due since the group was last opened
+ * Each schedule's due dates are claimed in a transaction before any expense is written,
+ * so two members opening the group at the same time cannot create the same occurrence twice.
+ * An occurrence that fails to save is kept in pendingDates and claimed again the next time.
+ *
+ * @param {string} groupId - The group ID
+ * @returns {Promise<{createdCount: number}>}
+ */
+export const materializeDueRecurringExpenses = async (groupId) => {
+  try {
+    if (!groupId) {
+      throw new Error('Group ID is required')
+    }
+
+    const schedulesSnapshot = await get(ref(rtdb, `groups/${String(groupId)}/recurringExpenses`))
+    if (!schedulesSnapshot.exists()) {
+      return { createdCount: 0 }
+    }
+
+    const today = getLocalDateString()
+    let createdCount = 0
+
+    for (const [scheduleId, schedule] of Object.entries(schedulesSnapshot.val())) {
+      if (!schedule || schedule.paused || (schedule.nextDueDate > today && !schedule.pendingDates)) continue
+
+      const scheduleRef = ref(rtdb, `groups/${String(groupId)}/recurringExpenses/${scheduleId}`)
+      let claimedDates = []
+      const result = await runTransaction(scheduleRef, (current) => {
+        if (!current) return current
+
+        const pendingDates = Object.keys(current.pendingDates || {}).sort()
+        const { dueDates, nextDueDate } = getDueOccurrences(current, today)
+        if (current.paused || (pendingDates.length === 0 && dueDates.length === 0)) return // Abort - paused or claimed meanwhile
+
+        claimedDates = [...pendingDates, ...dueDates]
+        return { ...current, nextDueDate, pendingDates: null, lastCreatedAt: Date.now() }
+      })
+
+      if (!result.committed || !result.snapshot.exists()) continue
+
+      const { template, createdBy } = result.snapshot.val()
+      for (const date of claimedDates) {
+        try {
+          await createExpense(groupId, { ...template, date, recurringExpenseId: scheduleId }, createdBy)
+          createdCount++
+        } catch (expenseError) {
+          debugError('Error creating recurring expense occurrence', { groupId, scheduleId, date, error: expenseError.message })
+
+          // Hand the date back so the next run retries it (unless the schedule was deleted meanwhile)
+          await runTransaction(scheduleRef, (current) => {
+            if (!current) return current
+            return { ...current, pendingDates: { ...current.pendingDates, [date]: true } }
+          })
+        }
+      }
+    }
+
+    if (createdCount > 0) {
+      debugLog('Recurring expenses created', { groupId, createdCount })
+    }
+
+    return { createdCount }
+  } catch (error) {
+    debugError('Error creating due recurring expenses', error)
+    throw error
+  }
+}
@@ -139,7 +139,7 @@ export const userService = {
       const userRef = ref(db, `users/${userId}`)
       
       // Only allow specific fields to be updated
-      const allowedFields = ['displayName', 'photoURL']
+      const allowedFields = ['displayName', 'photoURL', 'homeCurrency']
       const filteredUpdates = {}
       
       for (const field of allowedFields) {
@@ -163,6 +163,47 @@ export const userService = {
     }
   },
 
+  /**
+   * Update the payment methods a user accepts for settlements
+   * Copied onto the user's member entry in every group they are active in,
+   * so settlement plans can be calculated from the group snapshot alone
+   * 
+   * @param {string} userId - The user ID
+   * @param {Object|null} paymentMethods - { method: true } map, or null to clear
+   * @returns {Promise<{error: null|string}>}
+   */
+  updatePaymentMethods: async (userId, paymentMethods) => {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required')
+      }
+
+      debugLog('Updating Payment Methods', { userId, methods: Object.keys(paymentMethods || {}) })
+
+      const updates = {}
+      updates[`users/${userId}/paymentMethods`] = paymentMethods || null
+
+      const groupsSnapshot = await get(ref(db, `users/${userId}/groups`))
+      const groupIds = groupsSnapshot.exists() ? Object.keys(groupsSnapshot.val()) : []
+
+      for (const groupId of groupIds) {
+        const memberSnapshot = await get(ref(db, `groups/${groupId}/members/${userId}`))
+        if (memberSnapshot.exists() && memberSnapshot.val().status !== 'removed') {
+          updates[`groups/${groupId}/members/${userId}/paymentMethods`] = paymentMethods || null
+        }
+      }
+
+      await update(ref(db), updates)
+
+      debugLog('Payment Methods Updated Successfully', { userId, groupCount: groupIds.length })
+
+      return { error: null }
+    } catch (error) {
+      debugError('Update Payment Methods Error', { code: error.code, message: error.message, userId })
+      return { error: error.code || error.message }
+    }
+  },
+
   /**
    * Get user's groups for home screen
    * Reads from users/{userId}/groups
@@ -0,0 +1,80 @@
+// 預算工具函數
+// Budgets are stored on the group (group.budget = { total, categories: { [category]: amount } })
+// in the group currency and compared against summary.totalExpenses and summary.categoryTotals.
+// Expenses kept in another currency (multi-currency groups) do not count towards a budget.
+import { roundToCurrency } from './currencies'
+import { toCents } from './ledger'
+
+// Share of a budget at which it is flagged as nearly used up
+export const BUDGET_WARNING_RATIO = 0.8
+
+/**
+ * Clean up a budget before saving: amounts rounded to the currency, empty or non-positive limits dropped
+ *
+ * @param {Object} budget - { total, categories } with amounts as numbers or strings
+ * @param {string} currency - Group currency
+ * @returns {Object|null} Normalized budget, or null when no limit is set
+ */
+export const normalizeBudget = (budget, currency) => {
+  const toLimit = (value) => {
+    const amount = roundToCurrency(parseFloat(value), currency)
+    return Number.isFinite(amount) && amount > 0 ? amount : null
+  }
+
+  const total = toLimit(budget?.total)
+  const categories = Object.fromEntries(
+    Object.entries(budget?.categories || {})
+      .map(([category, value]) => [category, toLimit(value)])
+      .filter(([, amount]) => amount !== null)
+  )
+
+  if (total === null && Object.keys(categories).length === 0) {
+    return null
+  }
+
+  return {
+    total,
+    categories: Object.keys(categories).length > 0 ? categories : null
+  }
+}
+
+/**
+ * Compare a group's spending against its budget
+ *
+ * @param {Object} budget - Group budget
+ * @param {Object} summary - Group summary with totalExpenses and categoryTotals
+ * @param {string} currency - Group currency
+ * @returns {Array<{key: string, category: string|null, limit: number, spent: number, ratio: number, isOver: boolean, isNear: boolean}>}
+ *   The overall budget first (key 'total'), then one line per budgeted category
+ */
+export const getBudgetStatus = (budget, summary, currency) => {
+  const toLine = (key, category, limit, spent) => {
+    const limitCents = toCents(limit, currency)
+    const spentCents = toCents(spent, currency)
+    const ratio = limitCents > 0 ? spentCents / limitCents : 0
+
+    return {
+      key,
+      category,
+      limit,
+      spent: spent || 0,
+      ratio,
+      isOver: spentCents > limitCents,
+      isNear: spentCents <= limitCents && ratio >= BUDGET_WARNING_RATIO
+    }
+  }
+
+  const lines = []
+
+  if (budget?.total > 0) {
+    lines.push(toLine('total', null, budget.total, summary?.totalExpenses))
+  }
+
+  Object.entries(budget?.categories || {}).forEach(([category, limit]) => {
+    if (limit > 0) {
+      lines.push(toLine(category, category, limit, summary?.categoryTotals?.[category]))
+    }
+  })
+
+  return lines
+}
@@ -0,0 +1,88 @@
+// 支出類別工具函數
+// Groups can add their own categories (groups/{groupId}/customCategories/{categoryId} = { name, icon, color, createdBy, createdAt }).
+// An expense stores either a built-in category key or the ID of one of its group's custom categories.
+
+// Built-in expense categories, in the order they are offered when adding an expense
+export const EXPENSE_CATEGORIES = ['food', 'transport', 'accommodation', 'entertainment', 'shopping', 'other']
+
+export const BUILT_IN_CATEGORY_ICONS = {
+  food: '🍽️',
+  transport: '🚗',
+  accommodation: '🏨',
+  entertainment: '🎭',
+  shopping: '🛍️',
+  other: '📌'
+}
+
+export const BUILT_IN_CATEGORY_COLORS = {
+  food: '#ff9f43',
+  transport: '#54a0ff',
+  accommodation: '#5f27cd',
+  entertainment: '#ff6b9d',
+  shopping: '#1dd1a1',
+  other: '#8395a7'
+}
+
+// Choices offered when creating a custom category
+export const CATEGORY_ICON_CHOICES = ['☕', '🍺', '🍰', '⛽', '🚕', '✈️', '🚆', '🏖️', '🎟️', '🎁', '💊', '🧺', '📱', '🐶', '🎿', '💡']
+export const CATEGORY_COLOR_CHOICES = ['#ff6b6b', '#ff9f43', '#feca57', '#1dd1a1', '#48dbfb', '#54a0ff', '#5f27cd', '#ff6b9d', '#8395a7']
+
+export const MAX_CATEGORY_NAME_LENGTH = 30
+
+/**
+ * Whether a category is one of the built-in ones
+ *
+ * @param {string} category - Category key or custom category ID
+ * @returns {boolean}
+ */
+export const isBuiltInCategory = (category) => EXPENSE_CATEGORIES.includes(category)
+
+/**
+ * Every category a group offers: built-in ones first ('other' last), then its custom ones in the order they were added
+ *
+ * @param {Object} customCategories - The group's customCategories
+ * @returns {string[]} Category keys and custom category IDs
+ */
+export const getCategoryList = (customCategories) => {
+  const customIds = Object.entries(customCategories || {})
+    .filter(([, category]) => category?.name)
+    .sort(([, a], [, b]) => (a.createdAt || 0) - (b.createdAt || 0))
+    .map(([id]) => id)
+
+  return [
+    ...EXPENSE_CATEGORIES.filter((category) => category !== 'other'),
+    ...customIds,
+    'other'
+  ]
+}
+
+/**
+ * How to show a category: label, icon and colour
+ * Categories that no longer exist (e.g. a deleted custom category) are shown as 'other'
+ *
+ * @param {string} category - Category key or custom category ID
+ * @param {Object} customCategories - The group's customCategories
+ * @param {Function} t - Translation function
+ * @returns {{id: string, label: string, icon: string, color: string, isCustom: boolean}}
+ */
+export const getCategoryInfo = (category, customCategories, t) => {
+  const custom = customCategories?.[category]
+  if (custom?.name) {
+    return {
+      id: category,
+      label: custom.name,
+      icon: custom.icon || BUILT_IN_CATEGORY_ICONS.other,
+      color: custom.color || BUILT_IN_CATEGORY_COLORS.other,
+      isCustom: true
+    }
+  }
+
+  const key = isBuiltInCategory(category) ? category : 'other'
+  return {
+    id: key,
+    label: t(`expense.category.${key}`) || key,
+    icon: BUILT_IN_CATEGORY_ICONS[key],
+    color: BUILT_IN_CATEGORY_COLORS[key],
+    isCustom: false
+  }
+}
@@ -0,0 +1,151 @@
+// 支出類別建議工具函數
+// Suggests a category for a typed description without any network call:
+// 1. what the group used before for the same or a similar description,
+// 2. a custom category whose name appears in the description,
+// 3. English and Traditional Chinese keywords for the built-in categories.
+import { isBuiltInCategory } from './categories'
+
+// Share of words (or Chinese character pairs) two descriptions must have in common to count as similar
+export const SIMILARITY_THRESHOLD = 0.5
+
+// Keywords per built-in category. English keywords match whole words (a trailing plural 's' is ignored),
+// Chinese keywords match anywhere in the description. The longest matching keyword wins, so 酒店 beats 酒.
+const CATEGORY_KEYWORDS = {
+  food: [
+    'restaurant', 'dinner', 'lunch', 'breakfast', 'brunch', 'supper', 'meal', 'food', 'cafe', 'coffee', 'tea',
+    'bar', 'beer', 'wine', 'drink', 'snack', 'pizza', 'sushi', 'ramen', 'noodle', 'burger', 'bbq', 'buffet',
+    'dessert', 'bakery', 'grocery', 'groceries', 'supermarket', 'takeaway', 'dim sum',
+    '餐', '飯', '食', '早餐', '午餐', '晚餐', '宵夜', '下午茶', '茶餐廳', '咖啡', '奶茶', '飲', '酒', '啤酒',
+    '超市', '街市', '買餸', '麵', '粉', '壽司', '火鍋', '點心', '飲茶', '甜品', '零食', '外賣', '燒烤', '自助餐'
+  ],
+  transport: [
+    'taxi', 'uber', 'lyft', 'grab', 'bus', 'train', 'metro', 'subway', 'mtr', 'tram', 'flight', 'airfare',
+    'airline', 'ferry', 'fuel', 'petrol', 'gas', 'parking', 'toll', 'transport', 'octopus', 'car rental',
+    '的士', '計程車', '巴士', '小巴', '地鐵', '港鐵', '火車', '高鐵', '電車', '機票', '航班', '渡輪', '船票',
+    '油費', '入油', '泊車', '停車', '隧道', '過路費', '租車', '交通', '八達通', '車費'
+  ],
+  accommodation: [
+    'hotel', 'hostel', 'airbnb', 'motel', 'resort', 'inn', 'lodging', 'accommodation', 'guesthouse', 'rent',
+    '酒店', '旅館', '民宿', '住宿', '賓館', '旅舍', '房租', '租金', '訂房'
+  ],
+  entertainment: [
+    'movie', 'cinema', 'film', 'concert', 'show', 'ticket', 'museum', 'karaoke', 'ktv', 'game', 'bowling',
+    'tour', 'theme park', 'disney', 'spa', 'massage', 'zoo', 'aquarium', 'club', 'party', 'entertainment',
+    '戲', '電影', '演唱會', '門票', '入場', '博物館', '卡拉OK', '唱K', '遊戲', '樂園', '迪士尼', '海洋公園',
+    '展覽', '按摩', '水療', '派對', '娛樂', '打機'
+  ],
+  shopping: [
+    'shopping', 'shop', 'mall', 'clothes', 'clothing', 'shirt', 'shoe', 'gift', 'souvenir', 'cosmetics',
+    'makeup', 'electronics', 'amazon', 'taobao', 'outlet',
+    '購物', '買', '衫', '褲', '鞋', '禮物', '手信', '紀念品', '化妝品', '護膚品', '商場', '電器', '淘寶'
+  ]
+}
+
+const CJK_PATTERN = /[㐀-鿿]/
+
+const normalizeDescription = (description) => String(description || '').trim().toLowerCase().replace(/\s+/g, ' ')
+
+// English words and numbers of two or more characters
+const getWords = (text) => (text.match(/[a-z0-9]{2,}/g) || [])
+
+const stripPlural = (word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word)
+
+// Words plus overlapping pairs of Chinese characters (single characters for one-character runs)
+const getTokens = (text) => {
+  const tokens = new Set(getWords(text).map(stripPlural))
+
+  const cjkRuns = text.match(/[㐀-鿿]+/g) || []
+  cjkRuns.forEach((run) => {
+    if (run.length === 1) {
+      tokens.add(run)
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      tokens.add(run.slice(i, i + 2))
+    }
+  })
+
+  return tokens
+}
+
+const getSimilarity = (tokensA, tokensB) => {
+  if (tokensA.size === 0 || tokensB.size === 0) return 0
+
+  let shared = 0
+  tokensA.forEach((token) => {
+    if (tokensB.has(token)) shared++
+  })
+  return shared / (tokensA.size + tokensB.size - shared)
+}
+
+const matchesKeyword = (text, words, keyword) => {
+  if (CJK_PATTERN.test(keyword) || keyword.includes(' ')) {
+    return text.includes(keyword.toLowerCase())
+  }
+  return words.has(stripPlural(keyword))
+}
+
+/**
+ * The category the group most used for the same or similar descriptions
+ *
+ * @param {string} text - Normalized description
+ * @param {Object} expenses - The group's expenses
+ * @param {Function} isValidCategory - Whether a stored category still exists
+ * @returns {string|null}
+ */
+const suggestFromHistory = (text, expenses, isValidCategory) => {
+  const tokens = getTokens(text)
+  const scores = {}
+
+  Object.values(expenses || {}).forEach((expense) => {
+    if (!expense?.description || !isValidCategory(expense.category)) return
+
+    const pastText = normalizeDescription(expense.description)
+    const similarity = pastText === text ? 1 : getSimilarity(tokens, getTokens(pastText))
+    if (similarity >= SIMILARITY_THRESHOLD) {
+      scores[expense.category] = (scores[expense.category] || 0) + similarity
+    }
+  })
+
+  const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1])
+  return best ? best[0] : null
+}
+
+/**
+ * Suggest a category for an expense description
+ *
+ * @param {string} description - Description as typed
+ * @param {Object} expenses - The group's existing expenses, to learn from what it used before
+ * @param {Object} customCategories - The group's custom categories
+ * @returns {{category: string, source: 'history'|'name'|'keyword'}|null} Null when nothing matches
+ */
+export const suggestCategory = (description, expenses, customCategories) => {
+  const text = normalizeDescription(description)
+  if (!text) return null
+
+  const isValidCategory = (category) => isBuiltInCategory(category) || Boolean(customCategories?.[category]?.name)
+
+  const historyCategory = suggestFromHistory(text, expenses, isValidCategory)
+  if (historyCategory) {
+    return { category: historyCategory, source: 'history' }
+  }
+
+  const words = new Set(getWords(text).map(stripPlural))
+
+  const [namedCategory] = Object.entries(customCategories || {})
+    .filter(([, category]) => category?.name && matchesKeyword(text, words, category.name.toLowerCase()))
+    .sort((a, b) => b[1].name.length - a[1].name.length)
+  if (namedCategory) {
+    return { category: namedCategory[0], source: 'name' }
+  }
+
+  let best = null
+  Object.entries(CATEGORY_KEYWORDS).forEach(([category, keywords]) => {
+    keywords.forEach((keyword) => {
+      if ((!best || keyword.length > best.length) && matchesKeyword(text, words, keyword)) {
+        best = { category, length: keyword.length }
+      }
+    })
+  })
+
+  return best ? { category: best.category, source: 'keyword' } : null
+}
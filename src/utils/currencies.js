@@ -0,0 +1,239 @@
+// 貨幣資料
+
+/**
+ * Active ISO 4217 currencies
+ * minorUnits is the number of decimal places the currency is counted in
+ * (0 for JPY and KRW, 3 for the dinars of Bahrain, Iraq, Jordan, Kuwait, Libya and Tunisia, 2 for most others).
+ * Fund codes, precious metals and testing codes are left out.
+ */
+export const CURRENCIES = [
+  { code: 'AED', name: 'UAE Dirham', symbol: 'د.إ', minorUnits: 2 },
+  { code: 'AFN', name: 'Afghani', symbol: '؋', minorUnits: 2 },
+  { code: 'ALL', name: 'Lek', symbol: 'L', minorUnits: 2 },
+  { code: 'AMD', name: 'Armenian Dram', symbol: '֏', minorUnits: 2 },
+  { code: 'ANG', name: 'Netherlands Antillean Guilder', symbol: 'ƒ', minorUnits: 2 },
+  { code: 'AOA', name: 'Kwanza', symbol: 'Kz', minorUnits: 2 },
+  { code: 'ARS', name: 'Argentine Peso', symbol: '$', minorUnits: 2 },
+  { code: 'AUD', name: 'Australian Dollar', symbol: 'A$', minorUnits: 2 },
+  { code: 'AWG', name: 'Aruban Florin', symbol: 'ƒ', minorUnits: 2 },
+  { code: 'AZN', name: 'Azerbaijan Manat', symbol: '₼', minorUnits: 2 },
+  { code: 'BAM', name: 'Convertible Mark', symbol: 'KM', minorUnits: 2 },
+  { code: 'BBD', name: 'Barbados Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'BDT', name: 'Taka', symbol: '৳', minorUnits: 2 },
+  { code: 'BGN', name: 'Bulgarian Lev', symbol: 'лв', minorUnits: 2 },
+  { code: 'BHD', name: 'Bahraini Dinar', symbol: 'BD', minorUnits: 3 },
+  { code: 'BIF', name: 'Burundi Franc', symbol: 'FBu', minorUnits: 0 },
+  { code: 'BMD', name: 'Bermudian Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'BND', name: 'Brunei Dollar', symbol: 'B$', minorUnits: 2 },
+  { code: 'BOB', name: 'Boliviano', symbol: 'Bs', minorUnits: 2 },
+  { code: 'BRL', name: 'Brazilian Real', symbol: 'R$', minorUnits: 2 },
+  { code: 'BSD', name: 'Bahamian Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'BTN', name: 'Ngultrum', symbol: 'Nu.', minorUnits: 2 },
+  { code: 'BWP', name: 'Pula', symbol: 'P', minorUnits: 2 },
+  { code: 'BYN', name: 'Belarusian Ruble', symbol: 'Br', minorUnits: 2 },
+  { code: 'BZD', name: 'Belize Dollar', symbol: 'BZ$', minorUnits: 2 },
+  { code: 'CAD', name: 'Canadian Dollar', symbol: 'C$', minorUnits: 2 },
+  { code: 'CDF', name: 'Congolese Franc', symbol: 'FC', minorUnits: 2 },
+  { code: 'CHF', name: 'Swiss Franc', symbol: 'CHF', minorUnits: 2 },
+  { code: 'CLP', name: 'Chilean Peso', symbol: '$', minorUnits: 0 },
+  { code: 'CNY', name: 'Yuan Renminbi', symbol: '¥', minorUnits: 2 },
+  { code: 'COP', name: 'Colombian Peso', symbol: '$', minorUnits: 2 },
+  { code: 'CRC', name: 'Costa Rican Colon', symbol: '₡', minorUnits: 2 },
+  { code: 'CUP', name: 'Cuban Peso', symbol: '$', minorUnits: 2 },
+  { code: 'CVE', name: 'Cabo Verde Escudo', symbol: '$', minorUnits: 2 },
+  { code: 'CZK', name: 'Czech Koruna', symbol: 'Kč', minorUnits: 2 },
+  { code: 'DJF', name: 'Djibouti Franc', symbol: 'Fdj', minorUnits: 0 },
+  { code: 'DKK', name: 'Danish Krone', symbol: 'kr', minorUnits: 2 },
+  { code: 'DOP', name: 'Dominican Peso', symbol: 'RD$', minorUnits: 2 },
+  { code: 'DZD', name: 'Algerian Dinar', symbol: 'DA', minorUnits: 2 },
+  { code: 'EGP', name: 'Egyptian Pound', symbol: 'E£', minorUnits: 2 },
+  { code: 'ERN', name: 'Nakfa', symbol: 'Nfk', minorUnits: 2 },
+  { code: 'ETB', name: 'Ethiopian Birr', symbol: 'Br', minorUnits: 2 },
+  { code: 'EUR', name: 'Euro', symbol: '€', minorUnits: 2 },
+  { code: 'FJD', name: 'Fiji Dollar', symbol: 'FJ$', minorUnits: 2 },
+  { code: 'FKP', name: 'Falkland Islands Pound', symbol: '£', minorUnits: 2 },
+  { code: 'GBP', name: 'Pound Sterling', symbol: '£', minorUnits: 2 },
+  { code: 'GEL', name: 'Lari', symbol: '₾', minorUnits: 2 },
+  { code: 'GHS', name: 'Ghana Cedi', symbol: '₵', minorUnits: 2 },
+  { code: 'GIP', name: 'Gibraltar Pound', symbol: '£', minorUnits: 2 },
+  { code: 'GMD', name: 'Dalasi', symbol: 'D', minorUnits: 2 },
+  { code: 'GNF', name: 'Guinean Franc', symbol: 'FG', minorUnits: 0 },
+  { code: 'GTQ', name: 'Quetzal', symbol: 'Q', minorUnits: 2 },
+  { code: 'GYD', name: 'Guyana Dollar', symbol: 'G$', minorUnits: 2 },
+  { code: 'HKD', name: 'Hong Kong Dollar', symbol: 'HK$', minorUnits: 2 },
+  { code: 'HNL', name: 'Lempira', symbol: 'L', minorUnits: 2 },
+  { code: 'HTG', name: 'Gourde', symbol: 'G', minorUnits: 2 },
+  { code: 'HUF', name: 'Forint', symbol: 'Ft', minorUnits: 2 },
+  { code: 'IDR', name: 'Rupiah', symbol: 'Rp', minorUnits: 2 },
+  { code: 'ILS', name: 'New Israeli Sheqel', symbol: '₪', minorUnits: 2 },
+  { code: 'INR', name: 'Indian Rupee', symbol: '₹', minorUnits: 2 },
+  { code: 'IQD', name: 'Iraqi Dinar', symbol: 'ع.د', minorUnits: 3 },
+  { code: 'IRR', name: 'Iranian Rial', symbol: '﷼', minorUnits: 2 },
+  { code: 'ISK', name: 'Iceland Krona', symbol: 'kr', minorUnits: 0 },
+  { code: 'JMD', name: 'Jamaican Dollar', symbol: 'J$', minorUnits: 2 },
+  { code: 'JOD', name: 'Jordanian Dinar', symbol: 'JD', minorUnits: 3 },
+  { code: 'JPY', name: 'Yen', symbol: '¥', minorUnits: 0 },
+  { code: 'KES', name: 'Kenyan Shilling', symbol: 'KSh', minorUnits: 2 },
+  { code: 'KGS', name: 'Som', symbol: 'с', minorUnits: 2 },
+  { code: 'KHR', name: 'Riel', symbol: '៛', minorUnits: 2 },
+  { code: 'KMF', name: 'Comorian Franc', symbol: 'CF', minorUnits: 0 },
+  { code: 'KPW', name: 'North Korean Won', symbol: '₩', minorUnits: 2 },
+  { code: 'KRW', name: 'Won', symbol: '₩', minorUnits: 0 },
+  { code: 'KWD', name: 'Kuwaiti Dinar', symbol: 'KD', minorUnits: 3 },
+  { code: 'KYD', name: 'Cayman Islands Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'KZT', name: 'Tenge', symbol: '₸', minorUnits: 2 },
+  { code: 'LAK', name: 'Lao Kip', symbol: '₭', minorUnits: 2 },
+  { code: 'LBP', name: 'Lebanese Pound', symbol: 'L£', minorUnits: 2 },
+  { code: 'LKR', name: 'Sri Lanka Rupee', symbol: 'Rs', minorUnits: 2 },
+  { code: 'LRD', name: 'Liberian Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'LSL', name: 'Loti', symbol: 'L', minorUnits: 2 },
+  { code: 'LYD', name: 'Libyan Dinar', symbol: 'LD', minorUnits: 3 },
+  { code: 'MAD', name: 'Moroccan Dirham', symbol: 'DH', minorUnits: 2 },
+  { code: 'MDL', name: 'Moldovan Leu', symbol: 'L', minorUnits: 2 },
+  { code: 'MGA', name: 'Malagasy Ariary', symbol: 'Ar', minorUnits: 2 },
+  { code: 'MKD', name: 'Denar', symbol: 'ден', minorUnits: 2 },
+  { code: 'MMK', name: 'Kyat', symbol: 'K', minorUnits: 2 },
+  { code: 'MNT', name: 'Tugrik', symbol: '₮', minorUnits: 2 },
+  { code: 'MOP', name: 'Pataca', symbol: 'MOP$', minorUnits: 2 },
+  { code: 'MRU', name: 'Ouguiya', symbol: 'UM', minorUnits: 2 },
+  { code: 'MUR', name: 'Mauritius Rupee', symbol: 'Rs', minorUnits: 2 },
+  { code: 'MVR', name: 'Rufiyaa', symbol: 'Rf', minorUnits: 2 },
+  { code: 'MWK', name: 'Malawi Kwacha', symbol: 'MK', minorUnits: 2 },
+  { code: 'MXN', name: 'Mexican Peso', symbol: '$', minorUnits: 2 },
+  { code: 'MYR', name: 'Malaysian Ringgit', symbol: 'RM', minorUnits: 2 },
+  { code: 'MZN', name: 'Mozambique Metical', symbol: 'MT', minorUnits: 2 },
+  { code: 'NAD', name: 'Namibia Dollar', symbol: 'N$', minorUnits: 2 },
+  { code: 'NGN', name: 'Naira', symbol: '₦', minorUnits: 2 },
+  { code: 'NIO', name: 'Cordoba Oro', symbol: 'C$', minorUnits: 2 },
+  { code: 'NOK', name: 'Norwegian Krone', symbol: 'kr', minorUnits: 2 },
+  { code: 'NPR', name: 'Nepalese Rupee', symbol: 'Rs', minorUnits: 2 },
+  { code: 'NZD', name: 'New Zealand Dollar', symbol: 'NZ$', minorUnits: 2 },
+  { code: 'OMR', name: 'Rial Omani', symbol: 'OMR', minorUnits: 3 },
+  { code: 'PAB', name: 'Balboa', symbol: 'B/.', minorUnits: 2 },
+  { code: 'PEN', name: 'Sol', symbol: 'S/', minorUnits: 2 },
+  { code: 'PGK', name: 'Kina', symbol: 'K', minorUnits: 2 },
+  { code: 'PHP', name: 'Philippine Peso', symbol: '₱', minorUnits: 2 },
+  { code: 'PKR', name: 'Pakistan Rupee', symbol: 'Rs', minorUnits: 2 },
+  { code: 'PLN', name: 'Zloty', symbol: 'zł', minorUnits: 2 },
+  { code: 'PYG', name: 'Guarani', symbol: '₲', minorUnits: 0 },
+  { code: 'QAR', name: 'Qatari Rial', symbol: 'QR', minorUnits: 2 },
+  { code: 'RON', name: 'Romanian Leu', symbol: 'lei', minorUnits: 2 },
+  { code: 'RSD', name: 'Serbian Dinar', symbol: 'din', minorUnits: 2 },
+  { code: 'RUB', name: 'Russian Ruble', symbol: '₽', minorUnits: 2 },
+  { code: 'RWF', name: 'Rwanda Franc', symbol: 'FRw', minorUnits: 0 },
+  { code: 'SAR', name: 'Saudi Riyal', symbol: 'SR', minorUnits: 2 },
+  { code: 'SBD', name: 'Solomon Islands Dollar', symbol: 'SI$', minorUnits: 2 },
+  { code: 'SCR', name: 'Seychelles Rupee', symbol: 'SR', minorUnits: 2 },
+  { code: 'SDG', name: 'Sudanese Pound', symbol: 'LS', minorUnits: 2 },
+  { code: 'SEK', name: 'Swedish Krona', symbol: 'kr', minorUnits: 2 },
+  { code: 'SGD', name: 'Singapore Dollar', symbol: 'S$', minorUnits: 2 },
+  { code: 'SHP', name: 'Saint Helena Pound', symbol: '£', minorUnits: 2 },
+  { code: 'SLE', name: 'Leone', symbol: 'Le', minorUnits: 2 },
+  { code: 'SOS', name: 'Somali Shilling', symbol: 'Sh', minorUnits: 2 },
+  { code: 'SRD', name: 'Surinam Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'SSP', name: 'South Sudanese Pound', symbol: '£', minorUnits: 2 },
+  { code: 'STN', name: 'Dobra', symbol: 'Db', minorUnits: 2 },
+  { code: 'SVC', name: 'El Salvador Colon', symbol: '₡', minorUnits: 2 },
+  { code: 'SYP', name: 'Syrian Pound', symbol: 'LS', minorUnits: 2 },
+  { code: 'SZL', name: 'Lilangeni', symbol: 'E', minorUnits: 2 },
+  { code: 'THB', name: 'Baht', symbol: '฿', minorUnits: 2 },
+  { code: 'TJS', name: 'Somoni', symbol: 'SM', minorUnits: 2 },
+  { code: 'TMT', name: 'Turkmenistan New Manat', symbol: 'm', minorUnits: 2 },
+  { code: 'TND', name: 'Tunisian Dinar', symbol: 'DT', minorUnits: 3 },
+  { code: 'TOP', name: 'Pa\'anga', symbol: 'T$', minorUnits: 2 },
+  { code: 'TRY', name: 'Turkish Lira', symbol: '₺', minorUnits: 2 },
+  { code: 'TTD', name: 'Trinidad and Tobago Dollar', symbol: 'TT$', minorUnits: 2 },
+  { code: 'TWD', name: 'New Taiwan Dollar', symbol: 'NT$', minorUnits: 2 },
+  { code: 'TZS', name: 'Tanzanian Shilling', symbol: 'TSh', minorUnits: 2 },
+  { code: 'UAH', name: 'Hryvnia', symbol: '₴', minorUnits: 2 },
+  { code: 'UGX', name: 'Uganda Shilling', symbol: 'USh', minorUnits: 0 },
+  { code: 'USD', name: 'US Dollar', symbol: '$', minorUnits: 2 },
+  { code: 'UYU', name: 'Peso Uruguayo', symbol: '$U', minorUnits: 2 },
+  { code: 'UZS', name: 'Uzbekistan Sum', symbol: 'soʻm', minorUnits: 2 },
+  { code: 'VES', name: 'Bolívar Soberano', symbol: 'Bs.S', minorUnits: 2 },
+  { code: 'VND', name: 'Dong', symbol: '₫', minorUnits: 0 },
+  { code: 'VUV', name: 'Vatu', symbol: 'VT', minorUnits: 0 },
+  { code: 'WST', name: 'Tala', symbol: 'WS$', minorUnits: 2 },
+  { code: 'XAF', name: 'CFA Franc BEAC', symbol: 'FCFA', minorUnits: 0 },
+  { code: 'XCD', name: 'East Caribbean Dollar', symbol: 'EC$', minorUnits: 2 },
+  { code: 'XCG', name: 'Caribbean Guilder', symbol: 'Cg', minorUnits: 2 },
+  { code: 'XOF', name: 'CFA Franc BCEAO', symbol: 'CFA', minorUnits: 0 },
+  { code: 'XPF', name: 'CFP Franc', symbol: '₣', minorUnits: 0 },
+  { code: 'YER', name: 'Yemeni Rial', symbol: '﷼', minorUnits: 2 },
+  { code: 'ZAR', name: 'Rand', symbol: 'R', minorUnits: 2 },
+  { code: 'ZMW', name: 'Zambian Kwacha', symbol: 'ZK', minorUnits: 2 },
+  { code: 'ZWG', name: 'Zimbabwe Gold', symbol: 'ZiG', minorUnits: 2 }
+]
+
+// Shown first in currency pickers
+export const COMMON_CURRENCY_CODES = ['HKD', 'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'TWD', 'KRW', 'SGD', 'AUD', 'CAD', 'THB', 'MOP']
+
+const CURRENCIES_BY_CODE = Object.fromEntries(CURRENCIES.map((currency) => [currency.code, currency]))
+
+// Currencies not in the table (or missing) are treated as having 2 decimal places
+const DEFAULT_MINOR_UNITS = 2
+
+/**
+ * Look up currency metadata
+ *
+ * @param {string} code - ISO 4217 code
+ * @returns {{code: string, name: string, symbol: string, minorUnits: number}|null}
+ */
+export const getCurrency = (code) => CURRENCIES_BY_CODE[String(code || '').toUpperCase()] || null
+
+/**
+ * Whether a code is a known ISO 4217 currency
+ */
+export const isKnownCurrency = (code) => Boolean(getCurrency(code))
+
+/**
+ * Number of decimal places the currency is counted in
+ */
+export const getMinorUnits = (code) => getCurrency(code)?.minorUnits ?? DEFAULT_MINOR_UNITS
+
+/**
+ * Number of minor units in one major unit (100 for cents, 1 for JPY, 1000 for KWD)
+ */
+export const getCurrencyFactor = (code) => 10 ** getMinorUnits(code)
+
+/**
+ * Convert an amount to integer minor units of the currency
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} code - ISO 4217 code
+ * @returns {number} Integer minor units
+ */
+export const toMinorUnits = (amount, code) => Math.round((Number(amount) || 0) * getCurrencyFactor(code))
+
+/**
+ * Convert integer minor units back to an amount in major units
+ */
+export const fromMinorUnits = (units, code) => Math.round(units) / getCurrencyFactor(code)
+
+/**
+ * Round an amount to the precision of the currency
+ */
+export const roundToCurrency = (amount, code) => fromMinorUnits(toMinorUnits(amount, code), code)
+
+/**
+ * Currency symbol, falling back to the code itself
+ */
+export const getCurrencySymbol = (code) => getCurrency(code)?.symbol || code
+
+/**
+ * Currencies for a picker, common ones first
+ * A current value that isn't in the table (e.g. an old group currency) is kept so it stays selectable.
+ *
+ * @param {string} currentCode - Currently selected code
+ * @returns {{common: Array, others: Array}}
+ */
+export const getCurrencyOptions = (currentCode) => {
+  const common = COMMON_CURRENCY_CODES.map(getCurrency).filter(Boolean)
+  const others = CURRENCIES.filter((currency) => !COMMON_CURRENCY_CODES.includes(currency.code))
+
+  if (currentCode && !isKnownCurrency(currentCode)) {
+    common.unshift({ code: currentCode, name: currentCode, symbol: currentCode, minorUnits: DEFAULT_MINOR_UNITS })
+  }
+
+  return { common, others }
+}
@@ -0,0 +1,186 @@
+// 匯出工具函數
+import { getMinorUnits } from './currencies'
+import { getCategoryInfo } from './categories'
+
+/**
+ * Convert an RTDB collection (object keyed by ID) into an array with the ID attached
+ */
+const toRecordList = (collection) => Object.entries(collection || {})
+  .filter(([, record]) => record)
+  .map(([id, record]) => ({ id, ...record }))
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/
+
+/**
+ * Escape a single CSV cell
+ * Text that would be read as a formula is prefixed with an apostrophe (plain numbers are left alone),
+ * and cells containing commas, quotes or line breaks are wrapped in quotes
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return ''
+
+  let text = String(value)
+  if (FORMULA_PREFIX_PATTERN.test(text) && !NUMBER_PATTERN.test(text)) {
+    text = `'${text}`
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+/**
+ * Format a number with the currency's decimal places, or empty when missing
+ */
+const formatAmount = (amount, currency) => (
+  amount === null || amount === undefined || amount === '' ? '' : Number(amount).toFixed(getMinorUnits(currency))
+)
+
+/**
+ * Format a timestamp as YYYY-MM-DD
+ */
+const formatIsoDate = (timestamp) => (
+  timestamp ? new Date(timestamp).toISOString().slice(0, 10) : ''
+)
+
+/**
+ * Build a CSV export of a group's expenses
+ * One row per expense, with one split column per member who takes part in any expense
+ *
+ * @param {Object} group - Group data as stored in RTDB
+ * @returns {string} CSV text
+ */
+export const buildExpensesCsv = (group) => {
+  const members = group?.members || {}
+  const expenses = toRecordList(group?.expenses)
+    .sort((a, b) => (a.date || a.createdAt || 0) - (b.date || b.createdAt || 0))
+
+  const getName = (memberId) => members[memberId]?.name || memberId
+
+  // Every member that appears in a split gets its own column, in member order
+  const splitMemberIds = new Set()
+  expenses.forEach((expense) => {
+    Object.keys(expense.splitDetails || {}).forEach((memberId) => splitMemberIds.add(memberId))
+  })
+  const orderedMemberIds = [
+    ...Object.keys(members).filter((memberId) => splitMemberIds.has(memberId)),
+    ...[...splitMemberIds].filter((memberId) => !members[memberId])
+  ]
+
+  const header = [
+    'Date',
+    'Description',
+    'Category',
+    'Amount',
+    'Currency',
+    'Original Amount',
+    'Original Currency',
+    'Exchange Rate',
+    'Split Method',
+    'Payers',
+    ...orderedMemberIds.map((memberId) => `Split: ${getName(memberId)}`)
+  ]
+
+  const rows = expenses.map((expense) => {
+    const currency = expense.currency || group?.currency
+    const originalCurrency = expense.originalCurrency || currency
+    const payers = Object.entries(expense.payers || {})
+      .map(([payerId, payer]) => `${payer?.name || getName(payerId)}: ${formatAmount(payer?.amount, currency)}`)
+      .join('; ')
+
+    return [
+      formatIsoDate(expense.date || expense.createdAt),
+      expense.description,
+      // Built-in categories as their key, custom ones by name so the file reads (and re-imports) without IDs
+      getCategoryInfo(expense.category, group?.customCategories, () => null).label,
+      formatAmount(expense.amount, currency),
+      currency,
+      formatAmount(expense.amountInOriginalCurrency ?? expense.amount, originalCurrency),
+      originalCurrency,
+      expense.exchangeRate?.rate ?? 1,
+      expense.splitMethod,
+      payers,
+      ...orderedMemberIds.map((memberId) => formatAmount(expense.splitDetails?.[memberId], currency))
+    ]
+  })
+
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsvCell).join(','))
+    .join('\r\n')
+}
+
+/**
+ * Build a full JSON export of a group
+ * Includes expenses, settlement records and member history so the group can be audited offline
+ *
+ * @param {Object} group - Group data as stored in RTDB
+ * @param {string} groupId - The group ID
+ * @returns {string} Pretty-printed JSON text
+ */
+export const buildGroupJson = (group, groupId) => {
+  const data = {
+    exportedAt: new Date().toISOString(),
+    group: {
+      id: groupId,
+      name: group?.name,
+      description: group?.description || '',
+      currency: group?.currency,
+      owner: group?.owner,
+      createdBy: group?.createdBy,
+      createdAt: group?.createdAt,
+      summary: group?.summary || {}
+    },
+    members: toRecordList(group?.members),
+    customCategories: toRecordList(group?.customCategories),
+    expenses: toRecordList(group?.expenses),
+    settlementRecords: toRecordList(group?.settlementRecords),
+    memberHistory: toRecordList(group?.memberHistory)
+  }
+
+  return JSON.stringify(data, null, 2)
+}
+
+/**
+ * Build a file-system friendly name for an export
+ *
+ * @param {string} groupName - Group name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name such as "tokyo-trip-2026-10-19.csv"
+ */
+export const buildExportFileName = (groupName, extension) => {
+  const slug = String(groupName || 'group')
+    .trim()
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, '-')
+    .toLowerCase() || 'group'
+
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`
+}
+
+/**
+ * Trigger a browser download of generated text
+ *
+ * @param {string} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadTextFile = (content, fileName, mimeType) => {
+  // BOM so spreadsheet apps detect UTF-8 (Chinese names, currency symbols)
+  const parts = mimeType === 'text/csv' ? ['\uFEFF', content] : [content]
+  const blob = new Blob(parts, { type: `${mimeType};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  URL.revokeObjectURL(url)
+}
@@ -1,8 +1,13 @@
 // 格式化工具函數
+import { getMinorUnits } from './currencies'
+
 export const formatCurrency = (amount, currency = 'HKD') => {
+  const minorUnits = getMinorUnits(currency)
   return new Intl.NumberFormat('zh-HK', {
     style: 'currency',
-    currency: currency
+    currency: currency,
+    minimumFractionDigits: minorUnits,
+    maximumFractionDigits: minorUnits
   }).format(amount)
 }
 
@@ -0,0 +1,325 @@
+// 匯入工具函數
+import { isBuiltInCategory } from './categories'
+import { roundToCurrency, isKnownCurrency } from './currencies'
+
+/**
+ * Fields that can be mapped from a CSV column
+ * Required fields must be mapped before a preview can be built
+ */
+export const IMPORT_FIELDS = [
+  { key: 'date', required: true },
+  { key: 'description', required: true },
+  { key: 'amount', required: true },
+  { key: 'currency', required: false },
+  { key: 'payer', required: true },
+  { key: 'participants', required: false },
+  { key: 'category', required: false }
+]
+
+// Header names (lowercase) recognised for each field, including common splitting app exports
+const HEADER_ALIASES = {
+  date: ['date', 'day', 'when', '日期'],
+  description: ['description', 'desc', 'title', 'item', 'details', 'note', '描述', '項目'],
+  amount: ['amount', 'cost', 'total', 'price', 'value', '金額', '金额'],
+  currency: ['currency', 'ccy', '貨幣', '货币'],
+  payer: ['payer', 'paid by', 'paidby', 'who paid', 'paid', '付款人'],
+  participants: ['participants', 'split with', 'shared with', 'for', 'split between', '參與者', '参与者'],
+  category: ['category', 'type', '類別', '类别']
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Supports quoted cells with commas, escaped quotes and line breaks
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} Rows of cells, with blank lines removed
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''))
+}
+
+/**
+ * Guess which column holds each import field from the header row
+ *
+ * @param {string[]} headers - Header row
+ * @returns {Object} Map of field key -> column index (or '' when not found)
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = (headers || []).map((header) => String(header).trim().toLowerCase())
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex((header) => HEADER_ALIASES[field.key].includes(header))
+    mapping[field.key] = index >= 0 ? index : ''
+    return mapping
+  }, {})
+}
+
+/**
+ * Split a participants cell into member names
+ * Accepts names separated by semicolons, commas, pipes or 、
+ */
+export const splitMemberNames = (value) => String(value || '')
+  .split(/[;,|、]/)
+  .map((name) => name.trim())
+  .filter(Boolean)
+
+/**
+ * Read a mapped cell from a row
+ */
+const getCell = (row, mapping, key) => {
+  const index = mapping[key]
+  if (index === '' || index === undefined || index === null) return ''
+  return String(row[Number(index)] ?? '').trim()
+}
+
+/**
+ * Collect every distinct member name referenced by the payer and participants columns
+ *
+ * @param {string[][]} rows - Data rows (without header)
+ * @param {Object} mapping - Column mapping
+ * @returns {string[]} Names in first-seen order
+ */
+export const collectMemberNames = (rows, mapping) => {
+  const names = new Map()
+
+  rows.forEach((row) => {
+    const rowNames = [getCell(row, mapping, 'payer'), ...splitMemberNames(getCell(row, mapping, 'participants'))]
+    rowNames.filter(Boolean).forEach((name) => {
+      const key = name.toLowerCase()
+      if (!names.has(key)) names.set(key, name)
+    })
+  })
+
+  return [...names.values()]
+}
+
+/**
+ * Find an active group member by name (case-insensitive)
+ *
+ * @param {Object} members - Group members keyed by ID
+ * @param {string} name - Name from the CSV
+ * @returns {string|null} Member ID
+ */
+export const findMemberIdByName = (members, name) => {
+  const key = String(name || '').trim().toLowerCase()
+  const match = Object.entries(members || {}).find(
+    ([, member]) => member?.status !== 'removed' && member?.name?.toLowerCase() === key
+  )
+  return match ? match[0] : null
+}
+
+/**
+ * Parse a date cell into an ISO date string (YYYY-MM-DD)
+ * Accepts YYYY-MM-DD, YYYY/MM/DD and DD/MM/YYYY (day first, as used in Hong Kong)
+ *
+ * @param {string} value - Date cell
+ * @returns {string|null} ISO date, or null when invalid
+ */
+export const parseImportDate = (value) => {
+  const text = String(value || '').trim()
+  const yearFirst = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+  const dayFirst = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/)
+  if (!yearFirst && !dayFirst) return null
+
+  const year = Number(yearFirst ? yearFirst[1] : dayFirst[3])
+  const month = Number(yearFirst ? yearFirst[2] : dayFirst[2])
+  const day = Number(yearFirst ? yearFirst[3] : dayFirst[1])
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null
+  }
+
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Parse an amount cell, ignoring currency symbols and thousands separators
+ *
+ * @param {string} value - Amount cell
+ * @param {string} currency - Currency the amount is in
+ * @returns {number|null} Amount rounded to the currency's minor units, or null when invalid
+ */
+export const parseImportAmount = (value, currency) => {
+  const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''))
+  if (isNaN(amount)) return null
+  return roundToCurrency(amount, currency)
+}
+
+/**
+ * Resolve a category cell to one of the group's categories
+ * Accepts a built-in category key or a custom category name (both case-insensitive), or a custom
+ * category ID; anything else is 'other'
+ *
+ * @param {string} value - Category cell
+ * @param {Object} customCategories - The group's custom categories
+ * @returns {string} Category key or custom category ID
+ */
+export const resolveImportCategory = (value, customCategories) => {
+  const text = String(value || '').trim()
+  if (isBuiltInCategory(text.toLowerCase())) return text.toLowerCase()
+
+  const named = Object.entries(customCategories || {})
+    .find(([, category]) => category?.name?.trim().toLowerCase() === text.toLowerCase())
+  if (named) return named[0]
+
+  if (customCategories?.[text]) return text
+  return 'other'
+}
+
+/**
+ * Validate and normalize CSV rows for preview
+ * Member names are resolved through memberAssignments: existing member ID, or 'new' for a dummy member
+ *
+ * @param {string[][]} rows - Data rows (without header)
+ * @param {Object} mapping - Column mapping
+ * @param {Object} options
+ * @param {Object} options.members - Group members keyed by ID
+ * @param {Object} options.memberAssignments - Map of lowercase name -> member ID or 'new'
+ * @param {string} options.groupCurrency - Group currency code
+ * @param {Object} options.exchangeRates - Map of currency code -> rate to the group currency
+ * @param {Object} options.customCategories - The group's custom categories
+ * @returns {Array<{rowNumber: number, data: Object, errors: string[]}>}
+ */
+export const buildImportPreview = (rows, mapping, { members, memberAssignments, groupCurrency, exchangeRates, customCategories }) => {
+  const activeMemberNames = Object.values(members || {})
+    .filter((member) => member?.status !== 'removed')
+    .map((member) => member.name)
+
+  return rows.map((row, index) => {
+    const errors = []
+
+    const date = parseImportDate(getCell(row, mapping, 'date'))
+    if (!date) errors.push('invalidDate')
+
+    const description = getCell(row, mapping, 'description')
+    if (!description) errors.push('missingDescription')
+
+    const currency = (getCell(row, mapping, 'currency') || groupCurrency).toUpperCase()
+
+    const amount = parseImportAmount(getCell(row, mapping, 'amount'), currency)
+    if (amount === null || amount <= 0) errors.push('invalidAmount')
+
+    const rate = currency === groupCurrency ? 1 : exchangeRates?.[currency]
+    if (!isKnownCurrency(currency)) {
+      errors.push('invalidCurrency')
+    } else if (!(rate > 0)) {
+      errors.push('missingExchangeRate')
+    }
+
+    const payerName = getCell(row, mapping, 'payer')
+    if (!payerName) {
+      errors.push('missingPayer')
+    } else if (!memberAssignments?.[payerName.toLowerCase()]) {
+      errors.push('unknownMember')
+    }
+
+    // No participants column (or an empty cell) means everyone in the group shares the expense
+    const listedParticipants = splitMemberNames(getCell(row, mapping, 'participants'))
+    const participantNames = listedParticipants.length > 0 ? listedParticipants : activeMemberNames
+    if (listedParticipants.some((name) => !memberAssignments?.[name.toLowerCase()]) && !errors.includes('unknownMember')) {
+      errors.push('unknownMember')
+    }
+
+    const category = resolveImportCategory(getCell(row, mapping, 'category'), customCategories)
+
+    return {
+      rowNumber: index + 2, // 1-based, after the header row
+      data: {
+        date,
+        description,
+        amount,
+        currency,
+        rate,
+        payerName,
+        participantNames,
+        category
+      },
+      errors
+    }
+  })
+}
+
+/**
+ * Convert a validated preview row into createExpense input
+ * Imported expenses are always split equally between the participants
+ *
+ * @param {Object} data - Preview row data from buildImportPreview
+ * @param {Object} memberIdsByName - Map of lowercase name -> member ID
+ * @param {Object} members - Group members keyed by ID (including newly created ones)
+ * @param {string} groupCurrency - Group currency code
+ * @param {Object|null} exchangeRate - Exchange rate record when the row is in another currency
+ * @returns {Object} Expense data accepted by createExpense
+ */
+export const toImportedExpenseData = (data, memberIdsByName, members, groupCurrency, exchangeRate) => {
+  const resolveId = (name) => memberIdsByName[name.toLowerCase()] || findMemberIdByName(members, name)
+
+  const payerId = resolveId(data.payerName)
+  const amountInGroupCurrency = roundToCurrency(data.amount * data.rate, groupCurrency)
+  const participants = [...new Set(data.participantNames.map(resolveId).filter(Boolean))]
+
+  const expenseData = {
+    amount: amountInGroupCurrency,
+    amountInOriginalCurrency: data.amount,
+    payers: {
+      [payerId]: {
+        name: members[payerId]?.name || data.payerName,
+        amount: amountInGroupCurrency
+      }
+    },
+    participants,
+    splitMethod: 'equal',
+    splitDetails: {},
+    description: data.description,
+    category: data.category,
+    currency: groupCurrency,
+    originalCurrency: data.currency,
+    date: data.date
+  }
+
+  if (data.currency !== groupCurrency && exchangeRate) {
+    expenseData.exchangeRate = {
+      ...exchangeRate,
+      amountInGroupCurrency
+    }
+  }
+
+  return expenseData
+}
@@ -0,0 +1,293 @@
+// 帳本工具函數
+import { getCurrencyFactor, roundToCurrency } from './currencies'
+
+/**
+ * Ledger units per major unit of a currency
+ * The currency's own minor units, but never coarser than cents: amounts recorded before
+ * minor units were tracked (e.g. 333.33 JPY) must still add up exactly
+ */
+const getLedgerFactor = (currency) => Math.max(100, getCurrencyFactor(currency))
+
+/**
+ * Convert a money amount to integer ledger units ("cents")
+ * All ledger arithmetic is done in integer units so repeated additions cannot drift
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code (2 decimals when omitted)
+ * @returns {number} Amount in integer cents
+ */
+export const toCents = (amount, currency) => Math.round((Number(amount) || 0) * getLedgerFactor(currency))
+
+/**
+ * Convert integer ledger units back to an amount in major units
+ *
+ * @param {number} cents - Amount in cents
+ * @param {string} currency - Currency code (2 decimals when omitted)
+ * @returns {number} Amount in major units
+ */
+export const fromCents = (cents, currency) => Math.round(cents) / getLedgerFactor(currency)
+
+/**
+ * Apply a single expense to a balances map (in cents)
+ * Payers are credited what they paid, participants are debited their share
+ *
+ * @param {Object} balances - Map of memberId -> balance in cents (mutated)
+ * @param {Object} expense - Expense record with payers and splitDetails
+ * @param {number} sign - 1 to apply the expense, -1 to revert it
+ * @param {string} currency - Currency of the balances map
+ */
+export const applyExpenseToBalances = (balances, expense, sign = 1, currency) => {
+  Object.entries(expense?.payers || {}).forEach(([payerId, payerInfo]) => {
+    balances[payerId] = (balances[payerId] || 0) + sign * toCents(payerInfo?.amount, currency)
+  })
+
+  Object.entries(expense?.splitDetails || {}).forEach(([participantId, amount]) => {
+    balances[participantId] = (balances[participantId] || 0) - sign * toCents(amount, currency)
+  })
+}
+
+/**
+ * Apply a single settlement record to a balances map (in cents)
+ * The payer's deficit shrinks and the recipient's credit shrinks
+ *
+ * @param {Object} balances - Map of memberId -> balance in cents (mutated)
+ * @param {Object} record - Settlement record with from, to and amount
+ * @param {number} sign - 1 to apply the settlement, -1 to revert it
+ * @param {string} currency - Currency of the balances map
+ */
+export const applySettlementToBalances = (balances, record, sign = 1, currency) => {
+  if (!record?.from || !record?.to) return
+
+  const cents = toCents(record.amount, currency)
+  balances[record.from] = (balances[record.from] || 0) + sign * cents
+  balances[record.to] = (balances[record.to] || 0) - sign * cents
+}
+
+/**
+ * Convert a stored balances map to cents
+ */
+const toCentsMap = (balances, currency) => Object.fromEntries(
+  Object.entries(balances || {}).map(([memberId, amount]) => [memberId, toCents(amount, currency)])
+)
+
+/**
+ * Convert a balances map in cents back to amounts in major units
+ */
+const fromCentsMap = (balances, currency) => Object.fromEntries(
+  Object.entries(balances).map(([memberId, cents]) => [memberId, fromCents(cents, currency)])
+)
+
+/**
+ * Whether amounts in this currency are kept in their own balance instead of the group currency
+ * Only multi-currency groups store expenses and settlements in a currency other than the group's
+ *
+ * @param {string} currency - Currency of the expense or settlement
+ * @param {string} groupCurrency - Group currency
+ * @returns {boolean}
+ */
+export const isSeparateCurrency = (currency, groupCurrency) => (
+  Boolean(currency && groupCurrency && currency !== groupCurrency)
+)
+
+/**
+ * Apply or revert an expense against a stored group summary
+ * Returns a new summary with balances, totalExpenses, categoryTotals and expenseCount adjusted
+ * Expenses kept in another currency move summary.currencyBalances and summary.currencyTotals instead
+ *
+ * @param {Object} summary - Current group summary
+ * @param {Object} expense - Expense record with amount, payers and splitDetails
+ * @param {number} sign - 1 to apply the expense, -1 to revert it
+ * @param {string} groupCurrency - Group currency
+ * @returns {Object} Updated summary
+ */
+export const applyExpenseToSummary = (summary, expense, sign = 1, groupCurrency = null) => {
+  const expenseCount = Math.max(0, (summary?.expenseCount || 0) + sign)
+
+  if (isSeparateCurrency(expense?.currency, groupCurrency)) {
+    const currency = expense.currency
+    const balances = toCentsMap(summary?.currencyBalances?.[currency], currency)
+    applyExpenseToBalances(balances, expense, sign, currency)
+
+    const totalCents = toCents(summary?.currencyTotals?.[currency], currency) + sign * toCents(expense?.amount, currency)
+
+    return {
+      ...summary,
+      currencyBalances: { ...summary?.currencyBalances, [currency]: fromCentsMap(balances, currency) },
+      currencyTotals: { ...summary?.currencyTotals, [currency]: fromCents(Math.max(0, totalCents), currency) },
+      expenseCount
+    }
+  }
+
+  const balances = toCentsMap(summary?.balances, groupCurrency)
+  applyExpenseToBalances(balances, expense, sign, groupCurrency)
+
+  const totalCents = toCents(summary?.totalExpenses, groupCurrency) + sign * toCents(expense?.amount, groupCurrency)
+
+  // Spend per category in the group currency, tracked for budgets
+  const category = expense?.category || 'other'
+  const categoryCents = toCents(summary?.categoryTotals?.[category], groupCurrency) + sign * toCents(expense?.amount, groupCurrency)
+
+  return {
+    ...summary,
+    balances: fromCentsMap(balances, groupCurrency),
+    totalExpenses: fromCents(Math.max(0, totalCents), groupCurrency),
+    categoryTotals: { ...summary?.categoryTotals, [category]: fromCents(Math.max(0, categoryCents), groupCurrency) },
+    expenseCount
+  }
+}
+
+/**
+ * Apply or revert a settlement record against a stored group summary
+ * Settlements of a debt in another currency move that currency's balances
+ *
+ * @param {Object} summary - Current group summary
+ * @param {Object} record - Settlement record with from, to, amount and optional currency
+ * @param {number} sign - 1 to apply the settlement, -1 to revert it
+ * @param {string} groupCurrency - Group currency
+ * @returns {Object} Updated summary
+ */
+export const applySettlementToSummary = (summary, record, sign = 1, groupCurrency = null) => {
+  if (isSeparateCurrency(record?.currency, groupCurrency)) {
+    const currency = record.currency
+    const balances = toCentsMap(summary?.currencyBalances?.[currency], currency)
+    applySettlementToBalances(balances, record, sign, currency)
+
+    return {
+      ...summary,
+      currencyBalances: { ...summary?.currencyBalances, [currency]: fromCentsMap(balances, currency) }
+    }
+  }
+
+  const balances = toCentsMap(summary?.balances, groupCurrency)
+  applySettlementToBalances(balances, record, sign, groupCurrency)
+
+  return {
+    ...summary,
+    balances: fromCentsMap(balances, groupCurrency)
+  }
+}
+
+/**
+ * Derive the group summary from its expenses and settlement records
+ * This is a pure function - it never reads from or writes to the database
+ *
+ * @param {Object} group - Group data as stored in RTDB
+ * @returns {{balances: Object, totalExpenses: number, categoryTotals: Object, currencyBalances: Object, currencyTotals: Object, expenseCount: number, memberCount: number, lastExpenseAt: number|null, lastSettlementAt: number|null}}
+ */
+export const computeGroupLedger = (group) => {
+  const balances = {}
+  const currencyBalances = {}
+  const currencyTotals = {}
+
+  // Balances kept in another currency (multi-currency groups), in cents
+  const getCurrencyBalances = (currency) => {
+    if (!currencyBalances[currency]) currencyBalances[currency] = {}
+    return currencyBalances[currency]
+  }
+
+  // Every active member gets an entry, even if they have no activity yet
+  Object.entries(group?.members || {}).forEach(([memberId, member]) => {
+    if (member?.status !== 'removed') {
+      balances[memberId] = 0
+    }
+  })
+
+  let totalCents = 0
+  const categoryCents = {}
+  let expenseCount = 0
+  let lastExpenseAt = null
+
+  Object.values(group?.expenses || {}).forEach((expense) => {
+    if (!expense) return
+
+    if (isSeparateCurrency(expense.currency, group.currency)) {
+      applyExpenseToBalances(getCurrencyBalances(expense.currency), expense, 1, expense.currency)
+      currencyTotals[expense.currency] = (currencyTotals[expense.currency] || 0) + toCents(expense.amount, expense.currency)
+    } else {
+      applyExpenseToBalances(balances, expense, 1, group.currency)
+      totalCents += toCents(expense.amount, group.currency)
+
+      const category = expense.category || 'other'
+      categoryCents[category] = (categoryCents[category] || 0) + toCents(expense.amount, group.currency)
+    }
+    expenseCount += 1
+
+    if (expense.createdAt && (lastExpenseAt === null || expense.createdAt > lastExpenseAt)) {
+      lastExpenseAt = expense.createdAt
+    }
+  })
+
+  let lastSettlementAt = null
+
+  Object.values(group?.settlementRecords || {}).forEach((record) => {
+    if (!record) return
+
+    if (isSeparateCurrency(record.currency, group.currency)) {
+      applySettlementToBalances(getCurrencyBalances(record.currency), record, 1, record.currency)
+    } else {
+      applySettlementToBalances(balances, record, 1, group.currency)
+    }
+
+    const recordTime = record.updatedAt || record.recordedAt
+    if (recordTime && (lastSettlementAt === null || recordTime > lastSettlementAt)) {
+      lastSettlementAt = recordTime
+    }
+  })
+
+  const memberCount = Object.values(group?.members || {})
+    .filter((member) => member?.status !== 'removed')
+    .length
+
+  return {
+    balances: fromCentsMap(balances, group?.currency),
+    totalExpenses: fromCents(totalCents, group?.currency),
+    categoryTotals: fromCentsMap(categoryCents, group?.currency),
+    currencyBalances: Object.fromEntries(
+      Object.entries(currencyBalances).map(([currency, centsMap]) => [currency, fromCentsMap(centsMap, currency)])
+    ),
+    currencyTotals: Object.fromEntries(
+      Object.entries(currencyTotals).map(([currency, cents]) => [currency, fromCents(cents, currency)])
+    ),
+    expenseCount,
+    memberCount,
+    lastExpenseAt,
+    lastSettlementAt
+  }
+}
+
+/**
+ * Compare stored balances against ledger-derived balances
+ *
+ * @param {Object} storedBalances - Balances currently in group.summary.balances
+ * @param {Object} computedBalances - Balances returned by computeGroupLedger
+ * @param {string} currency - Group currency
+ * @returns {Array<{memberId: string, stored: number, computed: number}>} Members whose balance differs by at least one cent
+ */
+export const findBalanceDrift = (storedBalances = {}, computedBalances = {}, currency) => {
+  const memberIds = new Set([...Object.keys(storedBalances || {}), ...Object.keys(computedBalances || {})])
+
+  return [...memberIds]
+    .map((memberId) => ({
+      memberId,
+      stored: fromCents(toCents(storedBalances?.[memberId], currency), currency),
+      computed: fromCents(toCents(computedBalances?.[memberId], currency), currency)
+    }))
+    .filter(({ stored, computed }) => toCents(stored, currency) !== toCents(computed, currency))
+}
+
+/**
+ * A member's unsettled balances, one per currency, rounded to each currency's minor units
+ * Positive means the member is owed money, negative means they owe money.
+ * The group currency comes first, then the balances multi-currency groups keep per foreign currency.
+ *
+ * @param {Object} summary - Group summary with balances and currencyBalances
+ * @param {string} groupCurrency - Group currency
+ * @param {string} memberId - Member ID
+ * @returns {Array<{currency: string, balance: number}>} Empty when everything is settled
+ */
+export const getOutstandingBalances = (summary, groupCurrency, memberId) => [
+  [groupCurrency, summary?.balances],
+  ...Object.entries(summary?.currencyBalances || {})
+]
+  .map(([currency, balances]) => ({ currency, balance: roundToCurrency(balances?.[memberId] || 0, currency) }))
+  .filter(({ balance }) => balance !== 0)
@@ -0,0 +1,46 @@
+// 離線匯率表
+
+/**
+ * Bundled reference rates, used only when no online provider can be reached
+ * Rates are units of each currency per 1 USD; cross rates are derived through USD.
+ * Update OFFLINE_RATES_DATE together with the table.
+ */
+export const OFFLINE_RATES_DATE = '2025-06-02'
+
+export const OFFLINE_USD_RATES = {
+  USD: 1,
+  AUD: 1.55,
+  CAD: 1.37,
+  CHF: 0.82,
+  CNY: 7.19,
+  EUR: 0.88,
+  GBP: 0.74,
+  HKD: 7.85,
+  IDR: 16300,
+  INR: 85.5,
+  JPY: 144,
+  KRW: 1370,
+  MOP: 8.08,
+  MYR: 4.25,
+  NZD: 1.67,
+  PHP: 55.7,
+  SGD: 1.29,
+  THB: 32.7,
+  TWD: 29.9,
+  VND: 26000
+}
+
+/**
+ * Rates from one currency to every currency in the offline table
+ *
+ * @param {string} fromCurrency - Base currency code
+ * @returns {Object|null} Map of currency code -> rate, or null when the currency is not in the table
+ */
+export const getOfflineRates = (fromCurrency) => {
+  const baseRate = OFFLINE_USD_RATES[fromCurrency]
+  if (!baseRate) return null
+
+  return Object.fromEntries(
+    Object.entries(OFFLINE_USD_RATES).map(([currency, usdRate]) => [currency, usdRate / baseRate])
+  )
+}
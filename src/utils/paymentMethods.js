@@ -0,0 +1,53 @@
+// 付款方式工具函數
+
+export const PAYMENT_METHODS = [
+  'cash',
+  'fps',
+  'payme',
+  'alipayhk',
+  'wechatpay',
+  'octopus',
+  'bankTransfer',
+  'internationalTransfer',
+  'paypal',
+  'wise'
+]
+
+/**
+ * Normalize stored payment methods ({ payme: true, ... }) to a list of known method keys
+ *
+ * @param {Object|null} paymentMethods - Payment methods as stored in RTDB
+ * @returns {string[]} Method keys
+ */
+export const getPaymentMethodList = (paymentMethods) => Object.keys(paymentMethods || {})
+  .filter((method) => paymentMethods[method] && PAYMENT_METHODS.includes(method))
+
+/**
+ * Convert a list of method keys to the stored object format
+ *
+ * @param {string[]} methods - Method keys
+ * @returns {Object|null} { method: true } map, or null when nothing is selected
+ */
+export const toPaymentMethodMap = (methods) => {
+  const known = (methods || []).filter((method) => PAYMENT_METHODS.includes(method))
+  if (known.length === 0) return null
+  return known.reduce((acc, method) => {
+    acc[method] = true
+    return acc
+  }, {})
+}
+
+/**
+ * Payment methods two members can use between them
+ * Members who haven't declared any methods are treated as accepting anything
+ *
+ * @param {Object|null} methodsA - Stored payment methods of the first member
+ * @param {Object|null} methodsB - Stored payment methods of the second member
+ * @returns {string[]|null} Shared methods, or null when either side is unrestricted
+ */
+export const getSharedPaymentMethods = (methodsA, methodsB) => {
+  const listA = getPaymentMethodList(methodsA)
+  const listB = getPaymentMethodList(methodsB)
+  if (listA.length === 0 || listB.length === 0) return null
+  return listA.filter((method) => listB.includes(method))
+}
@@ -0,0 +1,96 @@
+// 個人開支報告工具函數
+// A member's cost of an expense is their share in splitDetails, in the currency the expense is kept in.
+// Each share is converted at its currency's rate, so the month, category, currency and group totals
+// all add up to the overall total.
+import { toMinorUnits, fromMinorUnits, roundToCurrency } from './currencies'
+
+/**
+ * A date as YYYY-MM in local time
+ */
+const getMonthKey = (timestamp) => {
+  const date = new Date(timestamp)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+/**
+ * Collect a user's share of every expense across their groups
+ *
+ * @param {Object} groups - Map of groupId -> group data
+ * @param {string} userId - The user ID
+ * @returns {Array<{groupId: string, groupName: string, expenseId: string, month: string, category: string, currency: string, amount: number}>}
+ */
+export const collectPersonalShares = (groups, userId) => Object.entries(groups || {})
+  .flatMap(([groupId, group]) => Object.entries(group?.expenses || {})
+    .filter(([, expense]) => expense && Number(expense.splitDetails?.[userId]) > 0)
+    .map(([expenseId, expense]) => ({
+      groupId,
+      groupName: group.name || '',
+      expenseId,
+      month: getMonthKey(expense.date || expense.createdAt || 0),
+      category: expense.category || 'other',
+      currency: expense.currency || group.currency,
+      amount: Number(expense.splitDetails[userId])
+    })))
+
+/**
+ * Total a user's shares by month, category, currency and group in their home currency
+ *
+ * @param {Array} shares - Result of collectPersonalShares
+ * @param {Object} rates - Map of currency -> units of the home currency per unit; 1 for the home currency itself
+ * @param {string} homeCurrency - Currency to report in
+ * @returns {{
+ *   total: number,
+ *   byMonth: Array<{key: string, amount: number}>,
+ *   byCategory: Array<{key: string, amount: number}>,
+ *   byCurrency: Array<{key: string, original: number, amount: number, rate: number}>,
+ *   byGroup: Array<{key: string, name: string, amount: number}>,
+ *   missingCurrencies: string[]
+ * }} byMonth is in date order; the rest are largest first. Currencies without a rate are left out and listed in missingCurrencies.
+ */
+export const summarizePersonalReport = (shares, rates, homeCurrency) => {
+  const list = shares || []
+  const missingCurrencies = [...new Set(list.map((share) => share.currency))]
+    .filter((currency) => !(rates?.[currency] > 0))
+
+  // Totals in minor units: originals in their own currency, everything else in the home currency
+  const originalUnits = {}
+  const currencyUnits = {}
+  const monthUnits = {}
+  const categoryUnits = {}
+  const groupUnits = {}
+  const groupNames = {}
+  let totalUnits = 0
+
+  const add = (map, key, units) => {
+    map[key] = (map[key] || 0) + units
+  }
+
+  list.forEach((share) => {
+    if (missingCurrencies.includes(share.currency)) return
+
+    const units = toMinorUnits(roundToCurrency(share.amount * rates[share.currency], homeCurrency), homeCurrency)
+    totalUnits += units
+    add(originalUnits, share.currency, toMinorUnits(share.amount, share.currency))
+    add(currencyUnits, share.currency, units)
+    add(monthUnits, share.month, units)
+    add(categoryUnits, share.category, units)
+    add(groupUnits, share.groupId, units)
+    groupNames[share.groupId] = share.groupName
+  })
+
+  const toRows = (unitsMap) => Object.entries(unitsMap)
+    .map(([key, units]) => ({ key, amount: fromMinorUnits(units, homeCurrency) }))
+
+  return {
+    total: fromMinorUnits(totalUnits, homeCurrency),
+    byMonth: toRows(monthUnits).sort((a, b) => a.key.localeCompare(b.key)),
+    byCategory: toRows(categoryUnits).sort((a, b) => b.amount - a.amount),
+    byCurrency: toRows(currencyUnits)
+      .map((row) => ({ ...row, original: fromMinorUnits(originalUnits[row.key], row.key), rate: rates[row.key] }))
+      .sort((a, b) => b.amount - a.amount),
+    byGroup: toRows(groupUnits)
+      .map((row) => ({ ...row, name: groupNames[row.key] }))
+      .sort((a, b) => b.amount - a.amount),
+    missingCurrencies
+  }
+}
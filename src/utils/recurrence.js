@@ -0,0 +1,123 @@
+// 定期支出排程工具函數
+// Dates are YYYY-MM-DD strings, the same format as the expense date input
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly']
+
+// Upper bound on occurrences created in one go, e.g. a daily schedule in a group nobody opened for a year
+export const MAX_OCCURRENCES_PER_RUN = 366
+
+/**
+ * A date as YYYY-MM-DD in local time
+ *
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string}
+ */
+export const getLocalDateString = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * The occurrence after a date
+ * Monthly and yearly schedules keep the day of the start date where the month has it,
+ * so a schedule starting on Jan 31 falls on Feb 28 and then Mar 31.
+ *
+ * @param {string} dateString - Current occurrence (YYYY-MM-DD)
+ * @param {string} frequency - One of RECURRENCE_FREQUENCIES
+ * @param {number} anchorDay - Day of month of the schedule's start date
+ * @returns {string} Next occurrence (YYYY-MM-DD)
+ */
+export const getNextOccurrence = (dateString, frequency, anchorDay) => {
+  const [year, month, day] = dateString.split('-').map(Number)
+
+  if (frequency === 'daily' || frequency === 'weekly') {
+    const next = new Date(Date.UTC(year, month - 1, day + (frequency === 'daily' ? 1 : 7)))
+    return next.toISOString().split('T')[0]
+  }
+
+  const monthIndex = frequency === 'yearly' ? (year + 1) * 12 + month - 1 : year * 12 + month
+  const nextYear = Math.floor(monthIndex / 12)
+  const nextMonth = monthIndex % 12
+  const daysInMonth = new Date(Date.UTC(nextYear, nextMonth + 1, 0)).getUTCDate()
+  const nextDay = Math.min(anchorDay || day, daysInMonth)
+
+  return `${nextYear}-${String(nextMonth + 1).padStart(2, '0')}-${String(nextDay).padStart(2, '0')}`
+}
+
+/**
+ * Occurrences of a schedule that are due on or before a date
+ *
+ * @param {Object} schedule - Recurring expense with frequency, startDate and nextDueDate
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{dueDates: string[], nextDueDate: string}} Due occurrences, and the first occurrence after them
+ */
+export const getDueOccurrences = (schedule, today) => {
+  const anchorDay = Number(String(schedule.startDate || schedule.nextDueDate).split('-')[2])
+  const dueDates = []
+  let nextDueDate = schedule.nextDueDate
+
+  while (nextDueDate <= today && dueDates.length < MAX_OCCURRENCES_PER_RUN) {
+    dueDates.push(nextDueDate)
+    nextDueDate = getNextOccurrence(nextDueDate, schedule.frequency, anchorDay)
+  }
+
+  return { dueDates, nextDueDate }
+}
+
+// Expense fields copied onto a schedule; date and receipts belong to each occurrence, not the schedule
+const TEMPLATE_FIELDS = [
+  'amount',
+  'amountInOriginalCurrency',
+  'payers',
+  'participants',
+  'splitMethod',
+  'splitDetails',
+  'items',
+  'description',
+  'category',
+  'currency',
+  'originalCurrency',
+  'exchangeRate',
+  'location'
+]
+
+/**
+ * Build a recurring expense schedule whose first occurrence is the given expense
+ * The schedule produces the occurrences after it
+ *
+ * @param {Object} expenseData - Expense data in the format createExpense takes
+ * @param {string} frequency - One of RECURRENCE_FREQUENCIES
+ * @param {string} userId - User creating the schedule
+ * @param {number} createdAt - Creation timestamp
+ * @returns {Object} Schedule as stored in group.recurringExpenses
+ */
+export const buildRecurringSchedule = (expenseData, frequency, userId, createdAt) => {
+  if (!expenseData?.date || !userId) {
+    throw new Error('A start date and user ID are required for a recurring expense')
+  }
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new Error('Invalid recurrence frequency')
+  }
+
+  const startDate = String(expenseData.date).split('T')[0]
+  const anchorDay = Number(startDate.split('-')[2])
+
+  const template = TEMPLATE_FIELDS.reduce((acc, field) => {
+    if (expenseData[field] !== undefined && expenseData[field] !== null) {
+      acc[field] = expenseData[field]
+    }
+    return acc
+  }, {})
+
+  return {
+    template,
+    frequency,
+    startDate,
+    nextDueDate: getNextOccurrence(startDate, frequency, anchorDay),
+    paused: false,
+    createdBy: String(userId),
+    createdAt
+  }
+}
@@ -0,0 +1,201 @@
+// 結算演算法
+// All amounts are integer minor units of the currency being settled (cents, or whole yen for JPY)
+
+export const SETTLEMENT_METHODS = ['greedy', 'optimal']
+
+// Above this many non-zero balances the exact solver is too slow (2^n subsets), so greedy is used
+export const EXACT_SOLVER_MAX_MEMBERS = 16
+
+// Any member can pay any other member unless a constraint says otherwise
+const canAlwaysTransfer = () => true
+
+/**
+ * Pair debtors and creditors largest-first
+ * Produces at most n - 1 transfers but not always the fewest possible
+ * Each debtor is matched with the largest creditor they can pay directly, if there is one
+ *
+ * @param {Array<{userId: string, name: string, cents: number}>} entries - Non-zero balances in cents
+ * @param {Function} canTransfer - (fromId, toId) => boolean
+ * @returns {Array<{from: string, fromName: string, to: string, toName: string, cents: number}>}
+ */
+export const solveGreedySettlements = (entries, canTransfer = canAlwaysTransfer) => {
+  const debtors = entries
+    .filter((entry) => entry.cents < 0)
+    .map((entry) => ({ ...entry, remaining: -entry.cents }))
+    .sort((a, b) => b.remaining - a.remaining)
+  const creditors = entries
+    .filter((entry) => entry.cents > 0)
+    .map((entry) => ({ ...entry, remaining: entry.cents }))
+    .sort((a, b) => b.remaining - a.remaining)
+
+  const settlements = []
+
+  while (true) {
+    const debtor = debtors.find((entry) => entry.remaining >= 1)
+    const openCreditors = creditors.filter((entry) => entry.remaining >= 1)
+    if (!debtor || openCreditors.length === 0) break
+
+    const creditor = openCreditors.find((entry) => canTransfer(debtor.userId, entry.userId)) || openCreditors[0]
+    const settleCents = Math.min(debtor.remaining, creditor.remaining)
+
+    settlements.push({
+      from: debtor.userId,
+      fromName: debtor.name,
+      to: creditor.userId,
+      toName: creditor.name,
+      cents: settleCents
+    })
+
+    debtor.remaining -= settleCents
+    creditor.remaining -= settleCents
+  }
+
+  return settlements
+}
+
+/**
+ * Find the fewest transfers that settle every balance
+ * Members are partitioned into as many zero-sum groups as possible; a group of k members
+ * settles in k - 1 transfers, so maximising the number of groups minimises the transfers.
+ * Falls back to greedy when there are too many balances for the subset search.
+ *
+ * @param {Array<{userId: string, name: string, cents: number}>} entries - Non-zero balances in cents
+ * @param {Function} canTransfer - (fromId, toId) => boolean
+ * @returns {Array<{from: string, fromName: string, to: string, toName: string, cents: number}>}
+ */
+export const solveMinimumSettlements = (entries, canTransfer = canAlwaysTransfer) => {
+  const n = entries.length
+  if (n <= 2 || n > EXACT_SOLVER_MAX_MEMBERS) {
+    return solveGreedySettlements(entries, canTransfer)
+  }
+
+  const fullMask = (1 << n) - 1
+  const sums = new Array(fullMask + 1).fill(0)
+  const groupCounts = new Array(fullMask + 1).fill(0)
+  const removedIndex = new Array(fullMask + 1).fill(-1)
+
+  // groupCounts[mask] = most zero-sum groups along a chain of removals from mask down to empty
+  for (let mask = 1; mask <= fullMask; mask++) {
+    const lowestBit = mask & -mask
+    const lowestIndex = 31 - Math.clz32(lowestBit)
+    sums[mask] = sums[mask ^ lowestBit] + entries[lowestIndex].cents
+
+    for (let i = 0; i < n; i++) {
+      const bit = 1 << i
+      if (!(mask & bit)) continue
+      if (removedIndex[mask] === -1 || groupCounts[mask ^ bit] > groupCounts[mask ^ (1 << removedIndex[mask])]) {
+        removedIndex[mask] = i
+      }
+    }
+    groupCounts[mask] = groupCounts[mask ^ (1 << removedIndex[mask])] + (sums[mask] === 0 ? 1 : 0)
+  }
+
+  // Walk the best chain back down; each stretch between zero-sum masks is one settling group
+  const groups = []
+  let mask = fullMask
+  let groupStart = fullMask
+  while (mask) {
+    const next = mask ^ (1 << removedIndex[mask])
+    if (next === 0 || sums[next] === 0) {
+      groups.push(groupStart ^ next)
+      groupStart = next
+    }
+    mask = next
+  }
+
+  return groups.flatMap((groupMask) => solveGreedySettlements(
+    entries.filter((_, index) => groupMask & (1 << index)),
+    canTransfer
+  ))
+}
+
+/**
+ * Rewrite a settlement plan so every transfer is between members who can pay each other
+ * A transfer between incompatible members is routed through the shortest chain of intermediaries,
+ * then opposite flows between the same pair are netted out.
+ * Transfers with no possible route are kept and flagged with infeasible: true.
+ *
+ * @param {Array<{from: string, to: string, cents: number}>} settlements - Plan from one of the solvers
+ * @param {Object} options
+ * @param {string[]} options.memberIds - Members who can act as intermediaries
+ * @param {Object} options.names - Map of memberId -> display name
+ * @param {Function} options.canTransfer - (fromId, toId) => boolean
+ * @returns {Array<{from: string, fromName: string, to: string, toName: string, cents: number, infeasible?: boolean}>}
+ */
+export const routeSettlements = (settlements, { memberIds, names, canTransfer }) => {
+  // Breadth-first search for the route with the fewest hops
+  const findRoute = (fromId, toId) => {
+    const previous = { [fromId]: null }
+    const queue = [fromId]
+
+    while (queue.length > 0) {
+      const current = queue.shift()
+      if (current === toId) break
+
+      memberIds.forEach((nextId) => {
+        if (!(nextId in previous) && canTransfer(current, nextId)) {
+          previous[nextId] = current
+          queue.push(nextId)
+        }
+      })
+    }
+
+    if (!(toId in previous)) return null
+
+    const route = []
+    for (let node = toId; node !== null; node = previous[node]) {
+      route.unshift(node)
+    }
+    return route
+  }
+
+  // Net flow per ordered pair, in cents; insertion order keeps the plan stable
+  const flows = new Map()
+  const addFlow = (fromId, toId, cents) => {
+    const reverseKey = `${toId}|${fromId}`
+    if (flows.has(reverseKey)) {
+      flows.set(reverseKey, flows.get(reverseKey) - cents)
+    } else {
+      const key = `${fromId}|${toId}`
+      flows.set(key, (flows.get(key) || 0) + cents)
+    }
+  }
+
+  const infeasible = []
+
+  settlements.forEach((settlement) => {
+    const cents = settlement.cents
+
+    if (canTransfer(settlement.from, settlement.to)) {
+      addFlow(settlement.from, settlement.to, cents)
+      return
+    }
+
+    const route = findRoute(settlement.from, settlement.to)
+    if (!route) {
+      infeasible.push({ ...settlement, infeasible: true })
+      return
+    }
+
+    for (let i = 0; i < route.length - 1; i++) {
+      addFlow(route[i], route[i + 1], cents)
+    }
+  })
+
+  const routed = []
+  flows.forEach((cents, key) => {
+    if (cents === 0) return
+
+    const [firstId, secondId] = key.split('|')
+    const [fromId, toId] = cents > 0 ? [firstId, secondId] : [secondId, firstId]
+    routed.push({
+      from: fromId,
+      fromName: names[fromId],
+      to: toId,
+      toName: names[toId],
+      cents: Math.abs(cents)
+    })
+  })
+
+  return [...routed, ...infeasible]
+}
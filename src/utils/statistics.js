@@ -0,0 +1,95 @@
+// 開支統計工具函數
+// Statistics cover expenses in the group currency, like summary.totalExpenses;
+// expenses kept in another currency (multi-currency groups) are counted separately.
+import { toCents, fromCents, isSeparateCurrency } from './ledger'
+import { getLocalDateString } from './recurrence'
+
+/**
+ * Turn a map of key -> cents into rows sorted by amount, largest first
+ */
+const toRankedRows = (centsMap, totalCents, currency) => Object.entries(centsMap)
+  .filter(([, cents]) => cents > 0)
+  .map(([key, cents]) => ({
+    key,
+    amount: fromCents(cents, currency),
+    share: totalCents > 0 ? cents / totalCents : 0
+  }))
+  .sort((a, b) => b.amount - a.amount)
+
+/**
+ * Break down a group's spending for the statistics tab
+ *
+ * @param {Object} group - Group data as stored in RTDB
+ * @returns {{
+ *   total: number,
+ *   expenseCount: number,
+ *   excludedCount: number,
+ *   byCategory: Array<{key: string, amount: number, share: number}>,
+ *   byPayer: Array<{key: string, amount: number, share: number}>,
+ *   byParticipant: Array<{key: string, amount: number, share: number}>,
+ *   byDay: Array<{date: string, amount: number, count: number}>,
+ *   paidVsConsumed: Array<{memberId: string, paid: number, consumed: number, difference: number}>
+ * }} byDay is in date order; the other breakdowns are largest first
+ */
+export const computeGroupStatistics = (group) => {
+  const currency = group?.currency
+  const categoryCents = {}
+  const paidCents = {}
+  const consumedCents = {}
+  const days = {}
+  let totalCents = 0
+  let expenseCount = 0
+  let excludedCount = 0
+
+  const add = (map, key, cents) => {
+    map[key] = (map[key] || 0) + cents
+  }
+
+  Object.values(group?.expenses || {}).forEach((expense) => {
+    if (!expense) return
+
+    if (isSeparateCurrency(expense.currency, currency)) {
+      excludedCount += 1
+      return
+    }
+
+    const cents = toCents(expense.amount, currency)
+    totalCents += cents
+    expenseCount += 1
+    add(categoryCents, expense.category || 'other', cents)
+
+    Object.entries(expense.payers || {}).forEach(([payerId, payer]) => {
+      add(paidCents, payerId, toCents(payer?.amount, currency))
+    })
+    Object.entries(expense.splitDetails || {}).forEach(([participantId, share]) => {
+      add(consumedCents, participantId, toCents(share, currency))
+    })
+
+    const date = getLocalDateString(new Date(expense.date || expense.createdAt || 0))
+    days[date] = days[date] || { cents: 0, count: 0 }
+    days[date].cents += cents
+    days[date].count += 1
+  })
+
+  const memberIds = new Set([...Object.keys(paidCents), ...Object.keys(consumedCents)])
+
+  return {
+    total: fromCents(totalCents, currency),
+    expenseCount,
+    excludedCount,
+    byCategory: toRankedRows(categoryCents, totalCents, currency),
+    byPayer: toRankedRows(paidCents, totalCents, currency),
+    byParticipant: toRankedRows(consumedCents, totalCents, currency),
+    byDay: Object.entries(days)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, { cents, count }]) => ({ date, amount: fromCents(cents, currency), count })),
+    paidVsConsumed: [...memberIds]
+      .map((memberId) => ({
+        memberId,
+        paid: fromCents(paidCents[memberId] || 0, currency),
+        consumed: fromCents(consumedCents[memberId] || 0, currency),
+        difference: fromCents((paidCents[memberId] || 0) - (consumedCents[memberId] || 0), currency)
+      }))
+      .sort((a, b) => b.paid - a.paid)
+  }
+}